@@ -1,11 +1,16 @@
 import { firebaseAuth } from './firebase-client.js';
+import { generateQueryTokens, generateKNNTokens } from './queryToken.js';
+import { createResultSession, openResultEnvelope } from './resultEnvelope.js';
 
 const API_BASE = '/api';
 
 const state = {
     currentPage: 'home',
     currentUser: null,
-    categories: []
+    categories: [],
+    queryKeys: null,
+    resultSession: null,
+    currentTenant: null
 };
 
 const Toast = {
@@ -23,10 +28,13 @@ const Toast = {
 };
 
 async function apiCall(endpoint, options = {}) {
+    // The server identifies callers only by their verified ID token
+    const idToken = await firebaseAuth.getIdToken();
     const defaultOptions = {
         headers: {
             'Content-Type': 'application/json',
-            'X-User-Id': state.currentUser?.uid || 'anonymous'
+            ...(idToken ? { Authorization: `Bearer ${idToken}` } : {}),
+            ...(state.currentTenant ? { 'X-Tenant-Id': state.currentTenant } : {})
         }
     };
 
@@ -111,6 +119,18 @@ function validateSearchInputs(lat, lng, radius) {
     return null;
 }
 
+function validateNearestInputs(lat, lng, k) {
+    const coordinateError = validateSearchInputs(lat, lng, 1);
+    if (coordinateError) return coordinateError;
+    if (!Number.isInteger(k) || k < 1) {
+        return 'Number of POIs must be a positive whole number';
+    }
+    if (k > 50) {
+        return 'Number of POIs cannot exceed 50';
+    }
+    return null;
+}
+
 function navigateTo(page) {
     document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
     document.querySelectorAll('.nav-link').forEach(l => l.classList.remove('active'));
@@ -138,6 +158,12 @@ function hideAllModals() {
 
 function updateAuthUI(user) {
     state.currentUser = user;
+    state.resultSession = null;
+    // Token signing keys are issued per user and tenant, as are POI categories
+    state.queryKeys = null;
+    state.categories = [];
+    // Users in several tenants act in the first; the server picks a sole tenant itself
+    state.currentTenant = user?.tenants ? Object.keys(user.tenants)[0] || null : null;
     const authSection = document.getElementById('authSection');
     const userSection = document.getElementById('userSection');
     const adminLink = document.querySelector('.admin-only');
@@ -186,9 +212,11 @@ async function handleSearch(e) {
     const lat = parseFloat(document.getElementById('latitude').value);
     const lng = parseFloat(document.getElementById('longitude').value);
     const radius = parseFloat(document.getElementById('radius').value);
+    const k = Number(document.getElementById('nearestCount').value);
     const category = document.getElementById('category').value;
+    const nearest = document.getElementById('searchMode').value === 'nearest';
 
-    const validationError = validateSearchInputs(lat, lng, radius);
+    const validationError = nearest ? validateNearestInputs(lat, lng, k) : validateSearchInputs(lat, lng, radius);
     if (validationError) {
         Toast.error(validationError);
         return;
@@ -198,10 +226,9 @@ async function handleSearch(e) {
     searchBtn.innerHTML = '<span class="loading"></span> Searching...';
     searchBtn.disabled = true;
 
-    const result = await apiCall('/search', {
-        method: 'POST',
-        body: JSON.stringify({ latitude: lat, longitude: lng, radius, category })
-    });
+    const result = nearest
+        ? await searchNearestWithToken(lat, lng, k, category)
+        : await searchWithToken(lat, lng, radius, category);
 
     searchBtn.innerHTML = '🔍 Search';
     searchBtn.disabled = false;
@@ -209,6 +236,104 @@ async function handleSearch(e) {
     displaySearchResults(result);
 }
 
+async function loadQueryKeys(forceRefresh = false) {
+    if (!state.queryKeys || forceRefresh) {
+        const result = await apiCall('/search/query-key');
+        if (!result.success) return result;
+        state.queryKeys = result.keys;
+    }
+    return { success: true, keys: state.queryKeys };
+}
+
+// Signed-in users get results sealed to a session key negotiated here
+async function loadResultSession(forceRefresh = false) {
+    if (!state.currentUser || !globalThis.crypto?.subtle) return null;
+    if (!state.resultSession || forceRefresh || state.resultSession.expiresAt <= Date.now()) {
+        const result = await createResultSession(apiCall);
+        state.resultSession = result.success ? result.session : null;
+    }
+    return state.resultSession;
+}
+
+// The location is encrypted here; only the token is sent to the server
+async function searchWithToken(lat, lng, radius, category, isRetry = false) {
+    const keys = await loadQueryKeys(isRetry);
+    if (!keys.success) return keys;
+    const session = await loadResultSession(isRetry);
+
+    const result = await apiCall('/search/token', {
+        method: 'POST',
+        body: JSON.stringify({
+            tokens: await generateQueryTokens(keys.keys, lat, lng, radius),
+            category,
+            sessionId: session?.sessionId
+        })
+    });
+
+    // Keys change after a key rotation and sessions expire; renew them once
+    const staleKeys = ['TOKEN_UNKNOWN_KEY', 'TOKEN_INVALID_SIGNATURE'].includes(result.code);
+    if (!result.success && !isRetry && (staleKeys || /result session/i.test(result.error || ''))) {
+        return searchWithToken(lat, lng, radius, category, true);
+    }
+
+    return openResults(result, session, lat, lng);
+}
+
+// One token set per radius is sent, so the server can widen the search without a new request
+async function searchNearestWithToken(lat, lng, k, category, isRetry = false) {
+    const keys = await loadQueryKeys(isRetry);
+    if (!keys.success) return keys;
+    const session = await loadResultSession(isRetry);
+
+    const result = await apiCall('/search/nearest/token', {
+        method: 'POST',
+        body: JSON.stringify({
+            rings: await generateKNNTokens(keys.keys, lat, lng),
+            k,
+            category,
+            sessionId: session?.sessionId
+        })
+    });
+
+    const staleKeys = ['TOKEN_UNKNOWN_KEY', 'TOKEN_INVALID_SIGNATURE'].includes(result.code);
+    if (!result.success && !isRetry && (staleKeys || /result session/i.test(result.error || ''))) {
+        return searchNearestWithToken(lat, lng, k, category, true);
+    }
+
+    const opened = await openResults(result, session, lat, lng);
+    // During a key rotation the server returns the k best under each key
+    if (opened.success) opened.results = opened.results.slice(0, k);
+    return opened;
+}
+
+// Decrypts sealed results and adds distances from the query location
+async function openResults(result, session, lat, lng) {
+    if (!result.success) return result;
+    try {
+        const pois = result.envelope ? await openResultEnvelope(session, result) : result.results;
+        result.results = withDistances(pois, lat, lng);
+    } catch (error) {
+        return { success: false, error: 'Could not decrypt search results' };
+    }
+    return result;
+}
+
+// Great-circle distance in kilometers
+function haversineDistance(lat1, lng1, lat2, lng2) {
+    const toRad = deg => deg * Math.PI / 180;
+    const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Exact coordinates only exist once decrypted, so distances are computed here
+function withDistances(pois, lat, lng) {
+    return pois.map(poi => (poi.latitude == null ? poi : {
+        ...poi,
+        distance: haversineDistance(lat, lng, poi.latitude, poi.longitude)
+    })).sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+}
+
 function displaySearchResults(result) {
     const container = document.getElementById('searchResults');
     const list = document.getElementById('resultsList');
@@ -345,7 +470,7 @@ async function loadPOIsManagement() {
         </div>
         <table class="data-table">
             <thead>
-                <tr><th>Name</th><th>Category</th><th>Address</th><th>Actions</th></tr>
+                <tr><th>Name</th><th>Category</th><th>Address</th><th>Location</th><th>Actions</th></tr>
             </thead>
             <tbody>
                 ${result.pois.map(poi => `
@@ -353,7 +478,9 @@ async function loadPOIsManagement() {
                         <td>${poi.name}</td>
                         <td>${poi.category}</td>
                         <td>${poi.address || '-'}</td>
+                        <td>${Number.isFinite(poi.latitude) ? `${poi.latitude.toFixed(5)}, ${poi.longitude.toFixed(5)}` : '-'}</td>
                         <td>
+                            <button class="btn btn-small btn-secondary" data-action="edit-poi-location" data-id="${poi.id}">Move</button>
                             <button class="btn btn-small btn-danger" data-action="delete-poi" data-id="${poi.id}">Delete</button>
                         </td>
                     </tr>
@@ -451,6 +578,8 @@ function init() {
     document.getElementById('loginBtn').addEventListener('click', () => showModal('loginModal'));
     document.getElementById('registerBtn').addEventListener('click', () => showModal('registerModal'));
     document.getElementById('logoutBtn').addEventListener('click', async () => {
+        // Revoke the session server-side too, so tokens already issued stop working
+        await apiCall('/auth/logout', { method: 'POST' });
         await firebaseAuth.logout();
         Toast.success('Logged out');
         navigateTo('home');
@@ -531,6 +660,12 @@ function init() {
     });
 
     document.getElementById('searchForm').addEventListener('submit', handleSearch);
+    document.getElementById('searchMode').addEventListener('change', (e) => {
+        const nearest = e.target.value === 'nearest';
+        document.getElementById('radiusGroup').classList.toggle('hidden', nearest);
+        document.getElementById('nearestGroup').classList.toggle('hidden', !nearest);
+        document.getElementById('radius').required = !nearest;
+    });
     document.getElementById('useLocationBtn').addEventListener('click', useMyLocation);
 
     document.getElementById('getStartedBtn').addEventListener('click', () => navigateTo('search'));
@@ -569,6 +704,22 @@ function init() {
             } else {
                 Toast.error(result.error || 'Failed to delete POI');
             }
+        } else if (action === 'edit-poi-location') {
+            const poiId = target.dataset.id;
+            if (!poiId) return;
+            const input = prompt('New location (latitude, longitude)');
+            if (!input) return;
+            const [latitude, longitude] = input.split(',').map(value => value.trim());
+            const result = await apiCall(`/admin/pois/${poiId}/location`, {
+                method: 'PUT',
+                body: JSON.stringify({ latitude, longitude })
+            });
+            if (result.success) {
+                Toast.success('POI location updated');
+                loadPOIsManagement();
+            } else {
+                Toast.error(result.error || result.errors?.join(', ') || 'Failed to update location');
+            }
         } else if (action === 'toggle-role') {
             const userId = target.dataset.uid;
             const currentRole = target.dataset.role;
@@ -135,8 +135,7 @@ class FirebaseAuthClient {
                     displayName: displayName,
                     role: 'user',
                     createdAt: serverTimestamp(),
-                    lastLogin: serverTimestamp(),
-                    isActive: true
+                    lastLogin: serverTimestamp()
                 });
             }
 
@@ -192,6 +191,15 @@ class FirebaseAuthClient {
         }
     }
 
+    /**
+     * Get the signed-in user's Firebase ID token, refreshed when near expiry
+     * @returns {Promise<string|null>} ID token, or null when signed out
+     */
+    async getIdToken() {
+        if (!auth || !auth.currentUser) return null;
+        return auth.currentUser.getIdToken();
+    }
+
     /**
      * Get user profile from Firestore
      */
@@ -0,0 +1,186 @@
+/**
+ * Query Token Client
+ * Browser build of the query-token half of RangeQueryEncryption
+ *
+ * Holds only the user's blinding matrices and token key from
+ * /api/search/query-key, so the browser blinds the query vectors itself and
+ * requests carry a token instead of coordinates. The server unblinds and
+ * encrypts the vectors, so no client holds a key that opens stored
+ * locations, but the server can read each query it evaluates (see
+ * src/encryption/queryBlinding.js). Tokens are signed with the user's
+ * token key, so the server can reject tampered or replayed ones.
+ * Has no dependencies so it runs unchanged in the browser and in Node.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const TOKEN_LIFETIME_MS = 300000; // 5 minutes, as for server-generated tokens
+const KNN_INITIAL_RADIUS_KM = 1;
+const KNN_MAX_RADIUS_KM = 20016; // half the Earth's circumference
+
+/**
+ * Random hex nonce from the platform CSPRNG
+ */
+function randomNonce() {
+    const bytes = new Uint8Array(16);
+    globalThis.crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * String covered by a token signature, matching signingInput in
+ * src/encryption/tokenAuthenticator.js
+ */
+function signingInput(token) {
+    return [
+        token.version,
+        token.keyId,
+        token.nonce,
+        token.timestamp,
+        token.expiresAt,
+        token.blindedQuery.join(','),
+        (token.blindedIndexQuery || []).join(',')
+    ].join('|');
+}
+
+/**
+ * Convert a latitude/longitude pair to a point on the unit sphere
+ */
+function toCartesian(lat, lng) {
+    const phi = lat * Math.PI / 180;
+    const lambda = lng * Math.PI / 180;
+    return [
+        Math.cos(phi) * Math.cos(lambda),
+        Math.cos(phi) * Math.sin(lambda),
+        Math.sin(phi)
+    ];
+}
+
+/**
+ * Convert a great-circle distance to the chord length on the unit sphere
+ */
+function chordLength(distanceKm) {
+    const angle = Math.min(distanceKm / EARTH_RADIUS_KM, Math.PI);
+    return 2 * Math.sin(angle / 2);
+}
+
+/**
+ * Range query vector (-2q, 1, |q|² - r²), matching encodeRangeQuery on the server
+ */
+function encodeRangeQuery(center, radius) {
+    const squaredNorm = center.reduce((sum, c) => sum + c * c, 0);
+    return [...center.map(c => -2 * c), 1, squaredNorm - radius * radius];
+}
+
+/**
+ * Ball intersection vector (-2q, 1, -2r, |q|² - r²), matching encodeBallQuery on the server
+ */
+function encodeBallQuery(center, radius) {
+    const squaredNorm = center.reduce((sum, c) => sum + c * c, 0);
+    return [...center.map(c => -2 * c), 1, -2 * radius, squaredNorm - radius * radius];
+}
+
+/**
+ * Doubling radii of a k-nearest search, matching knnRadii in
+ * src/query/queryProcessor.js
+ */
+function knnRadii() {
+    const radii = [];
+    for (let radiusKm = KNN_INITIAL_RADIUS_KM; radiusKm < KNN_MAX_RADIUS_KM; radiusKm *= 2) {
+        radii.push(radiusKm);
+    }
+    return [...radii, KNN_MAX_RADIUS_KM];
+}
+
+function matrixVectorMultiply(matrix, vector) {
+    return matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+}
+
+/**
+ * QueryTokenClient class
+ * Generates blinded range query tokens for one query key
+ */
+class QueryTokenClient {
+    /**
+     * @param {Object} queryKey - Query key from /api/search/query-key
+     */
+    constructor(queryKey) {
+        this.keyId = queryKey.keyId;
+        this.version = queryKey.version;
+        this.blinding = queryKey.blinding;
+        this.tokenKey = Uint8Array.from(atob(queryKey.tokenKey), char => char.charCodeAt(0));
+    }
+
+    /**
+     * Blind a query vector with one of the user's blinding matrices
+     * @param {Array<number>} vector - Query vector
+     * @param {Array<Array<number>>} matrix - Blinding matrix
+     * @returns {Array<number>} Blinded vector
+     */
+    blind(vector, matrix) {
+        return matrixVectorMultiply(matrix, vector);
+    }
+
+    /**
+     * Sign a token with HMAC-SHA256 under the user's token key
+     * @param {Object} token - Unsigned token
+     * @returns {string} Hex signature
+     */
+    async sign(token) {
+        const key = await globalThis.crypto.subtle.importKey(
+            'raw', this.tokenKey, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        const signature = await globalThis.crypto.subtle.sign('HMAC', key, new TextEncoder().encode(signingInput(token)));
+        return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Generate a signed, single-use encrypted range query token
+     * @param {number} centerLat - Query center latitude
+     * @param {number} centerLng - Query center longitude
+     * @param {number} radiusKm - Search radius in kilometers
+     * @returns {Object} Query token
+     */
+    async generateQueryToken(centerLat, centerLng, radiusKm) {
+        const center = toCartesian(centerLat, centerLng);
+        const timestamp = Date.now();
+
+        const token = {
+            keyId: this.keyId,
+            version: this.version,
+            blindedQuery: this.blind(encodeRangeQuery(center, chordLength(radiusKm)), this.blinding.query),
+            // Lets the server descend its encrypted index instead of scanning every POI
+            blindedIndexQuery: this.blind(encodeBallQuery(center, chordLength(radiusKm)), this.blinding.index),
+            timestamp,
+            expiresAt: timestamp + TOKEN_LIFETIME_MS,
+            nonce: randomNonce()
+        };
+        return { ...token, signature: await this.sign(token) };
+    }
+}
+
+/**
+ * Generate one token per query key (the server issues one, and encrypts
+ * each token for every key it holds)
+ * @param {Array<Object>} queryKeys - Query keys from /api/search/query-key
+ * @param {number} lat - Query center latitude
+ * @param {number} lng - Query center longitude
+ * @param {number} radiusKm - Search radius in kilometers
+ * @returns {Promise<Array<Object>>} Query tokens
+ */
+function generateQueryTokens(queryKeys, lat, lng, radiusKm) {
+    return Promise.all(queryKeys.map(queryKey => new QueryTokenClient(queryKey).generateQueryToken(lat, lng, radiusKm)));
+}
+
+/**
+ * Generate the token rings of a k-nearest query: one set of tokens (one per
+ * query key) for each radius the server may need to try, nearest first
+ * @param {Array<Object>} queryKeys - Query keys from /api/search/query-key
+ * @param {number} lat - Query center latitude
+ * @param {number} lng - Query center longitude
+ * @returns {Promise<Array<Array<Object>>>} Query tokens per radius
+ */
+function generateKNNTokens(queryKeys, lat, lng) {
+    return Promise.all(knnRadii().map(radiusKm => generateQueryTokens(queryKeys, lat, lng, radiusKm)));
+}
+
+export { QueryTokenClient, generateQueryTokens, generateKNNTokens };
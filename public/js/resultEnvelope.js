@@ -0,0 +1,146 @@
+/**
+ * Result Envelope Client
+ * Negotiates a session key with the server over ECDH (P-256) and opens
+ * encrypted search results locally. The server returns the stored field
+ * ciphertexts as they are, with the keys of just those records sealed under
+ * the session key, so POI metadata is never decrypted on the server or sent
+ * in plaintext. Uses WebCrypto only, so it also runs in Node.
+ */
+
+const SESSION_KEY_LABEL = 'eplq/v1/result-envelope';
+
+// Stored field format, as written by DataEncryption.encryptField
+const RECORD_PREFIX = 'gcmr:';
+const GCM_IV_LENGTH = 12;
+const GCM_TAG_LENGTH = 16;
+
+const subtle = () => globalThis.crypto.subtle;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function fromBase64(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * Open a result session
+ * @param {Function} apiCall - Sends a request to the API and returns the parsed JSON
+ * @returns {Object} { success, session: { sessionId, expiresAt, key } } or { success: false, error }
+ */
+async function createResultSession(apiCall) {
+    const keyPair = await subtle().generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+    const publicKey = await subtle().exportKey('raw', keyPair.publicKey);
+
+    const result = await apiCall('/auth/session', {
+        method: 'POST',
+        body: JSON.stringify({ publicKey: toBase64(publicKey) })
+    });
+    if (!result.success) return result;
+
+    const { sessionId, serverPublicKey, expiresAt } = result.session;
+    const serverKey = await subtle().importKey(
+        'raw', fromBase64(serverPublicKey), { name: 'ECDH', namedCurve: 'P-256' }, false, []
+    );
+    const sharedSecret = await subtle().deriveBits({ name: 'ECDH', public: serverKey }, keyPair.privateKey, 256);
+
+    // Same HKDF derivation as SessionKeyStore.createSession
+    const hkdfKey = await subtle().importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+    const key = await subtle().deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode(sessionId), info: encoder.encode(SESSION_KEY_LABEL) },
+        hkdfKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['decrypt']
+    );
+
+    return { success: true, session: { sessionId, expiresAt, key } };
+}
+
+/**
+ * Decrypt one stored field ciphertext ('gcmr:' + base64(IV ‖ tag ‖ ciphertext))
+ */
+async function decryptField(value, recordKey, associatedData) {
+    if (!value) return '';
+    if (!value.startsWith(RECORD_PREFIX)) {
+        throw new Error('Unsupported ciphertext format');
+    }
+
+    const combined = fromBase64(value.slice(RECORD_PREFIX.length));
+    const iv = combined.slice(0, GCM_IV_LENGTH);
+    const tag = combined.slice(GCM_IV_LENGTH, GCM_IV_LENGTH + GCM_TAG_LENGTH);
+    const ciphertext = combined.slice(GCM_IV_LENGTH + GCM_TAG_LENGTH);
+
+    // WebCrypto expects the tag after the ciphertext
+    const data = new Uint8Array(ciphertext.length + tag.length);
+    data.set(ciphertext);
+    data.set(tag, ciphertext.length);
+
+    const plaintext = await subtle().decrypt(
+        { name: 'AES-GCM', iv, additionalData: encoder.encode(associatedData) },
+        recordKey,
+        data
+    );
+    return decoder.decode(plaintext);
+}
+
+/**
+ * Open a search result envelope and decrypt its records
+ * @param {Object} session - Session from createResultSession
+ * @param {Object} result - Search response with `envelope` and encrypted `results`
+ * @returns {Array<Object>} Decrypted POIs
+ */
+async function openResultEnvelope(session, result) {
+    const { envelope } = result;
+    if (envelope.sessionId !== session.sessionId) {
+        throw new Error('Result envelope was sealed for another session');
+    }
+
+    const payload = await subtle().decrypt(
+        {
+            name: 'AES-GCM',
+            iv: fromBase64(envelope.iv),
+            additionalData: encoder.encode(`session:${envelope.sessionId}`)
+        },
+        session.key,
+        fromBase64(envelope.ciphertext)
+    );
+    const { recordKeys } = JSON.parse(decoder.decode(payload));
+
+    return Promise.all(result.results.map(async record => {
+        if (!recordKeys[record.id]) {
+            throw new Error('Result envelope holds no key for this record');
+        }
+        const key = await subtle().importKey('raw', fromBase64(recordKeys[record.id]), 'AES-GCM', false, ['decrypt']);
+        // Same associated data as DataEncryption.getAssociatedData
+        const field = (name, value) => decryptField(value, key, `poi:${record.id}:${name}`);
+        // "latitude,longitude", empty for POIs stored without exact coordinates
+        const coordinates = await field('coordinates', record.encryptedCoordinates);
+        const [latitude, longitude] = coordinates ? coordinates.split(',').map(Number) : [null, null];
+        // Price level, rating and opening hours as JSON, absent on older POIs
+        const details = record.encryptedDetails ? JSON.parse(await field('details', record.encryptedDetails)) : {};
+        return {
+            id: record.id,
+            name: await field('name', record.encryptedName),
+            description: await field('description', record.encryptedDescription),
+            address: await field('address', record.encryptedAddress),
+            phone: await field('phone', record.encryptedPhone),
+            latitude,
+            longitude,
+            category: await field('category', record.encryptedCategory),
+            priceLevel: details.priceLevel ?? null,
+            rating: details.rating ?? null,
+            openingHours: details.openingHours || [],
+            distance: record.distance ?? null,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt
+        };
+    }));
+}
+
+export { createResultSession, openResultEnvelope };
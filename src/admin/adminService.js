@@ -9,24 +9,40 @@ import {
     doc, 
     updateDoc, 
     query, 
-    where,
     orderBy,
     limit as fbLimit,
     serverTimestamp 
 } from 'firebase/firestore';
 import { db } from '../../config/firebase.config.js';
 import { POIManager } from './poiManager.js';
+import { KeyRotationService } from './keyRotationService.js';
+import { RoleManager } from './roleManager.js';
 import { QueryProcessor } from '../query/queryProcessor.js';
+import { KeyRing } from '../encryption/keyRing.js';
 import { EPLQLogger } from '../utils/logger.js';
+import { UserRoles } from '../auth/permissions.js';
+import { tenantMemberships, recordTenant } from '../tenant/tenants.js';
 
 /**
  * AdminService class
  * Centralizes admin operations
  */
 class AdminService {
-    constructor(masterKey = null) {
-        this.poiManager = new POIManager(masterKey);
-        this.queryProcessor = new QueryProcessor(masterKey);
+    /**
+     * @param {string|KeyRing} masterKey - Master key, or a key ring shared with other services
+     * @param {Object} options - { tenantId }: tenant whose POIs, keys and
+     *   statistics are administered (defaults to the default tenant)
+     */
+    constructor(masterKey = null, options = {}) {
+        this.keyRing = KeyRing.from(masterKey);
+        this.poiManager = new POIManager(this.keyRing, options);
+        this.tenantId = this.poiManager.tenantId;
+        this.queryProcessor = new QueryProcessor(this.keyRing, options);
+        this.keyRotation = new KeyRotationService(this.poiManager);
+        this.roles = new RoleManager();
+
+        // Reload ciphertexts written under the new key after a rotation
+        this.keyRing.onActivate(() => this.rebuildIndex());
     }
 
     /**
@@ -34,8 +50,10 @@ class AdminService {
      */
     async initialize() {
         try {
+            await this.poiManager.initialize();
             const encryptedPOIs = await this.poiManager.getEncryptedPOIs();
             const stats = this.queryProcessor.initialize(encryptedPOIs);
+            await this.keyRotation.initialize();
             EPLQLogger.info('Admin service initialized', stats);
             return { success: true, stats };
         } catch (error) {
@@ -75,35 +93,35 @@ class AdminService {
     }
 
     /**
-     * Get user statistics
-     * @returns {Object} User stats
+     * Get statistics of the tenant's members
+     * @returns {Object} User stats; `users` counts everyone but admins,
+     *   `byRole` breaks the total down by role in the tenant
      */
     async getUserStats() {
         try {
-            if (!db) return { total: 0, admins: 0, users: 0 };
+            if (!db) return { total: 0, admins: 0, users: 0, byRole: {} };
 
             const usersSnapshot = await getDocs(collection(db, 'users'));
-            let admins = 0;
-            let users = 0;
+            const byRole = {};
+            let total = 0;
 
             usersSnapshot.forEach(doc => {
-                const data = doc.data();
-                if (data.role === 'admin') {
-                    admins++;
-                } else {
-                    users++;
-                }
+                const role = tenantMemberships(doc.data())[this.tenantId];
+                if (!role) return;
+                byRole[role] = (byRole[role] || 0) + 1;
+                total++;
             });
 
-            return { total: admins + users, admins, users };
+            const admins = byRole[UserRoles.ADMIN] || 0;
+            return { total, admins, users: total - admins, byRole };
         } catch (error) {
             EPLQLogger.error('Failed to get user stats', error);
-            return { total: 0, admins: 0, users: 0 };
+            return { total: 0, admins: 0, users: 0, byRole: {} };
         }
     }
 
     /**
-     * Get query statistics
+     * Get statistics of the tenant's queries
      * @returns {Object} Query stats
      */
     async getQueryStats() {
@@ -120,6 +138,7 @@ class AdminService {
 
             logsSnapshot.forEach(doc => {
                 const data = doc.data();
+                if (recordTenant(data) !== this.tenantId) return;
                 total++;
                 if (data.timestamp && data.timestamp.toDate() >= today) {
                     todayCount++;
@@ -163,7 +182,7 @@ class AdminService {
                     email: data.email,
                     displayName: data.displayName,
                     role: data.role,
-                    isActive: data.isActive,
+                    isActive: data.isActive !== false,
                     createdAt: data.createdAt,
                     lastLogin: data.lastLogin
                 });
@@ -186,7 +205,7 @@ class AdminService {
     async updateUserRole(uid, newRole, adminId) {
         try {
             if (!db) throw new Error('Database not available');
-            if (!['user', 'admin'].includes(newRole)) {
+            if (!(await this.roles.roleExists(newRole))) {
                 throw new Error('Invalid role');
             }
 
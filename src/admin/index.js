@@ -5,10 +5,14 @@
 
 import { POIManager } from './poiManager.js';
 import { AdminService } from './adminService.js';
+import { RoleManager } from './roleManager.js';
+import { TenantManager } from './tenantManager.js';
 
 export {
     POIManager,
-    AdminService
+    AdminService,
+    RoleManager,
+    TenantManager
 };
 
 export default AdminService;
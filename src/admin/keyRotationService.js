@@ -0,0 +1,311 @@
+/**
+ * Key Rotation Service Module
+ * Re-encrypts the POI collection under a new master key in resumable chunks
+ */
+
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    updateDoc,
+    query,
+    where,
+    orderBy,
+    startAfter,
+    limit,
+    documentId,
+    getCountFromServer,
+    serverTimestamp,
+    deleteField
+} from 'firebase/firestore';
+import { db } from '../../config/firebase.config.js';
+import { EPLQLogger } from '../utils/logger.js';
+import { tenantPaths } from '../tenant/tenants.js';
+
+/**
+ * Key rotation states stored in config/keyRotation
+ */
+const RotationStatus = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+/**
+ * KeyRotationService class
+ * Moves every POI from the active key to the pending key, then switches
+ * the shared key ring so all query processors use the new key at once
+ */
+class KeyRotationService {
+    /**
+     * @param {POIManager} poiManager - POI manager sharing the key ring to rotate
+     * @param {Object} options - Rotation options
+     * @param {number} options.chunkSize - Documents re-encrypted per chunk
+     */
+    constructor(poiManager, options = {}) {
+        this.poiManager = poiManager;
+        this.keyRing = poiManager.keyRing;
+        this.chunkSize = options.chunkSize || 50;
+        this.configCollection = tenantPaths(poiManager.tenantId).config;
+        this.stateDocId = 'keyRotation';
+        this.activeRun = null;
+    }
+
+    /**
+     * Apply a rotation that completed before a restart, or resume one that
+     * was interrupted
+     * @returns {Object} Result
+     */
+    async initialize() {
+        try {
+            const state = await this.readState();
+            if (!state) return { success: true, status: RotationStatus.IDLE };
+
+            if (state.status === RotationStatus.COMPLETED && this.keyRing.hasKey(state.toKeyId)) {
+                this.keyRing.activate(state.toKeyId);
+            } else if (state.status === RotationStatus.RUNNING && this.keyRing.hasKey(state.toKeyId)) {
+                EPLQLogger.info('Resuming interrupted key rotation', { cursor: state.cursor });
+                this.runInBackground(state);
+            }
+
+            return { success: true, status: state.status };
+        } catch (error) {
+            EPLQLogger.error('Failed to initialize key rotation', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Start rotating to the pending key, or resume a failed rotation to it
+     * Without a pending key, POIs still under keys taken directly from the
+     * master key (before the key hierarchy) are moved to the active key.
+     * @param {string} adminId - Admin starting the rotation
+     * @returns {Object} Result
+     */
+    async startRotation(adminId) {
+        try {
+            if (!db) throw new Error('Database not available');
+            if (this.activeRun) throw new Error('Key rotation already in progress');
+
+            const toKeyId = this.keyRing.pendingKeyId || this.keyRing.activeKeyId;
+            const fromKeyId = this.keyRing.pendingKeyId ? this.keyRing.activeKeyId : this.keyRing.defaultKeyId;
+
+            const existing = await this.readState();
+            const resumable = existing?.toKeyId === toKeyId &&
+                [RotationStatus.RUNNING, RotationStatus.FAILED].includes(existing.status);
+
+            let state;
+            if (resumable) {
+                state = { ...existing, status: RotationStatus.RUNNING, error: null };
+                await updateDoc(this.getStateRef(), {
+                    status: RotationStatus.RUNNING,
+                    error: null,
+                    updatedAt: serverTimestamp()
+                });
+            } else {
+                const totalSnapshot = await getCountFromServer(collection(db, this.poiManager.collectionName));
+                state = {
+                    status: RotationStatus.RUNNING,
+                    fromKeyId,
+                    toKeyId,
+                    cursor: null,
+                    processed: 0,
+                    total: totalSnapshot.data().count,
+                    error: null,
+                    startedBy: adminId || null
+                };
+                await setDoc(this.getStateRef(), {
+                    ...state,
+                    startedAt: serverTimestamp(),
+                    updatedAt: serverTimestamp(),
+                    completedAt: null
+                });
+            }
+
+            this.runInBackground(state);
+            EPLQLogger.info('Key rotation started', {
+                adminId,
+                fromKeyId: state.fromKeyId,
+                toKeyId,
+                resumed: resumable
+            });
+
+            return {
+                success: true,
+                status: RotationStatus.RUNNING,
+                fromKeyId: state.fromKeyId,
+                toKeyId,
+                resumed: resumable
+            };
+        } catch (error) {
+            EPLQLogger.error('Failed to start key rotation', error, { adminId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get the rotation status
+     * @returns {Object} Rotation state and key IDs
+     */
+    async getStatus() {
+        try {
+            const state = db ? await this.readState() : null;
+            return {
+                success: true,
+                rotation: {
+                    status: RotationStatus.IDLE,
+                    ...state,
+                    inProgress: Boolean(this.activeRun)
+                },
+                keys: {
+                    activeKeyId: this.keyRing.activeKeyId,
+                    pendingKeyId: this.keyRing.pendingKeyId
+                }
+            };
+        } catch (error) {
+            EPLQLogger.error('Failed to get key rotation status', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Run a rotation without blocking the caller
+     * @param {Object} state - Rotation state
+     */
+    runInBackground(state) {
+        this.activeRun = this.run(state).finally(() => {
+            this.activeRun = null;
+        });
+    }
+
+    /**
+     * Re-encrypt all remaining chunks, then switch keys
+     * @param {Object} state - Rotation state
+     */
+    async run(state) {
+        let { cursor, processed } = state;
+
+        try {
+            // Ordered pass over the collection, resumable from the cursor
+            for (;;) {
+                const chunk = await this.processChunk(cursor, state.toKeyId);
+                if (chunk.size === 0) break;
+
+                cursor = chunk.lastId;
+                processed += chunk.reencrypted;
+                await updateDoc(this.getStateRef(), { cursor, processed, updatedAt: serverTimestamp() });
+
+                if (chunk.size < this.chunkSize) break;
+            }
+
+            // POIs uploaded under the old key behind the cursor
+            processed += await this.sweepRemaining(state.toKeyId);
+
+            await updateDoc(this.getStateRef(), {
+                status: RotationStatus.COMPLETED,
+                processed,
+                activeKeyId: state.toKeyId,
+                completedAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+
+            this.keyRing.activate(state.toKeyId);
+            EPLQLogger.info('Key rotation completed', { toKeyId: state.toKeyId, processed });
+        } catch (error) {
+            EPLQLogger.error('Key rotation failed', error, { cursor });
+            await updateDoc(this.getStateRef(), {
+                status: RotationStatus.FAILED,
+                error: error.message,
+                updatedAt: serverTimestamp()
+            }).catch(() => {});
+        }
+    }
+
+    /**
+     * Re-encrypt the next chunk of POIs after the cursor
+     * @param {string|null} cursor - Last processed document ID
+     * @param {string} toKeyId - Target key ID
+     * @returns {Object} Chunk size, last document ID and re-encrypted count
+     */
+    async processChunk(cursor, toKeyId) {
+        const constraints = cursor
+            ? [orderBy(documentId()), startAfter(cursor), limit(this.chunkSize)]
+            : [orderBy(documentId()), limit(this.chunkSize)];
+        const snapshot = await getDocs(query(collection(db, this.poiManager.collectionName), ...constraints));
+
+        let reencrypted = 0;
+        let lastId = cursor;
+        for (const docSnap of snapshot.docs) {
+            lastId = docSnap.id;
+            reencrypted += await this.reencryptDocument(docSnap, toKeyId);
+        }
+
+        return { size: snapshot.size, lastId, reencrypted };
+    }
+
+    /**
+     * Re-encrypt any POIs still stored under another key
+     * @param {string} toKeyId - Target key ID
+     * @returns {number} Re-encrypted count
+     */
+    async sweepRemaining(toKeyId) {
+        let reencrypted = 0;
+        for (;;) {
+            const snapshot = await getDocs(query(
+                collection(db, this.poiManager.collectionName),
+                where('keyId', '!=', toKeyId),
+                limit(this.chunkSize)
+            ));
+            if (snapshot.empty) return reencrypted;
+
+            for (const docSnap of snapshot.docs) {
+                reencrypted += await this.reencryptDocument(docSnap, toKeyId);
+            }
+        }
+    }
+
+    /**
+     * Re-encrypt one POI document unless it already uses the target key
+     * @param {Object} docSnap - Firestore document snapshot
+     * @param {string} toKeyId - Target key ID
+     * @returns {number} 1 if re-encrypted, 0 if skipped
+     */
+    async reencryptDocument(docSnap, toKeyId) {
+        const data = { ...docSnap.data(), id: docSnap.id };
+        if (data.keyId === toKeyId) return 0;
+
+        await updateDoc(docSnap.ref, {
+            ...this.poiManager.reencryptPOI(data, toKeyId),
+            // Bounding boxes written by earlier versions were stored unprotected
+            encryptedBoundingBox: deleteField(),
+            // as were categories, now held in encryptedCategory
+            category: deleteField(),
+            updatedAt: serverTimestamp()
+        });
+        return 1;
+    }
+
+    /**
+     * Read the stored rotation state
+     * @returns {Object|null} Rotation state
+     */
+    async readState() {
+        if (!db) return null;
+        const snapshot = await getDoc(this.getStateRef());
+        return snapshot.exists() ? snapshot.data() : null;
+    }
+
+    /**
+     * Get the rotation state document reference
+     * @returns {Object} Document reference
+     */
+    getStateRef() {
+        return doc(db, this.configCollection, this.stateDocId);
+    }
+}
+
+export { KeyRotationService, RotationStatus };
+export default KeyRotationService;
@@ -13,26 +13,102 @@ import {
     deleteDoc, 
     updateDoc,
     query,
-    where,
     orderBy,
     limit,
+    startAfter,
+    documentId,
+    deleteField,
     serverTimestamp 
 } from 'firebase/firestore';
 import { db } from '../../config/firebase.config.js';
-import { RangeQueryEncryption } from '../encryption/rangeQuery.js';
+import { schemeRegistry } from '../encryption/index.js';
 import { DataEncryption } from '../encryption/dataEncryption.js';
+import { indexTokens } from '../encryption/keywordIndex.js';
+import { KeyRing } from '../encryption/keyRing.js';
+import { DEFAULT_TENANT_ID, tenantPaths } from '../tenant/tenants.js';
 import { EPLQLogger } from '../utils/logger.js';
-import { validatePOI } from '../utils/validators.js';
+import { validatePOI, validateLatitude, validateLongitude } from '../utils/validators.js';
 
 /**
  * POIManager class
  * Manages encrypted POI data in Firebase
  */
 class POIManager {
-    constructor(masterKey = null) {
-        this.rangeEncryption = new RangeQueryEncryption(masterKey);
-        this.dataEncryption = new DataEncryption(masterKey);
-        this.collectionName = 'pois';
+    /**
+     * @param {string|KeyRing} masterKey - Master key, or a key ring shared with other services
+     * @param {Object} options - { tenantId }: tenant whose POIs are managed
+     *   (defaults to the default tenant)
+     */
+    constructor(masterKey = null, options = {}) {
+        this.keyRing = KeyRing.from(masterKey);
+        this.schemes = new Map();
+        this.dataEncryptions = new Map();
+        this.tenantId = options.tenantId || DEFAULT_TENANT_ID;
+        this.collectionName = tenantPaths(this.tenantId).pois;
+        this.configCollection = tenantPaths(this.tenantId).config;
+        this.migrationDocId = 'metadataEncryption';
+    }
+
+    /**
+     * Stop reading legacy CBC metadata if a migration has already run
+     * @returns {Object} Result
+     */
+    async initialize() {
+        try {
+            if (!db) return { success: true, allowLegacy: this.keyRing.allowLegacyMetadata };
+
+            const snapshot = await getDoc(doc(db, this.configCollection, this.migrationDocId));
+            if (snapshot.exists() && snapshot.data().legacyMigrated) {
+                this.keyRing.allowLegacyMetadata = false;
+            }
+            return { success: true, allowLegacy: this.keyRing.allowLegacyMetadata };
+        } catch (error) {
+            EPLQLogger.error('Failed to read metadata migration state', { error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get the location scheme for a key and version
+     * @param {string} keyId - Key ID (defaults to the active key)
+     * @param {string} version - Scheme version (defaults to the current scheme)
+     * @returns {Object} Scheme instance
+     */
+    getRangeEncryption(keyId = this.keyRing.activeKeyId, version = schemeRegistry.currentVersion) {
+        const schemeKey = `${keyId}:${version}`;
+        if (!this.schemes.has(schemeKey)) {
+            this.schemes.set(schemeKey, schemeRegistry.create(version, this.keyRing.getKeyProvider(keyId)));
+        }
+        return this.schemes.get(schemeKey);
+    }
+
+    /**
+     * Get the metadata encryption for a key
+     * @param {string} keyId - Key ID (defaults to the active key)
+     * @returns {DataEncryption} Data encryption instance
+     */
+    getDataEncryption(keyId = this.keyRing.activeKeyId) {
+        if (!this.dataEncryptions.has(keyId)) {
+            this.dataEncryptions.set(keyId, new DataEncryption(this.keyRing.getKeyProvider(keyId)));
+        }
+        const dataEncryption = this.dataEncryptions.get(keyId);
+        dataEncryption.allowLegacy = this.keyRing.allowLegacyMetadata;
+        return dataEncryption;
+    }
+
+    /**
+     * Build the blind keyword index of a POI's name and description
+     * The text is tokenized, normalized and stemmed, and each token stored
+     * only as its keyed hash under the given key's blind-index subkey.
+     * @param {Object} poiData - POI data ({ name, description })
+     * @param {string} keyId - Key ID (defaults to the active key)
+     * @returns {Array<string>} Hashed tokens, sorted so their order reveals nothing about the text
+     */
+    buildKeywordIndex(poiData, keyId = this.keyRing.activeKeyId) {
+        const dataEncryption = this.getDataEncryption(keyId);
+        return indexTokens(`${poiData.name || ''} ${poiData.description || ''}`)
+            .map(token => dataEncryption.hashKeyword(token))
+            .sort();
     }
 
     /**
@@ -51,21 +127,18 @@ class POIManager {
 
             const validatedPOI = validation.value;
             const poiId = uuidv4();
+            const keyId = this.keyRing.activeKeyId;
 
-            // Encrypt location
-            const encryptedLocation = this.rangeEncryption.encryptLocation(
-                validatedPOI.latitude,
-                validatedPOI.longitude
-            );
-
-            // Create encrypted bounding box for spatial indexing
-            const boundingBox = this.createBoundingBox(
+            // Encrypt location and the attributes searches filter on
+            const rangeEncryption = this.getRangeEncryption(keyId);
+            const encryptedLocation = rangeEncryption.encryptLocation(
                 validatedPOI.latitude,
                 validatedPOI.longitude
             );
+            const encryptedAttributes = rangeEncryption.encryptAttributes(validatedPOI);
 
             // Encrypt POI metadata
-            const encryptedPOI = this.dataEncryption.encryptPOI({
+            const encryptedPOI = this.getDataEncryption(keyId).encryptPOI({
                 id: poiId,
                 ...validatedPOI
             });
@@ -75,8 +148,10 @@ class POIManager {
                 id: poiId,
                 ...encryptedPOI,
                 encryptedLocation,
-                encryptedBoundingBox: boundingBox,
-                category: validatedPOI.category,
+                encryptedAttributes,
+                keywordIndex: this.buildKeywordIndex(validatedPOI, keyId),
+                keyId,
+                tenantId: this.tenantId,
                 uploadedBy: uploaderId,
                 createdAt: serverTimestamp(),
                 updatedAt: serverTimestamp()
@@ -138,21 +213,97 @@ class POIManager {
     }
 
     /**
-     * Create bounding box from coordinates
-     * @param {number} lat - Latitude
-     * @param {number} lng - Longitude
-     * @returns {Object} Encrypted bounding box
+     * Re-encrypt a stored POI document under another key
+     * Metadata and location are decrypted with the document's own key and
+     * encrypted again with the target key and the current location scheme.
+     * POIs stored with a plaintext category gain its encrypted forms here,
+     * and POIs stored without a keyword index gain one.
+     * @param {Object} poiDocument - Stored POI document
+     * @param {string} targetKeyId - Key ID to encrypt under
+     * @returns {Object} Updated encrypted fields
      */
-    createBoundingBox(lat, lng) {
-        const encryptedPoint = this.rangeEncryption.encryptLocation(lat, lng);
+    reencryptPOI(poiDocument, targetKeyId) {
+        const sourceKeyId = this.keyRing.resolveKeyId(poiDocument);
+        const metadata = this.getDataEncryption(sourceKeyId).decryptPOI(poiDocument);
+        // POIs uploaded before exact coordinates were stored gain them here
+        const { latitude, longitude } = metadata.latitude !== null
+            ? metadata
+            : this.decryptLocation(poiDocument);
+        const encrypted = this.getDataEncryption(targetKeyId).encryptPOI({ ...metadata, latitude, longitude });
+        const rangeEncryption = this.getRangeEncryption(targetKeyId);
+
         return {
-            minX: encryptedPoint.encryptedCoords[0],
-            minY: encryptedPoint.encryptedCoords[1],
-            maxX: encryptedPoint.encryptedCoords[0],
-            maxY: encryptedPoint.encryptedCoords[1]
+            encryptedName: encrypted.encryptedName,
+            encryptedDescription: encrypted.encryptedDescription,
+            encryptedAddress: encrypted.encryptedAddress,
+            encryptedPhone: encrypted.encryptedPhone,
+            encryptedCoordinates: encrypted.encryptedCoordinates,
+            encryptedCategory: encrypted.encryptedCategory,
+            encryptedDetails: encrypted.encryptedDetails,
+            encryptedLocation: rangeEncryption.encryptLocation(latitude, longitude),
+            encryptedAttributes: rangeEncryption.encryptAttributes(metadata),
+            keywordIndex: this.buildKeywordIndex(metadata, targetKeyId),
+            keyId: targetKeyId
         };
     }
 
+    /**
+     * Decrypt the predicate ciphertext of a stored POI document
+     * Only needed for POIs stored without encrypted coordinates.
+     * @param {Object} poiDocument - Stored POI document
+     * @returns {Object} { latitude, longitude }
+     */
+    decryptLocation(poiDocument) {
+        const keyId = this.keyRing.resolveKeyId(poiDocument);
+        const version = schemeRegistry.resolveVersion(poiDocument.encryptedLocation);
+        const { lat, lng } = this.getRangeEncryption(keyId, version).decryptLocation(poiDocument.encryptedLocation);
+        return { latitude: lat, longitude: lng };
+    }
+
+    /**
+     * Move a POI to a new location
+     * Both location ciphertexts are rewritten under the document's own key;
+     * the query index picks the change up on its next rebuild.
+     * @param {string} poiId - POI ID
+     * @param {number} latitude - New latitude
+     * @param {number} longitude - New longitude
+     * @param {string} adminId - Admin user ID
+     * @returns {Object} Update result
+     */
+    async updatePOILocation(poiId, latitude, longitude, adminId) {
+        try {
+            const latValidation = validateLatitude(latitude);
+            const lngValidation = validateLongitude(longitude);
+            const errors = [latValidation, lngValidation].filter(result => !result.valid).map(result => result.error);
+            if (errors.length > 0) {
+                return { success: false, errors };
+            }
+            if (!db) throw new Error('Database not available');
+
+            const poiRef = doc(db, this.collectionName, poiId);
+            const snapshot = await getDoc(poiRef);
+            if (!snapshot.exists()) {
+                return { success: false, error: 'POI not found' };
+            }
+
+            const keyId = this.keyRing.resolveKeyId(snapshot.data());
+            const lat = latValidation.value;
+            const lng = lngValidation.value;
+
+            await updateDoc(poiRef, {
+                encryptedLocation: this.getRangeEncryption(keyId).encryptLocation(lat, lng),
+                encryptedCoordinates: this.getDataEncryption(keyId).encryptCoordinates(poiId, lat, lng),
+                updatedAt: serverTimestamp()
+            });
+            EPLQLogger.info('POI location updated', { poiId, adminId });
+
+            return { success: true, message: 'POI location updated successfully' };
+        } catch (error) {
+            EPLQLogger.error('Failed to update POI location', error, { poiId });
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Get all POIs (for admin dashboard)
      * @returns {Array<Object>} All POIs (decrypted)
@@ -172,13 +323,17 @@ class POIManager {
             const pois = [];
 
             snapshot.forEach(doc => {
-                const data = doc.data();
-                const decrypted = this.dataEncryption.decryptPOI(data);
-                pois.push({
-                    ...decrypted,
-                    encryptedLocation: data.encryptedLocation,
-                    encryptedBoundingBox: data.encryptedBoundingBox
-                });
+                const data = { ...doc.data(), id: doc.id };
+                try {
+                    const decrypted = this.getDataEncryption(this.keyRing.resolveKeyId(data)).decryptPOI(data);
+                    pois.push({
+                        ...decrypted,
+                        ...(decrypted.latitude === null ? this.decryptLocation(data) : {}),
+                        encryptedLocation: data.encryptedLocation
+                    });
+                } catch (error) {
+                    EPLQLogger.error('Rejected POI that failed decryption', { poiId: doc.id, error: error.message });
+                }
             });
 
             return { success: true, pois };
@@ -200,7 +355,8 @@ class POIManager {
             const pois = [];
 
             snapshot.forEach(doc => {
-                pois.push(doc.data());
+                // Bind ciphertexts to the document they are stored in
+                pois.push({ ...doc.data(), id: doc.id });
             });
 
             return pois;
@@ -210,6 +366,66 @@ class POIManager {
         }
     }
 
+    /**
+     * Rewrite legacy AES-CBC metadata in the authenticated AES-GCM format
+     * Values under the earlier per-field subkeys are moved to record keys
+     * too, so every POI can be returned sealed, and plaintext categories are
+     * encrypted and removed. Once every POI is rewritten,
+     * legacy values are no longer read, here or after a restart, so none can
+     * be slipped back into stored records.
+     * @param {string} adminId - Admin user ID
+     * @param {number} chunkSize - Documents read per chunk
+     * @returns {Object} Migration result
+     */
+    async migrateMetadataEncryption(adminId, chunkSize = 100) {
+        try {
+            if (!db) throw new Error('Database not available');
+
+            let cursor = null;
+            let scanned = 0;
+            let migrated = 0;
+
+            for (;;) {
+                const constraints = cursor
+                    ? [orderBy(documentId()), startAfter(cursor), limit(chunkSize)]
+                    : [orderBy(documentId()), limit(chunkSize)];
+                const snapshot = await getDocs(query(collection(db, this.collectionName), ...constraints));
+                if (snapshot.empty) break;
+
+                for (const docSnap of snapshot.docs) {
+                    const data = { ...docSnap.data(), id: docSnap.id };
+                    const dataEncryption = this.getDataEncryption(this.keyRing.resolveKeyId(data));
+                    if (dataEncryption.needsMigration(data)) {
+                        await updateDoc(docSnap.ref, {
+                            ...dataEncryption.migratePOI(data),
+                            // Plaintext categories are now held in encryptedCategory
+                            ...(data.category !== undefined ? { category: deleteField() } : {}),
+                            updatedAt: serverTimestamp()
+                        });
+                        migrated++;
+                    }
+                }
+
+                scanned += snapshot.size;
+                cursor = snapshot.docs[snapshot.docs.length - 1].id;
+                if (snapshot.size < chunkSize) break;
+            }
+
+            await setDoc(doc(db, this.configCollection, this.migrationDocId), {
+                legacyMigrated: true,
+                migratedBy: adminId || null,
+                migratedAt: serverTimestamp()
+            });
+            this.keyRing.allowLegacyMetadata = false;
+
+            EPLQLogger.info('Metadata encryption migration completed', { adminId, scanned, migrated });
+            return { success: true, scanned, migrated };
+        } catch (error) {
+            EPLQLogger.error('Metadata encryption migration failed', error, { adminId });
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Delete a POI
      * @param {string} poiId - POI ID to delete
@@ -242,7 +458,14 @@ class POIManager {
             const stats = {};
 
             snapshot.forEach(doc => {
-                const category = doc.data().category || 'unknown';
+                const data = { ...doc.data(), id: doc.id };
+                let category;
+                try {
+                    category = this.getDataEncryption(this.keyRing.resolveKeyId(data)).decryptPOI(data).category;
+                } catch (error) {
+                    EPLQLogger.error('Rejected POI that failed decryption', { poiId: doc.id, error: error.message });
+                }
+                category = category || 'unknown';
                 stats[category] = (stats[category] || 0) + 1;
             });
 
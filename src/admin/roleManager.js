@@ -0,0 +1,143 @@
+/**
+ * Role Manager Module
+ * Lets admins define custom roles as sets of permissions
+ */
+
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    deleteDoc,
+    serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../../config/firebase.config.js';
+import { Permissions, ROLE_PERMISSIONS, isBuiltInRole } from '../auth/permissions.js';
+import { tenantMemberships } from '../tenant/tenants.js';
+import { validateRoleDefinition } from '../utils/validators.js';
+import { EPLQLogger } from '../utils/logger.js';
+
+/**
+ * RoleManager class
+ * Stores custom roles in the `roles` collection, keyed by role ID; the
+ * built-in roles live in code and cannot be changed
+ */
+class RoleManager {
+    constructor() {
+        this.rolesCollection = 'roles';
+    }
+
+    /**
+     * List built-in and custom roles with their permissions
+     * @returns {Object} { success, roles, permissions }
+     */
+    async getRoles() {
+        try {
+            const roles = Object.entries(ROLE_PERMISSIONS).map(([id, permissions]) => ({
+                id,
+                permissions: [...permissions],
+                builtIn: true
+            }));
+
+            if (db) {
+                const snapshot = await getDocs(collection(db, this.rolesCollection));
+                snapshot.forEach(roleDoc => {
+                    const data = roleDoc.data();
+                    roles.push({
+                        id: roleDoc.id,
+                        description: data.description,
+                        permissions: data.permissions,
+                        builtIn: false
+                    });
+                });
+            }
+
+            return { success: true, roles, permissions: Object.values(Permissions) };
+        } catch (error) {
+            EPLQLogger.error('Failed to list roles', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Check that a role can be assigned to users
+     * @param {string} roleId - Role ID
+     * @returns {boolean} True for built-in roles and defined custom roles
+     */
+    async roleExists(roleId) {
+        if (isBuiltInRole(roleId)) return true;
+        if (!db || typeof roleId !== 'string' || !roleId) return false;
+
+        const snapshot = await getDoc(doc(db, this.rolesCollection, roleId));
+        return snapshot.exists();
+    }
+
+    /**
+     * Create or replace a custom role
+     * @param {string} roleId - Role ID
+     * @param {Object} definition - { description, permissions }
+     * @param {string} adminId - Admin making the change
+     * @returns {Object} Result with the stored role
+     */
+    async defineRole(roleId, definition, adminId) {
+        try {
+            if (!db) throw new Error('Database not available');
+
+            const validation = validateRoleDefinition(roleId, definition);
+            if (!validation.valid) {
+                return { success: false, error: validation.error };
+            }
+
+            const { id, description, permissions } = validation.value;
+            await setDoc(doc(db, this.rolesCollection, id), {
+                description,
+                permissions,
+                updatedAt: serverTimestamp(),
+                updatedBy: adminId
+            });
+
+            EPLQLogger.info('Custom role defined', { roleId: id, permissions, adminId });
+            return { success: true, role: validation.value };
+        } catch (error) {
+            EPLQLogger.error('Failed to define role', error, { roleId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Delete a custom role no user holds, deployment-wide or in any tenant
+     * @param {string} roleId - Role ID
+     * @param {string} adminId - Admin making the change
+     * @returns {Object} Result
+     */
+    async deleteRole(roleId, adminId) {
+        try {
+            if (!db) throw new Error('Database not available');
+            if (isBuiltInRole(roleId)) {
+                return { success: false, error: `Built-in role cannot be deleted: ${roleId}` };
+            }
+
+            // Tenant roles are map values, which no query can match
+            const users = await getDocs(collection(db, 'users'));
+            const assigned = users.docs.some(userDoc => {
+                const profile = userDoc.data();
+                return profile.role === roleId || Object.values(tenantMemberships(profile)).includes(roleId);
+            });
+            if (assigned) {
+                return { success: false, error: 'Role is still assigned to users' };
+            }
+
+            await deleteDoc(doc(db, this.rolesCollection, roleId));
+
+            EPLQLogger.info('Custom role deleted', { roleId, adminId });
+            return { success: true };
+        } catch (error) {
+            EPLQLogger.error('Failed to delete role', error, { roleId });
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+export { RoleManager };
+export default RoleManager;
@@ -0,0 +1,229 @@
+/**
+ * Tenant Manager Module
+ * Creates tenants and manages who belongs to them
+ */
+
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    updateDoc,
+    serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../../config/firebase.config.js';
+import { RoleManager } from './roleManager.js';
+import { UserRoles } from '../auth/permissions.js';
+import { DEFAULT_TENANT_ID, tenantMemberships } from '../tenant/tenants.js';
+import { validateTenantId, sanitizeInput } from '../utils/validators.js';
+import { EPLQLogger } from '../utils/logger.js';
+
+/**
+ * The default tenant has no document of its own
+ */
+const DEFAULT_TENANT = Object.freeze({ id: DEFAULT_TENANT_ID, name: 'Default' });
+
+/**
+ * TenantManager class
+ * Stores tenants in the `tenants` collection and memberships in each
+ * user's profile (`tenants`: role by tenant ID)
+ */
+class TenantManager {
+    /**
+     * @param {RoleManager} roleManager - Resolves which roles can be assigned
+     */
+    constructor(roleManager = new RoleManager()) {
+        this.roles = roleManager;
+        this.tenantsCollection = 'tenants';
+    }
+
+    /**
+     * List all tenants
+     * @returns {Object} { success, tenants }
+     */
+    async listTenants() {
+        try {
+            const tenants = [{ ...DEFAULT_TENANT }];
+
+            if (db) {
+                const snapshot = await getDocs(collection(db, this.tenantsCollection));
+                snapshot.forEach(tenantDoc => {
+                    const data = tenantDoc.data();
+                    tenants.push({ id: tenantDoc.id, name: data.name });
+                });
+            }
+
+            return { success: true, tenants };
+        } catch (error) {
+            EPLQLogger.error('Failed to list tenants', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get a tenant
+     * @param {string} tenantId - Tenant ID
+     * @returns {Object|null} Tenant ({ id, name }), or null if there is none
+     */
+    async getTenant(tenantId) {
+        if (tenantId === DEFAULT_TENANT_ID) return { ...DEFAULT_TENANT };
+        if (!db || !validateTenantId(tenantId).valid) return null;
+
+        const snapshot = await getDoc(doc(db, this.tenantsCollection, tenantId));
+        if (!snapshot.exists()) return null;
+
+        return { id: tenantId, name: snapshot.data().name };
+    }
+
+    /**
+     * Create a tenant and make a user its first admin
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} details - { name, adminUid }: display name and the
+     *   first tenant admin (defaults to the creator)
+     * @param {string} adminId - Admin creating the tenant
+     * @returns {Object} Result with the new tenant
+     */
+    async createTenant(tenantId, { name, adminUid } = {}, adminId) {
+        try {
+            if (!db) throw new Error('Database not available');
+
+            const validation = validateTenantId(tenantId);
+            if (!validation.valid) {
+                return { success: false, error: validation.error };
+            }
+
+            const tenantName = sanitizeInput(name);
+            if (tenantName.length < 2) {
+                return { success: false, error: 'Tenant name must be at least 2 characters' };
+            }
+
+            if (await this.getTenant(tenantId)) {
+                return { success: false, error: `Tenant already exists: ${tenantId}` };
+            }
+
+            await setDoc(doc(db, this.tenantsCollection, tenantId), {
+                name: tenantName,
+                createdAt: serverTimestamp(),
+                createdBy: adminId
+            });
+
+            const membership = await this.setMembership(tenantId, adminUid || adminId, UserRoles.ADMIN, adminId);
+            if (!membership.success) {
+                return { success: false, error: `Tenant created, but its admin was not set: ${membership.error}` };
+            }
+
+            EPLQLogger.info('Tenant created', { tenantId, adminId });
+            return { success: true, tenant: { id: tenantId, name: tenantName } };
+        } catch (error) {
+            EPLQLogger.error('Failed to create tenant', error, { tenantId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * List a tenant's members
+     * @param {string} tenantId - Tenant ID
+     * @returns {Object} { success, members }
+     */
+    async getMembers(tenantId) {
+        try {
+            if (!db) return { success: false, error: 'Database not available' };
+
+            const snapshot = await getDocs(collection(db, 'users'));
+            const members = [];
+
+            snapshot.forEach(userDoc => {
+                const data = userDoc.data();
+                const role = tenantMemberships(data)[tenantId];
+                if (role) {
+                    members.push({
+                        uid: data.uid || userDoc.id,
+                        email: data.email,
+                        displayName: data.displayName,
+                        role,
+                        isActive: data.isActive !== false
+                    });
+                }
+            });
+
+            return { success: true, members };
+        } catch (error) {
+            EPLQLogger.error('Failed to list tenant members', error, { tenantId });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Add a user to a tenant, or change their role in it
+     * @param {string} tenantId - Tenant ID
+     * @param {string} uid - User ID
+     * @param {string} role - Role in the tenant
+     * @param {string} adminId - Admin making the change
+     * @returns {Object} Result
+     */
+    async setMembership(tenantId, uid, role, adminId) {
+        try {
+            if (!db) throw new Error('Database not available');
+            if (!(await this.roles.roleExists(role))) {
+                throw new Error('Invalid role');
+            }
+
+            const userRef = doc(db, 'users', uid);
+            const snapshot = await getDoc(userRef);
+            if (!snapshot.exists()) {
+                throw new Error('User not found');
+            }
+
+            // Writing the whole map keeps a legacy user's implicit default membership
+            const tenants = { ...tenantMemberships(snapshot.data()), [tenantId]: role };
+            await updateDoc(userRef, {
+                tenants,
+                updatedAt: serverTimestamp(),
+                updatedBy: adminId
+            });
+
+            EPLQLogger.info('Tenant membership updated', { tenantId, uid, role, adminId });
+            return { success: true };
+        } catch (error) {
+            EPLQLogger.error('Failed to update tenant membership', error, { tenantId, uid });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove a user from a tenant
+     * @param {string} tenantId - Tenant ID
+     * @param {string} uid - User ID
+     * @param {string} adminId - Admin making the change
+     * @returns {Object} Result
+     */
+    async removeMembership(tenantId, uid, adminId) {
+        try {
+            if (!db) throw new Error('Database not available');
+
+            const userRef = doc(db, 'users', uid);
+            const snapshot = await getDoc(userRef);
+            if (!snapshot.exists()) {
+                throw new Error('User not found');
+            }
+
+            const tenants = tenantMemberships(snapshot.data());
+            delete tenants[tenantId];
+            await updateDoc(userRef, {
+                tenants,
+                updatedAt: serverTimestamp(),
+                updatedBy: adminId
+            });
+
+            EPLQLogger.info('Tenant membership removed', { tenantId, uid, adminId });
+            return { success: true };
+        } catch (error) {
+            EPLQLogger.error('Failed to remove tenant membership', error, { tenantId, uid });
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+export { TenantManager };
+export default TenantManager;
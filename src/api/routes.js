@@ -5,24 +5,67 @@
 
 import express from 'express';
 import { AuthService } from '../auth/authService.js';
-import { AdminService } from '../admin/adminService.js';
-import { UserService } from '../user/userService.js';
+import {
+    authenticate,
+    requirePermission,
+    requireSelfOrPermission,
+    resolveTenant,
+    SESSION_COOKIE_NAME
+} from '../auth/authMiddleware.js';
+import { Permissions } from '../auth/permissions.js';
+import { TenantRegistry } from '../tenant/tenantRegistry.js';
+import { DEFAULT_TENANT_ID } from '../tenant/tenants.js';
 import { EPLQLogger } from '../utils/logger.js';
 import { firebaseConfig } from '../../config/firebase.config.js';
 
 const router = express.Router();
 
+// Callers are identified by their Firebase ID token or session cookie, never by a header they set themselves
+const requireAuth = authenticate();
+// Users may read and change their own records; user managers anyone's
+const requireSelfOrUserManager = requireSelfOrPermission('userId', Permissions.USERS_MANAGE);
+
 // Initialize services
+// Every tenant has its own key ring and services, created on first use.
+// The default tenant's are started now; they also serve the routes that
+// are not about any one tenant's POIs (users, preferences, logs, roles).
+const tenantRegistry = new TenantRegistry();
+const { services: deploymentServices } = tenantRegistry.open(DEFAULT_TENANT_ID);
+EPLQLogger.setKeyProvider(deploymentServices.keyRing.getKeyProvider());
 const authService = new AuthService();
-const adminService = new AdminService();
-const userService = new UserService();
+const deploymentAdmin = deploymentServices.adminService;
+const deploymentUsers = deploymentServices.userService;
+
+/**
+ * Attach the services of the request's tenant as `req.services`
+ * Runs after `resolveTenant`, which has checked the caller belongs to it.
+ */
+async function attachTenantServices(req, res, next) {
+    try {
+        const services = await tenantRegistry.get(req.tenant.id);
+        if (!services) {
+            return res.status(404).json({ success: false, error: 'Tenant not found' });
+        }
+        req.services = services;
+        next();
+    } catch (error) {
+        EPLQLogger.error('Failed to load tenant services', error, { tenantId: req.tenant.id });
+        res.status(503).json({ success: false, error: 'Tenant not available' });
+    }
+}
+
+// Routes over one tenant's POIs run in the caller's tenant, on its services
+const tenantScope = [resolveTenant(), attachTenantServices];
+const requireTenant = [requireAuth, ...tenantScope];
 
-// Initialize services on startup
-(async () => {
-    await adminService.initialize();
-    await userService.initialize();
-    EPLQLogger.info('API services initialized');
-})();
+/**
+ * Pick the attribute filters every search route accepts from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} { category, minPrice, maxPrice, minRating, maxRating, openAt }
+ */
+function attributeFilters({ category, minPrice, maxPrice, minRating, maxRating, openAt }) {
+    return { category, minPrice, maxPrice, minRating, maxRating, openAt };
+}
 
 // Health check
 router.get('/health', (req, res) => {
@@ -44,20 +87,40 @@ router.get('/firebase-config', (req, res) => {
 
 // Auth routes
 router.post('/auth/register', async (req, res) => {
-    const { email, password, displayName, role } = req.body;
-    const result = await authService.register(email, password, displayName, role);
+    // Self-registration always creates plain users of the default tenant; any
+    // role, tenants or isActive in the body is ignored and only admins grant them
+    const { email, password, displayName } = req.body;
+    const result = await authService.register(email, password, displayName);
     res.status(result.success ? 201 : 400).json(result);
 });
 
+// Exchanges the ID token of a fresh client sign-in for a session cookie
 router.post('/auth/login', async (req, res) => {
-    const { email, password } = req.body;
-    const result = await authService.login(email, password);
+    const { idToken } = req.body;
+    const { sessionCookie, expiresIn, ...result } = await authService.login(idToken);
+    if (result.success) {
+        res.cookie(SESSION_COOKIE_NAME, sessionCookie, {
+            maxAge: expiresIn,
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict'
+        });
+    }
     res.status(result.success ? 200 : 401).json(result);
 });
 
-router.post('/auth/logout', async (req, res) => {
-    const result = await authService.logout();
-    res.json(result);
+// Signs the caller out on every device, whichever way they authenticated
+router.post('/auth/logout', requireAuth, async (req, res) => {
+    const result = await authService.logout(req.user.uid, req.user.email);
+    res.clearCookie(SESSION_COOKIE_NAME);
+    res.status(result.success ? 200 : 500).json(result);
+});
+
+// ECDH exchange for a key that seals search results to this client
+router.post('/auth/session', requireTenant, (req, res) => {
+    const userId = req.user.uid;
+    const result = req.services.userService.createResultSession(req.body.publicKey, userId);
+    res.status(result.success ? 200 : 400).json(result);
 });
 
 router.post('/auth/reset-password', async (req, res) => {
@@ -67,108 +130,267 @@ router.post('/auth/reset-password', async (req, res) => {
 });
 
 // User search routes
-router.post('/search', async (req, res) => {
-    const { latitude, longitude, radius, category, limit } = req.body;
-    const userId = req.headers['x-user-id'] || 'anonymous';
+router.post('/search', requireTenant, async (req, res) => {
+    const { latitude, longitude, radius, keywords, limit, sessionId, obfuscation } = req.body;
+    const userId = req.user.uid;
     
-    const result = await userService.searchPOIs({
+    const result = await req.services.userService.searchPOIs({
         latitude,
         longitude,
         radius,
-        category,
-        limit
+        ...attributeFilters(req.body),
+        keywords,
+        limit,
+        sessionId,
+        obfuscation
     }, userId);
     
     res.json(result);
 });
 
-router.get('/categories', async (req, res) => {
-    const result = await userService.getCategories();
+// Query key for building encrypted tokens in the browser, with the user's token signing key
+router.get('/search/query-key', requireTenant, (req, res) => {
+    const userId = req.user.uid;
+    const result = req.services.userService.getQueryKeys(userId);
+    res.status(result.success ? 200 : 500).json(result);
+});
+
+// Search with client-generated tokens; requests carry blinded query vectors, not coordinates
+router.post('/search/token', requireTenant, async (req, res) => {
+    const { tokens, keywords, limit, sessionId } = req.body;
+    const userId = req.user.uid;
+
+    const result = await req.services.userService.searchPOIsWithToken(
+        { tokens, ...attributeFilters(req.body), keywords, limit, sessionId },
+        userId
+    );
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+// k-nearest POIs to a location
+router.post('/search/nearest', requireTenant, async (req, res) => {
+    const { latitude, longitude, k, sessionId } = req.body;
+    const userId = req.user.uid;
+
+    const result = await req.services.userService.searchNearestPOIs(
+        { latitude, longitude, k, ...attributeFilters(req.body), sessionId },
+        userId
+    );
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+// k-nearest POIs from client-generated token rings; requests carry blinded query vectors, not coordinates
+router.post('/search/nearest/token', requireTenant, async (req, res) => {
+    const { rings, k, sessionId } = req.body;
+    const userId = req.user.uid;
+
+    const result = await req.services.userService.searchNearestPOIsWithToken({ rings, k, ...attributeFilters(req.body), sessionId }, userId);
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+// POIs inside a GeoJSON Polygon
+router.post('/search/polygon', requireTenant, async (req, res) => {
+    const { geometry, limit, sessionId } = req.body;
+    const userId = req.user.uid;
+
+    const result = await req.services.userService.searchPolygonPOIs({ geometry, ...attributeFilters(req.body), limit, sessionId }, userId);
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+// POIs within `radius` km of a GeoJSON LineString
+router.post('/search/corridor', requireTenant, async (req, res) => {
+    const { geometry, radius, limit, sessionId } = req.body;
+    const userId = req.user.uid;
+
+    const result = await req.services.userService.searchCorridorPOIs(
+        { geometry, radius, ...attributeFilters(req.body), limit, sessionId },
+        userId
+    );
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+// POIs inside a latitude/longitude box; west > east crosses the antimeridian
+router.post('/search/box', requireTenant, async (req, res) => {
+    const { south, west, north, east, limit, sessionId } = req.body;
+    const userId = req.user.uid;
+
+    const result = await req.services.userService.searchBoxPOIs(
+        { south, west, north, east, ...attributeFilters(req.body), limit, sessionId },
+        userId
+    );
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+router.get('/categories', requireTenant, async (req, res) => {
+    const result = await req.services.userService.getCategories();
     res.json(result);
 });
 
-router.get('/user/preferences/:userId', async (req, res) => {
-    const result = await userService.getUserPreferences(req.params.userId);
+router.get('/user/preferences/:userId', requireAuth, requireSelfOrUserManager, async (req, res) => {
+    const result = await deploymentUsers.getUserPreferences(req.params.userId);
     res.json(result);
 });
 
-router.put('/user/preferences/:userId', async (req, res) => {
-    const result = await userService.updatePreferences(req.params.userId, req.body);
+router.put('/user/preferences/:userId', requireAuth, requireSelfOrUserManager, async (req, res) => {
+    const result = await deploymentUsers.updatePreferences(req.params.userId, req.body);
     res.json(result);
 });
 
-router.get('/user/history/:userId', async (req, res) => {
+router.get('/user/history/:userId', requireAuth, requireSelfOrUserManager, async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
-    const result = await userService.getSearchHistory(req.params.userId, limit);
+    const result = await deploymentUsers.getSearchHistory(req.params.userId, limit);
     res.json(result);
 });
 
-// Admin routes
-router.get('/admin/dashboard', async (req, res) => {
-    const result = await adminService.getDashboardStats();
+// Admin routes, each open to the roles holding its permission: in the
+// request's tenant for routes in `tenantScope`, deployment-wide otherwise
+router.use('/admin', requireAuth);
+
+router.get('/admin/dashboard', tenantScope, requirePermission(Permissions.STATS_READ), async (req, res) => {
+    const result = await req.services.adminService.getDashboardStats();
     res.json(result);
 });
 
-router.get('/admin/pois', async (req, res) => {
-    const result = await adminService.poiManager.getAllPOIs();
+// Aggregate query statistics only, for roles that may not see the rest of the dashboard
+router.get('/admin/stats/queries', tenantScope, requirePermission(Permissions.QUERY_STATS_READ), async (req, res) => {
+    const stats = await req.services.adminService.getQueryStats();
+    res.json({ success: true, stats });
+});
+
+router.get('/admin/pois', tenantScope, requirePermission(Permissions.POIS_READ), async (req, res) => {
+    const result = await req.services.adminService.poiManager.getAllPOIs();
     res.json(result);
 });
 
-router.post('/admin/pois', async (req, res) => {
-    const adminId = req.headers['x-user-id'];
-    const result = await adminService.poiManager.uploadPOI(req.body, adminId);
+router.post('/admin/pois', tenantScope, requirePermission(Permissions.POIS_WRITE), async (req, res) => {
+    const adminId = req.user.uid;
+    const result = await req.services.adminService.poiManager.uploadPOI(req.body, adminId);
     res.status(result.success ? 201 : 400).json(result);
 });
 
-router.post('/admin/pois/batch', async (req, res) => {
-    const adminId = req.headers['x-user-id'];
+router.post('/admin/pois/batch', tenantScope, requirePermission(Permissions.POIS_WRITE), async (req, res) => {
+    const adminId = req.user.uid;
     const { pois } = req.body;
-    const result = await adminService.poiManager.uploadBatch(pois, adminId);
+    const result = await req.services.adminService.poiManager.uploadBatch(pois, adminId);
+    res.json(result);
+});
+
+router.post('/admin/pois/migrate-encryption', tenantScope, requirePermission(Permissions.POIS_WRITE), async (req, res) => {
+    const adminId = req.user.uid;
+    const result = await req.services.adminService.poiManager.migrateMetadataEncryption(adminId);
     res.json(result);
 });
 
-router.delete('/admin/pois/:poiId', async (req, res) => {
-    const adminId = req.headers['x-user-id'];
-    const result = await adminService.poiManager.deletePOI(req.params.poiId, adminId);
+router.put('/admin/pois/:poiId/location', tenantScope, requirePermission(Permissions.POIS_WRITE), async (req, res) => {
+    const adminId = req.user.uid;
+    const { latitude, longitude } = req.body;
+    const result = await req.services.adminService.poiManager.updatePOILocation(req.params.poiId, latitude, longitude, adminId);
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+router.delete('/admin/pois/:poiId', tenantScope, requirePermission(Permissions.POIS_WRITE), async (req, res) => {
+    const adminId = req.user.uid;
+    const result = await req.services.adminService.poiManager.deletePOI(req.params.poiId, adminId);
     res.json(result);
 });
 
-router.get('/admin/users', async (req, res) => {
-    const result = await adminService.getAllUsers();
+router.get('/admin/users', requirePermission(Permissions.USERS_MANAGE), async (req, res) => {
+    const result = await deploymentAdmin.getAllUsers();
     res.json(result);
 });
 
-router.put('/admin/users/:uid/role', async (req, res) => {
-    const adminId = req.headers['x-user-id'];
+router.put('/admin/users/:uid/role', requirePermission(Permissions.USERS_MANAGE), async (req, res) => {
+    const adminId = req.user.uid;
     const { role } = req.body;
-    const result = await adminService.updateUserRole(req.params.uid, role, adminId);
+    const result = await deploymentAdmin.updateUserRole(req.params.uid, role, adminId);
     res.json(result);
 });
 
-router.put('/admin/users/:uid/status', async (req, res) => {
-    const adminId = req.headers['x-user-id'];
+router.put('/admin/users/:uid/status', requirePermission(Permissions.USERS_MANAGE), async (req, res) => {
+    const adminId = req.user.uid;
     const { isActive } = req.body;
-    const result = await adminService.toggleUserStatus(req.params.uid, isActive, adminId);
+    const result = await deploymentAdmin.toggleUserStatus(req.params.uid, isActive, adminId);
     res.json(result);
 });
 
-router.get('/admin/logs', async (req, res) => {
+router.get('/admin/logs', requirePermission(Permissions.LOGS_READ), async (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
-    const result = await adminService.getRecentLogs(limit);
+    const result = await deploymentAdmin.getRecentLogs(limit);
     res.json(result);
 });
 
-router.post('/admin/rebuild-index', async (req, res) => {
-    const result = await adminService.rebuildIndex();
+router.post('/admin/rebuild-index', tenantScope, requirePermission(Permissions.POIS_WRITE), async (req, res) => {
+    const result = await req.services.adminService.rebuildIndex();
     res.json(result);
 });
 
+router.post('/admin/keys/rotate', tenantScope, requirePermission(Permissions.KEYS_MANAGE), async (req, res) => {
+    const adminId = req.user.uid;
+    const result = await req.services.adminService.keyRotation.startRotation(adminId);
+    res.status(result.success ? 202 : 400).json(result);
+});
+
+router.get('/admin/keys/status', tenantScope, requirePermission(Permissions.KEYS_MANAGE, Permissions.STATS_READ), async (req, res) => {
+    const result = await req.services.adminService.keyRotation.getStatus();
+    res.json(result);
+});
+
+router.get('/admin/roles', requirePermission(Permissions.ROLES_MANAGE), async (req, res) => {
+    const result = await deploymentAdmin.roles.getRoles();
+    res.status(result.success ? 200 : 500).json(result);
+});
+
+router.put('/admin/roles/:roleId', requirePermission(Permissions.ROLES_MANAGE), async (req, res) => {
+    const adminId = req.user.uid;
+    const { description, permissions } = req.body;
+    const result = await deploymentAdmin.roles.defineRole(req.params.roleId, { description, permissions }, adminId);
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+router.delete('/admin/roles/:roleId', requirePermission(Permissions.ROLES_MANAGE), async (req, res) => {
+    const adminId = req.user.uid;
+    const result = await deploymentAdmin.roles.deleteRole(req.params.roleId, adminId);
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+router.get('/admin/tenants', requirePermission(Permissions.TENANTS_MANAGE), async (req, res) => {
+    const result = await tenantRegistry.tenants.listTenants();
+    res.status(result.success ? 200 : 500).json(result);
+});
+
+// Creates a tenant with its first admin (the caller unless `adminUid` is given)
+router.post('/admin/tenants', requirePermission(Permissions.TENANTS_MANAGE), async (req, res) => {
+    const adminId = req.user.uid;
+    const { id, name, adminUid } = req.body;
+    const result = await tenantRegistry.tenants.createTenant(id, { name, adminUid }, adminId);
+    res.status(result.success ? 201 : 400).json(result);
+});
+
+// Members of the request's tenant, managed by its own admins
+router.get('/admin/members', tenantScope, requirePermission(Permissions.USERS_MANAGE), async (req, res) => {
+    const result = await tenantRegistry.tenants.getMembers(req.tenant.id);
+    res.status(result.success ? 200 : 500).json(result);
+});
+
+router.put('/admin/members/:uid', tenantScope, requirePermission(Permissions.USERS_MANAGE), async (req, res) => {
+    const adminId = req.user.uid;
+    const { role } = req.body;
+    const result = await tenantRegistry.tenants.setMembership(req.tenant.id, req.params.uid, role, adminId);
+    res.status(result.success ? 200 : 400).json(result);
+});
+
+router.delete('/admin/members/:uid', tenantScope, requirePermission(Permissions.USERS_MANAGE), async (req, res) => {
+    const adminId = req.user.uid;
+    const result = await tenantRegistry.tenants.removeMembership(req.tenant.id, req.params.uid, adminId);
+    res.status(result.success ? 200 : 400).json(result);
+});
+
 // Stats endpoint
 router.get('/stats', (req, res) => {
     res.json({
         success: true,
         stats: {
-            user: userService.getStats(),
+            user: deploymentUsers.getStats(),
             initialized: true
         }
     });
@@ -0,0 +1,262 @@
+/**
+ * Authentication Middleware Module
+ * Express middleware that authenticates requests with Firebase ID tokens
+ * or session cookies and authorizes them by the caller's role
+ */
+
+import { adminAuth, adminDb } from '../../config/firebase-admin.config.js';
+import { UserRoles, isBuiltInRole, permissionsFor } from './permissions.js';
+import { tenantMemberships } from '../tenant/tenants.js';
+import { EPLQLogger } from '../utils/logger.js';
+
+/**
+ * Name of the session cookie; Firebase Hosting forwards no other cookie
+ * to backends
+ */
+const SESSION_COOKIE_NAME = '__session';
+
+/**
+ * Header naming the tenant a request acts in
+ */
+const TENANT_HEADER = 'x-tenant-id';
+
+/**
+ * Read a user profile with the Admin SDK
+ * @param {string} uid - User ID
+ * @returns {Object|null} User profile, or null if there is none
+ */
+async function loadUserProfile(uid) {
+    if (!adminDb) return null;
+    const snapshot = await adminDb.collection('users').doc(uid).get();
+    return snapshot.exists ? snapshot.data() : null;
+}
+
+/**
+ * Read a custom role definition with the Admin SDK
+ * @param {string} roleId - Role ID
+ * @returns {Object|null} Role definition ({ permissions, ... }), or null if there is none
+ */
+async function loadCustomRole(roleId) {
+    if (!adminDb) return null;
+    const snapshot = await adminDb.collection('roles').doc(roleId).get();
+    return snapshot.exists ? snapshot.data() : null;
+}
+
+/**
+ * Extract the token from an `Authorization: Bearer <token>` header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token, or null if the header is missing or malformed
+ */
+function getBearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Extract the session cookie from the Cookie header
+ * @param {Object} req - Express request
+ * @returns {string|null} Session cookie, or null if there is none
+ */
+function getSessionCookie(req) {
+    for (const pair of (req.headers.cookie || '').split(';')) {
+        const [name, ...value] = pair.trim().split('=');
+        if (name === SESSION_COOKIE_NAME && value.length) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+}
+
+/**
+ * Create middleware that authenticates requests by their Firebase ID token
+ * or session cookie
+ * A bearer ID token wins over the cookie. Either is verified (revoked
+ * ones included), the user's profile is loaded, and disabled accounts are
+ * refused. Authenticated requests get `req.user` ({ uid, email,
+ * displayName, role, permissions, tenants }): `permissions` from the
+ * deployment-wide role, `tenants` the role and permissions in each tenant
+ * the user belongs to.
+ * @param {Object} options - { verifier, loadProfile, loadRole }: the token
+ *   verifier (an object with `verifyIdToken` and `verifySessionCookie`, by
+ *   default the Admin SDK's auth), the profile loader (by default the
+ *   `users` collection) and the custom role loader (by default the `roles`
+ *   collection)
+ * @returns {Function} Express middleware
+ */
+function authenticate({ verifier = adminAuth, loadProfile = loadUserProfile, loadRole = loadCustomRole } = {}) {
+    return async (req, res, next) => {
+        const idToken = getBearerToken(req);
+        const sessionCookie = idToken ? null : getSessionCookie(req);
+        if (!idToken && !sessionCookie) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+
+        if (!verifier) {
+            EPLQLogger.error('ID token verification unavailable: Firebase Admin is not configured');
+            return res.status(503).json({ success: false, error: 'Authentication service not available' });
+        }
+
+        let decoded;
+        try {
+            decoded = idToken
+                ? await verifier.verifyIdToken(idToken, true)
+                : await verifier.verifySessionCookie(sessionCookie, true);
+        } catch (error) {
+            EPLQLogger.warn(idToken ? 'Rejected ID token' : 'Rejected session cookie', { code: error.code, path: req.path });
+            return res.status(401).json({
+                success: false,
+                error: idToken ? 'Invalid or expired ID token' : 'Invalid or expired session'
+            });
+        }
+
+        let profile;
+        const customRoles = new Map();
+        try {
+            profile = await loadProfile(decoded.uid);
+            if (profile) {
+                const roles = [profile.role, ...Object.values(tenantMemberships(profile))];
+                for (const role of new Set(roles)) {
+                    if (role && !isBuiltInRole(role)) {
+                        customRoles.set(role, await loadRole(role));
+                    }
+                }
+            }
+        } catch (error) {
+            EPLQLogger.error('Failed to load user profile', { uid: decoded.uid, error: error.message });
+            return res.status(503).json({ success: false, error: 'User profile not available' });
+        }
+
+        if (!profile) {
+            return res.status(403).json({ success: false, error: 'User profile not found' });
+        }
+        if (profile.isActive === false) {
+            return res.status(403).json({ success: false, error: 'Account is disabled' });
+        }
+
+        const role = profile.role || UserRoles.USER;
+        req.user = {
+            uid: decoded.uid,
+            email: decoded.email || profile.email || null,
+            displayName: profile.displayName || null,
+            role,
+            permissions: permissionsFor(role, customRoles.get(role)),
+            tenants: Object.fromEntries(
+                Object.entries(tenantMemberships(profile)).map(([tenantId, tenantRole]) => [
+                    tenantId,
+                    { role: tenantRole, permissions: permissionsFor(tenantRole, customRoles.get(tenantRole)) }
+                ])
+            )
+        };
+        next();
+    };
+}
+
+/**
+ * Create middleware that admits only authenticated users with one of the roles
+ * Must run after `authenticate`.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        if (!roles.includes(req.user.role)) {
+            EPLQLogger.warn('Denied request for lack of role', { uid: req.user.uid, role: req.user.role, path: req.path });
+            return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+        }
+        next();
+    };
+}
+
+/**
+ * Create middleware that picks the tenant a request acts in
+ * The tenant is named by the `X-Tenant-Id` header, or is the caller's only
+ * tenant when the header is absent. Callers must belong to it. The request
+ * gets `req.tenant` ({ id, role, permissions }) with the caller's role and
+ * permissions in that tenant.
+ * Must run after `authenticate`.
+ * @returns {Function} Express middleware
+ */
+function resolveTenant() {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+
+        const memberships = req.user.tenants || {};
+        const tenantIds = Object.keys(memberships);
+        const tenantId = req.headers[TENANT_HEADER] || (tenantIds.length === 1 ? tenantIds[0] : null);
+
+        if (tenantIds.length === 0) {
+            return res.status(403).json({ success: false, error: 'Not a member of any tenant' });
+        }
+        if (!tenantId) {
+            return res.status(400).json({ success: false, error: 'Tenant required: set the X-Tenant-Id header' });
+        }
+        if (!Object.prototype.hasOwnProperty.call(memberships, tenantId)) {
+            EPLQLogger.warn('Denied request to a foreign tenant', { uid: req.user.uid, tenantId, path: req.path });
+            return res.status(403).json({ success: false, error: 'Not a member of this tenant' });
+        }
+
+        req.tenant = { id: tenantId, ...memberships[tenantId] };
+        next();
+    };
+}
+
+/**
+ * Create middleware that admits only authenticated users holding at least
+ * one of the permissions
+ * Permissions are those of the caller's role in the request's tenant when
+ * `resolveTenant` ran, and of their deployment-wide role otherwise.
+ * Must run after `authenticate`.
+ * @param {...string} permissions - Accepted permissions
+ * @returns {Function} Express middleware
+ */
+function requirePermission(...permissions) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        const scope = req.tenant || req.user;
+        if (!permissions.some(permission => scope.permissions?.includes(permission))) {
+            EPLQLogger.warn('Denied request for lack of permission', {
+                uid: req.user.uid, role: scope.role, tenantId: req.tenant?.id, permissions, path: req.path
+            });
+            return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+        }
+        next();
+    };
+}
+
+/**
+ * Create middleware that admits a user to their own resources, named by a
+ * route parameter, and users holding one of the permissions to anyone's
+ * Must run after `authenticate`.
+ * @param {string} param - Route parameter holding the user ID
+ * @param {...string} permissions - Permissions allowing access for other users
+ * @returns {Function} Express middleware
+ */
+function requireSelfOrPermission(param, ...permissions) {
+    return (req, res, next) => {
+        if (req.user && req.user.uid === req.params[param]) {
+            return next();
+        }
+        return requirePermission(...permissions)(req, res, next);
+    };
+}
+
+export {
+    authenticate,
+    requireRole,
+    requirePermission,
+    requireSelfOrPermission,
+    resolveTenant,
+    getBearerToken,
+    getSessionCookie,
+    loadUserProfile,
+    loadCustomRole,
+    SESSION_COOKIE_NAME,
+    TENANT_HEADER
+};
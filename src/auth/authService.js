@@ -1,70 +1,55 @@
 /**
  * Authentication Service Module
- * Handles user registration, login, and session management with Firebase Auth
+ * Handles user registration, login, and session management on the server
+ *
+ * Everything goes through the Firebase Admin SDK and is scoped to the
+ * request that asks for it: callers prove who they are with an ID token
+ * from the client SDK (or a session cookie minted from one), and the
+ * service keeps no signed-in user of its own.
  */
 
-import { 
-    createUserWithEmailAndPassword,
-    signInWithEmailAndPassword,
-    signOut,
-    sendPasswordResetEmail,
-    updateProfile,
-    onAuthStateChanged
-} from 'firebase/auth';
-import { doc, setDoc, getDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
-import { auth, db } from '../../config/firebase.config.js';
+import { sendPasswordResetEmail } from 'firebase/auth';
+import { FieldValue } from 'firebase-admin/firestore';
+import { auth } from '../../config/firebase.config.js';
+import { adminAuth, adminDb } from '../../config/firebase-admin.config.js';
 import { EPLQLogger } from '../utils/logger.js';
 import { validateEmail, validatePassword, sanitizeInput } from '../utils/validators.js';
+import { UserRoles } from './permissions.js';
 
 /**
- * User roles enumeration
+ * Lifetime of session cookies (Firebase allows 5 minutes to 2 weeks)
  */
-const UserRoles = {
-    USER: 'user',
-    ADMIN: 'admin'
-};
+const SESSION_COOKIE_MAX_AGE = 5 * 24 * 60 * 60 * 1000;
+
+/**
+ * Session cookies are only minted from ID tokens of a recent sign-in,
+ * so a stolen older token cannot be turned into a long-lived session
+ */
+const MAX_SIGN_IN_AGE = 5 * 60 * 1000;
 
 /**
  * AuthService class
  * Manages all authentication operations
  */
 class AuthService {
-    constructor() {
-        this.currentUser = null;
-        this.authStateListeners = [];
-    }
-
     /**
-     * Initialize auth state listener
-     * @param {Function} callback - Callback for auth state changes
+     * @param {Object} options - { auth, db }: Admin SDK auth and Firestore,
+     *   by default the configured admin app's
      */
-    initAuthStateListener(callback) {
-        if (!auth) {
-            EPLQLogger.warn('Firebase Auth not initialized');
-            return;
-        }
-
-        return onAuthStateChanged(auth, async (user) => {
-            if (user) {
-                const userDoc = await this.getUserProfile(user.uid);
-                this.currentUser = { ...user, ...userDoc };
-            } else {
-                this.currentUser = null;
-            }
-            if (callback) callback(this.currentUser);
-            this.notifyListeners(this.currentUser);
-        });
+    constructor({ auth = adminAuth, db = adminDb } = {}) {
+        this.auth = auth;
+        this.db = db;
     }
 
     /**
      * Register a new user
+     * New accounts are always plain users; admins grant other roles.
      * @param {string} email - User email
      * @param {string} password - User password
      * @param {string} displayName - Display name
-     * @param {string} role - User role (default: user)
      * @returns {Object} Registration result
      */
-    async register(email, password, displayName, role = UserRoles.USER) {
+    async register(email, password, displayName) {
         try {
             // Validate inputs
             const emailValidation = validateEmail(email);
@@ -82,26 +67,25 @@ class AuthService {
                 throw new Error('Display name must be at least 2 characters');
             }
 
-            if (!auth) {
+            if (!this.auth) {
                 throw new Error('Authentication service not available');
             }
 
             // Create user in Firebase Auth
-            const userCredential = await createUserWithEmailAndPassword(auth, email, password);
-            const user = userCredential.user;
-
-            // Update display name
-            await updateProfile(user, { displayName: sanitizedName });
+            const user = await this.auth.createUser({
+                email: emailValidation.value,
+                password,
+                displayName: sanitizedName
+            });
 
             // Create user profile in Firestore
-            if (db) {
-                await setDoc(doc(db, 'users', user.uid), {
+            if (this.db) {
+                await this.db.collection('users').doc(user.uid).set({
                     uid: user.uid,
                     email: user.email,
                     displayName: sanitizedName,
-                    role: role,
-                    createdAt: serverTimestamp(),
-                    lastLogin: serverTimestamp(),
+                    role: UserRoles.USER,
+                    createdAt: FieldValue.serverTimestamp(),
                     isActive: true
                 });
             }
@@ -114,7 +98,7 @@ class AuthService {
                     uid: user.uid,
                     email: user.email,
                     displayName: sanitizedName,
-                    role: role
+                    role: UserRoles.USER
                 }
             };
         } catch (error) {
@@ -128,45 +112,61 @@ class AuthService {
 
     /**
      * Login user
-     * @param {string} email - User email
-     * @param {string} password - User password
-     * @returns {Object} Login result
+     * The client signs in with the Firebase client SDK and hands over its
+     * ID token, which is exchanged for a session cookie.
+     * @param {string} idToken - ID token from a fresh client sign-in
+     * @returns {Object} Login result, with the session cookie and its lifetime in ms
      */
-    async login(email, password) {
+    async login(idToken) {
+        let decoded = null;
         try {
-            const emailValidation = validateEmail(email);
-            if (!emailValidation.valid) {
-                throw new Error(emailValidation.error);
+            if (!idToken || typeof idToken !== 'string') {
+                throw new Error('ID token is required');
             }
 
-            if (!auth) {
+            if (!this.auth) {
                 throw new Error('Authentication service not available');
             }
 
-            const userCredential = await signInWithEmailAndPassword(auth, email, password);
-            const user = userCredential.user;
+            decoded = await this.auth.verifyIdToken(idToken, true);
+            if (Date.now() - decoded.auth_time * 1000 > MAX_SIGN_IN_AGE) {
+                throw new Error('Sign-in is too old; please sign in again');
+            }
+
+            const userProfile = await this.getUserProfile(decoded.uid);
+            if (this.db && !userProfile) {
+                throw new Error('User profile not found');
+            }
+            if (userProfile?.isActive === false) {
+                throw Object.assign(new Error('Account is disabled'), { code: 'auth/user-disabled' });
+            }
+
+            const sessionCookie = await this.auth.createSessionCookie(idToken, {
+                expiresIn: SESSION_COOKIE_MAX_AGE
+            });
 
             // Update last login
-            if (db) {
-                await updateDoc(doc(db, 'users', user.uid), {
-                    lastLogin: serverTimestamp()
+            if (this.db) {
+                await this.db.collection('users').doc(decoded.uid).update({
+                    lastLogin: FieldValue.serverTimestamp()
                 });
             }
 
-            const userProfile = await this.getUserProfile(user.uid);
-            await EPLQLogger.logLogin(user.uid, email, true);
+            await EPLQLogger.logLogin(decoded.uid, decoded.email, true);
 
             return {
                 success: true,
                 user: {
-                    uid: user.uid,
-                    email: user.email,
-                    displayName: user.displayName,
-                    ...userProfile
-                }
+                    uid: decoded.uid,
+                    email: decoded.email,
+                    displayName: userProfile?.displayName || decoded.name || null,
+                    role: userProfile?.role || UserRoles.USER
+                },
+                sessionCookie,
+                expiresIn: SESSION_COOKIE_MAX_AGE
             };
         } catch (error) {
-            await EPLQLogger.logLogin(null, email, false, error);
+            await EPLQLogger.logLogin(decoded?.uid || null, decoded?.email || null, false, error);
             return {
                 success: false,
                 error: this.getErrorMessage(error.code || error.message)
@@ -175,18 +175,21 @@ class AuthService {
     }
 
     /**
-     * Logout current user
+     * Logout a user everywhere by revoking their refresh tokens
+     * Their ID tokens and session cookies stop verifying at once, since
+     * both are checked for revocation.
+     * @param {string} uid - Authenticated caller's user ID
+     * @param {string} email - Caller's email, for the log
      * @returns {Object} Logout result
      */
-    async logout() {
+    async logout(uid, email) {
         try {
-            const user = this.currentUser;
-            if (!auth) {
+            if (!this.auth) {
                 throw new Error('Authentication service not available');
             }
 
-            await signOut(auth);
-            await EPLQLogger.logLogout(user?.uid, user?.email);
+            await this.auth.revokeRefreshTokens(uid);
+            await EPLQLogger.logLogout(uid, email);
 
             return { success: true };
         } catch (error) {
@@ -201,17 +204,19 @@ class AuthService {
      */
     async getUserProfile(uid) {
         try {
-            if (!db) return null;
-            const docSnap = await getDoc(doc(db, 'users', uid));
-            return docSnap.exists() ? docSnap.data() : null;
+            if (!this.db) return null;
+            const snapshot = await this.db.collection('users').doc(uid).get();
+            return snapshot.exists ? snapshot.data() : null;
         } catch (error) {
-            EPLQLogger.error('Failed to get user profile', error, { uid });
+            EPLQLogger.error('Failed to get user profile', { uid, error: error.message });
             return null;
         }
     }
 
     /**
      * Send password reset email
+     * Goes through the client SDK, which sends the email without signing
+     * anyone in; the Admin SDK can only generate reset links.
      * @param {string} email - User email
      * @returns {Object} Result
      */
@@ -225,22 +230,6 @@ class AuthService {
         }
     }
 
-    /**
-     * Check if current user is admin
-     * @returns {boolean} True if admin
-     */
-    isAdmin() {
-        return this.currentUser?.role === UserRoles.ADMIN;
-    }
-
-    /**
-     * Get current user
-     * @returns {Object|null} Current user
-     */
-    getCurrentUser() {
-        return this.currentUser;
-    }
-
     /**
      * Convert Firebase error codes to user-friendly messages
      * @param {string} errorCode - Firebase error code
@@ -249,33 +238,21 @@ class AuthService {
     getErrorMessage(errorCode) {
         const messages = {
             'auth/email-already-in-use': 'This email is already registered',
+            'auth/email-already-exists': 'This email is already registered',
             'auth/invalid-email': 'Invalid email address',
             'auth/weak-password': 'Password is too weak',
             'auth/user-not-found': 'No account found with this email',
             'auth/wrong-password': 'Incorrect password',
             'auth/too-many-requests': 'Too many attempts. Please try again later',
-            'auth/user-disabled': 'This account has been disabled'
+            'auth/user-disabled': 'This account has been disabled',
+            'auth/id-token-expired': 'Your sign-in has expired. Please sign in again',
+            'auth/id-token-revoked': 'Your sign-in has been revoked. Please sign in again',
+            'auth/argument-error': 'Invalid ID token'
         };
         return messages[errorCode] || errorCode;
     }
-
-    /**
-     * Add auth state listener
-     * @param {Function} listener - Listener function
-     */
-    addAuthStateListener(listener) {
-        this.authStateListeners.push(listener);
-    }
-
-    /**
-     * Notify all listeners of auth state change
-     * @param {Object} user - Current user
-     */
-    notifyListeners(user) {
-        this.authStateListeners.forEach(listener => listener(user));
-    }
 }
 
-export { AuthService, UserRoles };
+export { AuthService, UserRoles, SESSION_COOKIE_MAX_AGE };
 export default AuthService;
 
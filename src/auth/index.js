@@ -3,12 +3,20 @@
  * Exports all authentication-related classes and functions
  */
 
-import { AuthService, UserRoles } from './authService.js';
+import { AuthService } from './authService.js';
+import { authenticate, requireRole, requirePermission, requireSelfOrPermission } from './authMiddleware.js';
+import { Permissions, UserRoles, ROLE_PERMISSIONS, permissionsFor } from './permissions.js';
 
 export {
     AuthService,
-    UserRoles
+    UserRoles,
+    Permissions,
+    ROLE_PERMISSIONS,
+    permissionsFor,
+    authenticate,
+    requireRole,
+    requirePermission,
+    requireSelfOrPermission
 };
 
 export default AuthService;
-
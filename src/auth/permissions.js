@@ -0,0 +1,77 @@
+/**
+ * Permissions Module
+ * Roles and the permission matrix behind them
+ *
+ * Routes are guarded by permissions, never by role names, so custom roles
+ * (stored in the `roles` collection as lists of permissions) work
+ * everywhere the built-in ones do. `firestore.rules` carries the same
+ * matrix; keep the two in step.
+ *
+ * A user's deployment-wide role governs users, roles, tenants and the
+ * action logs; within a tenant, their role in that tenant governs its POIs,
+ * keys and statistics.
+ */
+
+/**
+ * Permissions a role can grant
+ */
+const Permissions = {
+    POIS_READ: 'pois:read',
+    POIS_WRITE: 'pois:write',
+    USERS_MANAGE: 'users:manage',
+    ROLES_MANAGE: 'roles:manage',
+    LOGS_READ: 'logs:read',
+    STATS_READ: 'stats:read',
+    QUERY_STATS_READ: 'stats:queries',
+    KEYS_MANAGE: 'keys:manage',
+    TENANTS_MANAGE: 'tenants:manage'
+};
+
+/**
+ * Built-in roles
+ */
+const UserRoles = {
+    USER: 'user',
+    ADMIN: 'admin',
+    DATA_CURATOR: 'data_curator',
+    AUDITOR: 'auditor',
+    ANALYST: 'analyst'
+};
+
+/**
+ * Permission matrix of the built-in roles
+ * Plain users hold no permissions: searching and their own records only
+ * need a verified sign-in.
+ */
+const ROLE_PERMISSIONS = Object.freeze({
+    [UserRoles.USER]: [],
+    [UserRoles.ADMIN]: Object.values(Permissions),
+    [UserRoles.DATA_CURATOR]: [Permissions.POIS_READ, Permissions.POIS_WRITE],
+    [UserRoles.AUDITOR]: [Permissions.LOGS_READ, Permissions.STATS_READ, Permissions.QUERY_STATS_READ],
+    [UserRoles.ANALYST]: [Permissions.QUERY_STATS_READ]
+});
+
+/**
+ * Whether a role is built in (and so cannot be redefined)
+ * @param {string} role - Role ID
+ * @returns {boolean} True for built-in roles
+ */
+function isBuiltInRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+/**
+ * Permissions a role grants
+ * @param {string} role - Role ID
+ * @param {Object|null} customRole - Stored definition of a custom role ({ permissions })
+ * @returns {Array<string>} Permissions; none for unknown roles
+ */
+function permissionsFor(role, customRole = null) {
+    if (isBuiltInRole(role)) {
+        return [...ROLE_PERMISSIONS[role]];
+    }
+    const known = new Set(Object.values(Permissions));
+    return (customRole?.permissions || []).filter(permission => known.has(permission));
+}
+
+export { Permissions, UserRoles, ROLE_PERMISSIONS, isBuiltInRole, permissionsFor };
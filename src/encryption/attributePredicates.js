@@ -0,0 +1,229 @@
+/**
+ * Attribute Predicates Module
+ * Encodes POI attributes (category, price level, rating, opening hours)
+ * and attribute filters as vectors for one inner-product predicate
+ *
+ * Every filter contributes a term that is a non-negative integer, zero
+ * exactly when the POI passes it, so a single query vector tests all of
+ * them at once: the inner product is at most 1/2 only when every term is
+ * zero.
+ *
+ * Data vector layout:
+ *   category     (h², h) for each of three keyed category codes
+ *   price level  one-hot over levels 0-4, all zero when unknown
+ *   rating       "at least" bits for 0.5 to 5 stars, then "more than"
+ *                bits for 0 to 4.5 stars, in half-star steps
+ *   opening      one bit per hour of the week, set when the POI is open
+ *                for at least half of that hour (hour 0 starts on Sunday
+ *                at 00:00)
+ *
+ * Opening hours are thus rounded to the hour: an opening or closing time
+ * on the half hour counts the whole hour as open, one before it as closed.
+ * A POI open 09:30-17:00 matches `openAt` 09:00 to 16:59, one open
+ * 09:00-09:20 matches no time. One bit per half hour would be exact for
+ * the usual times, but would nearly double the attribute dimension and
+ * make the attribute keys about six times as slow to derive.
+ *   constant     1
+ */
+
+/**
+ * Price levels run from 0 (free) to 4 (very expensive)
+ */
+const PRICE_LEVELS = 5;
+const MAX_PRICE_LEVEL = PRICE_LEVELS - 1;
+
+/**
+ * Ratings run from 0 to 5 stars; filters use half-star steps
+ */
+const MAX_RATING = 5;
+const RATING_STEPS = MAX_RATING * 2;
+
+const HOURS_PER_WEEK = 7 * 24;
+const MINUTES_PER_WEEK = HOURS_PER_WEEK * 60;
+
+/**
+ * Minutes a POI must be open within an hour for the hour to count as open
+ */
+const MIN_OPEN_MINUTES = 30;
+
+/**
+ * Category codes are integers in [-128, 128); three independent codes make
+ * different categories collide with probability 2⁻²⁴. Small codes keep the
+ * squared terms, and with them the rounding error, small.
+ */
+const CATEGORY_CODE_COUNT = 3;
+const CATEGORY_CODE_RANGE = 256;
+
+/**
+ * Code given to POIs without a category: it differs from every real code
+ */
+const NO_CATEGORY_CODE = CATEGORY_CODE_RANGE / 2;
+
+const CATEGORY_OFFSET = 0;
+const PRICE_OFFSET = CATEGORY_OFFSET + 2 * CATEGORY_CODE_COUNT;
+const AT_LEAST_OFFSET = PRICE_OFFSET + PRICE_LEVELS;
+const MORE_THAN_OFFSET = AT_LEAST_OFFSET + RATING_STEPS;
+const OPENING_OFFSET = MORE_THAN_OFFSET + RATING_STEPS;
+const CONSTANT_OFFSET = OPENING_OFFSET + HOURS_PER_WEEK;
+
+const ATTRIBUTE_DIMENSION = CONSTANT_OFFSET + 1;
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ * @param {string} time - Time of day ("24:00" is allowed as a closing time)
+ * @returns {number|null} Minutes, or null if malformed
+ */
+function parseTimeOfDay(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Hours of the week a POI is open for at least half of
+ * @param {Array<Object>} openingHours - Intervals ({ day, open, close }), `day`
+ *   0-6 from Sunday and times as "HH:MM"; a close at or before the open
+ *   time runs past midnight
+ * @returns {Array<boolean>} One entry per hour of the week
+ */
+function openHours(openingHours = []) {
+    const openMinutes = new Uint8Array(MINUTES_PER_WEEK);
+    for (const { day, open, close } of openingHours) {
+        const start = day * 1440 + parseTimeOfDay(open);
+        let length = parseTimeOfDay(close) - parseTimeOfDay(open);
+        if (length <= 0) length += 1440;
+
+        for (let minute = start; minute < start + length; minute++) {
+            openMinutes[minute % MINUTES_PER_WEEK] = 1;
+        }
+    }
+
+    return Array.from({ length: HOURS_PER_WEEK }, (_, hour) =>
+        openMinutes.subarray(hour * 60, hour * 60 + 60).reduce((sum, open) => sum + open, 0) >= MIN_OPEN_MINUTES
+    );
+}
+
+/**
+ * Encode POI attributes as a data vector
+ * @param {Object} attributes - { categoryCodes, priceLevel, rating, openingHours };
+ *   `categoryCodes` from the scheme's keyed hash, null when uncategorised
+ * @returns {Array<number>} Attribute vector
+ */
+function encodeAttributes({ categoryCodes, priceLevel = null, rating = null, openingHours = [] }) {
+    const vector = new Array(ATTRIBUTE_DIMENSION).fill(0);
+
+    const codes = categoryCodes || new Array(CATEGORY_CODE_COUNT).fill(NO_CATEGORY_CODE);
+    codes.forEach((h, i) => {
+        vector[CATEGORY_OFFSET + 2 * i] = h * h;
+        vector[CATEGORY_OFFSET + 2 * i + 1] = h;
+    });
+
+    if (Number.isInteger(priceLevel) && priceLevel >= 0 && priceLevel <= MAX_PRICE_LEVEL) {
+        vector[PRICE_OFFSET + priceLevel] = 1;
+    }
+
+    if (Number.isFinite(rating)) {
+        for (let step = 0; step < RATING_STEPS; step++) {
+            vector[AT_LEAST_OFFSET + step] = rating >= (step + 1) / 2 ? 1 : 0;
+            vector[MORE_THAN_OFFSET + step] = rating > step / 2 ? 1 : 0;
+        }
+    }
+
+    openHours(openingHours).forEach((open, hour) => {
+        vector[OPENING_OFFSET + hour] = open ? 1 : 0;
+    });
+
+    vector[CONSTANT_OFFSET] = 1;
+    return vector;
+}
+
+/**
+ * Encode attribute filters as a query vector
+ * The inner product with an attribute vector is the number of failed
+ * filters (counting a category mismatch as at least one) minus 1/2.
+ * @param {Object} filters - { categoryCodes, minPrice, maxPrice, minRating, maxRating, openAt },
+ *   ratings in half-star steps and `openAt` as { day, minutes }
+ * @returns {Array<number>} Query vector
+ */
+function encodeAttributeQuery({ categoryCodes, minPrice, maxPrice, minRating, maxRating, openAt }) {
+    const vector = new Array(ATTRIBUTE_DIMENSION).fill(0);
+    let constant = -0.5;
+
+    // (h - q)² summed over the codes: zero only for the same category
+    if (categoryCodes) {
+        categoryCodes.forEach((q, i) => {
+            vector[CATEGORY_OFFSET + 2 * i] = 1;
+            vector[CATEGORY_OFFSET + 2 * i + 1] = -2 * q;
+            constant += q * q;
+        });
+    }
+
+    if (minPrice != null || maxPrice != null) {
+        for (let level = minPrice ?? 0; level <= (maxPrice ?? MAX_PRICE_LEVEL); level++) {
+            vector[PRICE_OFFSET + level] = -1;
+        }
+        constant += 1;
+    }
+
+    if (minRating != null && minRating > 0) {
+        vector[AT_LEAST_OFFSET + Math.round(minRating * 2) - 1] = -1;
+        constant += 1;
+    }
+
+    if (maxRating != null && maxRating < MAX_RATING) {
+        vector[MORE_THAN_OFFSET + Math.round(maxRating * 2)] = 1;
+    }
+
+    if (openAt) {
+        vector[OPENING_OFFSET + openAt.day * 24 + Math.floor(openAt.minutes / 60)] = -1;
+        constant += 1;
+    }
+
+    vector[CONSTANT_OFFSET] = constant;
+    return vector;
+}
+
+/**
+ * Test plaintext attributes against filters
+ * Used for POIs stored without encrypted attributes.
+ * @param {Object} attributes - { category, priceLevel, rating, openingHours }
+ * @param {Object} filters - { category, minPrice, maxPrice, minRating, maxRating, openAt }
+ * @returns {boolean} True if the POI passes every filter
+ */
+function attributesMatch(attributes, filters) {
+    if (filters.category && attributes.category !== filters.category) {
+        return false;
+    }
+
+    const point = encodeAttributes({ ...attributes, categoryCodes: null });
+    const query = encodeAttributeQuery({ ...filters, categoryCodes: null });
+    return point.reduce((sum, value, i) => sum + value * query[i], 0) <= 0;
+}
+
+/**
+ * Whether any attribute filter is set
+ * @param {Object|null} filters - Attribute filters
+ * @returns {boolean} True if the filters restrict results
+ */
+function hasAttributeFilters(filters) {
+    return Boolean(filters) && ['category', 'minPrice', 'maxPrice', 'minRating', 'maxRating', 'openAt']
+        .some(name => filters[name] != null && filters[name] !== '');
+}
+
+export {
+    encodeAttributes,
+    encodeAttributeQuery,
+    attributesMatch,
+    hasAttributeFilters,
+    openHours,
+    parseTimeOfDay,
+    ATTRIBUTE_DIMENSION,
+    CATEGORY_CODE_COUNT,
+    CATEGORY_CODE_RANGE,
+    MAX_PRICE_LEVEL,
+    MAX_RATING
+};
@@ -1,29 +1,65 @@
 /**
  * Data Encryption Module
  * Handles symmetric encryption for POI metadata
+ *
+ * New values use AES-256-GCM with the POI id and field name bound as
+ * associated data, under a record key derived for each POI. A record key
+ * opens the fields of its own POI and no other, so it can be handed to a
+ * client along with the stored ciphertexts instead of decrypting them on
+ * the server. Values written under the earlier per-field subkeys stay
+ * readable until migration rewrites them. Values written by the earlier
+ * CryptoJS AES-CBC format are read only while
+ * `allowLegacy` is set, which key rings keep on until
+ * POIManager.migrateMetadataEncryption has rewritten them. Otherwise any
+ * value without the GCM prefix is rejected, so unauthenticated values
+ * cannot be slipped into stored records.
  */
 
+import crypto from 'crypto';
 import CryptoJS from 'crypto-js';
+import { KeyProvider, KeyPurpose } from './keyProvider.js';
 import { EPLQLogger } from '../utils/logger.js';
-import dotenv from 'dotenv';
 
-dotenv.config();
+/**
+ * Prefix marking authenticated (AES-256-GCM) ciphertexts
+ * Legacy CBC values are plain base64 and never contain ':'
+ */
+const GCM_PREFIX = 'gcm:';
+
+/**
+ * Prefix marking AES-256-GCM ciphertexts under a per-POI record key
+ */
+const RECORD_PREFIX = 'gcmr:';
+const RECORD_KEY_LENGTH = 32;
+const GCM_IV_LENGTH = 12;
+const GCM_TAG_LENGTH = 16;
+
+/**
+ * Encrypted POI fields and the plaintext field each one holds
+ */
+const ENCRYPTED_FIELDS = {
+    encryptedName: 'name',
+    encryptedDescription: 'description',
+    encryptedAddress: 'address',
+    encryptedPhone: 'phone',
+    encryptedCoordinates: 'coordinates',
+    encryptedCategory: 'category',
+    encryptedDetails: 'details'
+};
 
 /**
  * DataEncryption class
- * Provides symmetric encryption for POI data using AES-256
+ * Provides authenticated symmetric encryption for POI data using AES-256-GCM
  */
 class DataEncryption {
-    constructor(secretKey = null) {
-        this.secretKey = secretKey || process.env.ENCRYPTION_MASTER_KEY || this.generateKey();
-    }
-
     /**
-     * Generate a new encryption key
-     * @returns {string} Generated key
+     * @param {string|KeyProvider} keyProvider - Key provider, or a master key to derive one from
+     * @param {Object} options - Encryption options
+     * @param {boolean} options.allowLegacy - Read legacy CBC values (off by default)
      */
-    generateKey() {
-        return CryptoJS.lib.WordArray.random(32).toString();
+    constructor(keyProvider = null, options = {}) {
+        this.keys = KeyProvider.from(keyProvider);
+        this.allowLegacy = Boolean(options.allowLegacy);
     }
 
     /**
@@ -36,11 +72,13 @@ class DataEncryption {
 
         const encrypted = {
             id: poiData.id,
-            encryptedName: this.encrypt(poiData.name),
-            encryptedDescription: this.encrypt(poiData.description || ''),
-            encryptedAddress: this.encrypt(poiData.address || ''),
-            encryptedPhone: this.encrypt(poiData.phone || ''),
-            category: poiData.category, // Category remains unencrypted for filtering
+            encryptedName: this.encryptField(poiData.id, 'name', poiData.name),
+            encryptedDescription: this.encryptField(poiData.id, 'description', poiData.description || ''),
+            encryptedAddress: this.encryptField(poiData.id, 'address', poiData.address || ''),
+            encryptedPhone: this.encryptField(poiData.id, 'phone', poiData.phone || ''),
+            encryptedCoordinates: this.encryptCoordinates(poiData.id, poiData.latitude, poiData.longitude),
+            encryptedCategory: this.encryptField(poiData.id, 'category', poiData.category || ''),
+            encryptedDetails: this.encryptDetails(poiData.id, poiData),
             createdAt: poiData.createdAt || Date.now(),
             updatedAt: Date.now()
         };
@@ -53,19 +91,30 @@ class DataEncryption {
 
     /**
      * Decrypt POI data
+     * Throws if any authenticated field fails verification, e.g. because it
+     * was modified or copied from another POI.
      * @param {Object} encryptedPOI - Encrypted POI data
      * @returns {Object} Decrypted POI data
      */
     decryptPOI(encryptedPOI) {
         const startTime = performance.now();
+        const id = encryptedPOI.id;
+        const coordinates = this.decryptCoordinates(id, encryptedPOI.encryptedCoordinates);
+        const details = this.decryptDetails(id, encryptedPOI.encryptedDetails);
 
         const decrypted = {
-            id: encryptedPOI.id,
-            name: this.decrypt(encryptedPOI.encryptedName),
-            description: this.decrypt(encryptedPOI.encryptedDescription),
-            address: this.decrypt(encryptedPOI.encryptedAddress),
-            phone: this.decrypt(encryptedPOI.encryptedPhone),
-            category: encryptedPOI.category,
+            id,
+            name: this.decryptField(id, 'name', encryptedPOI.encryptedName),
+            description: this.decryptField(id, 'description', encryptedPOI.encryptedDescription),
+            address: this.decryptField(id, 'address', encryptedPOI.encryptedAddress),
+            phone: this.decryptField(id, 'phone', encryptedPOI.encryptedPhone),
+            latitude: coordinates ? coordinates.latitude : null,
+            longitude: coordinates ? coordinates.longitude : null,
+            // POIs stored before categories were encrypted keep them in plaintext
+            category: encryptedPOI.encryptedCategory
+                ? this.decryptField(id, 'category', encryptedPOI.encryptedCategory)
+                : encryptedPOI.category,
+            ...details,
             createdAt: encryptedPOI.createdAt,
             updatedAt: encryptedPOI.updatedAt
         };
@@ -77,24 +126,135 @@ class DataEncryption {
     }
 
     /**
-     * Encrypt a string value
+     * Encrypt one POI field under the record key of its POI, bound to the field
+     * @param {string} poiId - POI ID
+     * @param {string} field - Plaintext field name
      * @param {string} value - Value to encrypt
      * @returns {string} Encrypted value
      */
-    encrypt(value) {
+    encryptField(poiId, field, value) {
         if (!value) return '';
-        
+
         try {
-            const iv = CryptoJS.lib.WordArray.random(16);
-            const encrypted = CryptoJS.AES.encrypt(value.toString(), this.secretKey, {
-                iv: iv,
-                mode: CryptoJS.mode.CBC,
-                padding: CryptoJS.pad.Pkcs7
-            });
+            return RECORD_PREFIX + this.seal(this.getRecordKey(poiId), value, this.getAssociatedData(poiId, field));
+        } catch (error) {
+            EPLQLogger.error('Encryption failed', { error: error.message });
+            throw new Error('Encryption failed');
+        }
+    }
+
+    /**
+     * Decrypt one POI field
+     * Values written before record keys fall back to their field subkey.
+     * @param {string} poiId - POI ID
+     * @param {string} field - Plaintext field name
+     * @param {string} encryptedValue - Encrypted value
+     * @returns {string} Decrypted value
+     */
+    decryptField(poiId, field, encryptedValue) {
+        const associatedData = this.getAssociatedData(poiId, field);
+        if (!this.isRecordValue(encryptedValue)) {
+            return this.decrypt(encryptedValue, associatedData, field);
+        }
+        return this.open(this.getRecordKey(poiId), encryptedValue.slice(RECORD_PREFIX.length), associatedData);
+    }
+
+    /**
+     * Derive the key that encrypts every field of one POI
+     * @param {string} poiId - POI ID
+     * @returns {Buffer} 256-bit record key
+     */
+    getRecordKey(poiId) {
+        return Buffer.from(crypto.hkdfSync(
+            'sha256',
+            this.keys.getKey(KeyPurpose.METADATA),
+            Buffer.alloc(0),
+            `record:${poiId}`,
+            RECORD_KEY_LENGTH
+        ));
+    }
+
+    /**
+     * Export the record key of a POI for a client that may read it
+     * @param {string} poiId - POI ID
+     * @returns {string} Base64 record key
+     */
+    exportRecordKey(poiId) {
+        return this.getRecordKey(poiId).toString('base64');
+    }
+
+    /**
+     * Encrypt the exact location of a POI
+     * The predicate ciphertext only answers range queries; this copy lets
+     * holders of the metadata key show true coordinates and distances.
+     * @param {string} poiId - POI ID
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {string} Encrypted "latitude,longitude" (empty if either is missing)
+     */
+    encryptCoordinates(poiId, latitude, longitude) {
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return '';
+        return this.encryptField(poiId, 'coordinates', `${latitude},${longitude}`);
+    }
+
+    /**
+     * Decrypt the exact location of a POI
+     * @param {string} poiId - POI ID
+     * @param {string} encryptedValue - Value from encryptCoordinates
+     * @returns {Object|null} { latitude, longitude }, or null for POIs stored without one
+     */
+    decryptCoordinates(poiId, encryptedValue) {
+        const value = this.decryptField(poiId, 'coordinates', encryptedValue);
+        if (!value) return null;
+
+        const [latitude, longitude] = value.split(',').map(Number);
+        return { latitude, longitude };
+    }
+
+    /**
+     * Encrypt the price level, rating and opening hours of a POI
+     * @param {string} poiId - POI ID
+     * @param {Object} poiData - POI data ({ priceLevel, rating, openingHours })
+     * @returns {string} Encrypted JSON
+     */
+    encryptDetails(poiId, { priceLevel = null, rating = null, openingHours = [] }) {
+        return this.encryptField(poiId, 'details', JSON.stringify({ priceLevel, rating, openingHours }));
+    }
+
+    /**
+     * Decrypt the price level, rating and opening hours of a POI
+     * @param {string} poiId - POI ID
+     * @param {string} encryptedValue - Value from encryptDetails
+     * @returns {Object} { priceLevel, rating, openingHours }, empty for POIs stored without them
+     */
+    decryptDetails(poiId, encryptedValue) {
+        const value = this.decryptField(poiId, 'details', encryptedValue);
+        const { priceLevel = null, rating = null, openingHours = [] } = value ? JSON.parse(value) : {};
+        return { priceLevel, rating, openingHours };
+    }
+
+    /**
+     * Build the associated data that binds a field ciphertext to its POI
+     * @param {string} poiId - POI ID
+     * @param {string} field - Plaintext field name
+     * @returns {string} Associated data
+     */
+    getAssociatedData(poiId, field) {
+        return `poi:${poiId}:${field}`;
+    }
+
+    /**
+     * Encrypt a string value with AES-256-GCM
+     * @param {string} value - Value to encrypt
+     * @param {string} associatedData - Authenticated but unencrypted context
+     * @param {string} field - Field whose subkey to use (none for the base metadata key)
+     * @returns {string} Encrypted value
+     */
+    encrypt(value, associatedData = '', field = '') {
+        if (!value) return '';
 
-            // Combine IV and encrypted data
-            const combined = iv.toString() + ':' + encrypted.toString();
-            return CryptoJS.enc.Base64.stringify(CryptoJS.enc.Utf8.parse(combined));
+        try {
+            return GCM_PREFIX + this.seal(this.keys.getKey(KeyPurpose.METADATA, field), value, associatedData);
         } catch (error) {
             EPLQLogger.error('Encryption failed', { error: error.message });
             throw new Error('Encryption failed');
@@ -103,12 +263,108 @@ class DataEncryption {
 
     /**
      * Decrypt a string value
+     * Authenticated values must be decrypted with the associated data used
+     * when encrypting them; legacy CBC values ignore it, and are rejected
+     * unless `allowLegacy` is set.
      * @param {string} encryptedValue - Encrypted value
+     * @param {string} associatedData - Authenticated context
+     * @param {string} field - Field whose subkey to use (none for the base metadata key)
      * @returns {string} Decrypted value
      */
-    decrypt(encryptedValue) {
+    decrypt(encryptedValue, associatedData = '', field = '') {
         if (!encryptedValue) return '';
 
+        if (this.isLegacy(encryptedValue)) {
+            return this.decryptLegacy(encryptedValue);
+        }
+
+        return this.open(
+            this.keys.getKey(KeyPurpose.METADATA, field),
+            encryptedValue.slice(GCM_PREFIX.length),
+            associatedData
+        );
+    }
+
+    /**
+     * Encrypt a value with AES-256-GCM under the given key
+     * @param {Buffer} key - 256-bit key
+     * @param {string} value - Value to encrypt
+     * @param {string} associatedData - Authenticated but unencrypted context
+     * @returns {string} Base64 of IV, tag and ciphertext
+     */
+    seal(key, value, associatedData) {
+        const iv = crypto.randomBytes(GCM_IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(Buffer.from(associatedData, 'utf8'));
+
+        const ciphertext = Buffer.concat([cipher.update(value.toString(), 'utf8'), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+    }
+
+    /**
+     * Decrypt a value sealed with `seal`
+     * @param {Buffer} key - 256-bit key
+     * @param {string} encoded - Base64 of IV, tag and ciphertext
+     * @param {string} associatedData - Authenticated context
+     * @returns {string} Decrypted value
+     */
+    open(key, encoded, associatedData) {
+        const combined = Buffer.from(encoded, 'base64');
+        if (combined.length < GCM_IV_LENGTH + GCM_TAG_LENGTH) {
+            throw new Error('Invalid encrypted format');
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, combined.subarray(0, GCM_IV_LENGTH));
+            decipher.setAAD(Buffer.from(associatedData, 'utf8'));
+            decipher.setAuthTag(combined.subarray(GCM_IV_LENGTH, GCM_IV_LENGTH + GCM_TAG_LENGTH));
+
+            const plaintext = Buffer.concat([
+                decipher.update(combined.subarray(GCM_IV_LENGTH + GCM_TAG_LENGTH)),
+                decipher.final()
+            ]);
+            return plaintext.toString('utf8');
+        } catch (error) {
+            EPLQLogger.error('Ciphertext failed authentication', { associatedData });
+            throw new Error('Ciphertext failed authentication');
+        }
+    }
+
+    /**
+     * Check whether a value uses the legacy unauthenticated CBC format
+     * @param {string} encryptedValue - Encrypted value
+     * @returns {boolean} True if legacy
+     */
+    isLegacy(encryptedValue) {
+        return Boolean(encryptedValue)
+            && !encryptedValue.startsWith(GCM_PREFIX)
+            && !this.isRecordValue(encryptedValue);
+    }
+
+    /**
+     * Check whether a value is encrypted under its POI's record key
+     * @param {string} encryptedValue - Encrypted value
+     * @returns {boolean} True if written by encryptField
+     */
+    isRecordValue(encryptedValue) {
+        return Boolean(encryptedValue) && encryptedValue.startsWith(RECORD_PREFIX);
+    }
+
+    /**
+     * Decrypt a legacy CryptoJS AES-CBC value
+     * @param {string} encryptedValue - Encrypted value
+     * @returns {string} Decrypted value
+     */
+    decryptLegacy(encryptedValue) {
+        if (!this.allowLegacy) {
+            throw new Error('Legacy ciphertext is no longer accepted');
+        }
+
+        const secretKey = this.keys.legacySecret;
+        if (!secretKey) {
+            throw new Error('Legacy ciphertext requires the key it was written with');
+        }
+
         try {
             const combined = CryptoJS.enc.Utf8.stringify(
                 CryptoJS.enc.Base64.parse(encryptedValue)
@@ -122,7 +378,7 @@ class DataEncryption {
             const iv = CryptoJS.enc.Hex.parse(parts[0]);
             const encrypted = parts[1];
 
-            const decrypted = CryptoJS.AES.decrypt(encrypted, this.secretKey, {
+            const decrypted = CryptoJS.AES.decrypt(encrypted, secretKey, {
                 iv: iv,
                 mode: CryptoJS.mode.CBC,
                 padding: CryptoJS.pad.Pkcs7
@@ -135,13 +391,74 @@ class DataEncryption {
         }
     }
 
+    /**
+     * Check whether any field of an encrypted POI still uses the legacy format
+     * @param {Object} encryptedPOI - Encrypted POI data
+     * @returns {boolean} True if the POI needs migration
+     */
+    hasLegacyFields(encryptedPOI) {
+        return Object.keys(ENCRYPTED_FIELDS).some(field => this.isLegacy(encryptedPOI[field]));
+    }
+
+    /**
+     * Check whether any field of an encrypted POI is not yet under its record
+     * key, or its category is still stored in plaintext
+     * @param {Object} encryptedPOI - Encrypted POI data
+     * @returns {boolean} True if the POI still needs migrating
+     */
+    needsMigration(encryptedPOI) {
+        return encryptedPOI.category !== undefined || Object.keys(ENCRYPTED_FIELDS).some(field =>
+            Boolean(encryptedPOI[field]) && !this.isRecordValue(encryptedPOI[field])
+        );
+    }
+
+    /**
+     * Rewrite the legacy and per-field-subkey values of an encrypted POI
+     * under its record key
+     * A plaintext category is encrypted if the POI has no encrypted one;
+     * callers remove the plaintext field itself.
+     * @param {Object} encryptedPOI - Encrypted POI data
+     * @returns {Object} Updated encrypted fields (empty if nothing to migrate)
+     */
+    migratePOI(encryptedPOI) {
+        const updates = {};
+        if (!encryptedPOI.encryptedCategory && encryptedPOI.category) {
+            updates.encryptedCategory = this.encryptField(encryptedPOI.id, 'category', encryptedPOI.category);
+        }
+        for (const [field, plainField] of Object.entries(ENCRYPTED_FIELDS)) {
+            const value = encryptedPOI[field];
+            if (value && !this.isRecordValue(value)) {
+                updates[field] = this.encryptField(
+                    encryptedPOI.id,
+                    plainField,
+                    this.decryptField(encryptedPOI.id, plainField, value)
+                );
+            }
+        }
+        return updates;
+    }
+
     /**
      * Hash a value (one-way encryption for sensitive data)
+     * Keyed with the blind-index subkey, so equal values hash equally
+     * without the hash revealing anything to someone lacking the key
      * @param {string} value - Value to hash
      * @returns {string} Hashed value
      */
     hash(value) {
-        return CryptoJS.SHA256(value + this.secretKey).toString();
+        return crypto.createHmac('sha256', this.keys.getKey(KeyPurpose.BLIND_INDEX))
+            .update(String(value))
+            .digest('hex');
+    }
+
+    /**
+     * Hash a keyword index token (see keywordIndex.js)
+     * Prefixed so keyword hashes never collide with other blind indexes.
+     * @param {string} token - Index token
+     * @returns {string} Hashed token
+     */
+    hashKeyword(token) {
+        return this.hash(`keyword:${token}`);
     }
 
     /**
@@ -155,6 +472,6 @@ class DataEncryption {
     }
 }
 
-export { DataEncryption };
+export { DataEncryption, ENCRYPTED_FIELDS };
 export default DataEncryption;
 
@@ -5,17 +5,51 @@
 
 import { PredicateEncryption } from './predicateEncryption.js';
 import { RangeQueryEncryption } from './rangeQuery.js';
+import { LegacyRangeQueryEncryption } from './legacyRangeQuery.js';
 import { DataEncryption } from './dataEncryption.js';
+import { InnerProductEncryption } from './innerProductEncryption.js';
+import { KeyProvider, LegacyKeyProvider, KeyPurpose } from './keyProvider.js';
+import { TokenAuthenticator, QueryTokenError, TokenErrorCode } from './tokenAuthenticator.js';
+import { QueryBlinding } from './queryBlinding.js';
+import { SchemeRegistry, UNVERSIONED_SCHEME } from './schemeRegistry.js';
+
+/**
+ * Shared registry of location encryption schemes, keyed by the version
+ * stamped on each encrypted location
+ */
+const schemeRegistry = new SchemeRegistry();
+
+// 1.0: original matrix-multiply placeholder, kept for stored POIs
+schemeRegistry.register('1.0', keyProvider => new LegacyRangeQueryEncryption(keyProvider));
+
+// 2.0: ASPE inner-product predicate encryption
+schemeRegistry.register('2.0', keyProvider => new RangeQueryEncryption(keyProvider), { current: true });
 
 export {
+    InnerProductEncryption,
     PredicateEncryption,
     RangeQueryEncryption,
-    DataEncryption
+    LegacyRangeQueryEncryption,
+    DataEncryption,
+    KeyProvider,
+    LegacyKeyProvider,
+    KeyPurpose,
+    TokenAuthenticator,
+    QueryTokenError,
+    TokenErrorCode,
+    QueryBlinding,
+    SchemeRegistry,
+    UNVERSIONED_SCHEME,
+    schemeRegistry
 };
 
 export default {
+    InnerProductEncryption,
     PredicateEncryption,
     RangeQueryEncryption,
-    DataEncryption
+    LegacyRangeQueryEncryption,
+    DataEncryption,
+    KeyProvider,
+    TokenAuthenticator,
+    schemeRegistry
 };
-
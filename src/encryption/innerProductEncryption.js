@@ -0,0 +1,303 @@
+/**
+ * Inner Product Encryption Module
+ * Implements an ASPE (asymmetric scalar-product-preserving encryption) scheme
+ * with split vectors, as used for secure kNN and inner product range queries.
+ *
+ * A data vector p and a query vector q are encrypted separately. The server
+ * can compute p . q from the two ciphertexts, but learns neither p nor q.
+ */
+
+import CryptoJS from 'crypto-js';
+
+/**
+ * Largest inverse matrix entry accepted when deriving keys; bounding it keeps
+ * the rounding error of decrypted inner products around 1e-13
+ */
+const MAX_INVERSE_ENTRY = 50;
+
+/**
+ * Generate a uniform random value in [-1, 1)
+ * @returns {number} Random value
+ */
+function randomUnit() {
+    const buffer = CryptoJS.lib.WordArray.random(4);
+    return (buffer.words[0] >>> 0) / 0x100000000 * 2 - 1;
+}
+
+/**
+ * Create a deterministic stream of values in [-1, 1) keyed by a secret
+ * @param {string} key - Secret key
+ * @param {string} label - Domain separation label
+ * @returns {Function} Generator returning the next value on each call
+ */
+function createKeyedStream(key, label) {
+    let counter = 0;
+    let words = [];
+    return () => {
+        if (words.length === 0) {
+            words = CryptoJS.HmacSHA256(`${label}-${counter++}`, key).words.slice();
+        }
+        return (words.shift() >>> 0) / 0x100000000 * 2 - 1;
+    };
+}
+
+/**
+ * Invert a square matrix using Gauss-Jordan elimination with partial pivoting
+ * @param {Array<Array<number>>} matrix - Input matrix
+ * @returns {Array<Array<number>>|null} Inverse matrix, or null if singular
+ */
+function invertMatrix(matrix) {
+    const n = matrix.length;
+    const augmented = matrix.map((row, i) => {
+        const newRow = [...row];
+        for (let j = 0; j < n; j++) {
+            newRow.push(i === j ? 1 : 0);
+        }
+        return newRow;
+    });
+
+    for (let i = 0; i < n; i++) {
+        let maxRow = i;
+        for (let k = i + 1; k < n; k++) {
+            if (Math.abs(augmented[k][i]) > Math.abs(augmented[maxRow][i])) {
+                maxRow = k;
+            }
+        }
+        [augmented[i], augmented[maxRow]] = [augmented[maxRow], augmented[i]];
+
+        const pivot = augmented[i][i];
+        if (Math.abs(pivot) < 1e-6) return null;
+
+        for (let j = 0; j < 2 * n; j++) {
+            augmented[i][j] /= pivot;
+        }
+
+        for (let k = 0; k < n; k++) {
+            if (k !== i) {
+                const factor = augmented[k][i];
+                for (let j = 0; j < 2 * n; j++) {
+                    augmented[k][j] -= factor * augmented[i][j];
+                }
+            }
+        }
+    }
+
+    return augmented.map(row => row.slice(n));
+}
+
+/**
+ * Derive a random invertible matrix from a key, retrying until one is well conditioned
+ * @param {string} key - Secret key
+ * @param {string} label - Matrix label
+ * @param {number} size - Number of rows and columns
+ * @returns {Array<Array<Array<number>>>} Matrix and its inverse
+ */
+function deriveInvertibleMatrix(key, label, size) {
+    for (let attempt = 0; ; attempt++) {
+        const stream = createKeyedStream(key, `${label}-${attempt}`);
+        const matrix = Array.from({ length: size }, () => Array.from({ length: size }, () => stream()));
+        const inverse = invertMatrix(matrix);
+        const largestEntry = inverse ? Math.max(...inverse.flat().map(Math.abs)) : Infinity;
+        if (largestEntry <= MAX_INVERSE_ENTRY) {
+            return [matrix, inverse];
+        }
+    }
+}
+
+/**
+ * Multiply a matrix by a vector
+ * @param {Array<Array<number>>} matrix - Matrix
+ * @param {Array<number>} vector - Vector
+ * @returns {Array<number>} Result vector
+ */
+function matrixVectorMultiply(matrix, vector) {
+    return matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+}
+
+/**
+ * Transpose a square matrix
+ * @param {Array<Array<number>>} matrix - Matrix
+ * @returns {Array<Array<number>>} Transposed matrix
+ */
+function transpose(matrix) {
+    return matrix.map((row, i) => row.map((_, j) => matrix[j][i]));
+}
+
+/**
+ * Encode a point for range evaluation: (x1..xn, sum(xi^2), 1)
+ * @param {Array<number>} coords - Point coordinates
+ * @returns {Array<number>} Point vector
+ */
+function encodePoint(coords) {
+    const squaredNorm = coords.reduce((sum, c) => sum + c * c, 0);
+    return [...coords, squaredNorm, 1];
+}
+
+/**
+ * Encode a range query: (-2q1..-2qn, 1, sum(qi^2) - r^2)
+ * The inner product with an encoded point equals |p - q|^2 - r^2, so it is
+ * non-positive exactly when the point lies within distance r of the centre.
+ * @param {Array<number>} center - Query centre coordinates
+ * @param {number} radius - Query radius in the same units as the coordinates
+ * @returns {Array<number>} Query vector
+ */
+function encodeRangeQuery(center, radius) {
+    const squaredNorm = center.reduce((sum, c) => sum + c * c, 0);
+    return [...center.map(c => -2 * c), 1, squaredNorm - radius * radius];
+}
+
+/**
+ * Encode a ball (index node region): (c1..cn, sum(ci^2) - R^2, R, 1)
+ * @param {Array<number>} center - Ball centre coordinates
+ * @param {number} radius - Ball radius
+ * @returns {Array<number>} Ball vector
+ */
+function encodeBall(center, radius) {
+    const squaredNorm = center.reduce((sum, c) => sum + c * c, 0);
+    return [...center, squaredNorm - radius * radius, radius, 1];
+}
+
+/**
+ * Encode a ball intersection query: (-2q1..-2qn, 1, -2r, sum(qi^2) - r^2)
+ * The inner product with an encoded ball equals |c - q|^2 - (R + r)^2, so it
+ * is non-positive exactly when the ball and the query range intersect.
+ * @param {Array<number>} center - Query centre coordinates
+ * @param {number} radius - Query radius in the same units as the coordinates
+ * @returns {Array<number>} Query vector
+ */
+function encodeBallQuery(center, radius) {
+    const squaredNorm = center.reduce((sum, c) => sum + c * c, 0);
+    return [...center.map(c => -2 * c), 1, -2 * radius, squaredNorm - radius * radius];
+}
+
+/**
+ * InnerProductEncryption class
+ * Holds the secret split indicator and invertible matrices for one key
+ */
+class InnerProductEncryption {
+    /**
+     * @param {string} key - Secret key the matrices are derived from
+     * @param {number} dimension - Plaintext vector dimension
+     */
+    constructor(key, dimension) {
+        this.dimension = dimension;
+        // One artificial dimension carries random padding on the data side
+        this.extendedDimension = dimension + 1;
+        this.setupKeys(key);
+    }
+
+    /**
+     * Derive the split indicator and the two invertible matrices from the key
+     * @param {string} key - Secret key
+     */
+    setupKeys(key) {
+        const n = this.extendedDimension;
+        const splitStream = createKeyedStream(key, 'aspe-split');
+        this.splitIndicator = Array.from({ length: n }, () => splitStream() >= 0);
+
+        const [m1, m1Inverse] = deriveInvertibleMatrix(key, 'aspe-m1', n);
+        const [m2, m2Inverse] = deriveInvertibleMatrix(key, 'aspe-m2', n);
+
+        this.dataMatrices = [transpose(m1), transpose(m2)];
+        this.dataInverseMatrices = [transpose(m1Inverse), transpose(m2Inverse)];
+        this.queryMatrices = [m1Inverse, m2Inverse];
+    }
+
+    /**
+     * Encrypt a data vector
+     * Components whose split bit is unset are randomly split into two shares.
+     * @param {Array<number>} vector - Data vector of length `dimension`
+     * @returns {Array<number>} Flat ciphertext of length 2 * (dimension + 1)
+     */
+    encryptDataVector(vector) {
+        const extended = [...vector, randomUnit()];
+        const shareA = [];
+        const shareB = [];
+
+        extended.forEach((value, i) => {
+            if (this.splitIndicator[i]) {
+                shareA.push(value);
+                shareB.push(value);
+            } else {
+                const share = randomUnit();
+                shareA.push(share);
+                shareB.push(value - share);
+            }
+        });
+
+        return [
+            ...matrixVectorMultiply(this.dataMatrices[0], shareA),
+            ...matrixVectorMultiply(this.dataMatrices[1], shareB)
+        ];
+    }
+
+    /**
+     * Decrypt a data vector (requires the secret key)
+     * @param {Array<number>} ciphertext - Flat ciphertext from encryptDataVector
+     * @returns {Array<number>} Data vector of length `dimension`
+     */
+    decryptDataVector(ciphertext) {
+        const n = this.extendedDimension;
+        const shareA = matrixVectorMultiply(this.dataInverseMatrices[0], ciphertext.slice(0, n));
+        const shareB = matrixVectorMultiply(this.dataInverseMatrices[1], ciphertext.slice(n, 2 * n));
+
+        return shareA
+            .map((value, i) => (this.splitIndicator[i] ? value : value + shareB[i]))
+            .slice(0, this.dimension);
+    }
+
+    /**
+     * Encrypt a query vector
+     * Components whose split bit is set are randomly split into two shares.
+     * @param {Array<number>} vector - Query vector of length `dimension`
+     * @returns {Array<number>} Flat ciphertext of length 2 * (dimension + 1)
+     */
+    encryptQueryVector(vector) {
+        const extended = [...vector, 0];
+        const shareA = [];
+        const shareB = [];
+
+        extended.forEach((value, i) => {
+            if (this.splitIndicator[i]) {
+                const share = randomUnit();
+                shareA.push(share);
+                shareB.push(value - share);
+            } else {
+                shareA.push(value);
+                shareB.push(value);
+            }
+        });
+
+        return [
+            ...matrixVectorMultiply(this.queryMatrices[0], shareA),
+            ...matrixVectorMultiply(this.queryMatrices[1], shareB)
+        ];
+    }
+
+    /**
+     * Compute the plaintext inner product from two ciphertexts
+     * @param {Array<number>} dataCiphertext - Encrypted data vector
+     * @param {Array<number>} queryCiphertext - Encrypted query vector
+     * @returns {number} Inner product of the underlying plaintext vectors
+     */
+    innerProduct(dataCiphertext, queryCiphertext) {
+        let sum = 0;
+        for (let i = 0; i < dataCiphertext.length; i++) {
+            sum += dataCiphertext[i] * queryCiphertext[i];
+        }
+        return sum;
+    }
+}
+
+export {
+    InnerProductEncryption,
+    encodePoint,
+    encodeRangeQuery,
+    encodeBall,
+    encodeBallQuery,
+    invertMatrix,
+    deriveInvertibleMatrix,
+    matrixVectorMultiply,
+    randomUnit
+};
+export default InnerProductEncryption;
@@ -0,0 +1,243 @@
+/**
+ * Key Provider Module
+ * Derives a separate subkey for every purpose from one master key with
+ * HKDF-SHA256, so no two operations ever share key material.
+ *
+ * Context labels (HKDF info strings):
+ *   eplq/v1/metadata-encryption      AES-256-GCM keys for POI metadata, one
+ *                                    per field (label + ':' + field name)
+ *   eplq/v1/location-encryption      ASPE matrices for encrypted locations;
+ *                                    query vectors use their inverses, so
+ *                                    both sides must share this key
+ *   eplq/v1/query-token              Authentication of issued query tokens
+ *   eplq/v1/blind-index              Keyed hashes used as blind indexes
+ *   eplq/v1/log-pseudonymisation     Pseudonyms replacing user IDs in logs
+ *   eplq/v1/tenant:<tenant ID>       Master keys of tenants, which derive
+ *                                    their own subkeys in turn
+ *
+ * Any purpose can be given its own root key, which rotates that purpose
+ * without changing the subkeys of the others.
+ */
+
+import crypto from 'crypto';
+import CryptoJS from 'crypto-js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Key purposes
+ */
+const KeyPurpose = {
+    METADATA: 'metadata',
+    LOCATION: 'location',
+    QUERY_TOKEN: 'query-token',
+    BLIND_INDEX: 'blind-index',
+    LOG_PSEUDONYM: 'log-pseudonym'
+};
+
+/**
+ * HKDF context label for each purpose
+ */
+const CONTEXT_LABELS = {
+    [KeyPurpose.METADATA]: 'eplq/v1/metadata-encryption',
+    [KeyPurpose.LOCATION]: 'eplq/v1/location-encryption',
+    [KeyPurpose.QUERY_TOKEN]: 'eplq/v1/query-token',
+    [KeyPurpose.BLIND_INDEX]: 'eplq/v1/blind-index',
+    [KeyPurpose.LOG_PSEUDONYM]: 'eplq/v1/log-pseudonymisation'
+};
+
+/**
+ * Environment variables that give a purpose its own root key
+ */
+const PURPOSE_KEY_ENV = {
+    [KeyPurpose.METADATA]: 'ENCRYPTION_METADATA_KEY',
+    [KeyPurpose.LOCATION]: 'ENCRYPTION_LOCATION_KEY',
+    [KeyPurpose.QUERY_TOKEN]: 'ENCRYPTION_QUERY_TOKEN_KEY',
+    [KeyPurpose.BLIND_INDEX]: 'ENCRYPTION_BLIND_INDEX_KEY',
+    [KeyPurpose.LOG_PSEUDONYM]: 'ENCRYPTION_LOG_PSEUDONYM_KEY'
+};
+
+const HKDF_SALT = 'eplq-key-hierarchy';
+const SUBKEY_LENGTH = 32;
+
+/**
+ * Compute a short public identifier for key material
+ * @param {string} label - Domain separation label
+ * @param {string|Buffer} material - Key material
+ * @returns {string} 16 hex character ID
+ */
+function fingerprint(label, material) {
+    return crypto.createHash('sha256').update(label).update(material).digest('hex').substring(0, 16);
+}
+
+/**
+ * KeyProvider class
+ * Hands out purpose-specific subkeys derived from a master key
+ */
+class KeyProvider {
+    /**
+     * @param {string} masterKey - Master key (defaults to ENCRYPTION_MASTER_KEY)
+     * @param {Object} purposeKeys - Root keys replacing the master key for single purposes
+     */
+    constructor(masterKey = null, purposeKeys = {}) {
+        this.masterKey = masterKey || process.env.ENCRYPTION_MASTER_KEY ||
+            CryptoJS.lib.WordArray.random(32).toString();
+        this.purposeKeys = { ...purposeKeys };
+        this.subkeys = new Map();
+
+        Object.keys(this.purposeKeys).forEach(purpose => this.getContextLabel(purpose));
+    }
+
+    /**
+     * Wrap a master key in a key provider, or return an existing provider
+     * @param {string|KeyProvider} masterKey - Master key or key provider
+     * @returns {KeyProvider} Key provider
+     */
+    static from(masterKey = null) {
+        return masterKey instanceof KeyProvider ? masterKey : new KeyProvider(masterKey);
+    }
+
+    /**
+     * Derive a tenant's master key from a deployment master key
+     * @param {string} masterKey - Deployment master key
+     * @param {string} tenantId - Tenant ID
+     * @returns {string} Tenant master key (hex)
+     */
+    static deriveTenantKey(masterKey, tenantId) {
+        return Buffer.from(
+            crypto.hkdfSync('sha256', masterKey, HKDF_SALT, `eplq/v1/tenant:${tenantId}`, SUBKEY_LENGTH)
+        ).toString('hex');
+    }
+
+    /**
+     * Read per-purpose root keys from the environment
+     * @returns {Object} Root keys by purpose
+     */
+    static purposeKeysFromEnv() {
+        const purposeKeys = {};
+        for (const [purpose, name] of Object.entries(PURPOSE_KEY_ENV)) {
+            if (process.env[name]) {
+                purposeKeys[purpose] = process.env[name];
+            }
+        }
+        return purposeKeys;
+    }
+
+    /**
+     * Get the HKDF context label of a purpose
+     * @param {string} purpose - Key purpose
+     * @returns {string} Context label
+     */
+    getContextLabel(purpose) {
+        const label = CONTEXT_LABELS[purpose];
+        if (!label) {
+            throw new Error(`Unknown key purpose: ${purpose}`);
+        }
+        return label;
+    }
+
+    /**
+     * Derive the subkey for a purpose
+     * @param {string} purpose - Key purpose
+     * @param {string} context - Sub-context within the purpose (e.g. a field name)
+     * @returns {Buffer} 32-byte subkey
+     */
+    getKey(purpose, context = '') {
+        const label = this.getContextLabel(purpose);
+        const info = context ? `${label}:${context}` : label;
+
+        if (!this.subkeys.has(info)) {
+            const rootKey = this.purposeKeys[purpose] || this.masterKey;
+            this.subkeys.set(info, Buffer.from(
+                crypto.hkdfSync('sha256', rootKey, HKDF_SALT, info, SUBKEY_LENGTH)
+            ));
+        }
+        return this.subkeys.get(info);
+    }
+
+    /**
+     * Get the public identifier of a purpose's key
+     * @param {string} purpose - Key purpose
+     * @returns {string} Key ID
+     */
+    getKeyId(purpose) {
+        return fingerprint('eplq-subkey-id:', this.getKey(purpose));
+    }
+
+    /**
+     * Get the identifier of the whole key set, which changes when any purpose is rotated
+     * @returns {string} Key ID
+     */
+    get keyId() {
+        const purposeIds = Object.values(KeyPurpose).map(purpose => this.getKeyId(purpose));
+        return fingerprint('eplq-key-id:hkdf:', purposeIds.join(':'));
+    }
+
+    /**
+     * Secret used by ciphertexts written before the key hierarchy (none for derived keys)
+     * @returns {string|null} Legacy secret
+     */
+    get legacySecret() {
+        return null;
+    }
+
+    /**
+     * Create a provider with one purpose moved to a new root key
+     * @param {string} purpose - Key purpose
+     * @param {string} rootKey - New root key for the purpose
+     * @returns {KeyProvider} Key provider
+     */
+    withPurposeKey(purpose, rootKey) {
+        this.getContextLabel(purpose);
+        return new KeyProvider(this.masterKey, { ...this.purposeKeys, [purpose]: rootKey });
+    }
+}
+
+/**
+ * LegacyKeyProvider class
+ * Reproduces the keys used before the hierarchy, where the SHA-256 of the
+ * master key fed both metadata and location encryption, so records written
+ * then stay readable until they are re-encrypted
+ */
+class LegacyKeyProvider extends KeyProvider {
+    /**
+     * @param {string} masterKey - Master key
+     */
+    constructor(masterKey) {
+        super(masterKey);
+        this.sharedKey = crypto.createHash('sha256').update(this.masterKey).digest();
+    }
+
+    /**
+     * Get the key for a purpose
+     * @param {string} purpose - Key purpose
+     * @param {string} context - Sub-context within the purpose
+     * @returns {Buffer} 32-byte key
+     */
+    getKey(purpose, context = '') {
+        if (purpose === KeyPurpose.METADATA || purpose === KeyPurpose.LOCATION) {
+            return this.sharedKey;
+        }
+        return super.getKey(purpose, context);
+    }
+
+    /**
+     * Get the key ID records were stamped with before the hierarchy
+     * @returns {string} Key ID
+     */
+    get keyId() {
+        return fingerprint('eplq-key-id:', this.masterKey);
+    }
+
+    /**
+     * Secret used by ciphertexts written before the key hierarchy
+     * @returns {string} Master key
+     */
+    get legacySecret() {
+        return this.masterKey;
+    }
+}
+
+export { KeyProvider, LegacyKeyProvider, KeyPurpose, CONTEXT_LABELS };
+export default KeyProvider;
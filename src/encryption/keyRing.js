@@ -0,0 +1,170 @@
+/**
+ * Key Ring Module
+ * Holds the key providers in use side by side during key rotation
+ *
+ * Every stored POI records the ID of the key that encrypted it, so data
+ * written under the old and the new key can be read at the same time.
+ */
+
+import { KeyProvider, LegacyKeyProvider } from './keyProvider.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * KeyRing class
+ * Maps key IDs to key providers and tracks which key encrypts new data
+ */
+class KeyRing {
+    /**
+     * @param {string|KeyProvider} masterKey - Active master key or key provider
+     *                                           (defaults to ENCRYPTION_MASTER_KEY)
+     * @param {string|KeyProvider} nextMasterKey - Key to rotate to (defaults to
+     *                                             ENCRYPTION_NEXT_MASTER_KEY when no
+     *                                             explicit master key is given)
+     */
+    constructor(masterKey = null, nextMasterKey = null) {
+        this.providers = new Map();
+        this.activateListeners = [];
+
+        const activeProvider = KeyProvider.from(masterKey || new KeyProvider(null, KeyProvider.purposeKeysFromEnv()));
+        this.activeKeyId = this.addProvider(activeProvider);
+
+        // Records without a keyId, or stamped before the key hierarchy,
+        // were encrypted with keys taken directly from the master key
+        this.defaultKeyId = this.addProvider(new LegacyKeyProvider(activeProvider.masterKey));
+
+        const pendingKey = nextMasterKey || (!masterKey && process.env.ENCRYPTION_NEXT_MASTER_KEY
+            ? new KeyProvider(process.env.ENCRYPTION_NEXT_MASTER_KEY, KeyProvider.purposeKeysFromEnv())
+            : null);
+        this.pendingKeyId = pendingKey ? this.addKey(pendingKey) : null;
+
+        // Legacy CBC metadata stays readable until it has been migrated
+        // (see POIManager.migrateMetadataEncryption)
+        this.allowLegacyMetadata = true;
+    }
+
+    /**
+     * Wrap a master key in a key ring, or return an existing key ring
+     * @param {string|KeyRing} masterKey - Master key or key ring
+     * @returns {KeyRing} Key ring
+     */
+    static from(masterKey = null) {
+        return masterKey instanceof KeyRing ? masterKey : new KeyRing(masterKey);
+    }
+
+    /**
+     * Create the key ring of a tenant
+     * Tenant keys are derived from the deployment's master keys, so no
+     * tenant holds another's keys and rotating the deployment key gives
+     * every tenant a pending key to rotate to.
+     * @param {string} tenantId - Tenant ID
+     * @param {string} masterKey - Deployment master key (defaults to ENCRYPTION_MASTER_KEY)
+     * @param {string} nextMasterKey - Deployment key to rotate to (defaults to
+     *                                 ENCRYPTION_NEXT_MASTER_KEY)
+     * @returns {KeyRing} Key ring
+     */
+    static forTenant(tenantId, masterKey = null, nextMasterKey = process.env.ENCRYPTION_NEXT_MASTER_KEY) {
+        const rootKey = new KeyProvider(masterKey).masterKey;
+        return new KeyRing(
+            KeyProvider.deriveTenantKey(rootKey, tenantId),
+            nextMasterKey ? KeyProvider.deriveTenantKey(nextMasterKey, tenantId) : null
+        );
+    }
+
+    /**
+     * Compute the key ID records were stamped with before the key hierarchy
+     * @param {string} masterKey - Master key
+     * @returns {string} Key ID
+     */
+    static fingerprint(masterKey) {
+        return new LegacyKeyProvider(masterKey).keyId;
+    }
+
+    /**
+     * Add a master key, deriving its subkeys through the key hierarchy
+     * @param {string|KeyProvider} masterKey - Master key or key provider
+     * @returns {string} Key ID
+     */
+    addKey(masterKey) {
+        return this.addProvider(KeyProvider.from(masterKey));
+    }
+
+    /**
+     * Add a key provider
+     * @param {KeyProvider} provider - Key provider
+     * @returns {string} Key ID
+     */
+    addProvider(provider) {
+        const keyId = provider.keyId;
+        this.providers.set(keyId, provider);
+        return keyId;
+    }
+
+    /**
+     * Check whether a key is available
+     * @param {string} keyId - Key ID
+     * @returns {boolean} True if the key is held
+     */
+    hasKey(keyId) {
+        return this.providers.has(keyId);
+    }
+
+    /**
+     * Get the IDs of all held keys, active key first
+     * @returns {Array<string>} Key IDs
+     */
+    getKeyIds() {
+        return [this.activeKeyId, ...Array.from(this.providers.keys()).filter(keyId => keyId !== this.activeKeyId)];
+    }
+
+    /**
+     * Get a key provider
+     * @param {string} keyId - Key ID (defaults to the active key)
+     * @returns {KeyProvider} Key provider
+     */
+    getKeyProvider(keyId = this.activeKeyId) {
+        const provider = this.providers.get(keyId);
+        if (!provider) {
+            throw new Error(`Unknown encryption key: ${keyId}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Resolve the key ID a stored record was encrypted with
+     * @param {Object} record - Stored record
+     * @returns {string} Key ID
+     */
+    resolveKeyId(record) {
+        return record?.keyId || this.defaultKeyId;
+    }
+
+    /**
+     * Make a key the active key for new encryptions and query tokens
+     * @param {string} keyId - Key ID
+     */
+    activate(keyId) {
+        if (!this.hasKey(keyId)) {
+            throw new Error(`Unknown encryption key: ${keyId}`);
+        }
+        if (keyId === this.activeKeyId) return;
+
+        this.activeKeyId = keyId;
+        if (this.pendingKeyId === keyId) {
+            this.pendingKeyId = null;
+        }
+        this.activateListeners.forEach(listener => listener(keyId));
+    }
+
+    /**
+     * Register a listener for key activation
+     * @param {Function} listener - Called with the new active key ID
+     */
+    onActivate(listener) {
+        this.activateListeners.push(listener);
+    }
+}
+
+export { KeyRing };
+export default KeyRing;
@@ -0,0 +1,129 @@
+/**
+ * Keyword Index Module
+ * Turns POI names and descriptions into the tokens of a blind keyword index
+ *
+ * Text is normalized (case and accents folded), split into words, stripped
+ * of stop words and stemmed. Each word gives a `word:` token for its stem
+ * and `prefix:` tokens for its leading characters (edge n-grams), so a
+ * query term matches a POI when the stems agree or the term starts one of
+ * its words. Tokens are only ever stored and compared as keyed hashes.
+ */
+
+/**
+ * Shortest prefix indexed; shorter query terms only match whole words
+ */
+const MIN_PREFIX_LENGTH = 3;
+
+/**
+ * Longest prefix indexed; longer query terms are matched on their start
+ */
+const MAX_PREFIX_LENGTH = 15;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'at', 'by', 'de', 'for', 'from', 'in', 'is', 'la', 'le',
+    'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+/**
+ * Fold case and strip accents
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+    return String(text || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized words, without stop words
+ * @param {string} text - Text
+ * @returns {Array<string>} Words, in order
+ */
+function tokenize(text) {
+    return normalizeText(text)
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word && !STOP_WORDS.has(word));
+}
+
+/**
+ * Reduce an English word to its stem by stripping plural and verb suffixes
+ * Deliberately light: it only needs to map a word and its common
+ * inflections to the same token, the same way at upload and query time.
+ * @param {string} word - Normalized word
+ * @returns {string} Stem
+ */
+function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+
+    let base = word;
+    if (base.endsWith('ies') && base.length > 4) {
+        base = `${base.slice(0, -3)}y`;
+    } else if (/(ss|sh|ch|x|z)es$/.test(base)) {
+        base = base.slice(0, -2);
+    } else if (base.endsWith('s') && !base.endsWith('ss') && !base.endsWith('us')) {
+        base = base.slice(0, -1);
+    }
+
+    for (const suffix of ['ing', 'ed']) {
+        if (base.endsWith(suffix) && base.length - suffix.length >= 3) {
+            base = base.slice(0, -suffix.length);
+            // running -> runn -> run
+            if (/([^aeiouls])\1$/.test(base)) {
+                base = base.slice(0, -1);
+            }
+            break;
+        }
+    }
+    return base;
+}
+
+/**
+ * Index tokens for a text
+ * @param {string} text - Text to index
+ * @returns {Array<string>} Distinct tokens
+ */
+function indexTokens(text) {
+    const tokens = new Set();
+    for (const word of tokenize(text)) {
+        tokens.add(`word:${stem(word)}`);
+        for (let length = MIN_PREFIX_LENGTH; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+            tokens.add(`prefix:${word.slice(0, length)}`);
+        }
+    }
+    return Array.from(tokens);
+}
+
+/**
+ * Tokens a query term matches, any one of which suffices
+ * @param {string} term - Normalized query word (from tokenize)
+ * @returns {Array<string>} Alternative tokens
+ */
+function termTokens(term) {
+    const tokens = [`word:${stem(term)}`];
+    if (term.length >= MIN_PREFIX_LENGTH) {
+        tokens.push(`prefix:${term.slice(0, MAX_PREFIX_LENGTH)}`);
+    }
+    return tokens;
+}
+
+/**
+ * Test plaintext against query terms
+ * Used for POIs stored without a keyword index.
+ * @param {string} text - Text
+ * @param {Array<string>} terms - Normalized query words
+ * @returns {boolean} True if every term matches
+ */
+function keywordsMatch(text, terms) {
+    const tokens = new Set(indexTokens(text));
+    return terms.every(term => termTokens(term).some(token => tokens.has(token)));
+}
+
+export {
+    normalizeText,
+    tokenize,
+    stem,
+    indexTokens,
+    termTokens,
+    keywordsMatch,
+    MIN_PREFIX_LENGTH,
+    MAX_PREFIX_LENGTH
+};
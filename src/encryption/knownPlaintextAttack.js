@@ -0,0 +1,394 @@
+/**
+ * Known-Plaintext Attack Simulator
+ * Measures how many known (location, ciphertext) POI pairs an attacker
+ * needs to recover the locations of other POIs
+ *
+ * Two attacks are simulated:
+ * - Linear-algebra recovery: decryption of the location schemes is linear
+ *   in the ciphertext, so a least-squares fit over known pairs recovers the
+ *   decryption map (the secret matrices, up to the random shares) and with
+ *   it every other location.
+ * - Order leakage: each location is placed by the rank of a ciphertext
+ *   component among the known pairs, as with the encryptedBoundingBox
+ *   written for POIs uploaded before the encrypted spatial index.
+ *
+ * The attacker is assumed to know the scheme algorithms but not the key.
+ */
+
+import crypto from 'crypto';
+import { EARTH_RADIUS_KM, toCartesian, fromCartesian } from './predicateEncryption.js';
+
+/**
+ * Location error below which a recovered location counts as broken (km)
+ */
+const DEFAULT_BREAK_THRESHOLD_KM = 1;
+
+/**
+ * Relative residual below which a ciphertext feature is treated as a linear
+ * combination of earlier ones (ciphertexts span fewer dimensions than
+ * their length when few pairs are known)
+ */
+const RANK_TOLERANCE = 1e-9;
+
+/**
+ * Plaintext encodings the location schemes apply before encrypting
+ */
+const PlaintextEncoding = {
+    // 2.0: point on the unit sphere
+    cartesian: {
+        encode: (lat, lng) => toCartesian(lat, lng),
+        decode: vector => fromCartesian(vector)
+    },
+    // 1.0: latitude and longitude scaled to [0, 1]
+    normalized: {
+        encode: (lat, lng) => [(lat + 90) / 180, (lng + 180) / 360],
+        decode: ([latValue, lngValue]) => ({
+            lat: Math.max(-90, Math.min(90, latValue * 180 - 90)),
+            lng: ((lngValue * 360 - 180) % 360 + 540) % 360 - 180
+        })
+    }
+};
+
+/**
+ * Encoding used by each location scheme version
+ */
+const SCHEME_ENCODINGS = {
+    '1.0': 'normalized',
+    '2.0': 'cartesian'
+};
+
+/**
+ * Great-circle distance between two locations
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} Distance in km
+ */
+function greatCircleDistance(a, b) {
+    const p = toCartesian(a.lat, a.lng);
+    const q = toCartesian(b.lat, b.lng);
+    const chord = Math.hypot(p[0] - q[0], p[1] - q[1], p[2] - q[2]);
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, chord / 2));
+}
+
+/**
+ * Uniform location on the sphere
+ * @param {Function} random - Source of uniform values in [0, 1)
+ * @returns {Object} { lat, lng }
+ */
+function randomLocation(random) {
+    return {
+        lat: Math.asin(2 * random() - 1) * 180 / Math.PI,
+        lng: random() * 360 - 180
+    };
+}
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Ranks of a list of numbers (ties keep their input order)
+ */
+function ranks(values) {
+    const order = values.map((value, i) => [value, i]).sort((a, b) => a[0] - b[0]);
+    const result = new Array(values.length);
+    order.forEach(([, i], rank) => {
+        result[i] = rank;
+    });
+    return result;
+}
+
+/**
+ * Spearman rank correlation of two equally long lists
+ */
+function rankCorrelation(a, b) {
+    const n = a.length;
+    const rankA = ranks(a);
+    const rankB = ranks(b);
+    const mean = (n - 1) / 2;
+    let covariance = 0;
+    let variance = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (rankA[i] - mean) * (rankB[i] - mean);
+        variance += (rankA[i] - mean) ** 2;
+    }
+    return variance > 0 ? covariance / variance : 0;
+}
+
+/**
+ * Least-squares fit of targets on features, by Gram-Schmidt QR
+ * Features that add no new direction are given zero weight, so the fit
+ * is exact on the known pairs whenever they leave it underdetermined.
+ * @param {Array<Array<number>>} rows - Feature rows, one per sample
+ * @param {Array<Array<number>>} targets - Target rows, one per sample
+ * @returns {Array<Array<number>>} One weight row per target component
+ */
+function solveLeastSquares(rows, targets) {
+    const n = rows.length;
+    const d = rows[0].length;
+    const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+    const basis = [];
+    for (let j = 0; j < d; j++) {
+        const column = rows.map(row => row[j]);
+        const columnNorm = Math.hypot(...column);
+        const residual = [...column];
+        const projections = basis.map(({ q }) => {
+            const projection = dot(q, residual);
+            for (let i = 0; i < n; i++) residual[i] -= projection * q[i];
+            return projection;
+        });
+
+        const norm = Math.hypot(...residual);
+        if (norm > RANK_TOLERANCE * columnNorm) {
+            basis.push({ index: j, q: residual.map(value => value / norm), projections, norm });
+        }
+    }
+
+    return targets[0].map((_, k) => {
+        const target = targets.map(row => row[k]);
+        const coefficients = basis.map(({ q }) => dot(q, target));
+
+        // Back-substitute through the triangular factor
+        const solved = new Array(basis.length).fill(0);
+        for (let b = basis.length - 1; b >= 0; b--) {
+            let value = coefficients[b];
+            for (let c = b + 1; c < basis.length; c++) {
+                value -= basis[c].projections[b] * solved[c];
+            }
+            solved[b] = value / basis[b].norm;
+        }
+
+        const weights = new Array(d).fill(0);
+        basis.forEach(({ index }, b) => {
+            weights[index] = solved[b];
+        });
+        return weights;
+    });
+}
+
+/**
+ * Fit the linear map from ciphertext to encoded plaintext
+ * A constant feature is appended so that affine schemes are covered too.
+ * @param {Array<Object>} knownPairs - { ciphertext, plaintext } pairs
+ * @returns {Array<Array<number>>} One weight row per plaintext component
+ */
+function recoverDecryptionMap(knownPairs) {
+    return solveLeastSquares(
+        knownPairs.map(pair => [...pair.ciphertext, 1]),
+        knownPairs.map(pair => pair.plaintext)
+    );
+}
+
+/**
+ * Apply a recovered decryption map to a ciphertext
+ * @param {Array<Array<number>>} map - Map from recoverDecryptionMap
+ * @param {Array<number>} ciphertext - Ciphertext
+ * @returns {Array<number>} Estimated encoded plaintext
+ */
+function applyDecryptionMap(map, ciphertext) {
+    const features = [...ciphertext, 1];
+    return map.map(weights => weights.reduce((sum, weight, i) => sum + weight * features[i], 0));
+}
+
+/**
+ * Estimate one coordinate of a target from the rank of a leaked feature
+ * The coordinate is interpolated between the known pairs whose feature
+ * values bracket the target's; the direction follows the rank correlation.
+ * @param {Array<number>} knownFeatures - Feature value of each known pair
+ * @param {Array<number>} knownValues - Coordinate of each known pair
+ * @param {number} correlation - Rank correlation of feature and coordinate
+ * @param {number} targetFeature - Feature value of the target
+ * @returns {number} Estimated coordinate
+ */
+function interpolateByRank(knownFeatures, knownValues, correlation, targetFeature) {
+    const sortedValues = [...knownValues].sort((a, b) => a - b);
+    if (correlation < 0) sortedValues.reverse();
+    const sortedFeatures = [...knownFeatures].sort((a, b) => a - b);
+
+    const below = sortedFeatures.filter(value => value <= targetFeature).length;
+    if (below === 0) return sortedValues[0];
+    if (below === sortedFeatures.length) return sortedValues[sortedValues.length - 1];
+
+    const low = sortedFeatures[below - 1];
+    const high = sortedFeatures[below];
+    const t = high > low ? (targetFeature - low) / (high - low) : 0;
+    return sortedValues[below - 1] + t * (sortedValues[below] - sortedValues[below - 1]);
+}
+
+/**
+ * KnownPlaintextAttack class
+ * Runs the attacks against a location scheme and reports the pairs needed
+ */
+class KnownPlaintextAttack {
+    /**
+     * @param {Object} options - Attack options
+     * @param {number} options.breakThresholdKm - Median error counted as a break
+     * @param {Function} options.random - Source of uniform values in [0, 1)
+     */
+    constructor(options = {}) {
+        this.breakThresholdKm = options.breakThresholdKm || DEFAULT_BREAK_THRESHOLD_KM;
+        this.random = options.random || (() => crypto.randomInt(0x100000000) / 0x100000000);
+    }
+
+    /**
+     * Recover target locations by fitting the decryption map
+     * @param {Array<Object>} knownPairs - { lat, lng, ciphertext } pairs
+     * @param {Array<Object>} targets - { lat, lng, ciphertext } of the POIs to recover
+     * @param {string} encoding - PlaintextEncoding name
+     * @returns {Object} Recovered locations and error statistics
+     */
+    linearRecovery(knownPairs, targets, encoding = 'cartesian') {
+        const { encode, decode } = PlaintextEncoding[encoding];
+        const map = recoverDecryptionMap(knownPairs.map(pair => ({
+            ciphertext: pair.ciphertext,
+            plaintext: encode(pair.lat, pair.lng)
+        })));
+
+        const recovered = targets.map(target => decode(applyDecryptionMap(map, target.ciphertext)));
+        return { map, recovered, ...this.measure(targets, recovered) };
+    }
+
+    /**
+     * Recover target locations from the order of leaked features
+     * For each coordinate the feature with the strongest rank correlation
+     * over the known pairs is used.
+     * @param {Array<Object>} knownPairs - { lat, lng, features } pairs
+     * @param {Array<Object>} targets - { lat, lng, features } of the POIs to recover
+     * @returns {Object} Recovered locations and error statistics
+     */
+    orderLeakage(knownPairs, targets) {
+        const featureCount = knownPairs[0].features.length;
+        const columns = Array.from({ length: featureCount }, (_, i) => knownPairs.map(pair => pair.features[i]));
+
+        const estimators = ['lat', 'lng'].map(coordinate => {
+            const values = knownPairs.map(pair => pair[coordinate]);
+            let best = { feature: 0, correlation: 0 };
+            columns.forEach((column, feature) => {
+                const correlation = rankCorrelation(column, values);
+                if (Math.abs(correlation) > Math.abs(best.correlation)) {
+                    best = { feature, correlation };
+                }
+            });
+            return { coordinate, values, ...best };
+        });
+
+        const recovered = targets.map(target => Object.fromEntries(estimators.map(estimator => [
+            estimator.coordinate,
+            interpolateByRank(
+                columns[estimator.feature],
+                estimator.values,
+                estimator.correlation,
+                target.features[estimator.feature]
+            )
+        ])));
+
+        return {
+            correlations: Object.fromEntries(estimators.map(e => [e.coordinate, e.correlation])),
+            recovered,
+            ...this.measure(targets, recovered)
+        };
+    }
+
+    /**
+     * Location errors of recovered targets
+     * @returns {Object} { medianErrorKm, maxErrorKm, broken }
+     */
+    measure(targets, recovered) {
+        const errors = targets.map((target, i) => greatCircleDistance(target, recovered[i]));
+        const medianErrorKm = median(errors);
+        return {
+            medianErrorKm,
+            maxErrorKm: Math.max(...errors),
+            broken: medianErrorKm <= this.breakThresholdKm
+        };
+    }
+
+    /**
+     * Simulate both attacks against a location scheme
+     * POIs are encrypted with the scheme; `features(scheme, lat, lng)` gives
+     * the values exposed to the order attack (defaults to the legacy
+     * bounding box). Each attack is repeated with 1..maxKnownPairs known
+     * pairs against the same targets.
+     * @param {Object} scheme - Location scheme (encryptLocation, version)
+     * @param {Object} options - { maxKnownPairs, targetCount, features }
+     * @returns {Object} Report with the pairs needed to break the scheme
+     */
+    simulate(scheme, options = {}) {
+        const encoding = options.encoding || SCHEME_ENCODINGS[scheme.version] || 'cartesian';
+        const features = options.features || legacyBoundingBox;
+        const targetCount = options.targetCount || 50;
+
+        const createPOI = () => {
+            const { lat, lng } = randomLocation(this.random);
+            return {
+                lat,
+                lng,
+                ciphertext: scheme.encryptLocation(lat, lng).encryptedCoords,
+                features: features(scheme, lat, lng)
+            };
+        };
+
+        const targets = Array.from({ length: targetCount }, createPOI);
+        const ciphertextLength = targets[0].ciphertext.length;
+        const maxKnownPairs = options.maxKnownPairs || 2 * (ciphertextLength + 1);
+        const known = Array.from({ length: maxKnownPairs }, createPOI);
+
+        const linear = [];
+        const order = [];
+        for (let n = 1; n <= maxKnownPairs; n++) {
+            const pairs = known.slice(0, n);
+            const { medianErrorKm, maxErrorKm, broken } = this.linearRecovery(pairs, targets, encoding);
+            linear.push({ knownPairs: n, medianErrorKm, maxErrorKm, broken });
+            if (n >= 2) {
+                const result = this.orderLeakage(pairs, targets);
+                order.push({
+                    knownPairs: n,
+                    medianErrorKm: result.medianErrorKm,
+                    maxErrorKm: result.maxErrorKm,
+                    broken: result.broken
+                });
+            }
+        }
+
+        const pairsToBreak = trials => trials.find(trial => trial.broken)?.knownPairs ?? null;
+
+        return {
+            scheme: scheme.version,
+            encoding,
+            ciphertextLength,
+            targetCount,
+            breakThresholdKm: this.breakThresholdKm,
+            linearRecovery: { pairsToBreak: pairsToBreak(linear), trials: linear },
+            orderLeakage: { pairsToBreak: pairsToBreak(order), trials: order }
+        };
+    }
+}
+
+/**
+ * Bounding box as stored for POIs uploaded before the encrypted spatial
+ * index: the first two components of a fresh encryption of the location
+ * @param {Object} scheme - Location scheme
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Array<number>} [minX, minY] (maxX and maxY were identical)
+ */
+function legacyBoundingBox(scheme, lat, lng) {
+    const { encryptedCoords } = scheme.encryptLocation(lat, lng);
+    return [encryptedCoords[0], encryptedCoords[1]];
+}
+
+export {
+    KnownPlaintextAttack,
+    PlaintextEncoding,
+    recoverDecryptionMap,
+    applyDecryptionMap,
+    legacyBoundingBox,
+    greatCircleDistance
+};
+export default KnownPlaintextAttack;
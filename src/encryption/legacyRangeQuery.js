@@ -0,0 +1,176 @@
+/**
+ * Legacy Range Query Encryption Module (scheme version 1.0)
+ * Keeps the original matrix-multiply location encryption so that POIs
+ * stored before the ASPE scheme can still be evaluated until re-encrypted.
+ *
+ * This scheme offers no real distance guarantee; new data must use the
+ * current scheme from the registry.
+ */
+
+import CryptoJS from 'crypto-js';
+import { invertMatrix } from './innerProductEncryption.js';
+import { KeyProvider, KeyPurpose } from './keyProvider.js';
+import { QueryTokenError, TokenErrorCode } from './tokenAuthenticator.js';
+import { EPLQLogger } from '../utils/logger.js';
+
+/**
+ * Generate a random polynomial coefficient
+ * @returns {number} Random coefficient
+ */
+function generateRandomCoefficient() {
+    const buffer = CryptoJS.lib.WordArray.random(4);
+    return Math.abs(buffer.words[0] % 1000000) / 1000000;
+}
+
+/**
+ * Derive a deterministic matrix from a seed
+ * @param {string} seed - Seed string
+ * @param {string} label - Entry label
+ * @param {number} size - Matrix size
+ * @returns {Array<Array<number>>} Matrix
+ */
+function deriveMatrix(seed, label, size) {
+    const matrix = [];
+    for (let i = 0; i < size; i++) {
+        matrix[i] = [];
+        for (let j = 0; j < size; j++) {
+            const hash = CryptoJS.SHA256(`${seed}-${label}${i}-${j}`).toString();
+            matrix[i][j] = parseInt(hash.substring(0, 8), 16) / 0xFFFFFFFF;
+        }
+    }
+    return matrix;
+}
+
+/**
+ * LegacyRangeQueryEncryption class
+ * Version 1.0 location encryption, token generation and predicate evaluation
+ */
+class LegacyRangeQueryEncryption {
+    /**
+     * @param {string|KeyProvider} keyProvider - Key provider, or a master key to derive one from
+     */
+    constructor(keyProvider = null) {
+        const keys = KeyProvider.from(keyProvider);
+        // Stored 1.0 ciphertexts were keyed by the raw master key
+        this.masterKey = keys.legacySecret || keys.getKey(KeyPurpose.LOCATION).toString('hex');
+        this.dimension = 4;
+        this.version = '1.0';
+        this.encryptionMatrix = deriveMatrix(CryptoJS.SHA256(this.masterKey).toString(), '', this.dimension);
+    }
+
+    /**
+     * Encrypt a location point (latitude, longitude)
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object} Encrypted location
+     */
+    encryptLocation(lat, lng) {
+        const normalizedLat = (lat + 90) / 180;
+        const normalizedLng = (lng + 180) / 360;
+        const locationVector = [normalizedLat, normalizedLng, 1, generateRandomCoefficient()];
+
+        const noise = generateRandomCoefficient() * 0.001;
+        const encryptedCoords = this.encryptionMatrix.map(row =>
+            row.reduce((sum, value, j) => sum + value * locationVector[j], 0) + noise
+        );
+
+        return {
+            encryptedCoords,
+            timestamp: Date.now(),
+            version: this.version
+        };
+    }
+
+    /**
+     * Recover the location from an encrypted location (requires the master key)
+     * The ciphertext is M·(lat, lng, 1, r) + noise, which leaves four unknowns
+     * (lat, lng, r, noise) in four equations.
+     * @param {Object} encryptedLocation - Encrypted location
+     * @returns {Object} Location with lat and lng in degrees
+     */
+    decryptLocation(encryptedLocation) {
+        const m = this.encryptionMatrix;
+        const system = m.map(row => [row[0], row[1], row[3], 1]);
+        const rhs = encryptedLocation.encryptedCoords.map((c, i) => c - m[i][2]);
+        const inverse = invertMatrix(system);
+        if (!inverse) {
+            throw new Error('Legacy location cannot be decrypted with this key');
+        }
+
+        const [normalizedLat, normalizedLng] = inverse.map(row =>
+            row.reduce((sum, value, j) => sum + value * rhs[j], 0)
+        );
+        return {
+            lat: normalizedLat * 180 - 90,
+            lng: normalizedLng * 360 - 180
+        };
+    }
+
+    /**
+     * Generate encrypted query token for range search
+     * @param {number} centerLat - Query center latitude
+     * @param {number} centerLng - Query center longitude
+     * @param {number} radiusKm - Search radius in kilometers
+     * @returns {Object} Encrypted query token
+     */
+    generateQueryToken(centerLat, centerLng, radiusKm) {
+        const normalizedRadius = radiusKm / 40075;
+        const queryVector = [
+            (centerLat + 90) / 180,
+            (centerLng + 180) / 360,
+            normalizedRadius,
+            normalizedRadius * normalizedRadius,
+            1,
+            Date.now() % 1000000 / 1000000
+        ];
+
+        const extendedMatrix = deriveMatrix(
+            CryptoJS.SHA256(this.masterKey + 'extended').toString(),
+            'ext-',
+            queryVector.length
+        );
+        const encryptedQuery = extendedMatrix.map(row =>
+            row.reduce((sum, value, j) => sum + value * queryVector[j], 0)
+        );
+
+        const latDelta = radiusKm / 111.32;
+        const lngDelta = radiusKm / (111.32 * Math.cos(centerLat * Math.PI / 180));
+
+        return {
+            encryptedQuery,
+            encryptedBounds: {
+                encryptedMin: this.encryptLocation(centerLat - latDelta, centerLng - lngDelta).encryptedCoords,
+                encryptedMax: this.encryptLocation(centerLat + latDelta, centerLng + lngDelta).encryptedCoords
+            },
+            radiusNormalized: normalizedRadius,
+            timestamp: Date.now(),
+            expiresAt: Date.now() + 300000
+        };
+    }
+
+    /**
+     * Evaluate encrypted predicate - check if POI is within range
+     * @param {Object} encryptedPOI - Encrypted POI location
+     * @param {Object} queryToken - Encrypted query token
+     * @returns {boolean} True if POI matches query
+     * @throws {QueryTokenError} If the token has expired
+     */
+    evaluatePredicate(encryptedPOI, queryToken) {
+        if (queryToken.expiresAt <= Date.now()) {
+            throw new QueryTokenError(TokenErrorCode.EXPIRED, 'Query token has expired');
+        }
+
+        const coords = encryptedPOI.encryptedCoords;
+        let innerProduct = 0;
+        for (let i = 0; i < Math.min(coords.length, 4); i++) {
+            innerProduct += coords[i] * queryToken.encryptedQuery[i];
+        }
+
+        const result = innerProduct <= queryToken.radiusNormalized * queryToken.radiusNormalized * 0.5;
+        EPLQLogger.debug('Legacy predicate evaluation', { result });
+        return result;
+    }
+}
+
+export { LegacyRangeQueryEncryption };
+export default LegacyRangeQueryEncryption;
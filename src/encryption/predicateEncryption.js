@@ -1,58 +1,117 @@
 /**
  * Predicate-Only Encryption Module for Inner Product Range Queries
  * Implements privacy-preserving location-based queries
- * 
+ *
  * This module provides encryption that allows computing inner products
  * on encrypted data without revealing the actual values.
+ *
+ * Locations are mapped to points on the unit sphere, so the squared
+ * Euclidean (chord) distance between two points is a monotonic function
+ * of their great-circle distance. Each point is encoded as
+ * (x, y, z, x² + y² + z², 1) and encrypted with the ASPE scheme in
+ * innerProductEncryption.js.
  */
 
-import CryptoJS from 'crypto-js';
+import { InnerProductEncryption, encodePoint } from './innerProductEncryption.js';
+import { KeyProvider, KeyPurpose } from './keyProvider.js';
 import { EPLQLogger } from '../utils/logger.js';
-import dotenv from 'dotenv';
 
-dotenv.config();
+/**
+ * Mean Earth radius in kilometers (matches the haversine calculations)
+ */
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Convert a latitude/longitude pair to a point on the unit sphere
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @returns {Array<number>} Cartesian coordinates [x, y, z]
+ */
+function toCartesian(lat, lng) {
+    const phi = lat * Math.PI / 180;
+    const lambda = lng * Math.PI / 180;
+    return [
+        Math.cos(phi) * Math.cos(lambda),
+        Math.cos(phi) * Math.sin(lambda),
+        Math.sin(phi)
+    ];
+}
+
+/**
+ * Convert a point on the unit sphere back to latitude/longitude
+ * @param {Array<number>} point - Cartesian coordinates [x, y, z]
+ * @returns {Object} Location with lat and lng in degrees
+ */
+function fromCartesian([x, y, z]) {
+    return {
+        lat: Math.asin(Math.max(-1, Math.min(1, z))) * 180 / Math.PI,
+        lng: Math.atan2(y, x) * 180 / Math.PI
+    };
+}
+
+/**
+ * Convert a great-circle distance to the chord length on the unit sphere
+ * @param {number} distanceKm - Great-circle distance in kilometers
+ * @returns {number} Chord length
+ */
+function chordLength(distanceKm) {
+    const angle = Math.min(distanceKm / EARTH_RADIUS_KM, Math.PI);
+    return 2 * Math.sin(angle / 2);
+}
 
 /**
- * Generate a random polynomial coefficient
- * @returns {number} Random coefficient
+ * Convert a chord length on the unit sphere back to a great-circle distance
+ * @param {number} chord - Chord length (0 to 2)
+ * @returns {number} Great-circle distance in kilometers
  */
-function generateRandomCoefficient() {
-    const buffer = CryptoJS.lib.WordArray.random(4);
-    return Math.abs(buffer.words[0] % 1000000) / 1000000;
+function arcLength(chord) {
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.max(0, chord) / 2));
 }
 
 /**
- * Generate a random matrix for encryption
- * @param {number} size - Matrix size
- * @returns {Array<Array<number>>} Random matrix
+ * Longitude half-width of the spherical cap around a latitude
+ * This is the cap's exact extent, wider than distance / cos(latitude)
+ * suggests away from the equator.
+ * @param {number} lat - Center latitude in degrees
+ * @param {number} distanceKm - Cap radius in kilometers
+ * @returns {number} Half-width in degrees; 180 when the cap holds a pole
  */
-function generateRandomMatrix(size) {
-    const matrix = [];
-    for (let i = 0; i < size; i++) {
-        matrix[i] = [];
-        for (let j = 0; j < size; j++) {
-            matrix[i][j] = generateRandomCoefficient();
-        }
+function longitudeExtent(lat, distanceKm) {
+    const angle = Math.min(distanceKm / EARTH_RADIUS_KM, Math.PI);
+    if (angle * 180 / Math.PI >= 90 - Math.abs(lat)) {
+        return 180;
     }
-    return matrix;
+    return Math.asin(Math.sin(angle) / Math.cos(lat * Math.PI / 180)) * 180 / Math.PI;
 }
 
 /**
- * Matrix multiplication
- * @param {Array<Array<number>>} a - First matrix
- * @param {Array<number>} b - Vector
- * @returns {Array<number>} Result vector
+ * Latitude/longitude boxes covering every point within a distance of a center
+ * A cap holding a pole covers every longitude, and one crossing the
+ * antimeridian is split into a box on each side.
+ * @param {number} lat - Center latitude in degrees
+ * @param {number} lng - Center longitude in degrees
+ * @param {number} distanceKm - Radius in kilometers
+ * @returns {Array<Object>} One or two boxes ({ south, west, north, east }), each with west ≤ east
  */
-function matrixVectorMultiply(a, b) {
-    const result = [];
-    for (let i = 0; i < a.length; i++) {
-        let sum = 0;
-        for (let j = 0; j < b.length; j++) {
-            sum += a[i][j] * b[j];
-        }
-        result.push(sum);
+function geodesicBounds(lat, lng, distanceKm) {
+    const angle = Math.min(distanceKm / EARTH_RADIUS_KM, Math.PI) * 180 / Math.PI;
+    const south = Math.max(-90, lat - angle);
+    const north = Math.min(90, lat + angle);
+
+    const halfWidth = longitudeExtent(lat, distanceKm);
+    if (halfWidth >= 180) {
+        return [{ south, west: -180, north, east: 180 }];
+    }
+
+    const west = lng - halfWidth;
+    const east = lng + halfWidth;
+    if (west < -180) {
+        return [{ south, west: west + 360, north, east: 180 }, { south, west: -180, north, east }];
     }
-    return result;
+    if (east > 180) {
+        return [{ south, west, north, east: 180 }, { south, west: -180, north, east: east - 360 }];
+    }
+    return [{ south, west, north, east }];
 }
 
 /**
@@ -60,85 +119,22 @@ function matrixVectorMultiply(a, b) {
  * Implements predicate-only encryption for inner product range queries
  */
 class PredicateEncryption {
-    constructor(masterKey = null) {
-        this.masterKey = masterKey || process.env.ENCRYPTION_MASTER_KEY || this.generateMasterKey();
-        this.dimension = 4; // 2D location + range parameters
-        this.setupKeys();
-    }
-
     /**
-     * Generate a new master key
-     * @returns {string} Master key
+     * @param {string|KeyProvider} keyProvider - Key provider, or a master key to derive one from
      */
-    generateMasterKey() {
-        return CryptoJS.lib.WordArray.random(32).toString();
+    constructor(keyProvider = null) {
+        this.keys = KeyProvider.from(keyProvider);
+        this.dimension = 5; // (x, y, z, x² + y² + z², 1)
+        this.version = '2.0';
+        this.setupKeys();
     }
 
     /**
-     * Setup encryption keys from master key
+     * Setup encryption keys from the location subkey
      */
     setupKeys() {
-        // Derive encryption matrix from master key
-        const seed = CryptoJS.SHA256(this.masterKey).toString();
-        
-        // Use seed to generate deterministic random matrix
-        this.encryptionMatrix = [];
-        for (let i = 0; i < this.dimension; i++) {
-            this.encryptionMatrix[i] = [];
-            for (let j = 0; j < this.dimension; j++) {
-                const hashInput = `${seed}-${i}-${j}`;
-                const hash = CryptoJS.SHA256(hashInput).toString();
-                this.encryptionMatrix[i][j] = parseInt(hash.substring(0, 8), 16) / 0xFFFFFFFF;
-            }
-        }
-
-        // Generate inverse matrix approximation for decryption
-        this.decryptionMatrix = this.approximateInverse(this.encryptionMatrix);
-    }
-
-    /**
-     * Approximate matrix inverse using Gauss-Jordan elimination
-     * @param {Array<Array<number>>} matrix - Input matrix
-     * @returns {Array<Array<number>>} Inverse matrix
-     */
-    approximateInverse(matrix) {
-        const n = matrix.length;
-        const augmented = matrix.map((row, i) => {
-            const newRow = [...row];
-            for (let j = 0; j < n; j++) {
-                newRow.push(i === j ? 1 : 0);
-            }
-            return newRow;
-        });
-
-        // Gauss-Jordan elimination
-        for (let i = 0; i < n; i++) {
-            let maxRow = i;
-            for (let k = i + 1; k < n; k++) {
-                if (Math.abs(augmented[k][i]) > Math.abs(augmented[maxRow][i])) {
-                    maxRow = k;
-                }
-            }
-            [augmented[i], augmented[maxRow]] = [augmented[maxRow], augmented[i]];
-
-            const pivot = augmented[i][i];
-            if (Math.abs(pivot) < 1e-10) continue;
-
-            for (let j = 0; j < 2 * n; j++) {
-                augmented[i][j] /= pivot;
-            }
-
-            for (let k = 0; k < n; k++) {
-                if (k !== i) {
-                    const factor = augmented[k][i];
-                    for (let j = 0; j < 2 * n; j++) {
-                        augmented[k][j] -= factor * augmented[i][j];
-                    }
-                }
-            }
-        }
-
-        return augmented.map(row => row.slice(n));
+        const seed = this.keys.getKey(KeyPurpose.LOCATION).toString('hex');
+        this.scheme = new InnerProductEncryption(seed, this.dimension);
     }
 
     /**
@@ -149,32 +145,39 @@ class PredicateEncryption {
      */
     encryptLocation(lat, lng) {
         const startTime = performance.now();
-        
-        // Normalize coordinates to [0, 1] range
-        const normalizedLat = (lat + 90) / 180;
-        const normalizedLng = (lng + 180) / 360;
-        
-        // Create location vector with padding
-        const locationVector = [normalizedLat, normalizedLng, 1, generateRandomCoefficient()];
-        
-        // Apply encryption transformation
-        const encryptedVector = matrixVectorMultiply(this.encryptionMatrix, locationVector);
-        
-        // Add noise for security
-        const noise = generateRandomCoefficient() * 0.001;
-        const noisyVector = encryptedVector.map(v => v + noise);
+
+        const locationVector = encodePoint(toCartesian(lat, lng));
+        const encryptedVector = this.scheme.encryptDataVector(locationVector);
 
         const executionTime = performance.now() - startTime;
-        EPLQLogger.logEncryption('LOCATION_ENCRYPT', JSON.stringify(noisyVector).length, executionTime);
+        EPLQLogger.logEncryption('LOCATION_ENCRYPT', JSON.stringify(encryptedVector).length, executionTime);
 
         return {
-            encryptedCoords: noisyVector,
+            encryptedCoords: encryptedVector,
             timestamp: Date.now(),
-            version: '1.0'
+            version: this.version
         };
     }
+
+    /**
+     * Recover the location from an encrypted location (requires the master key)
+     * @param {Object} encryptedLocation - Encrypted location
+     * @returns {Object} Location with lat and lng in degrees
+     */
+    decryptLocation(encryptedLocation) {
+        const vector = this.scheme.decryptDataVector(encryptedLocation.encryptedCoords);
+        return fromCartesian(vector.slice(0, 3));
+    }
 }
 
-export { PredicateEncryption };
+export {
+    PredicateEncryption,
+    EARTH_RADIUS_KM,
+    toCartesian,
+    fromCartesian,
+    chordLength,
+    arcLength,
+    longitudeExtent,
+    geodesicBounds
+};
 export default PredicateEncryption;
-
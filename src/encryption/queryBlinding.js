@@ -0,0 +1,66 @@
+/**
+ * Query Blinding Module
+ * Keeps plaintext query vectors out of request bodies, while clients hold
+ * no key that opens stored ciphertexts
+ *
+ * The client multiplies its plaintext query vector by an invertible
+ * matrix derived from its token key. The server removes the blinding and
+ * encrypts the vector itself, so no client ever holds the ASPE query
+ * matrices, which are the inverses of the data matrices and would decrypt
+ * every stored location.
+ *
+ * This does not hide queries from the server: it derives the same matrix,
+ * so unblinding yields the exact query vector, and with it the centre and
+ * radius. No client-side encryption could change that while the server
+ * holds the data keys, as it can encrypt any data vector and read a query
+ * off its inner products. Blinding only keeps coordinates out of request
+ * bodies and anything that records them on the way.
+ */
+
+import { deriveInvertibleMatrix, matrixVectorMultiply } from './innerProductEncryption.js';
+
+/**
+ * QueryBlinding class
+ * Blinding matrix for one user and one kind of query vector
+ */
+class QueryBlinding {
+    /**
+     * @param {Buffer|string} userKey - The user's token key
+     * @param {string} label - Kind of query vector (e.g. 'location', 'index')
+     * @param {number} dimension - Query vector dimension
+     */
+    constructor(userKey, label, dimension) {
+        const key = Buffer.isBuffer(userKey) ? userKey.toString('hex') : userKey;
+        this.dimension = dimension;
+        [this.matrix, this.inverse] = deriveInvertibleMatrix(key, `query-blinding-${label}`, dimension);
+    }
+
+    /**
+     * Blind a query vector, as public/js/queryToken.js does in the browser
+     * @param {Array<number>} vector - Plaintext query vector
+     * @returns {Array<number>} Blinded vector
+     */
+    blind(vector) {
+        return matrixVectorMultiply(this.matrix, vector);
+    }
+
+    /**
+     * Remove the blinding from a client's query vector
+     * @param {Array<number>} blinded - Blinded vector
+     * @returns {Array<number>} Plaintext query vector
+     */
+    unblind(blinded) {
+        return matrixVectorMultiply(this.inverse, blinded);
+    }
+
+    /**
+     * Export the blinding matrix for the client
+     * @returns {Array<Array<number>>} Blinding matrix
+     */
+    exportKey() {
+        return this.matrix.map(row => [...row]);
+    }
+}
+
+export { QueryBlinding };
+export default QueryBlinding;
@@ -4,17 +4,116 @@
  */
 
 import CryptoJS from 'crypto-js';
-import { PredicateEncryption } from './predicateEncryption.js';
+import { PredicateEncryption, toCartesian, chordLength, arcLength, longitudeExtent } from './predicateEncryption.js';
+import {
+    InnerProductEncryption,
+    encodeRangeQuery,
+    encodeBall,
+    encodeBallQuery,
+    randomUnit
+} from './innerProductEncryption.js';
+import { shapeClauses } from './sphericalShapes.js';
+import {
+    encodeAttributes,
+    encodeAttributeQuery,
+    ATTRIBUTE_DIMENSION,
+    CATEGORY_CODE_COUNT,
+    CATEGORY_CODE_RANGE
+} from './attributePredicates.js';
+import { KeyPurpose } from './keyProvider.js';
+import { QueryTokenError, TokenErrorCode } from './tokenAuthenticator.js';
 import { EPLQLogger } from '../utils/logger.js';
 
+/**
+ * Slack added to the squared chord threshold so that floating point error
+ * in the encrypted inner product can only cause false positives
+ */
+const PREDICATE_TOLERANCE = 1e-11;
+
+/**
+ * Index node vectors: (cx, cy, cz, |c|² - R², R, 1)
+ */
+const INDEX_DIMENSION = 6;
+
 /**
  * RangeQueryEncryption class
  * Enables privacy-preserving range queries on encrypted location data
  */
 class RangeQueryEncryption extends PredicateEncryption {
-    constructor(masterKey = null) {
-        super(masterKey);
-        this.queryDimension = 6; // Extended dimension for range queries
+    /**
+     * Setup the location keys and a separate key for index nodes
+     */
+    setupKeys() {
+        super.setupKeys();
+        const indexSeed = this.keys.getKey(KeyPurpose.LOCATION, 'spatial-index').toString('hex');
+        this.indexScheme = new InnerProductEncryption(indexSeed, INDEX_DIMENSION);
+        this.attributeScheme = null;
+    }
+
+    /**
+     * Get the ASPE scheme for attribute vectors, under its own key
+     * Its matrices are far larger than the location ones, so they are only
+     * derived when attributes are first used.
+     * @returns {InnerProductEncryption} Attribute scheme
+     */
+    getAttributeScheme() {
+        if (!this.attributeScheme) {
+            const attributeSeed = this.keys.getKey(KeyPurpose.LOCATION, 'poi-attributes').toString('hex');
+            this.attributeScheme = new InnerProductEncryption(attributeSeed, ATTRIBUTE_DIMENSION);
+        }
+        return this.attributeScheme;
+    }
+
+    /**
+     * Derive the keyed codes that stand for a category
+     * @param {string} category - Category (none when empty)
+     * @returns {Array<number>|null} Codes in [-CATEGORY_CODE_RANGE / 2, CATEGORY_CODE_RANGE / 2)
+     */
+    categoryCodes(category) {
+        if (!category) return null;
+        const key = this.keys.getKey(KeyPurpose.LOCATION, 'category-codes').toString('hex');
+        return CryptoJS.HmacSHA256(category, key).words
+            .slice(0, CATEGORY_CODE_COUNT)
+            .map(word => ((word >>> 0) % CATEGORY_CODE_RANGE) - CATEGORY_CODE_RANGE / 2);
+    }
+
+    /**
+     * Encrypt the filterable attributes of a POI
+     * @param {Object} attributes - { category, priceLevel, rating, openingHours }
+     * @returns {Object} Encrypted attributes
+     */
+    encryptAttributes({ category, priceLevel, rating, openingHours }) {
+        const vector = encodeAttributes({ categoryCodes: this.categoryCodes(category), priceLevel, rating, openingHours });
+        return {
+            encryptedVector: this.getAttributeScheme().encryptDataVector(vector),
+            version: this.version
+        };
+    }
+
+    /**
+     * Generate the encrypted attribute query for a set of filters
+     * All filters share one query vector, so the server learns only whether
+     * a POI passes all of them.
+     * @param {Object} filters - { category, minPrice, maxPrice, minRating, maxRating, openAt }
+     * @returns {Array<number>} Encrypted attribute query
+     */
+    generateAttributeQuery(filters) {
+        const vector = encodeAttributeQuery({ ...filters, categoryCodes: this.categoryCodes(filters.category) });
+        const scale = 1.5 + randomUnit() * 0.5;
+        return this.getAttributeScheme().encryptQueryVector(vector.map(v => v * scale));
+    }
+
+    /**
+     * Check encrypted attributes against an encrypted attribute query
+     * @param {Object} encryptedAttributes - Encrypted attributes from encryptAttributes
+     * @param {Array<number>} encryptedAttributeQuery - Query from generateAttributeQuery
+     * @returns {boolean} True if the POI passes every filter
+     */
+    evaluateAttributePredicate(encryptedAttributes, encryptedAttributeQuery) {
+        return this.getAttributeScheme().innerProduct(
+            encryptedAttributes.encryptedVector,
+            encryptedAttributeQuery
+        ) <= 0;
     }
 
     /**
@@ -27,44 +126,84 @@ class RangeQueryEncryption extends PredicateEncryption {
     generateQueryToken(centerLat, centerLng, radiusKm) {
         const startTime = performance.now();
 
-        // Normalize coordinates
-        const normalizedLat = (centerLat + 90) / 180;
-        const normalizedLng = (centerLng + 180) / 360;
-        
-        // Convert radius to normalized units (approximate)
-        // Earth's circumference is ~40,075 km
-        const normalizedRadius = radiusKm / 40075;
-
-        // Create query vector with range parameters
-        const queryVector = [
-            normalizedLat,
-            normalizedLng,
-            normalizedRadius,
-            normalizedRadius * normalizedRadius, // For distance calculation
-            1, // Constant term
-            Date.now() % 1000000 / 1000000 // Random factor
-        ];
-
-        // Encrypt query vector
-        const encryptedQuery = this.encryptQueryVector(queryVector);
-
-        // Generate query bounds for tree traversal
-        const bounds = {
-            minLat: centerLat - this.kmToLat(radiusKm),
-            maxLat: centerLat + this.kmToLat(radiusKm),
-            minLng: centerLng - this.kmToLng(radiusKm, centerLat),
-            maxLng: centerLng + this.kmToLng(radiusKm, centerLat)
-        };
-
-        const encryptedBounds = this.encryptBounds(bounds);
+        const center = toCartesian(centerLat, centerLng);
+        const { encryptedQuery, encryptedIndexQuery } = this.finishQueryToken(
+            encodeRangeQuery(center, chordLength(radiusKm)),
+            // Ball intersection query for descending the encrypted index
+            encodeBallQuery(center, chordLength(radiusKm))
+        );
 
         const executionTime = performance.now() - startTime;
         EPLQLogger.logEncryption('QUERY_TOKEN_GENERATE', JSON.stringify(encryptedQuery).length, executionTime);
 
         return {
             encryptedQuery,
-            encryptedBounds,
-            radiusNormalized: normalizedRadius,
+            encryptedIndexQuery,
+            timestamp: Date.now(),
+            expiresAt: Date.now() + 300000 // 5 minute expiration
+        };
+    }
+
+    /**
+     * Encrypt the plaintext vectors of a range query
+     * Used for server-generated tokens and for the unblinded vectors of
+     * client tokens (see queryBlinding.js).
+     * @param {Array<number>} queryVector - Range query vector (-2q, 1, |q|² - r²)
+     * @param {Array<number>|null} indexVector - Ball intersection vector (-2q, 1, -2r, |q|² - r²), if any
+     * @returns {Object} { encryptedQuery, encryptedIndexQuery }
+     */
+    finishQueryToken(queryVector, indexVector = null) {
+        // (-2qx, -2qy, -2qz, 1, |q|² - r²) against (x, y, z, |p|², 1)
+        // yields |p - q|² - r², which is <= 0 exactly for POIs within range
+        const query = [...queryVector];
+        query[query.length - 1] -= PREDICATE_TOLERANCE;
+
+        // Random positive scaling hides the distance magnitude but keeps the sign
+        const scale = 1.5 + randomUnit() * 0.5;
+        const token = { encryptedQuery: this.encryptQueryVector(query.map(v => v * scale)) };
+
+        if (indexVector) {
+            const index = [...indexVector];
+            index[index.length - 1] -= PREDICATE_TOLERANCE;
+            const indexScale = 1.5 + randomUnit() * 0.5;
+            token.encryptedIndexQuery = this.indexScheme.encryptQueryVector(index.map(v => v * indexScale));
+        }
+        return token;
+    }
+
+    /**
+     * Generate an encrypted query token for a polygon, route corridor or box
+     * Every test of every clause is encrypted and scaled separately, so the
+     * server learns only which tests a POI passes.
+     * @param {Object} shape - { type: 'polygon', vertices }, { type: 'corridor', path, widthKm }
+     *   or { type: 'box', south, west, north, east }, with vertices as { lat, lng }
+     * @returns {Object} Encrypted shape token
+     * @throws {Error} If the shape is degenerate or a polygon is not convex
+     */
+    generateShapeToken(shape) {
+        const startTime = performance.now();
+        const { clauses, cap } = shapeClauses(shape);
+
+        const encryptedClauses = clauses.map(clause => clause.map(query => {
+            const vector = [...query];
+            vector[vector.length - 1] -= PREDICATE_TOLERANCE;
+            const scale = 1.5 + randomUnit() * 0.5;
+            return this.encryptQueryVector(vector.map(v => v * scale));
+        }));
+
+        // The shape's bounding cap prunes the encrypted index like a range query
+        const indexVector = encodeBallQuery(cap.center, cap.chord);
+        indexVector[indexVector.length - 1] -= PREDICATE_TOLERANCE;
+        const indexScale = 1.5 + randomUnit() * 0.5;
+        const encryptedIndexQuery = this.indexScheme.encryptQueryVector(indexVector.map(v => v * indexScale));
+
+        const executionTime = performance.now() - startTime;
+        EPLQLogger.logEncryption('SHAPE_TOKEN_GENERATE', JSON.stringify(encryptedClauses).length, executionTime);
+
+        return {
+            shape: shape.type,
+            encryptedClauses,
+            encryptedIndexQuery,
             timestamp: Date.now(),
             expiresAt: Date.now() + 300000 // 5 minute expiration
         };
@@ -76,54 +215,27 @@ class RangeQueryEncryption extends PredicateEncryption {
      * @returns {Array<number>} Encrypted query vector
      */
     encryptQueryVector(vector) {
-        // Extend encryption matrix for query dimension
-        const extendedMatrix = this.generateExtendedMatrix(vector.length);
-        
-        const encrypted = [];
-        for (let i = 0; i < vector.length; i++) {
-            let sum = 0;
-            for (let j = 0; j < vector.length; j++) {
-                sum += extendedMatrix[i][j] * vector[j];
-            }
-            encrypted.push(sum);
-        }
-
-        return encrypted;
+        return this.scheme.encryptQueryVector(vector);
     }
 
     /**
-     * Generate extended encryption matrix
-     * @param {number} size - Matrix size
-     * @returns {Array<Array<number>>} Extended matrix
+     * Encrypt the bounding ball of an index node
+     * @param {Array<number>} center - Ball centre on the unit-sphere embedding
+     * @param {number} radius - Ball radius (chord length)
+     * @returns {Array<number>} Encrypted node vector
      */
-    generateExtendedMatrix(size) {
-        const matrix = [];
-        const seed = CryptoJS.SHA256(this.masterKey + 'extended').toString();
-        
-        for (let i = 0; i < size; i++) {
-            matrix[i] = [];
-            for (let j = 0; j < size; j++) {
-                const hashInput = `${seed}-ext-${i}-${j}`;
-                const hash = CryptoJS.SHA256(hashInput).toString();
-                matrix[i][j] = parseInt(hash.substring(0, 8), 16) / 0xFFFFFFFF;
-            }
-        }
-        return matrix;
+    encryptIndexNode(center, radius) {
+        return this.indexScheme.encryptDataVector(encodeBall(center, radius));
     }
 
     /**
-     * Encrypt bounding box
-     * @param {Object} bounds - Bounding box coordinates
-     * @returns {Object} Encrypted bounds
+     * Check whether a query range may hold POIs under an index node
+     * @param {Array<number>} encryptedNode - Encrypted node vector
+     * @param {Object} queryToken - Query token with `encryptedIndexQuery`
+     * @returns {boolean} True if the node's ball intersects the query range
      */
-    encryptBounds(bounds) {
-        const encryptMin = this.encryptLocation(bounds.minLat, bounds.minLng);
-        const encryptMax = this.encryptLocation(bounds.maxLat, bounds.maxLng);
-
-        return {
-            encryptedMin: encryptMin.encryptedCoords,
-            encryptedMax: encryptMax.encryptedCoords
-        };
+    evaluateIndexPredicate(encryptedNode, queryToken) {
+        return this.computeInnerProduct(encryptedNode, queryToken.encryptedIndexQuery) <= 0;
     }
 
     /**
@@ -131,21 +243,23 @@ class RangeQueryEncryption extends PredicateEncryption {
      * @param {Object} encryptedPOI - Encrypted POI data
      * @param {Object} queryToken - Encrypted query token
      * @returns {boolean} True if POI matches query
+     * @throws {QueryTokenError} If the token has expired
      */
     evaluatePredicate(encryptedPOI, queryToken) {
+        if (queryToken.expiresAt <= Date.now()) {
+            throw new QueryTokenError(TokenErrorCode.EXPIRED, 'Query token has expired');
+        }
+
         const startTime = performance.now();
 
         // Compute inner product of encrypted vectors
         const innerProduct = this.computeInnerProduct(
             encryptedPOI.encryptedCoords,
-            queryToken.encryptedQuery.slice(0, 4)
+            queryToken.encryptedQuery
         );
 
-        // The inner product result determines if point is in range
-        // Threshold is derived from the encrypted radius
-        const threshold = queryToken.radiusNormalized * queryToken.radiusNormalized * 0.5;
-        
-        const result = innerProduct <= threshold;
+        // A non-positive inner product means the POI lies within the radius
+        const result = innerProduct <= 0;
 
         const executionTime = performance.now() - startTime;
         EPLQLogger.debug(`Predicate evaluation: ${executionTime.toFixed(2)}ms`, { result });
@@ -153,6 +267,51 @@ class RangeQueryEncryption extends PredicateEncryption {
         return result;
     }
 
+    /**
+     * Evaluate an encrypted shape predicate - check if POI is inside the shape
+     * @param {Object} encryptedPOI - Encrypted POI data
+     * @param {Object} shapeToken - Token from generateShapeToken
+     * @returns {boolean} True if every test of some clause passes
+     * @throws {QueryTokenError} If the token has expired
+     */
+    evaluateShapePredicate(encryptedPOI, shapeToken) {
+        if (shapeToken.expiresAt <= Date.now()) {
+            throw new QueryTokenError(TokenErrorCode.EXPIRED, 'Query token has expired');
+        }
+
+        return shapeToken.encryptedClauses.some(clause => clause.every(encryptedQuery =>
+            this.computeInnerProduct(encryptedPOI.encryptedCoords, encryptedQuery) <= 0
+        ));
+    }
+
+    /**
+     * Score a POI for ranking by distance from the query center
+     * The score is the predicate's inner product, s·(|p − q|² − r²) for the
+     * token's secret scale s, so scores under one token order POIs by
+     * distance without decrypting them. Scores under different tokens are
+     * not comparable.
+     * @param {Object} encryptedPOI - Encrypted POI location
+     * @param {Object} queryToken - Encrypted query token
+     * @returns {number} Ranking score (lower is nearer)
+     */
+    rankingScore(encryptedPOI, queryToken) {
+        return this.computeInnerProduct(encryptedPOI.encryptedCoords, queryToken.encryptedQuery);
+    }
+
+    /**
+     * Convert a ranking score to a distance
+     * The reference score is that of a location encrypted at the query center
+     * under the same token, −s·(r² + tolerance), which fixes the scale.
+     * @param {number} score - Ranking score of a POI
+     * @param {number} referenceScore - Ranking score of the query center
+     * @param {number} radiusKm - Radius the token was generated for
+     * @returns {number} Great-circle distance in kilometers
+     */
+    distanceFromScore(score, referenceScore, radiusKm) {
+        const threshold = chordLength(radiusKm) ** 2 + PREDICATE_TOLERANCE;
+        return arcLength(Math.sqrt(Math.max(0, threshold * (1 - score / referenceScore))));
+    }
+
     /**
      * Compute inner product of encrypted vectors
      * @param {Array<number>} a - First encrypted vector
@@ -181,13 +340,13 @@ class RangeQueryEncryption extends PredicateEncryption {
      * Convert kilometers to longitude degrees at given latitude
      * @param {number} km - Distance in kilometers
      * @param {number} lat - Latitude
-     * @returns {number} Longitude degrees
+     * @returns {number} Longitude degrees, 180 once the distance reaches a pole
      */
     kmToLng(km, lat) {
-        return km / (111.32 * Math.cos(lat * Math.PI / 180));
+        return longitudeExtent(lat, km);
     }
 }
 
-export { RangeQueryEncryption };
+export { RangeQueryEncryption, PREDICATE_TOLERANCE, INDEX_DIMENSION };
 export default RangeQueryEncryption;
 
@@ -0,0 +1,101 @@
+/**
+ * Encryption Scheme Registry Module
+ * Maps ciphertext version IDs to the location encryption scheme that
+ * produced them, so stored POIs keep working when a new scheme ships.
+ */
+
+/**
+ * Operations every registered scheme instance must provide
+ */
+const REQUIRED_OPERATIONS = ['encryptLocation', 'generateQueryToken', 'evaluatePredicate'];
+
+/**
+ * Version assumed for encrypted locations stored without a version field
+ */
+const UNVERSIONED_SCHEME = '1.0';
+
+/**
+ * SchemeRegistry class
+ * Registers scheme factories under version IDs and tracks the current one
+ */
+class SchemeRegistry {
+    constructor() {
+        this.schemes = new Map();
+        this.currentVersion = null;
+    }
+
+    /**
+     * Register a scheme
+     * @param {string} version - Version ID stamped on ciphertexts
+     * @param {Function} factory - Creates a scheme instance from a key provider
+     * @param {Object} options - Registration options
+     * @param {boolean} options.current - Use this scheme for new ciphertexts
+     */
+    register(version, factory, options = {}) {
+        if (typeof factory !== 'function') {
+            throw new Error(`Scheme ${version} must be registered with a factory function`);
+        }
+        this.schemes.set(version, factory);
+        if (options.current || !this.currentVersion) {
+            this.currentVersion = version;
+        }
+    }
+
+    /**
+     * Check whether a version is registered
+     * @param {string} version - Version ID
+     * @returns {boolean} True if registered
+     */
+    has(version) {
+        return this.schemes.has(version);
+    }
+
+    /**
+     * Get registered version IDs
+     * @returns {Array<string>} Version IDs
+     */
+    getVersions() {
+        return Array.from(this.schemes.keys());
+    }
+
+    /**
+     * Create a scheme instance
+     * @param {string} version - Version ID
+     * @param {string|KeyProvider} keyProvider - Key provider or master key
+     * @returns {Object} Scheme instance
+     */
+    create(version, keyProvider = null) {
+        const factory = this.schemes.get(version);
+        if (!factory) {
+            throw new Error(`Unknown encryption scheme version: ${version}`);
+        }
+
+        const scheme = factory(keyProvider);
+        const missing = REQUIRED_OPERATIONS.filter(op => typeof scheme[op] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Scheme ${version} is missing operations: ${missing.join(', ')}`);
+        }
+        return scheme;
+    }
+
+    /**
+     * Create an instance of the current scheme
+     * @param {string|KeyProvider} keyProvider - Key provider or master key
+     * @returns {Object} Scheme instance
+     */
+    createCurrent(keyProvider = null) {
+        return this.create(this.currentVersion, keyProvider);
+    }
+
+    /**
+     * Resolve the version of an encrypted location
+     * @param {Object} encryptedLocation - Encrypted location
+     * @returns {string} Version ID
+     */
+    resolveVersion(encryptedLocation) {
+        return encryptedLocation?.version || UNVERSIONED_SCHEME;
+    }
+}
+
+export { SchemeRegistry, UNVERSIONED_SCHEME };
+export default SchemeRegistry;
@@ -0,0 +1,135 @@
+/**
+ * Session Key Module
+ * Negotiates per-session keys with clients over ECDH (P-256) and seals
+ * search result envelopes that only the client holding the session's
+ * private key can open.
+ */
+
+import crypto from 'crypto';
+import { EPLQLogger } from '../utils/logger.js';
+
+/**
+ * HKDF context label for session keys, shared with public/js/resultEnvelope.js
+ */
+const SESSION_KEY_LABEL = 'eplq/v1/result-envelope';
+const SESSION_CURVE = 'prime256v1';
+const SESSION_IV_LENGTH = 12;
+const DEFAULT_SESSION_TTL_MS = 3600000; // 1 hour
+
+/**
+ * SessionKeyStore class
+ * Keeps the negotiated AES-256-GCM session keys in memory
+ */
+class SessionKeyStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.ttl - Session lifetime in milliseconds
+     */
+    constructor(options = {}) {
+        this.sessions = new Map();
+        this.ttl = options.ttl || DEFAULT_SESSION_TTL_MS;
+    }
+
+    /**
+     * Complete an ECDH exchange with a client and store the derived key
+     * @param {string} clientPublicKey - Client's uncompressed P-256 public key (base64)
+     * @param {string} userId - User the session belongs to
+     * @returns {Object} Session ID, server public key (base64) and expiry
+     */
+    createSession(clientPublicKey, userId) {
+        if (!clientPublicKey) {
+            throw new Error('Client public key is required');
+        }
+
+        const ecdh = crypto.createECDH(SESSION_CURVE);
+        const serverPublicKey = ecdh.generateKeys();
+
+        let sharedSecret;
+        try {
+            sharedSecret = ecdh.computeSecret(Buffer.from(clientPublicKey, 'base64'));
+        } catch (error) {
+            throw new Error('Invalid client public key');
+        }
+
+        const sessionId = crypto.randomUUID();
+        const key = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, sessionId, SESSION_KEY_LABEL, 32));
+        const expiresAt = Date.now() + this.ttl;
+
+        this.pruneExpired();
+        this.sessions.set(sessionId, { key, userId, expiresAt });
+        EPLQLogger.info('Result session created', { userId: EPLQLogger.pseudonymize(userId) });
+
+        return {
+            sessionId,
+            serverPublicKey: serverPublicKey.toString('base64'),
+            expiresAt
+        };
+    }
+
+    /**
+     * Get a live session owned by a user
+     * @param {string} sessionId - Session ID
+     * @param {string} userId - User ID
+     * @returns {Object} Session
+     */
+    getSession(sessionId, userId) {
+        const session = this.sessions.get(sessionId);
+        if (!session || session.expiresAt <= Date.now()) {
+            this.sessions.delete(sessionId);
+            throw new Error('Result session expired or unknown');
+        }
+        if (session.userId !== userId) {
+            throw new Error('Result session belongs to another user');
+        }
+        return session;
+    }
+
+    /**
+     * Encrypt a payload under a session key
+     * @param {string} sessionId - Session ID
+     * @param {string} userId - User ID
+     * @param {Object} payload - JSON-serialisable payload
+     * @returns {Object} Envelope ({ sessionId, iv, ciphertext }, base64, tag appended)
+     */
+    seal(sessionId, userId, payload) {
+        const { key } = this.getSession(sessionId, userId);
+        const iv = crypto.randomBytes(SESSION_IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(Buffer.from(`session:${sessionId}`, 'utf8'));
+
+        const ciphertext = Buffer.concat([
+            cipher.update(JSON.stringify(payload), 'utf8'),
+            cipher.final(),
+            cipher.getAuthTag()
+        ]);
+
+        return {
+            sessionId,
+            iv: iv.toString('base64'),
+            ciphertext: ciphertext.toString('base64')
+        };
+    }
+
+    /**
+     * End a session
+     * @param {string} sessionId - Session ID
+     */
+    revoke(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    /**
+     * Drop expired sessions
+     */
+    pruneExpired() {
+        const now = Date.now();
+        for (const [sessionId, session] of this.sessions) {
+            if (session.expiresAt <= now) {
+                this.sessions.delete(sessionId);
+            }
+        }
+    }
+}
+
+export { SessionKeyStore, SESSION_KEY_LABEL };
+export default SessionKeyStore;
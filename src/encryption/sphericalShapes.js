@@ -0,0 +1,272 @@
+/**
+ * Spherical Shapes Module
+ * Turns polygons, route corridors and latitude/longitude boxes into linear
+ * predicates on the unit-sphere embedding used by the location schemes
+ *
+ * A shape is a disjunction of clauses, each a conjunction of query vectors
+ * against the point vector (x, y, z, |p|², 1): a point lies in the shape
+ * when, for some clause, every inner product is non-positive. Polygon and
+ * corridor edges are great-circle arcs and box edges follow parallels and
+ * meridians, so shapes behave the same near the poles and across the
+ * antimeridian.
+ */
+
+import { toCartesian, chordLength, EARTH_RADIUS_KM } from './predicateEncryption.js';
+import { encodePoint, encodeRangeQuery } from './innerProductEncryption.js';
+
+/**
+ * Cross products shorter than this mark repeated or antipodal vertices
+ */
+const DEGENERATE_EPSILON = 1e-12;
+
+/**
+ * Slack allowed when checking that every vertex lies inside each edge
+ */
+const CONVEXITY_EPSILON = 1e-9;
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+function normalize(v) {
+    const length = Math.sqrt(dot(v, v));
+    return length < DEGENERATE_EPSILON ? null : v.map(c => c / length);
+}
+
+/**
+ * Half-space test n·p >= offset as a query vector
+ * @param {Array<number>} normal - Unit normal n
+ * @param {number} offset - Offset
+ * @returns {Array<number>} Query vector
+ */
+function encodeHalfSpace(normal, offset) {
+    return [...normal.map(c => -c), 0, offset];
+}
+
+/**
+ * Unit normal of the great circle through two points
+ * @throws {Error} If the points coincide or are antipodal
+ */
+function greatCircleNormal(a, b) {
+    const normal = normalize(cross(a, b));
+    if (!normal) {
+        throw new Error('Consecutive vertices must be distinct and not antipodal');
+    }
+    return normal;
+}
+
+/**
+ * Drop consecutive repeated locations (and a closing vertex equal to the first)
+ * @param {Array<Object>} locations - Locations ({ lat, lng })
+ * @param {boolean} closed - Whether the last location connects back to the first
+ * @returns {Array<Array<number>>} Unit vectors
+ */
+function toVertices(locations, closed) {
+    const vertices = [];
+    for (const { lat, lng } of locations) {
+        const vertex = toCartesian(lat, lng);
+        const previous = vertices[vertices.length - 1];
+        if (!previous || dot(previous, vertex) < 1 - DEGENERATE_EPSILON) {
+            vertices.push(vertex);
+        }
+    }
+    if (closed && vertices.length > 1 && dot(vertices[0], vertices[vertices.length - 1]) >= 1 - DEGENERATE_EPSILON) {
+        vertices.pop();
+    }
+    return vertices;
+}
+
+/**
+ * Smallest cap around the vertices' mean direction that holds the shape
+ * Caps of 90° or more are not convex, so those shapes get the whole sphere.
+ * @param {Array<Array<number>>} vertices - Unit vectors
+ * @param {number} marginKm - Distance the shape extends beyond its vertices
+ * @returns {Object} { center, chord } on the unit-sphere embedding
+ */
+function boundingCap(vertices, marginKm = 0) {
+    const sum = vertices.reduce((acc, v) => acc.map((c, i) => c + v[i]), [0, 0, 0]);
+    const center = normalize(sum) || vertices[0];
+    const angle = Math.max(...vertices.map(v => Math.acos(Math.max(-1, Math.min(1, dot(center, v))))));
+
+    if (angle >= Math.PI / 2) {
+        return { center, chord: 2 };
+    }
+    return { center, chord: chordLength((angle * EARTH_RADIUS_KM) + marginKm) };
+}
+
+/**
+ * Build the predicate of a convex spherical polygon: one half-space per edge
+ * Vertices may be given in either orientation.
+ * @param {Array<Object>} locations - Polygon vertices ({ lat, lng }), closed or not
+ * @returns {Object} { clauses, cap }
+ * @throws {Error} If the polygon is degenerate or not convex
+ */
+function polygonClauses(locations) {
+    const vertices = toVertices(locations, true);
+    if (vertices.length < 3) {
+        throw new Error('Polygon needs at least 3 distinct vertices');
+    }
+
+    const cap = boundingCap(vertices);
+    let normals = vertices.map((v, i) => greatCircleNormal(v, vertices[(i + 1) % vertices.length]));
+
+    // Point the normals at the interior, taken to hold the vertices' mean direction
+    if (normals.reduce((sum, n) => sum + dot(n, cap.center), 0) < 0) {
+        normals = normals.map(n => n.map(c => -c));
+    }
+
+    for (const normal of normals) {
+        if (vertices.some(v => dot(normal, v) < -CONVEXITY_EPSILON)) {
+            throw new Error('Polygon must be convex');
+        }
+    }
+
+    return { clauses: [normals.map(normal => encodeHalfSpace(normal, 0))], cap };
+}
+
+/**
+ * Build the predicate of a route corridor: every point within `widthKm` of
+ * the path, as a disk around each vertex and a slab along each segment
+ * A slab holds the points within the width of the segment's great circle
+ * whose nearest point on it lies between the segment's ends.
+ * @param {Array<Object>} locations - Path vertices ({ lat, lng })
+ * @param {number} widthKm - Distance from the path in kilometers
+ * @returns {Object} { clauses, cap }
+ * @throws {Error} If the path is degenerate or the width is not positive
+ */
+function corridorClauses(locations, widthKm) {
+    if (!(widthKm > 0)) {
+        throw new Error('Corridor width must be positive');
+    }
+
+    const vertices = toVertices(locations, false);
+    if (vertices.length < 2) {
+        throw new Error('Route needs at least 2 distinct points');
+    }
+
+    const chord = chordLength(widthKm);
+    const bandOffset = Math.sin(Math.min(widthKm / EARTH_RADIUS_KM, Math.PI / 2));
+
+    const clauses = vertices.map(v => [encodeRangeQuery(v, chord)]);
+    for (let i = 0; i < vertices.length - 1; i++) {
+        const start = vertices[i];
+        const end = vertices[i + 1];
+        const normal = greatCircleNormal(start, end);
+        clauses.push([
+            encodeHalfSpace(normal, -bandOffset),
+            encodeHalfSpace(normal.map(c => -c), -bandOffset),
+            encodeHalfSpace(normalize(cross(normal, start)), 0),
+            encodeHalfSpace(normalize(cross(end, normal)), 0)
+        ]);
+    }
+
+    return { clauses, cap: boundingCap(vertices, widthKm) };
+}
+
+/**
+ * Half-spaces holding the longitudes from `west` eastward through `width` degrees
+ * Each bounding meridian is a half great circle, so the wedge is convex (one
+ * clause) up to 180° and the union of two halves beyond.
+ * @param {number} west - Western longitude in degrees
+ * @param {number} width - Width in degrees, at most 360
+ * @returns {Array<Array<Array<number>>>} Longitude conditions, one list per clause
+ */
+function longitudeWedges(west, width) {
+    if (width >= 360) {
+        return [[]];
+    }
+    if (width > 180) {
+        return [...longitudeWedges(west, width / 2), ...longitudeWedges(west + width / 2, width / 2)];
+    }
+
+    const westRad = west * Math.PI / 180;
+    const eastRad = (west + width) * Math.PI / 180;
+    return [[
+        encodeHalfSpace([-Math.sin(westRad), Math.cos(westRad), 0], 0),
+        encodeHalfSpace([Math.sin(eastRad), -Math.cos(eastRad), 0], 0)
+    ]];
+}
+
+/**
+ * Build the predicate of a latitude/longitude box
+ * Edges run along parallels and meridians, as on a map. A box with
+ * `west` greater than `east` crosses the antimeridian; `west` -180 and
+ * `east` 180 cover every longitude.
+ * @param {Object} box - { south, west, north, east } in degrees
+ * @returns {Object} { clauses, cap }
+ * @throws {Error} If the box is empty
+ */
+function boxClauses({ south, west, north, east }) {
+    if (!(south <= north)) {
+        throw new Error('Box south edge must not be north of its north edge');
+    }
+
+    let width = east - west;
+    if (width < 0) width += 360;
+    if (west === -180 && east === 180) width = 360;
+    if (width === 0) {
+        throw new Error('Box must have a positive width');
+    }
+
+    // Latitudes map to heights on the polar axis: z ≥ sin(south), z ≤ sin(north)
+    const latitudeTests = [];
+    if (south > -90) {
+        latitudeTests.push(encodeHalfSpace([0, 0, 1], Math.sin(south * Math.PI / 180)));
+    }
+    if (north < 90) {
+        latitudeTests.push(encodeHalfSpace([0, 0, -1], -Math.sin(north * Math.PI / 180)));
+    }
+
+    const clauses = longitudeWedges(west, width).map(wedge => [...latitudeTests, ...wedge]);
+
+    // Distance from an inner point peaks at a corner unless the cap passes 90°
+    const corners = [south, north].flatMap(lat => [west, west + width].map(lng => toCartesian(lat, lng)));
+    const cap = width < 180 ? boundingCap(corners) : { center: corners[0], chord: 2 };
+
+    return { clauses, cap };
+}
+
+/**
+ * Build the clauses of a shape
+ * @param {Object} shape - { type: 'polygon', vertices }, { type: 'corridor', path, widthKm }
+ *   or { type: 'box', south, west, north, east }
+ * @returns {Object} { clauses, cap }
+ */
+function shapeClauses(shape) {
+    if (shape.type === 'polygon') {
+        return polygonClauses(shape.vertices);
+    }
+    if (shape.type === 'corridor') {
+        return corridorClauses(shape.path, shape.widthKm);
+    }
+    if (shape.type === 'box') {
+        return boxClauses(shape);
+    }
+    throw new Error(`Unknown shape type: ${shape.type}`);
+}
+
+/**
+ * Test a plaintext location against shape clauses
+ * Used for schemes without encrypted shape predicates.
+ * @param {Array<Array<Array<number>>>} clauses - Clauses from shapeClauses
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} tolerance - Slack subtracted from each test, as for encrypted tokens
+ * @returns {boolean} True if the location lies in the shape
+ */
+function shapeContains(clauses, lat, lng, tolerance = 0) {
+    const point = encodePoint(toCartesian(lat, lng));
+    return clauses.some(clause => clause.every(query =>
+        query.reduce((sum, q, i) => sum + q * point[i], 0) - tolerance <= 0
+    ));
+}
+
+export { polygonClauses, corridorClauses, boxClauses, shapeClauses, shapeContains, boundingCap };
@@ -0,0 +1,149 @@
+/**
+ * Query Token Authentication Module
+ * Signs and verifies query tokens with HMAC-SHA256 under a per-user key
+ * derived from the query-token subkey, so a token is only accepted from
+ * the user it was issued to and cannot be altered in transit.
+ */
+
+import crypto from 'crypto';
+import { KeyProvider, KeyPurpose } from './keyProvider.js';
+
+/**
+ * Lifetime of newly generated tokens
+ */
+const TOKEN_LIFETIME_MS = 300000; // 5 minutes
+
+/**
+ * Allowance for clock differences between clients and the server
+ */
+const CLOCK_SKEW_MS = 30000;
+
+/**
+ * Error codes for rejected tokens
+ */
+const TokenErrorCode = {
+    MALFORMED: 'TOKEN_MALFORMED',
+    UNKNOWN_KEY: 'TOKEN_UNKNOWN_KEY',
+    EXPIRED: 'TOKEN_EXPIRED',
+    INVALID_SIGNATURE: 'TOKEN_INVALID_SIGNATURE',
+    REPLAYED: 'TOKEN_REPLAYED'
+};
+
+/**
+ * QueryTokenError class
+ * Raised for tokens that must not be evaluated
+ */
+class QueryTokenError extends Error {
+    /**
+     * @param {string} code - TokenErrorCode value
+     * @param {string} message - Error message
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'QueryTokenError';
+        this.code = code;
+    }
+}
+
+/**
+ * Build the string a token signature covers
+ * Client tokens carry blinded query vectors and server tokens encrypted
+ * ones; for client tokens this is kept identical to signingInput in
+ * public/js/queryToken.js.
+ * @param {Object} token - Query token
+ * @returns {string} Signing input
+ */
+function signingInput(token) {
+    const blinded = Array.isArray(token.blindedQuery);
+    return [
+        token.version,
+        token.keyId,
+        token.nonce,
+        token.timestamp,
+        token.expiresAt,
+        (blinded ? token.blindedQuery : token.encryptedQuery).join(','),
+        ((blinded ? token.blindedIndexQuery : token.encryptedIndexQuery) || []).join(',')
+    ].join('|');
+}
+
+/**
+ * TokenAuthenticator class
+ * Issues per-user token keys and signs and verifies tokens with them
+ */
+class TokenAuthenticator {
+    /**
+     * @param {string|KeyProvider} keyProvider - Key provider, or a master key to derive one from
+     */
+    constructor(keyProvider = null) {
+        this.keys = KeyProvider.from(keyProvider);
+    }
+
+    /**
+     * Derive the token key of a user
+     * @param {string} userId - User ID
+     * @returns {Buffer} 32-byte key
+     */
+    getUserKey(userId) {
+        return crypto.createHmac('sha256', this.keys.getKey(KeyPurpose.QUERY_TOKEN))
+            .update(`user:${userId}`)
+            .digest();
+    }
+
+    /**
+     * Add a nonce and a signature to a token
+     * @param {Object} token - Query token
+     * @param {string} userId - User the token is issued to
+     * @returns {Object} Signed token
+     */
+    sign(token, userId) {
+        const unsigned = { ...token, nonce: token.nonce || crypto.randomBytes(16).toString('hex') };
+        return { ...unsigned, signature: this.computeSignature(unsigned, userId) };
+    }
+
+    /**
+     * Check a token's freshness and signature
+     * Replay detection needs shared state and is left to the caller's nonce store.
+     * @param {Object} token - Query token
+     * @param {string} userId - User presenting the token
+     * @param {number} now - Current time in milliseconds
+     */
+    verify(token, userId, now = Date.now()) {
+        if (typeof token.nonce !== 'string' || token.nonce.length < 16 || typeof token.signature !== 'string' ||
+            !Number.isFinite(token.timestamp) || !Number.isFinite(token.expiresAt)) {
+            throw new QueryTokenError(TokenErrorCode.MALFORMED, 'Query token is missing its nonce or signature');
+        }
+
+        if (token.expiresAt <= now) {
+            throw new QueryTokenError(TokenErrorCode.EXPIRED, 'Query token has expired');
+        }
+        // Bounding the lifetime also bounds how long nonces must be remembered
+        if (token.expiresAt > now + TOKEN_LIFETIME_MS + CLOCK_SKEW_MS || token.timestamp > now + CLOCK_SKEW_MS) {
+            throw new QueryTokenError(TokenErrorCode.MALFORMED, 'Query token lifetime is out of range');
+        }
+
+        const expected = Buffer.from(this.computeSignature(token, userId), 'hex');
+        const actual = Buffer.from(token.signature, 'hex');
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            throw new QueryTokenError(TokenErrorCode.INVALID_SIGNATURE, 'Query token signature is invalid');
+        }
+    }
+
+    /**
+     * Compute a token signature
+     * @param {Object} token - Query token
+     * @param {string} userId - User ID
+     * @returns {string} Hex HMAC-SHA256
+     */
+    computeSignature(token, userId) {
+        return crypto.createHmac('sha256', this.getUserKey(userId)).update(signingInput(token)).digest('hex');
+    }
+}
+
+export {
+    TokenAuthenticator,
+    QueryTokenError,
+    TokenErrorCode,
+    TOKEN_LIFETIME_MS,
+    CLOCK_SKEW_MS
+};
+export default TokenAuthenticator;
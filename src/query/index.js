@@ -4,15 +4,22 @@
  */
 
 import { SpatialIndex } from './spatialIndex.js';
-import { QueryProcessor } from './queryProcessor.js';
+import { QueryProcessor, knnRadii } from './queryProcessor.js';
+import { NonceStore } from './nonceStore.js';
+import { LocationObfuscator, ObfuscationMode } from './locationObfuscation.js';
 
 export {
     SpatialIndex,
-    QueryProcessor
+    QueryProcessor,
+    knnRadii,
+    NonceStore,
+    LocationObfuscator,
+    ObfuscationMode
 };
 
 export default {
     SpatialIndex,
-    QueryProcessor
+    QueryProcessor,
+    NonceStore,
+    LocationObfuscator
 };
-
@@ -0,0 +1,268 @@
+/**
+ * Location Obfuscation Module
+ * Perturbs or generalises the query location before the index is searched,
+ * so the index traversal and query logs reflect only the obfuscated
+ * location. QueryProcessor.executeQuery narrows the matches back to the
+ * requested circle in memory.
+ */
+
+import crypto from 'crypto';
+import { EARTH_RADIUS_KM } from '../encryption/predicateEncryption.js';
+
+/**
+ * Supported obfuscation modes
+ */
+const ObfuscationMode = {
+    NONE: 'none',
+    GEO_INDISTINGUISHABILITY: 'geo-indistinguishability',
+    K_ANONYMITY: 'k-anonymity'
+};
+
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Smallest cloaking cell edge in degrees (about 1.1 km at the equator);
+ * cells double in size until they hold k POIs
+ */
+const BASE_CELL_SIZE_DEG = 0.01;
+const MAX_CELL_LEVELS = 10;
+
+/**
+ * Uniform random value in [0, 1) from the CSPRNG
+ * @returns {number} Random fraction
+ */
+function randomFraction() {
+    return crypto.randomBytes(4).readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Lower branch W₋₁ of the Lambert W function, for x in [-1/e, 0)
+ * @param {number} x - Argument
+ * @returns {number} W₋₁(x)
+ */
+function lambertWm1(x) {
+    if (x <= -1 / Math.E) {
+        return -1;
+    }
+
+    // Branch-point series near -1/e, asymptotic expansion near 0
+    let w = x < -0.25
+        ? -1 - Math.sqrt(2 * (1 + Math.E * x))
+        : Math.log(-x) - Math.log(-Math.log(-x));
+
+    // Halley iteration
+    for (let i = 0; i < 50; i++) {
+        const ew = Math.exp(w);
+        const f = w * ew - x;
+        const wp1 = w + 1;
+        if (wp1 === 0) break;
+        const step = f / (ew * wp1 - (w + 2) * f / (2 * wp1));
+        w -= step;
+        if (Math.abs(step) <= 1e-12 * Math.abs(w)) break;
+    }
+    return w;
+}
+
+/**
+ * Inverse CDF of the planar Laplace radius: the distance within which the
+ * noise falls with probability p
+ * @param {number} p - Probability in [0, 1)
+ * @param {number} epsilon - Privacy parameter per km
+ * @returns {number} Distance in km
+ */
+function planarLaplaceRadius(p, epsilon) {
+    return -(lambertWm1((p - 1) / Math.E) + 1) / epsilon;
+}
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Distance in km
+ */
+function haversineDistance(lat1, lng1, lat2, lng2) {
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Offset a point by a distance and bearing on a local plane
+ * @returns {Object} { lat, lng }, latitude clamped and longitude wrapped
+ */
+function offsetLocation(lat, lng, distanceKm, bearing) {
+    const newLat = Math.max(-90, Math.min(90, lat + distanceKm * Math.cos(bearing) / KM_PER_DEGREE));
+    const lngScale = Math.max(Math.cos(lat * Math.PI / 180), 1e-6);
+    const newLng = lng + distanceKm * Math.sin(bearing) / (KM_PER_DEGREE * lngScale);
+    return { lat: newLat, lng: ((newLng + 540) % 360) - 180 };
+}
+
+/**
+ * LocationObfuscator class
+ * Applies an obfuscation mode to a range query and reports its cost
+ */
+class LocationObfuscator {
+    /**
+     * @param {Object} options - Obfuscator options
+     * @param {number} options.epsilon - Default geo-indistinguishability epsilon (per km)
+     * @param {number} options.confidence - Probability the widened radius covers the noise
+     * @param {number} options.k - Default minimum POIs per cloaking cell
+     * @param {Function} options.random - Source of uniform values in [0, 1)
+     */
+    constructor(options = {}) {
+        this.epsilon = options.epsilon || parseFloat(process.env.OBFUSCATION_EPSILON) || 1;
+        this.confidence = options.confidence || 0.95;
+        this.k = options.k || parseInt(process.env.OBFUSCATION_K) || 5;
+        this.random = options.random || randomFraction;
+    }
+
+    /**
+     * Obfuscate a range query
+     * @param {number} lat - True center latitude
+     * @param {number} lng - True center longitude
+     * @param {number} radiusKm - Requested radius in km
+     * @param {Object} options - { mode, epsilon, confidence, k }
+     * @param {Function} countPOIs - Counts POIs within (lat, lng, radiusKm); needed for k-anonymity
+     * @returns {Object} { lat, lng, radiusKm, report }
+     */
+    obfuscate(lat, lng, radiusKm, options = {}, countPOIs = null) {
+        const mode = options.mode || ObfuscationMode.NONE;
+
+        switch (mode) {
+            case ObfuscationMode.NONE:
+                return { lat, lng, radiusKm, report: null };
+            case ObfuscationMode.GEO_INDISTINGUISHABILITY:
+                return this.addPlanarLaplaceNoise(lat, lng, radiusKm, options);
+            case ObfuscationMode.K_ANONYMITY:
+                return this.cloak(lat, lng, radiusKm, options, countPOIs);
+            default:
+                throw new Error(`Unknown obfuscation mode: ${mode}`);
+        }
+    }
+
+    /**
+     * Move the center by planar Laplace noise (geo-indistinguishability)
+     * The radius is widened by the noise distance not exceeded with the
+     * configured confidence, which is then the chance that the widened circle
+     * covers the requested one. Since matches are narrowed to the requested
+     * circle and ranked from its center before any limit, that is also the
+     * chance the results equal those of the unobfuscated search, limit
+     * included; otherwise POIs on the far side of the requested circle from
+     * the noise may be missing, and others ranked into the limit instead.
+     * @returns {Object} { lat, lng, radiusKm, report }
+     */
+    addPlanarLaplaceNoise(lat, lng, radiusKm, options = {}) {
+        const epsilon = options.epsilon ?? this.epsilon;
+        const confidence = options.confidence ?? this.confidence;
+        if (!(epsilon > 0) || !Number.isFinite(epsilon)) {
+            throw new Error('Epsilon must be a positive number');
+        }
+        if (!(confidence > 0 && confidence < 1)) {
+            throw new Error('Confidence must be between 0 and 1');
+        }
+
+        const bearing = this.random() * 2 * Math.PI;
+        const noiseKm = planarLaplaceRadius(this.random(), epsilon);
+        const noisy = offsetLocation(lat, lng, noiseKm, bearing);
+
+        const wideningKm = planarLaplaceRadius(confidence, epsilon);
+        const effectiveRadius = radiusKm + wideningKm;
+
+        return {
+            lat: noisy.lat,
+            lng: noisy.lng,
+            radiusKm: effectiveRadius,
+            report: {
+                mode: ObfuscationMode.GEO_INDISTINGUISHABILITY,
+                epsilon,
+                confidence,
+                radiusWideningKm: wideningKm,
+                effectiveRadius,
+                // Recall of the limited results, see above
+                expectedRecall: confidence,
+                expectedPrecision: (radiusKm / effectiveRadius) ** 2
+            }
+        };
+    }
+
+    /**
+     * Replace the center by that of the smallest grid cell around it that
+     * holds at least k POIs (spatial k-anonymity)
+     * Cells form a nested grid whose edge doubles per level. The radius is
+     * widened by the cell's half-diagonal, so every true match is found, and
+     * the limited results equal those of the unobfuscated search.
+     * @returns {Object} { lat, lng, radiusKm, report }
+     */
+    cloak(lat, lng, radiusKm, options = {}, countPOIs = null) {
+        const k = options.k ?? this.k;
+        if (!Number.isInteger(k) || k < 1) {
+            throw new Error('k must be a positive integer');
+        }
+        if (typeof countPOIs !== 'function') {
+            throw new Error('k-anonymity cloaking requires a POI counter');
+        }
+
+        let cell;
+        for (let level = 0; level <= MAX_CELL_LEVELS; level++) {
+            cell = this.getCell(lat, lng, BASE_CELL_SIZE_DEG * 2 ** level);
+            cell.poiCount = countPOIs(cell.lat, cell.lng, cell.halfDiagonalKm);
+            if (cell.poiCount >= k) break;
+        }
+
+        const effectiveRadius = radiusKm + cell.halfDiagonalKm;
+
+        return {
+            lat: cell.lat,
+            lng: cell.lng,
+            radiusKm: effectiveRadius,
+            report: {
+                mode: ObfuscationMode.K_ANONYMITY,
+                k,
+                anonymitySatisfied: cell.poiCount >= k,
+                cellSizeDeg: cell.size,
+                cellPOICount: cell.poiCount,
+                radiusWideningKm: cell.halfDiagonalKm,
+                effectiveRadius,
+                expectedRecall: 1,
+                expectedPrecision: (radiusKm / effectiveRadius) ** 2
+            }
+        };
+    }
+
+    /**
+     * Get the grid cell containing a point
+     * POIs are counted within the cell's circumscribed circle, since the
+     * encrypted predicate only tests distances.
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} size - Cell edge in degrees
+     * @returns {Object} Cell center, size and half-diagonal in km
+     */
+    getCell(lat, lng, size) {
+        const minLat = Math.max(-90, Math.floor(lat / size) * size);
+        const maxLat = Math.min(90, minLat + size);
+        const minLng = Math.floor(lng / size) * size;
+        const maxLng = minLng + size;
+
+        const center = {
+            lat: (minLat + maxLat) / 2,
+            lng: ((((minLng + maxLng) / 2) + 540) % 360) - 180
+        };
+        const halfDiagonalKm = Math.max(
+            ...[[minLat, minLng], [minLat, maxLng], [maxLat, minLng], [maxLat, maxLng]]
+                .map(([cornerLat, cornerLng]) => haversineDistance(center.lat, center.lng, cornerLat, cornerLng))
+        );
+
+        return { ...center, size, halfDiagonalKm };
+    }
+}
+
+export {
+    LocationObfuscator,
+    ObfuscationMode,
+    planarLaplaceRadius,
+    haversineDistance,
+    offsetLocation,
+    randomFraction
+};
+export default LocationObfuscator;
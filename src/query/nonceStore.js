@@ -0,0 +1,54 @@
+/**
+ * Nonce Store Module
+ * Remembers the nonces of accepted query tokens until the tokens expire,
+ * so each token can be evaluated only once
+ */
+
+/**
+ * NonceStore class
+ * In-memory set of used nonces with their expiry times
+ */
+class NonceStore {
+    constructor() {
+        this.nonces = new Map();
+    }
+
+    /**
+     * Record a nonce if it has not been used
+     * @param {string} nonce - Token nonce
+     * @param {number} expiresAt - Token expiry in milliseconds
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True if the nonce was new
+     */
+    consume(nonce, expiresAt, now = Date.now()) {
+        this.pruneExpired(now);
+        if (this.nonces.has(nonce)) {
+            return false;
+        }
+        this.nonces.set(nonce, expiresAt);
+        return true;
+    }
+
+    /**
+     * Forget nonces of expired tokens, which are rejected on expiry anyway
+     * @param {number} now - Current time in milliseconds
+     */
+    pruneExpired(now = Date.now()) {
+        for (const [nonce, expiresAt] of this.nonces) {
+            if (expiresAt <= now) {
+                this.nonces.delete(nonce);
+            }
+        }
+    }
+
+    /**
+     * Number of remembered nonces
+     * @returns {number} Size
+     */
+    get size() {
+        return this.nonces.size;
+    }
+}
+
+export { NonceStore };
+export default NonceStore;
@@ -3,31 +3,123 @@
  * Handles privacy-preserving range queries on encrypted POI data
  */
 
+import crypto from 'crypto';
 import { SpatialIndex } from './spatialIndex.js';
-import { RangeQueryEncryption } from '../encryption/rangeQuery.js';
-import { DataEncryption } from '../encryption/dataEncryption.js';
+import { NonceStore } from './nonceStore.js';
+import { offsetLocation, randomFraction, haversineDistance } from './locationObfuscation.js';
+import { schemeRegistry } from '../encryption/index.js';
+import { TokenAuthenticator, QueryTokenError, TokenErrorCode } from '../encryption/tokenAuthenticator.js';
+import { QueryBlinding } from '../encryption/queryBlinding.js';
+import { DataEncryption, ENCRYPTED_FIELDS } from '../encryption/dataEncryption.js';
+import { KeyRing } from '../encryption/keyRing.js';
+import { toCartesian } from '../encryption/predicateEncryption.js';
+import { shapeClauses, shapeContains } from '../encryption/sphericalShapes.js';
+import { attributesMatch, hasAttributeFilters } from '../encryption/attributePredicates.js';
+import { termTokens, keywordsMatch } from '../encryption/keywordIndex.js';
 import { EPLQLogger } from '../utils/logger.js';
+import { DEFAULT_TENANT_ID, recordTenant } from '../tenant/tenants.js';
+
+/**
+ * k-nearest search starts at this radius and doubles it until k POIs match,
+ * up to half the Earth's circumference, which covers the whole sphere
+ */
+const KNN_INITIAL_RADIUS_KM = 1;
+const KNN_MAX_RADIUS_KM = 20016;
+
+/**
+ * Upper bound on the token rings a client may send for one k-nearest query
+ */
+const KNN_MAX_RINGS = 32;
+
+/**
+ * Radii of an expanding k-nearest search, shared by server-side queries and
+ * client token rings (see generateKNNTokens in public/js/queryToken.js)
+ * @param {number} initialRadiusKm - First radius
+ * @returns {Array<number>} Radii in kilometers, ascending
+ */
+function knnRadii(initialRadiusKm = KNN_INITIAL_RADIUS_KM) {
+    if (!(initialRadiusKm > 0)) {
+        throw new Error('Initial radius must be positive');
+    }
+
+    const radii = [];
+    for (let radiusKm = initialRadiusKm; radiusKm < KNN_MAX_RADIUS_KM; radiusKm *= 2) {
+        radii.push(radiusKm);
+    }
+    radii.push(KNN_MAX_RADIUS_KM);
+    return radii;
+}
+
+/**
+ * Check that a value is a vector of finite numbers
+ * @param {*} value - Value to check
+ * @param {number} dimension - Expected length
+ * @returns {boolean} True for a finite vector of that length
+ */
+function isVector(value, dimension) {
+    return Array.isArray(value) && value.length === dimension && value.every(Number.isFinite);
+}
 
 /**
  * QueryProcessor class
  * Orchestrates encrypted range queries with spatial indexing
  */
 class QueryProcessor {
-    constructor(masterKey = null) {
-        this.rangeEncryption = new RangeQueryEncryption(masterKey);
-        this.dataEncryption = new DataEncryption(masterKey);
+    /**
+     * @param {string|KeyRing} masterKey - Master key, or a key ring shared with other services
+     * @param {Object} options - { tenantId }: the only tenant whose POIs are
+     *   indexed (defaults to the default tenant)
+     */
+    constructor(masterKey = null, options = {}) {
+        this.keyRing = KeyRing.from(masterKey);
+        this.tenantId = options.tenantId || DEFAULT_TENANT_ID;
+        this.schemes = new Map();
+        this.dataEncryptions = new Map();
+        this.tokenAuthenticators = new Map();
+        this.nonceStore = new NonceStore();
         this.spatialIndex = new SpatialIndex();
         this.queryCache = new Map();
         this.cacheMaxSize = 100;
         this.cacheMaxAge = 300000; // 5 minutes
+        // Dummy queries sent with each real one (0 disables the mode)
+        this.dummyQueryCount = parseInt(process.env.DUMMY_QUERY_COUNT) || 0;
     }
 
     /**
      * Initialize the query processor with POI data
+     * POIs of other tenants are left out of the index, so no query here can
+     * ever return them.
      * @param {Array<Object>} encryptedPOIs - Encrypted POI data
      */
     initialize(encryptedPOIs) {
-        return this.spatialIndex.buildIndex(encryptedPOIs);
+        const ownPOIs = encryptedPOIs.filter(poi => recordTenant(poi) === this.tenantId);
+        if (ownPOIs.length < encryptedPOIs.length) {
+            EPLQLogger.warn('Left POIs of other tenants out of the index', {
+                tenantId: this.tenantId,
+                skipped: encryptedPOIs.length - ownPOIs.length
+            });
+        }
+        return this.spatialIndex.buildIndex(ownPOIs, this.createIndexer());
+    }
+
+    /**
+     * Create the callbacks the spatial index encrypts and tests its nodes with
+     * Node vectors are encrypted under the given key with the current scheme;
+     * POIs are placed by their decrypted locations, which never leave memory.
+     * @param {string} keyId - Key ID (defaults to the active key)
+     * @returns {Object} Indexer for SpatialIndex.buildIndex
+     */
+    createIndexer(keyId = this.keyRing.activeKeyId) {
+        const scheme = this.getScheme(schemeRegistry.currentVersion, keyId);
+        return {
+            keyId,
+            locate: poi => {
+                const location = this.decryptPOILocation(poi);
+                return location ? toCartesian(location.lat, location.lng) : null;
+            },
+            encryptNode: (center, radius) => scheme.encryptIndexNode(center, radius),
+            evaluateNode: (encryptedNode, queryToken) => scheme.evaluateIndexPredicate(encryptedNode, queryToken)
+        };
     }
 
     /**
@@ -36,18 +128,25 @@ class QueryProcessor {
      * @param {number} lng - Query center longitude
      * @param {number} radiusKm - Search radius in kilometers
      * @param {string} userId - User ID for logging
-     * @param {Object} options - Query options
+     * @param {Object} options - Query options ({ decrypt, limit, useCache, dummyQueries, filters, keywords }),
+     *   and `within` ({ lat, lng, radiusKm }): the requested circle, when the query
+     *   center and radius are an obfuscated version of it
      * @returns {Object} Query results
      */
     async executeQuery(lat, lng, radiusKm, userId, options = {}) {
         const startTime = performance.now();
-        const queryId = this.generateQueryId(lat, lng, radiusKm);
+        const queryId = this.generateQueryId(lat, lng, radiusKm, options);
 
-        EPLQLogger.info('Executing range query', { userId, lat, lng, radiusKm });
+        EPLQLogger.info('Executing range query', { userId: EPLQLogger.pseudonymize(userId), radiusKm });
 
         try {
+            // A cache hit would skip the dummies too, so repeated queries would
+            // stand out by their missing index searches; bypass the cache then
+            const dummyCount = options.dummyQueries ?? this.dummyQueryCount;
+            const useCache = options.useCache !== false && dummyCount === 0;
+
             // Check cache first (optional)
-            if (options.useCache !== false) {
+            if (useCache) {
                 const cached = this.getCachedResult(queryId);
                 if (cached) {
                     EPLQLogger.debug('Cache hit for query', { queryId });
@@ -55,36 +154,57 @@ class QueryProcessor {
                 }
             }
 
-            // Generate encrypted query token
-            const tokenStartTime = performance.now();
-            const queryToken = this.rangeEncryption.generateQueryToken(lat, lng, radiusKm);
-            const tokenTime = performance.now() - tokenStartTime;
+            // Pin the index key so a rotation switch cannot split this query
+            const indexKeyId = this.spatialIndex.keyId || this.keyRing.activeKeyId;
 
-            // Search spatial index for candidates
-            const searchStartTime = performance.now();
-            const candidates = this.spatialIndex.search(queryToken.encryptedBounds);
-            const searchTime = performance.now() - searchStartTime;
+            // Hide the real query among dummies, run in random order
+            const queries = this.shuffle([
+                { lat, lng, real: true },
+                ...this.sampleDummyLocations(dummyCount, radiusKm)
+            ]);
 
-            // Evaluate predicate for each candidate
-            const evaluateStartTime = performance.now();
-            const matchingPOIs = candidates.filter(poi => 
-                this.rangeEncryption.evaluatePredicate(poi.encryptedLocation, queryToken)
-            );
-            const evaluateTime = performance.now() - evaluateStartTime;
+            let real;
+            let dummyTime = 0;
+            for (const query of queries) {
+                const queryStartTime = performance.now();
+                const run = this.runRangeQuery(query.lat, query.lng, radiusKm, userId, indexKeyId);
+                if (query.real) {
+                    real = run;
+                } else {
+                    dummyTime += performance.now() - queryStartTime;
+                }
+            }
+            const { candidates, queryTokens, schemeVersions, tokenTime, searchTime } = real;
 
-            // Decrypt matching POIs if requested
-            let results = matchingPOIs;
+            // An obfuscated query matched a moved or enlarged area; keep only
+            // the POIs in the requested circle, and rank around its center
+            const filterStartTime = performance.now();
+            let center = { lat, lng, radiusKm, queryTokens };
+            let withinPOIs = real.matchingPOIs;
+            if (options.within) {
+                const within = this.filterWithin(real.matchingPOIs, options.within, userId);
+                center = { ...options.within, queryTokens: within.queryTokens };
+                withinPOIs = within.matchingPOIs;
+            }
+
+            // Filter before the limit, so filtered-out POIs do not take up result slots
+            const matchingPOIs = this.applyFilters(withinPOIs, options);
+            const evaluateTime = real.evaluateTime + (performance.now() - filterStartTime);
+
+            // Rank nearest first, so the limit keeps the nearest matches,
+            // and decrypt matching POIs if requested
+            const ranked = this.rankByDistance(
+                matchingPOIs, center.queryTokens, center.lat, center.lng, center.radiusKm
+            );
+            let results;
             let decryptTime = 0;
             if (options.decrypt !== false) {
                 const decryptStartTime = performance.now();
-                results = matchingPOIs.map(poi => ({
-                    ...this.dataEncryption.decryptPOI(poi),
-                    distance: this.calculateApproxDistance(poi, lat, lng)
-                }));
+                results = this.decryptResults(ranked.map(({ poi }) => poi), this.distanceFrom(center.lat, center.lng, ranked))
+                    .sort((a, b) => a.distance - b.distance);
                 decryptTime = performance.now() - decryptStartTime;
-
-                // Sort by distance
-                results.sort((a, b) => a.distance - b.distance);
+            } else {
+                results = ranked.map(({ poi, distance }) => ({ ...poi, distance }));
             }
 
             // Apply limit if specified
@@ -102,10 +222,13 @@ class QueryProcessor {
                     totalCandidates: candidates.length,
                     matchingCount: matchingPOIs.length,
                     returnedCount: results.length,
+                    dummyQueryCount: queries.length - 1,
+                    schemeVersions,
                     timing: {
                         tokenGeneration: tokenTime.toFixed(2),
                         spatialSearch: searchTime.toFixed(2),
                         predicateEvaluation: evaluateTime.toFixed(2),
+                        dummyQueries: dummyTime.toFixed(2),
                         decryption: decryptTime.toFixed(2),
                         total: totalTime.toFixed(2)
                     }
@@ -113,42 +236,1114 @@ class QueryProcessor {
             };
 
             // Cache result
-            if (options.useCache !== false) {
+            if (useCache) {
                 this.cacheResult(queryId, queryResult);
             }
 
             // Log query
-            await EPLQLogger.logQuery(userId, { lat, lng, radiusKm }, results.length, totalTime);
+            await EPLQLogger.logQuery(userId, { radiusKm }, results.length, totalTime);
 
             return queryResult;
         } catch (error) {
-            EPLQLogger.error('Query execution failed', error, { userId, lat, lng, radiusKm });
+            EPLQLogger.error('Query execution failed', {
+                userId: EPLQLogger.pseudonymize(userId),
+                error: error.message,
+                code: error.code
+            });
+            return {
+                success: false,
+                queryId,
+                error: error.message,
+                code: error.code,
+                results: []
+            };
+        }
+    }
+
+    /**
+     * Generate tokens for one query, search the index and evaluate the predicate
+     * @param {number} lat - Query center latitude
+     * @param {number} lng - Query center longitude
+     * @param {number} radiusKm - Search radius in kilometers
+     * @param {string} userId - User the tokens are issued to
+     * @param {string} indexKeyId - Key the spatial index is encrypted under
+     * @returns {Object} Candidates, tokens, matching POIs and timings
+     */
+    runRangeQuery(lat, lng, radiusKm, userId, indexKeyId) {
+        // Generate encrypted query token
+        const tokenStartTime = performance.now();
+        const queryToken = this.issueQueryToken(schemeRegistry.currentVersion, indexKeyId, lat, lng, radiusKm, userId);
+        const queryTokens = new Map([
+            [this.getSchemeKey(indexKeyId, schemeRegistry.currentVersion), queryToken]
+        ]);
+        let tokenTime = performance.now() - tokenStartTime;
+
+        // Search spatial index for candidates
+        const searchStartTime = performance.now();
+        const candidates = this.spatialIndex.search(queryToken);
+        const searchTime = performance.now() - searchStartTime;
+
+        // Generate tokens for other keys and scheme versions still present in the data
+        const versionTokenStartTime = performance.now();
+        const candidateSchemes = this.getCandidateSchemes(candidates);
+        for (const [schemeKey, { keyId, version }] of this.getTokenSchemes(candidateSchemes)) {
+            if (!queryTokens.has(schemeKey)) {
+                queryTokens.set(schemeKey, this.issueQueryToken(version, keyId, lat, lng, radiusKm, userId));
+            }
+        }
+        tokenTime += performance.now() - versionTokenStartTime;
+
+        // Evaluate predicate for each candidate with its own key and scheme
+        const evaluateStartTime = performance.now();
+        this.authenticateQueryTokens(Array.from(queryTokens.values()), userId);
+        const matchingPOIs = candidates.filter(poi => this.evaluateRangePredicate(poi, queryTokens) === true);
+        const evaluateTime = performance.now() - evaluateStartTime;
+
+        const schemeVersions = Array.from(new Set([
+            schemeRegistry.currentVersion,
+            ...Array.from(candidateSchemes.values()).map(({ version }) => version)
+        ]));
+        return { candidates, queryTokens, schemeVersions, matchingPOIs, tokenTime, searchTime, evaluateTime };
+    }
+
+    /**
+     * Keep the POIs inside a circle, with tokens for that circle
+     * Used to narrow the matches of an obfuscated query to the requested
+     * circle. Only the given POIs are tested, so the index is never searched
+     * around the circle itself.
+     * @param {Array<Object>} pois - Encrypted POIs
+     * @param {Object} circle - { lat, lng, radiusKm }
+     * @param {string} userId - User the tokens are issued to
+     * @returns {Object} { matchingPOIs, queryTokens }
+     */
+    filterWithin(pois, { lat, lng, radiusKm }, userId) {
+        const queryTokens = new Map();
+        for (const [schemeKey, { keyId, version }] of this.getTokenSchemes(this.getCandidateSchemes(pois))) {
+            queryTokens.set(schemeKey, this.issueQueryToken(version, keyId, lat, lng, radiusKm, userId));
+        }
+        this.authenticateQueryTokens(Array.from(queryTokens.values()), userId);
+
+        const matchingPOIs = pois.filter(poi => this.evaluateRangePredicate(poi, queryTokens) === true);
+        return { matchingPOIs, queryTokens };
+    }
+
+    /**
+     * Find the k POIs nearest to a location
+     * Range queries are repeated with a doubling radius until at least k POIs
+     * match. Every POI within the radius is found, so the k nearest are among
+     * the matches, which are then ranked by their encrypted distance scores.
+     * @param {number} lat - Query center latitude
+     * @param {number} lng - Query center longitude
+     * @param {number} k - Number of POIs to return
+     * @param {string} userId - User ID for logging
+     * @param {Object} options - Query options ({ decrypt, initialRadiusKm, filters, keywords })
+     * @returns {Object} Query results, nearest first, each with `distance`
+     */
+    async executeKNNQuery(lat, lng, k, userId, options = {}) {
+        const startTime = performance.now();
+        const queryId = `${this.generateQueryId(lat, lng, k)}_nearest`;
+
+        EPLQLogger.info('Executing k-nearest query', { userId: EPLQLogger.pseudonymize(userId), k });
+
+        try {
+            if (!Number.isInteger(k) || k < 1) {
+                throw new Error('k must be a positive integer');
+            }
+
+            const indexKeyId = this.spatialIndex.keyId || this.keyRing.activeKeyId;
+            let radiusKm;
+            let rounds = 0;
+            let run;
+            let matches;
+            for (radiusKm of knnRadii(options.initialRadiusKm)) {
+                rounds++;
+                run = this.runRangeQuery(lat, lng, radiusKm, userId, indexKeyId);
+                matches = this.applyFilters(run.matchingPOIs, options);
+                if (matches.length >= k) break;
+            }
+
+            const nearest = this.rankByDistance(matches, run.queryTokens, lat, lng, radiusKm).slice(0, k);
+
+            let results;
+            let decryptTime = 0;
+            if (options.decrypt !== false) {
+                const decryptStartTime = performance.now();
+                results = this.decryptResults(nearest.map(({ poi }) => poi), this.distanceFrom(lat, lng, nearest))
+                    .sort((a, b) => a.distance - b.distance);
+                decryptTime = performance.now() - decryptStartTime;
+            } else {
+                results = nearest.map(({ poi, distance }) => ({ ...poi, distance }));
+            }
+
+            const totalTime = performance.now() - startTime;
+
+            await EPLQLogger.logQuery(userId, { k }, results.length, totalTime);
+
+            return {
+                success: true,
+                queryId,
+                results,
+                metadata: {
+                    k,
+                    searchRadius: radiusKm,
+                    rounds,
+                    totalCandidates: run.candidates.length,
+                    matchingCount: matches.length,
+                    returnedCount: results.length,
+                    timing: {
+                        decryption: decryptTime.toFixed(2),
+                        total: totalTime.toFixed(2)
+                    }
+                }
+            };
+        } catch (error) {
+            EPLQLogger.error('k-nearest query failed', {
+                userId: EPLQLogger.pseudonymize(userId),
+                error: error.message,
+                code: error.code
+            });
+            return {
+                success: false,
+                queryId,
+                error: error.message,
+                code: error.code,
+                results: []
+            };
+        }
+    }
+
+    /**
+     * Execute a privacy-preserving polygon or route-corridor query
+     * The shape's bounding cap prunes the encrypted index, and each candidate
+     * is tested against the shape token for its key and scheme. Schemes
+     * without shape predicates (legacy 1.0) are tested on the decrypted
+     * location instead.
+     * @param {Object} shape - { type: 'polygon', vertices }, { type: 'corridor', path, widthKm }
+     *   or { type: 'box', south, west, north, east }, with vertices as { lat, lng }
+     * @param {string} userId - User ID for logging
+     * @param {Object} options - Query options ({ decrypt, limit, filters, keywords })
+     * @returns {Object} Query results
+     */
+    async executeShapeQuery(shape, userId, options = {}) {
+        const startTime = performance.now();
+        const queryId = `${shape.type}_${Date.now()}`;
+
+        EPLQLogger.info('Executing shape query', { userId: EPLQLogger.pseudonymize(userId), shape: shape.type });
+
+        try {
+            const version = schemeRegistry.currentVersion;
+            const indexKeyId = this.spatialIndex.keyId || this.keyRing.activeKeyId;
+
+            const tokenStartTime = performance.now();
+            const indexToken = this.getScheme(version, indexKeyId).generateShapeToken(shape);
+            const shapeTokens = new Map([[this.getSchemeKey(indexKeyId, version), indexToken]]);
+            let tokenTime = performance.now() - tokenStartTime;
+
+            const searchStartTime = performance.now();
+            const candidates = this.spatialIndex.search(indexToken);
+            const searchTime = performance.now() - searchStartTime;
+
+            // Tokens for other keys and scheme versions still present in the data
+            const versionTokenStartTime = performance.now();
+            for (const [schemeKey, { keyId, version: poiVersion }] of this.getCandidateSchemes(candidates)) {
+                const scheme = this.getScheme(poiVersion, keyId);
+                if (!shapeTokens.has(schemeKey) && typeof scheme.generateShapeToken === 'function') {
+                    shapeTokens.set(schemeKey, scheme.generateShapeToken(shape));
+                }
+            }
+            tokenTime += performance.now() - versionTokenStartTime;
+
+            const evaluateStartTime = performance.now();
+            let plaintextClauses = null;
+            const matchingPOIs = this.applyFilters(candidates.filter(poi => {
+                const keyId = this.keyRing.resolveKeyId(poi);
+                const poiVersion = schemeRegistry.resolveVersion(poi.encryptedLocation);
+                const token = shapeTokens.get(this.getSchemeKey(keyId, poiVersion));
+                if (token) {
+                    return this.getScheme(poiVersion, keyId).evaluateShapePredicate(poi.encryptedLocation, token);
+                }
+
+                const location = this.decryptPOILocation(poi);
+                if (!location) return false;
+                plaintextClauses = plaintextClauses || shapeClauses(shape).clauses;
+                return shapeContains(plaintextClauses, location.lat, location.lng);
+            }), options);
+            const evaluateTime = performance.now() - evaluateStartTime;
+
+            let results = matchingPOIs;
+            let decryptTime = 0;
+            if (options.decrypt !== false) {
+                const decryptStartTime = performance.now();
+                results = this.decryptResults(matchingPOIs);
+                decryptTime = performance.now() - decryptStartTime;
+            }
+
+            if (options.limit) {
+                results = results.slice(0, options.limit);
+            }
+
+            const totalTime = performance.now() - startTime;
+
+            await EPLQLogger.logQuery(userId, { shape: shape.type }, results.length, totalTime);
+
+            return {
+                success: true,
+                queryId,
+                results,
+                metadata: {
+                    shape: shape.type,
+                    totalCandidates: candidates.length,
+                    matchingCount: matchingPOIs.length,
+                    returnedCount: results.length,
+                    timing: {
+                        tokenGeneration: tokenTime.toFixed(2),
+                        spatialSearch: searchTime.toFixed(2),
+                        predicateEvaluation: evaluateTime.toFixed(2),
+                        decryption: decryptTime.toFixed(2),
+                        total: totalTime.toFixed(2)
+                    }
+                }
+            };
+        } catch (error) {
+            EPLQLogger.error('Shape query failed', {
+                userId: EPLQLogger.pseudonymize(userId),
+                shape: shape.type,
+                error: error.message,
+                code: error.code
+            });
+            return {
+                success: false,
+                queryId,
+                error: error.message,
+                code: error.code,
+                results: []
+            };
+        }
+    }
+
+    /**
+     * Execute a privacy-preserving latitude/longitude box query, e.g. a map viewport
+     * @param {Object} bounds - { south, west, north, east } in degrees; `west`
+     *   greater than `east` crosses the antimeridian
+     * @param {string} userId - User ID for logging
+     * @param {Object} options - Query options ({ decrypt, limit, filters, keywords })
+     * @returns {Object} Query results
+     */
+    async executeBoxQuery(bounds, userId, options = {}) {
+        const { south, west, north, east } = bounds;
+        return this.executeShapeQuery({ type: 'box', south, west, north, east }, userId, options);
+    }
+
+    /**
+     * Find the k nearest POIs from client-generated token rings
+     * Each ring holds the tokens for one radius of knnRadii, nearest ring
+     * first, so the request carries no coordinates. Rings are tried
+     * in order until k POIs match, and the matches are ranked by their
+     * encrypted scores under that ring's tokens. Scores under different keys
+     * have unrelated scales, so while POIs are held under several keys (e.g.
+     * during a key rotation) the k best of each key are returned; results
+     * carry no distance, which the client computes after decryption.
+     * @param {Array<Array<Object>>} rings - Signed query tokens per radius, ascending
+     * @param {number} k - Number of POIs to return
+     * @param {string} userId - User the tokens were issued to
+     * @param {Object} options - Query options ({ decrypt, filters, keywords })
+     * @returns {Object} Query results, best score first
+     */
+    async executeTokenKNNQuery(rings, k, userId, options = {}) {
+        const startTime = performance.now();
+        const queryId = `token_${Date.now()}_nearest`;
+
+        EPLQLogger.info('Executing token k-nearest query', { userId: EPLQLogger.pseudonymize(userId), k });
+
+        try {
+            if (!Number.isInteger(k) || k < 1) {
+                throw new Error('k must be a positive integer');
+            }
+            if (!Array.isArray(rings) || rings.length === 0 || rings.length > KNN_MAX_RINGS) {
+                throw new QueryTokenError(
+                    TokenErrorCode.MALFORMED,
+                    `Between 1 and ${KNN_MAX_RINGS} rings of query tokens are required`
+                );
+            }
+
+            // Every ring is checked up front, so a bad token fails the query however early it would stop
+            const ringTokens = rings.map(tokens => this.validateQueryTokens(tokens, userId));
+
+            let rounds = 0;
+            let run;
+            let matches;
+            let queryTokens;
+            for (queryTokens of ringTokens) {
+                rounds++;
+                run = this.matchTokenQuery(queryTokens);
+                matches = this.applyFilters(run.matchingPOIs, options);
+                if (matches.length >= k) break;
+            }
+
+            const nearest = this.rankByScore(matches, queryTokens, k);
+
+            let results = nearest;
+            let decryptTime = 0;
+            if (options.decrypt !== false) {
+                const decryptStartTime = performance.now();
+                results = this.decryptResults(nearest);
+                decryptTime = performance.now() - decryptStartTime;
+            }
+
+            const totalTime = performance.now() - startTime;
+
+            await EPLQLogger.logQuery(userId, { tokenQuery: true, k }, results.length, totalTime);
+
+            return {
+                success: true,
+                queryId,
+                results,
+                metadata: {
+                    k,
+                    rounds,
+                    totalCandidates: run.candidates.length,
+                    matchingCount: matches.length,
+                    returnedCount: results.length,
+                    unevaluatedCount: run.unevaluated,
+                    timing: {
+                        decryption: decryptTime.toFixed(2),
+                        total: totalTime.toFixed(2)
+                    }
+                }
+            };
+        } catch (error) {
+            EPLQLogger.error('Token k-nearest query failed', {
+                userId: EPLQLogger.pseudonymize(userId),
+                error: error.message,
+                code: error.code
+            });
+            return {
+                success: false,
+                queryId,
+                error: error.message,
+                code: error.code,
+                results: []
+            };
+        }
+    }
+
+    /**
+     * Rank POIs by their encrypted scores under the tokens they matched
+     * Lower scores are nearer; scores are only compared between POIs
+     * evaluated with the same token.
+     * @param {Array<Object>} pois - Encrypted POIs that matched `queryTokens`
+     * @param {Map} queryTokens - Tokens by scheme key
+     * @param {number} k - POIs to keep per token
+     * @returns {Array<Object>} POIs, best score first
+     */
+    rankByScore(pois, queryTokens, k) {
+        const kept = new Map();
+
+        return pois.map(poi => {
+            const { scheme, schemeKey, encryptedLocation } = this.getEvaluationTarget(poi);
+            const score = scheme.rankingScore(encryptedLocation, queryTokens.get(schemeKey));
+            return { poi, schemeKey, score };
+        })
+            .sort((a, b) => a.score - b.score)
+            .filter(({ schemeKey }) => {
+                const count = kept.get(schemeKey) || 0;
+                kept.set(schemeKey, count + 1);
+                return count < k;
+            })
+            .map(({ poi }) => poi);
+    }
+
+    /**
+     * Keep the POIs that match a query's keywords and attribute filters
+     * @param {Array<Object>} pois - Encrypted POIs
+     * @param {Object} options - Query options ({ filters, keywords })
+     * @returns {Array<Object>} Matching POIs
+     */
+    applyFilters(pois, options) {
+        // Keyword lookups are cheaper than attribute predicates, so they go first
+        return this.filterByAttributes(this.filterByKeywords(pois, options.keywords), options.filters);
+    }
+
+    /**
+     * Keep the POIs whose name or description matches every keyword
+     * Each keyword is hashed with the blind-index key of every key seen and
+     * looked up in the POI's `keywordIndex`. POIs stored without a keyword
+     * index are matched on their decrypted name and description instead.
+     * @param {Array<Object>} pois - Encrypted POIs
+     * @param {Array<string>} keywords - Normalized query words, from tokenize (all POIs when empty)
+     * @returns {Array<Object>} Matching POIs
+     */
+    filterByKeywords(pois, keywords) {
+        if (!keywords || keywords.length === 0) {
+            return pois;
+        }
+
+        const termHashes = new Map();
+        return pois.filter(poi => {
+            const keyId = this.keyRing.resolveKeyId(poi);
+            if (!this.keyRing.hasKey(keyId)) {
+                return false;
+            }
+            const dataEncryption = this.getDataEncryption(keyId);
+
+            if (Array.isArray(poi.keywordIndex)) {
+                if (!termHashes.has(keyId)) {
+                    termHashes.set(keyId, keywords.map(term => termTokens(term).map(token => dataEncryption.hashKeyword(token))));
+                }
+                const index = new Set(poi.keywordIndex);
+                return termHashes.get(keyId).every(hashes => hashes.some(hash => index.has(hash)));
+            }
+
+            try {
+                const { name, description } = dataEncryption.decryptPOI(poi);
+                return keywordsMatch(`${name} ${description}`, keywords);
+            } catch (error) {
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Keep the POIs that pass every attribute filter
+     * POIs are tested with an encrypted attribute query for their key and
+     * scheme, generated once per query. POIs stored without encrypted
+     * attributes (or under schemes lacking them) are tested on their
+     * decrypted metadata instead.
+     * @param {Array<Object>} pois - Encrypted POIs
+     * @param {Object} filters - { category, minPrice, maxPrice, minRating, maxRating, openAt }
+     *   (all POIs when none is set)
+     * @returns {Array<Object>} Matching POIs
+     */
+    filterByAttributes(pois, filters) {
+        if (!hasAttributeFilters(filters)) {
+            return pois;
+        }
+
+        const attributeQueries = new Map();
+        return pois.filter(poi => {
+            const keyId = this.keyRing.resolveKeyId(poi);
+            const version = poi.encryptedAttributes && poi.encryptedAttributes.version;
+            const scheme = version && schemeRegistry.has(version) && this.keyRing.hasKey(keyId)
+                ? this.getScheme(version, keyId)
+                : null;
+
+            if (scheme && typeof scheme.evaluateAttributePredicate === 'function') {
+                const schemeKey = this.getSchemeKey(keyId, version);
+                if (!attributeQueries.has(schemeKey)) {
+                    attributeQueries.set(schemeKey, scheme.generateAttributeQuery(filters));
+                }
+                return scheme.evaluateAttributePredicate(poi.encryptedAttributes, attributeQueries.get(schemeKey));
+            }
+
+            try {
+                return attributesMatch(this.getDataEncryption(keyId).decryptPOI(poi), filters);
+            } catch (error) {
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Rank POIs by distance from a query center without decrypting them
+     * POIs are scored with the token issued for their key and scheme; a
+     * location encrypted at the center gives each token's reference score,
+     * which turns scores into distances. Schemes without ranking scores
+     * (legacy 1.0) fall back to the decrypted location.
+     * @param {Array<Object>} pois - Encrypted POIs
+     * @param {Map} queryTokens - Tokens by scheme key, from runRangeQuery
+     * @param {number} lat - Query center latitude
+     * @param {number} lng - Query center longitude
+     * @param {number} radiusKm - Radius the tokens were generated for
+     * @returns {Array<Object>} { poi, distance } entries, nearest first
+     */
+    rankByDistance(pois, queryTokens, lat, lng, radiusKm) {
+        const referenceScores = new Map();
+
+        return pois.map(poi => {
+            const keyId = this.keyRing.resolveKeyId(poi);
+            const version = schemeRegistry.resolveVersion(poi.encryptedLocation);
+            const schemeKey = this.getSchemeKey(keyId, version);
+            const scheme = this.getScheme(version, keyId);
+            const token = queryTokens.get(schemeKey);
+
+            if (token && typeof scheme.rankingScore === 'function') {
+                if (!referenceScores.has(schemeKey)) {
+                    referenceScores.set(schemeKey, scheme.rankingScore(scheme.encryptLocation(lat, lng), token));
+                }
+                const score = scheme.rankingScore(poi.encryptedLocation, token);
+                return { poi, distance: scheme.distanceFromScore(score, referenceScores.get(schemeKey), radiusKm) };
+            }
+
+            const location = this.decryptPOILocation(poi);
+            return { poi, distance: location ? haversineDistance(lat, lng, location.lat, location.lng) : Infinity };
+        }).sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Build the distance callback for decryptResults
+     * Decrypted POIs with exact coordinates get their true haversine
+     * distance; the rest keep the distance recovered while ranking.
+     * @param {number} lat - Query center latitude
+     * @param {number} lng - Query center longitude
+     * @param {Array<Object>} ranked - { poi, distance } entries from rankByDistance
+     * @returns {Function} (poi, decrypted) => distance in kilometers
+     */
+    distanceFrom(lat, lng, ranked) {
+        const distances = new Map(ranked.map(({ poi, distance }) => [poi.id, distance]));
+        return (poi, decrypted) => (decrypted.latitude !== null
+            ? haversineDistance(lat, lng, decrypted.latitude, decrypted.longitude)
+            : distances.get(poi.id));
+    }
+
+    /**
+     * Draw dummy query centers from the POI density distribution
+     * Each dummy is an indexed POI chosen at random, moved uniformly within
+     * the query radius so it does not sit exactly on the POI. With an empty
+     * index, centers are drawn uniformly over the globe.
+     * @param {number} count - Number of dummies
+     * @param {number} radiusKm - Query radius in kilometers
+     * @returns {Array<Object>} Dummy centers ({ lat, lng, real: false })
+     */
+    sampleDummyLocations(count, radiusKm) {
+        const pois = this.spatialIndex.getAll();
+        const dummies = [];
+
+        for (let i = 0; i < count; i++) {
+            const center = (pois.length > 0 && this.decryptPOILocation(pois[crypto.randomInt(pois.length)])) || {
+                lat: Math.asin(2 * randomFraction() - 1) * 180 / Math.PI,
+                lng: randomFraction() * 360 - 180
+            };
+
+            const distance = radiusKm * Math.sqrt(randomFraction());
+            const bearing = randomFraction() * 2 * Math.PI;
+            dummies.push({ ...offsetLocation(center.lat, center.lng, distance, bearing), real: false });
+        }
+        return dummies;
+    }
+
+    /**
+     * Recover the location of an indexed POI
+     * @param {Object} poi - Encrypted POI
+     * @returns {Object|null} { lat, lng }, or null if its key or scheme is unavailable
+     */
+    decryptPOILocation(poi) {
+        const keyId = this.keyRing.resolveKeyId(poi);
+        const version = schemeRegistry.resolveVersion(poi.encryptedLocation);
+        if (!schemeRegistry.has(version) || !this.keyRing.hasKey(keyId)) {
+            return null;
+        }
+        try {
+            return this.getScheme(version, keyId).decryptLocation(poi.encryptedLocation);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates with the CSPRNG)
+     * @param {Array} items - Items
+     * @returns {Array} The shuffled array
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = crypto.randomInt(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    /**
+     * Execute a range query from client-generated tokens
+     * The request carries no coordinates: the blinded vectors are encrypted
+     * under every held key, the token for the index key prunes the
+     * encrypted index, every candidate is tested against the token for its
+     * key and scheme, and POIs under schemes without client tokens are skipped.
+     * @param {Array<Object>} tokens - Signed query tokens ({ keyId, version, blindedQuery, blindedIndexQuery, timestamp, expiresAt, nonce, signature })
+     * @param {string} userId - User ID for logging
+     * @param {Object} options - Query options ({ decrypt, limit, filters, keywords })
+     * @returns {Object} Query results
+     */
+    async executeTokenQuery(tokens, userId, options = {}) {
+        const startTime = performance.now();
+        const queryId = `token_${Date.now()}`;
+
+        EPLQLogger.info('Executing token range query', { userId: EPLQLogger.pseudonymize(userId) });
+
+        try {
+            const queryTokens = this.validateQueryTokens(tokens, userId);
+            const run = this.matchTokenQuery(queryTokens);
+            const { candidates, unevaluated, searchTime } = run;
+
+            const filterStartTime = performance.now();
+            const matchingPOIs = this.applyFilters(run.matchingPOIs, options);
+            const evaluateTime = run.evaluateTime + (performance.now() - filterStartTime);
+
+            let results = matchingPOIs;
+            let decryptTime = 0;
+            if (options.decrypt !== false) {
+                const decryptStartTime = performance.now();
+                results = this.decryptResults(matchingPOIs);
+                decryptTime = performance.now() - decryptStartTime;
+            }
+
+            if (options.limit) {
+                results = results.slice(0, options.limit);
+            }
+
+            const totalTime = performance.now() - startTime;
+
+            await EPLQLogger.logQuery(userId, { tokenQuery: true }, results.length, totalTime);
+
+            return {
+                success: true,
+                queryId,
+                results,
+                metadata: {
+                    totalCandidates: candidates.length,
+                    matchingCount: matchingPOIs.length,
+                    returnedCount: results.length,
+                    unevaluatedCount: unevaluated,
+                    schemeVersions: Array.from(new Set(Array.from(queryTokens.values()).map(token => token.version))),
+                    timing: {
+                        tokenGeneration: '0.00',
+                        spatialSearch: searchTime.toFixed(2),
+                        predicateEvaluation: evaluateTime.toFixed(2),
+                        decryption: decryptTime.toFixed(2),
+                        total: totalTime.toFixed(2)
+                    }
+                }
+            };
+        } catch (error) {
+            EPLQLogger.error('Token query execution failed', {
+                userId: EPLQLogger.pseudonymize(userId),
+                error: error.message,
+                code: error.code
+            });
             return {
                 success: false,
                 queryId,
                 error: error.message,
+                code: error.code,
                 results: []
             };
         }
     }
 
+    /**
+     * Search the index and evaluate the predicate with validated client tokens
+     * @param {Map} queryTokens - Tokens by scheme key, from validateQueryTokens
+     * @returns {Object} Candidates, matching POIs, unevaluated count and timings
+     */
+    matchTokenQuery(queryTokens) {
+        // Without a token for the index key every POI is a candidate
+        const searchStartTime = performance.now();
+        const indexToken = queryTokens.get(
+            this.getSchemeKey(this.spatialIndex.keyId, schemeRegistry.currentVersion)
+        );
+        const candidates = indexToken ? this.spatialIndex.search(indexToken) : this.spatialIndex.getAll();
+        const searchTime = performance.now() - searchStartTime;
+
+        const evaluateStartTime = performance.now();
+        let unevaluated = 0;
+        const matchingPOIs = candidates.filter(poi => {
+            const match = this.evaluateRangePredicate(poi, queryTokens);
+            if (match === null) {
+                unevaluated++;
+                return false;
+            }
+            return match;
+        });
+        const evaluateTime = performance.now() - evaluateStartTime;
+
+        if (unevaluated > 0) {
+            EPLQLogger.warn('POIs skipped for lack of a matching query token', { count: unevaluated });
+        }
+        return { candidates, matchingPOIs, unevaluated, searchTime, evaluateTime };
+    }
+
+    /**
+     * Count indexed POIs within a radius by evaluating the encrypted predicate
+     * Used to size k-anonymity cloaking cells; the count stays on the server.
+     * @param {number} lat - Center latitude
+     * @param {number} lng - Center longitude
+     * @param {number} radiusKm - Radius in kilometers
+     * @returns {number} Number of matching POIs
+     */
+    countMatches(lat, lng, radiusKm) {
+        const indexKeyId = this.spatialIndex.keyId || this.keyRing.activeKeyId;
+        const candidates = this.spatialIndex.search(
+            this.getScheme(schemeRegistry.currentVersion, indexKeyId).generateQueryToken(lat, lng, radiusKm)
+        );
+        const queryTokens = new Map();
+        for (const [schemeKey, { keyId, version }] of this.getTokenSchemes(this.getCandidateSchemes(candidates))) {
+            queryTokens.set(schemeKey, this.getScheme(version, keyId).generateQueryToken(lat, lng, radiusKm));
+        }
+
+        return candidates.filter(poi => this.evaluateRangePredicate(poi, queryTokens) === true).length;
+    }
+
+    /**
+     * Check client tokens and finish them into encrypted tokens for every held key
+     * Clients send blinded plaintext vectors (see queryBlinding.js); once a
+     * token's signature and nonce check out, its vectors are unblinded and
+     * encrypted here under each key POIs may be stored under.
+     * @param {Array<Object>} tokens - Signed client tokens, at most one per scheme version
+     * @param {string} userId - User presenting the tokens
+     * @returns {Map<string, Object>} Scheme key to encrypted token
+     * @throws {QueryTokenError} If any token is malformed, expired, tampered with or replayed
+     */
+    validateQueryTokens(tokens, userId) {
+        if (!Array.isArray(tokens) || tokens.length === 0) {
+            throw new QueryTokenError(TokenErrorCode.MALFORMED, 'At least one query token is required');
+        }
+
+        const clientTokens = new Map();
+        for (const token of tokens) {
+            if (!token || !this.keyRing.hasKey(token.keyId) || !schemeRegistry.has(token.version)) {
+                throw new QueryTokenError(TokenErrorCode.UNKNOWN_KEY, 'Query token uses an unknown key or scheme');
+            }
+
+            const scheme = this.getScheme(token.version, token.keyId);
+            if (typeof scheme.finishQueryToken !== 'function') {
+                throw new QueryTokenError(
+                    TokenErrorCode.UNKNOWN_KEY,
+                    `Scheme ${token.version} does not support client query tokens`
+                );
+            }
+
+            const { blindedQuery, blindedIndexQuery } = token;
+            if (!isVector(blindedQuery, scheme.dimension) || clientTokens.has(token.version)) {
+                throw new QueryTokenError(TokenErrorCode.MALFORMED, 'Invalid query token');
+            }
+
+            // The index query is optional; without it the token cannot prune
+            if (blindedIndexQuery !== undefined && !isVector(blindedIndexQuery, scheme.indexScheme.dimension)) {
+                throw new QueryTokenError(TokenErrorCode.MALFORMED, 'Invalid query token');
+            }
+
+            clientTokens.set(token.version, token);
+        }
+
+        this.authenticateQueryTokens(Array.from(clientTokens.values()), userId);
+
+        const queryTokens = new Map();
+        for (const token of clientTokens.values()) {
+            const queryVector = this.getQueryBlinding(token.keyId, userId, 'location', token.version)
+                .unblind(token.blindedQuery);
+            const indexVector = token.blindedIndexQuery
+                ? this.getQueryBlinding(token.keyId, userId, 'index', token.version).unblind(token.blindedIndexQuery)
+                : null;
+
+            for (const keyId of this.keyRing.getKeyIds()) {
+                queryTokens.set(this.getSchemeKey(keyId, token.version), {
+                    keyId,
+                    version: token.version,
+                    ...this.getScheme(token.version, keyId).finishQueryToken(queryVector, indexVector),
+                    timestamp: token.timestamp,
+                    expiresAt: token.expiresAt
+                });
+            }
+        }
+        return queryTokens;
+    }
+
+    /**
+     * Generate a query token bound to a user
+     * @param {string} version - Scheme version ID
+     * @param {string} keyId - Key ID
+     * @param {number} lat - Query center latitude
+     * @param {number} lng - Query center longitude
+     * @param {number} radiusKm - Search radius in kilometers
+     * @param {string} userId - User the token is issued to
+     * @returns {Object} Signed query token
+     */
+    issueQueryToken(version, keyId, lat, lng, radiusKm, userId) {
+        const token = this.getScheme(version, keyId).generateQueryToken(lat, lng, radiusKm);
+        return this.getTokenAuthenticator(keyId).sign({ ...token, keyId, version }, userId);
+    }
+
+    /**
+     * Verify the expiry and signature of every token, then spend their nonces
+     * All tokens are verified before any nonce is recorded, so a request
+     * rejected for one bad token does not burn the others.
+     * @param {Array<Object>} tokens - Signed query tokens
+     * @param {string} userId - User presenting the tokens
+     * @throws {QueryTokenError} If any token is expired, tampered with or replayed
+     */
+    authenticateQueryTokens(tokens, userId) {
+        const now = Date.now();
+        for (const token of tokens) {
+            this.getTokenAuthenticator(token.keyId).verify(token, userId, now);
+        }
+        for (const token of tokens) {
+            if (!this.nonceStore.consume(token.nonce, token.expiresAt, now)) {
+                throw new QueryTokenError(TokenErrorCode.REPLAYED, 'Query token has already been used');
+            }
+        }
+    }
+
+    /**
+     * Export the keys a client needs to build tokens for the current scheme
+     * Only the active key's token key is issued, with blinding matrices
+     * derived from it. Neither reveals anything about the location or index
+     * keys: the server encrypts every token itself, for each held key.
+     * @param {string} userId - User the keys are issued to
+     * @returns {Array<Object>} Query keys
+     */
+    getQueryKeys(userId) {
+        const keyId = this.keyRing.activeKeyId;
+        const version = schemeRegistry.currentVersion;
+        return [{
+            keyId,
+            version,
+            blinding: {
+                query: this.getQueryBlinding(keyId, userId, 'location', version).exportKey(),
+                index: this.getQueryBlinding(keyId, userId, 'index', version).exportKey()
+            },
+            tokenKey: this.getTokenAuthenticator(keyId).getUserKey(userId).toString('base64')
+        }];
+    }
+
+    /**
+     * Get a user's blinding for one kind of query vector
+     * @param {string} keyId - Key ID of the user's token key
+     * @param {string} userId - User ID
+     * @param {string} kind - 'location' for range query vectors, 'index' for index queries
+     * @param {string} version - Scheme version the vectors are encoded for
+     * @returns {QueryBlinding} Blinding
+     */
+    getQueryBlinding(keyId, userId, kind, version) {
+        const scheme = this.getScheme(version, keyId);
+        const dimension = kind === 'index' ? scheme.indexScheme.dimension : scheme.dimension;
+        return new QueryBlinding(this.getTokenAuthenticator(keyId).getUserKey(userId), kind, dimension);
+    }
+
+    /**
+     * Prepare matching POIs for a result envelope without decrypting them
+     * Records keep their stored field ciphertexts; the record key of each
+     * returned POI is exported alongside, to be sealed for the client. A
+     * record key opens only its own POI. POIs not yet migrated to record keys,
+     * or still holding a plaintext category, are left out.
+     * @param {Array<Object>} pois - Encrypted POIs
+     * @returns {Object} Records, record keys by POI ID and skipped count
+     */
+    buildEncryptedResults(pois) {
+        const records = [];
+        const recordKeys = {};
+        let skippedCount = 0;
+
+        for (const poi of pois) {
+            const dataEncryption = this.getDataEncryption(this.keyRing.resolveKeyId(poi));
+            if (dataEncryption.needsMigration(poi)) {
+                skippedCount++;
+                continue;
+            }
+
+            recordKeys[poi.id] = dataEncryption.exportRecordKey(poi.id);
+            records.push({
+                id: poi.id,
+                ...Object.fromEntries(Object.keys(ENCRYPTED_FIELDS).map(field => [field, poi[field] || ''])),
+                distance: poi.distance ?? null,
+                createdAt: poi.createdAt,
+                updatedAt: poi.updatedAt
+            });
+        }
+
+        if (skippedCount > 0) {
+            EPLQLogger.warn('Unmigrated POIs left out of result envelope', { count: skippedCount });
+        }
+        return { records, recordKeys, skippedCount };
+    }
+
+    /**
+     * Decrypt matching POIs, dropping any that fail authentication
+     * @param {Array<Object>} pois - Encrypted POIs
+     * @param {Function} getDistance - Computes the distance of an encrypted and decrypted POI (omitted when unknown)
+     * @returns {Array<Object>} Decrypted POIs
+     */
+    decryptResults(pois, getDistance = null) {
+        return pois.flatMap(poi => {
+            try {
+                const decrypted = this.getDataEncryption(this.keyRing.resolveKeyId(poi)).decryptPOI(poi);
+                return [getDistance ? { ...decrypted, distance: getDistance(poi, decrypted) } : decrypted];
+            } catch (error) {
+                // Tampered or misplaced ciphertexts are dropped, not returned
+                EPLQLogger.error('Rejected POI that failed decryption', { poiId: poi.id, error: error.message });
+                return [];
+            }
+        });
+    }
+
+    /**
+     * Get the scheme instance for a ciphertext version and key
+     * @param {string} version - Scheme version ID
+     * @param {string} keyId - Key ID (defaults to the active key)
+     * @returns {Object} Scheme instance
+     */
+    getScheme(version = schemeRegistry.currentVersion, keyId = this.keyRing.activeKeyId) {
+        const schemeKey = this.getSchemeKey(keyId, version);
+        if (!this.schemes.has(schemeKey)) {
+            this.schemes.set(schemeKey, schemeRegistry.create(version, this.keyRing.getKeyProvider(keyId)));
+        }
+        return this.schemes.get(schemeKey);
+    }
+
+    /**
+     * Get the metadata encryption for a key
+     * @param {string} keyId - Key ID (defaults to the active key)
+     * @returns {DataEncryption} Data encryption instance
+     */
+    getDataEncryption(keyId = this.keyRing.activeKeyId) {
+        if (!this.dataEncryptions.has(keyId)) {
+            this.dataEncryptions.set(keyId, new DataEncryption(this.keyRing.getKeyProvider(keyId)));
+        }
+        const dataEncryption = this.dataEncryptions.get(keyId);
+        dataEncryption.allowLegacy = this.keyRing.allowLegacyMetadata;
+        return dataEncryption;
+    }
+
+    /**
+     * Get the token authenticator for a key
+     * @param {string} keyId - Key ID (defaults to the active key)
+     * @returns {TokenAuthenticator} Token authenticator
+     */
+    getTokenAuthenticator(keyId = this.keyRing.activeKeyId) {
+        if (!this.tokenAuthenticators.has(keyId)) {
+            this.tokenAuthenticators.set(keyId, new TokenAuthenticator(this.keyRing.getKeyProvider(keyId)));
+        }
+        return this.tokenAuthenticators.get(keyId);
+    }
+
+    /**
+     * Build the cache key for a (key, scheme version) pair
+     * @param {string} keyId - Key ID
+     * @param {string} version - Scheme version ID
+     * @returns {string} Scheme key
+     */
+    getSchemeKey(keyId, version) {
+        return `${keyId}:${version}`;
+    }
+
+    /**
+     * Evaluate the range predicate for one POI with the token for its key and scheme
+     * @param {Object} poi - Encrypted POI
+     * @param {Map} queryTokens - Tokens by scheme key
+     * @returns {boolean|null} Whether the POI matches, or null if no token applies to it
+     */
+    evaluateRangePredicate(poi, queryTokens) {
+        const target = this.getEvaluationTarget(poi);
+        const token = target && queryTokens.get(target.schemeKey);
+        return token ? target.scheme.evaluatePredicate(target.encryptedLocation, token) : null;
+    }
+
+    /**
+     * Get the scheme and location ciphertext a POI is evaluated with
+     * The legacy 1.0 predicate is a placeholder with no distance guarantee,
+     * so for schemes without ranking scores the decrypted location is
+     * encrypted under the current scheme for the same key instead, as
+     * ranking and shape queries fall back to the decrypted location.
+     * @param {Object} poi - Encrypted POI
+     * @returns {Object|null} { scheme, schemeKey, encryptedLocation }, or null if its key,
+     *   scheme or location is unavailable
+     */
+    getEvaluationTarget(poi) {
+        const keyId = this.keyRing.resolveKeyId(poi);
+        const version = schemeRegistry.resolveVersion(poi.encryptedLocation);
+        if (!schemeRegistry.has(version) || !this.keyRing.hasKey(keyId)) {
+            return null;
+        }
+
+        const scheme = this.getScheme(version, keyId);
+        if (typeof scheme.rankingScore === 'function') {
+            return { scheme, schemeKey: this.getSchemeKey(keyId, version), encryptedLocation: poi.encryptedLocation };
+        }
+
+        const location = this.decryptPOILocation(poi);
+        if (!location) return null;
+        const current = this.getScheme(schemeRegistry.currentVersion, keyId);
+        return {
+            scheme: current,
+            schemeKey: this.getSchemeKey(keyId, schemeRegistry.currentVersion),
+            encryptedLocation: current.encryptLocation(location.lat, location.lng)
+        };
+    }
+
+    /**
+     * Map candidate schemes to those query tokens are needed for
+     * Legacy schemes are evaluated with the current scheme's token for the
+     * same key (see getEvaluationTarget).
+     * @param {Map<string, Object>} candidateSchemes - From getCandidateSchemes
+     * @returns {Map<string, Object>} Scheme key to { keyId, version }
+     */
+    getTokenSchemes(candidateSchemes) {
+        const schemes = new Map();
+        for (const { keyId, version } of candidateSchemes.values()) {
+            const tokenVersion = typeof this.getScheme(version, keyId).rankingScore === 'function'
+                ? version
+                : schemeRegistry.currentVersion;
+            schemes.set(this.getSchemeKey(keyId, tokenVersion), { keyId, version: tokenVersion });
+        }
+        return schemes;
+    }
+
+    /**
+     * Collect the (key, scheme version) pairs used by a set of candidates
+     * Candidates with an unknown scheme or a key that is not held are skipped.
+     * @param {Array<Object>} candidates - Candidate POIs
+     * @returns {Map<string, Object>} Scheme key to { keyId, version }
+     */
+    getCandidateSchemes(candidates) {
+        const schemes = new Map();
+        const unknown = new Set();
+        for (const poi of candidates) {
+            const keyId = this.keyRing.resolveKeyId(poi);
+            const version = schemeRegistry.resolveVersion(poi.encryptedLocation);
+            if (schemeRegistry.has(version) && this.keyRing.hasKey(keyId)) {
+                schemes.set(this.getSchemeKey(keyId, version), { keyId, version });
+            } else {
+                unknown.add(this.getSchemeKey(keyId, version));
+            }
+        }
+        if (unknown.size > 0) {
+            EPLQLogger.warn('Skipping POIs with unknown keys or encryption schemes', {
+                schemes: Array.from(unknown)
+            });
+        }
+        return schemes;
+    }
+
     /**
      * Generate unique query ID for caching
      * @param {number} lat - Latitude
      * @param {number} lng - Longitude
      * @param {number} radius - Radius
+     * @param {Object} options - Query options results cached under the ID depend on ({ limit, decrypt, filters, keywords, within })
      * @returns {string} Query ID
      */
-    generateQueryId(lat, lng, radius) {
+    generateQueryId(lat, lng, radius, { limit = null, decrypt = true, filters = null, keywords = null, within = null } = {}) {
         // Round to reduce cache key variations
         const roundedLat = Math.round(lat * 1000) / 1000;
         const roundedLng = Math.round(lng * 1000) / 1000;
         const roundedRadius = Math.round(radius * 10) / 10;
-        return `${roundedLat}_${roundedLng}_${roundedRadius}`;
+        const queryId = `${roundedLat}_${roundedLng}_${roundedRadius}_${limit || 'all'}${decrypt === false ? '_encrypted' : ''}`;
+        const hasKeywords = Array.isArray(keywords) && keywords.length > 0;
+        if (!hasAttributeFilters(filters) && !hasKeywords && !within) {
+            return queryId;
+        }
+        const filterHash = crypto.createHash('sha256')
+            .update(JSON.stringify([
+                hasAttributeFilters(filters) ? filters : null,
+                hasKeywords ? keywords : null,
+                within || null
+            ]))
+            .digest('hex')
+            .slice(0, 12);
+        return `${queryId}_${filterHash}`;
     }
 
     /**
      * Get cached query result
+     * Returns a copy, so callers adding metadata do not change the cached result
      * @param {string} queryId - Query ID
      * @returns {Object|null} Cached result or null
      */
@@ -161,11 +1356,12 @@ class QueryProcessor {
             return null;
         }
         
-        return cached.result;
+        return structuredClone(cached.result);
     }
 
     /**
      * Cache query result
+     * Stores a copy, so the caller may go on changing the result it returns
      * @param {string} queryId - Query ID
      * @param {Object} result - Query result
      */
@@ -174,27 +1370,7 @@ class QueryProcessor {
             const oldestKey = this.queryCache.keys().next().value;
             this.queryCache.delete(oldestKey);
         }
-        this.queryCache.set(queryId, { result, timestamp: Date.now() });
-    }
-
-    /**
-     * Calculate approximate distance (for sorting)
-     * @param {Object} poi - POI object
-     * @param {number} queryLat - Query latitude
-     * @param {number} queryLng - Query longitude
-     * @returns {number} Approximate distance in km
-     */
-    calculateApproxDistance(poi, queryLat, queryLng) {
-        if (!poi.originalLat || !poi.originalLng) {
-            return 0;
-        }
-        const R = 6371;
-        const dLat = (poi.originalLat - queryLat) * Math.PI / 180;
-        const dLng = (poi.originalLng - queryLng) * Math.PI / 180;
-        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                  Math.cos(queryLat * Math.PI / 180) * Math.cos(poi.originalLat * Math.PI / 180) *
-                  Math.sin(dLng/2) * Math.sin(dLng/2);
-        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+        this.queryCache.set(queryId, { result: structuredClone(result), timestamp: Date.now() });
     }
 
     /**
@@ -211,13 +1387,15 @@ class QueryProcessor {
      */
     getStats() {
         return {
+            tenantId: this.tenantId,
             indexStats: this.spatialIndex.getStats(),
             cacheSize: this.queryCache.size,
+            nonceStoreSize: this.nonceStore.size,
             cacheMaxSize: this.cacheMaxSize
         };
     }
 }
 
-export { QueryProcessor };
+export { QueryProcessor, knnRadii };
 export default QueryProcessor;
 
@@ -1,83 +1,86 @@
 /**
  * Spatial Index Module
- * Implements R-tree based spatial indexing for efficient range queries
- * Uses RBush library for high-performance spatial indexing
+ * Implements an encrypted ball tree for sublinear range queries
+ *
+ * Each node stores the bounding ball of the POIs beneath it, encrypted with
+ * the inner-product scheme. Search descends into a node only when the
+ * encrypted intersection predicate holds for the query token, so no
+ * coordinates, bounding boxes or orderings are kept in the index.
  */
 
-import RBush from 'rbush';
 import { EPLQLogger } from '../utils/logger.js';
 
 /**
- * Custom R-tree node class for encrypted spatial data
+ * Slack added to node radii so that rounding error cannot exclude a POI
  */
-class EncryptedRBush extends RBush {
-    toBBox(item) {
-        return {
-            minX: item.minX,
-            minY: item.minY,
-            maxX: item.maxX,
-            maxY: item.maxY
-        };
-    }
-
-    compareMinX(a, b) {
-        return a.minX - b.minX;
-    }
-
-    compareMinY(a, b) {
-        return a.minY - b.minY;
-    }
-}
+const NODE_RADIUS_PADDING = 1e-9;
 
 /**
  * SpatialIndex class
- * Manages encrypted spatial data in an R-tree structure
+ * Manages encrypted POIs in a tree of encrypted bounding balls
  */
 class SpatialIndex {
+    /**
+     * @param {number} maxEntries - Maximum POIs per leaf
+     */
     constructor(maxEntries = 9) {
-        this.tree = new EncryptedRBush(maxEntries);
+        this.maxEntries = maxEntries;
+        this.root = null;
+        this.indexer = null;
         this.poiMap = new Map();
+        // POIs that could not be placed in the tree; returned by every search
+        this.unindexed = new Set();
         this.indexStats = {
             totalNodes: 0,
             totalPOIs: 0,
+            indexedPOIs: 0,
             lastBuildTime: null,
-            queryCount: 0
+            queryCount: 0,
+            lastNodesVisited: 0
         };
     }
 
     /**
      * Build index from encrypted POI data
+     * The indexer is supplied by the key holder:
+     * - keyId: key the node vectors are encrypted under
+     * - locate(poi): the POI's point on the unit-sphere embedding, or null
+     * - encryptNode(center, radius): encrypted node vector
+     * - evaluateNode(encryptedNode, queryToken): intersection predicate
+     * Without an indexer every POI is left unindexed and searches scan them all.
      * @param {Array<Object>} encryptedPOIs - Array of encrypted POI objects
+     * @param {Object} indexer - Node encryption and evaluation callbacks
      * @returns {Object} Build statistics
      */
-    buildIndex(encryptedPOIs) {
+    buildIndex(encryptedPOIs, indexer = this.indexer) {
         const startTime = performance.now();
         EPLQLogger.info('Building spatial index', { poiCount: encryptedPOIs.length });
 
-        this.tree.clear();
+        this.indexer = indexer;
         this.poiMap.clear();
+        this.unindexed.clear();
 
-        const items = encryptedPOIs.map(poi => {
-            // Store POI reference
+        const entries = [];
+        for (const poi of encryptedPOIs) {
             this.poiMap.set(poi.id, poi);
+            const point = indexer ? indexer.locate(poi) : null;
+            if (point) {
+                entries.push({ id: poi.id, point });
+            } else {
+                this.unindexed.add(poi.id);
+            }
+        }
 
-            // Extract encrypted bounding box
-            const bbox = this.extractBoundingBox(poi);
-            return {
-                ...bbox,
-                id: poi.id
-            };
-        });
-
-        // Bulk load for efficiency
-        this.tree.load(items);
+        this.root = entries.length > 0 ? this.buildNode(entries) : null;
 
         const buildTime = performance.now() - startTime;
         this.indexStats = {
-            totalNodes: this.tree.data ? this.countNodes(this.tree.data) : 0,
+            totalNodes: this.root ? this.countNodes(this.root) : 0,
             totalPOIs: encryptedPOIs.length,
+            indexedPOIs: entries.length,
             lastBuildTime: buildTime,
-            queryCount: 0
+            queryCount: 0,
+            lastNodesVisited: 0
         };
 
         EPLQLogger.info(`Spatial index built in ${buildTime.toFixed(2)}ms`, this.indexStats);
@@ -85,33 +88,62 @@ class SpatialIndex {
     }
 
     /**
-     * Extract bounding box from encrypted POI
-     * @param {Object} poi - Encrypted POI
-     * @returns {Object} Bounding box
+     * Build a subtree by splitting at the median of the widest axis
+     * @param {Array<Object>} entries - { id, point } entries
+     * @returns {Object} Node with its encrypted bounding ball
      */
-    extractBoundingBox(poi) {
-        if (poi.encryptedBoundingBox) {
-            return {
-                minX: poi.encryptedBoundingBox.minX,
-                minY: poi.encryptedBoundingBox.minY,
-                maxX: poi.encryptedBoundingBox.maxX,
-                maxY: poi.encryptedBoundingBox.maxY
-            };
+    buildNode(entries) {
+        const node = { encryptedBall: this.encryptBoundingBall(entries) };
+
+        if (entries.length <= this.maxEntries) {
+            node.ids = entries.map(entry => entry.id);
+            return node;
         }
 
-        // If no bounding box, use encrypted coordinates as point
-        const coords = poi.encryptedLocation?.encryptedCoords || [0, 0, 0, 0];
-        return {
-            minX: coords[0],
-            minY: coords[1],
-            maxX: coords[0],
-            maxY: coords[1]
-        };
+        const axis = [0, 1, 2].reduce((widest, i) => (
+            this.spread(entries, i) > this.spread(entries, widest) ? i : widest
+        ), 0);
+        const sorted = [...entries].sort((a, b) => a.point[axis] - b.point[axis]);
+        const middle = Math.ceil(sorted.length / 2);
+
+        node.children = [this.buildNode(sorted.slice(0, middle)), this.buildNode(sorted.slice(middle))];
+        return node;
+    }
+
+    /**
+     * Encrypt the smallest centroid-centred ball holding a set of points
+     * @param {Array<Object>} entries - { id, point } entries
+     * @returns {Array<number>} Encrypted node vector
+     */
+    encryptBoundingBall(entries) {
+        const center = [0, 1, 2].map(i => entries.reduce((sum, entry) => sum + entry.point[i], 0) / entries.length);
+        const radius = Math.max(...entries.map(entry => Math.hypot(
+            entry.point[0] - center[0],
+            entry.point[1] - center[1],
+            entry.point[2] - center[2]
+        )));
+        return this.indexer.encryptNode(center, radius + NODE_RADIUS_PADDING);
     }
 
     /**
-     * Count nodes in R-tree
-     * @param {Object} node - R-tree node
+     * Extent of a set of points along one axis
+     * @param {Array<Object>} entries - { id, point } entries
+     * @param {number} axis - Axis index
+     * @returns {number} Spread
+     */
+    spread(entries, axis) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const entry of entries) {
+            min = Math.min(min, entry.point[axis]);
+            max = Math.max(max, entry.point[axis]);
+        }
+        return max - min;
+    }
+
+    /**
+     * Count nodes in the tree
+     * @param {Object} node - Tree node
      * @returns {number} Node count
      */
     countNodes(node) {
@@ -125,62 +157,86 @@ class SpatialIndex {
 
     /**
      * Insert a single encrypted POI into the index
+     * New POIs are scanned linearly until the next rebuild, which happens
+     * once more than maxEntries of them have accumulated.
      * @param {Object} encryptedPOI - Encrypted POI to insert
      */
     insert(encryptedPOI) {
-        const bbox = this.extractBoundingBox(encryptedPOI);
         this.poiMap.set(encryptedPOI.id, encryptedPOI);
-        this.tree.insert({
-            ...bbox,
-            id: encryptedPOI.id
-        });
-        this.indexStats.totalPOIs++;
+        this.unindexed.add(encryptedPOI.id);
+        this.indexStats.totalPOIs = this.poiMap.size;
+
+        if (this.indexer && this.unindexed.size > this.maxEntries) {
+            const { queryCount } = this.indexStats;
+            this.buildIndex(this.getAll());
+            this.indexStats.queryCount = queryCount;
+        }
     }
 
     /**
      * Remove a POI from the index
+     * Node balls are left as they are; they still bound the remaining POIs.
      * @param {string} poiId - POI ID to remove
      * @returns {boolean} Success status
      */
     remove(poiId) {
-        const poi = this.poiMap.get(poiId);
-        if (!poi) return false;
-
-        const bbox = this.extractBoundingBox(poi);
-        this.tree.remove({ ...bbox, id: poiId }, (a, b) => a.id === b.id);
-        this.poiMap.delete(poiId);
-        this.indexStats.totalPOIs--;
+        if (!this.poiMap.delete(poiId)) return false;
+        this.unindexed.delete(poiId);
+        this.indexStats.totalPOIs = this.poiMap.size;
         return true;
     }
 
     /**
-     * Search for POIs within encrypted bounding box
-     * @param {Object} encryptedBounds - Encrypted search bounds
-     * @returns {Array<Object>} Matching POIs
+     * Search for POIs that may lie within a query range
+     * Tokens without an index query (e.g. from legacy schemes) cannot prune,
+     * so every POI is returned.
+     * @param {Object} queryToken - Query token for the index key
+     * @returns {Array<Object>} Candidate POIs
      */
-    search(encryptedBounds) {
+    search(queryToken) {
         const startTime = performance.now();
         this.indexStats.queryCount++;
 
-        const searchBox = {
-            minX: Math.min(encryptedBounds.encryptedMin[0], encryptedBounds.encryptedMax[0]),
-            minY: Math.min(encryptedBounds.encryptedMin[1], encryptedBounds.encryptedMax[1]),
-            maxX: Math.max(encryptedBounds.encryptedMin[0], encryptedBounds.encryptedMax[0]),
-            maxY: Math.max(encryptedBounds.encryptedMin[1], encryptedBounds.encryptedMax[1])
-        };
+        if (!this.indexer || !queryToken?.encryptedIndexQuery) {
+            this.indexStats.lastNodesVisited = 0;
+            return this.getAll();
+        }
+
+        const ids = [...this.unindexed];
+        let nodesVisited = 0;
+        const stack = this.root ? [this.root] : [];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            nodesVisited++;
+            if (!this.indexer.evaluateNode(node.encryptedBall, queryToken)) continue;
 
-        const candidates = this.tree.search(searchBox);
-        const results = candidates.map(item => this.poiMap.get(item.id)).filter(Boolean);
+            if (node.ids) {
+                ids.push(...node.ids);
+            } else {
+                stack.push(...node.children);
+            }
+        }
+
+        const results = ids.map(id => this.poiMap.get(id)).filter(Boolean);
+        this.indexStats.lastNodesVisited = nodesVisited;
 
         const searchTime = performance.now() - startTime;
         EPLQLogger.debug(`Spatial search completed in ${searchTime.toFixed(2)}ms`, {
-            candidates: candidates.length,
+            nodesVisited,
             results: results.length
         });
 
         return results;
     }
 
+    /**
+     * Key the index nodes are encrypted under
+     * @returns {string|null} Key ID
+     */
+    get keyId() {
+        return this.indexer?.keyId ?? null;
+    }
+
     /**
      * Get all POIs (for admin purposes)
      * @returns {Array<Object>} All POIs
@@ -201,17 +257,19 @@ class SpatialIndex {
      * Clear the index
      */
     clear() {
-        this.tree.clear();
+        this.root = null;
         this.poiMap.clear();
+        this.unindexed.clear();
         this.indexStats = {
             totalNodes: 0,
             totalPOIs: 0,
+            indexedPOIs: 0,
             lastBuildTime: null,
-            queryCount: 0
+            queryCount: 0,
+            lastNodesVisited: 0
         };
     }
 }
 
-export { SpatialIndex, EncryptedRBush };
+export { SpatialIndex };
 export default SpatialIndex;
-
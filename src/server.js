@@ -41,7 +41,7 @@ app.use(cors({
         ? process.env.ALLOWED_ORIGINS?.split(',') 
         : '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Tenant-Id']
 }));
 
 // Body parsing
@@ -72,7 +72,8 @@ app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
-// Error handling middleware
+// Error handling middleware (Express recognises it by its four parameters)
+// eslint-disable-next-line no-unused-vars
 app.use((err, req, res, next) => {
     EPLQLogger.error('Server error', err, { path: req.path });
     res.status(500).json({
@@ -0,0 +1,17 @@
+/**
+ * Tenant Module Index
+ * Exports all tenant-related classes and functions
+ */
+
+import { TenantRegistry } from './tenantRegistry.js';
+import { DEFAULT_TENANT_ID, tenantPaths, tenantMemberships, recordTenant } from './tenants.js';
+
+export {
+    TenantRegistry,
+    DEFAULT_TENANT_ID,
+    tenantPaths,
+    tenantMemberships,
+    recordTenant
+};
+
+export default TenantRegistry;
@@ -0,0 +1,97 @@
+/**
+ * Tenant Registry Module
+ * Holds a separate set of services for every tenant in use
+ *
+ * Each tenant gets its own key ring, POI collection, query processors and
+ * spatial indexes, so nothing a request in one tenant touches holds data
+ * or keys of another.
+ */
+
+import { AdminService } from '../admin/adminService.js';
+import { TenantManager } from '../admin/tenantManager.js';
+import { UserService } from '../user/userService.js';
+import { KeyRing } from '../encryption/keyRing.js';
+import { EPLQLogger } from '../utils/logger.js';
+import { DEFAULT_TENANT_ID } from './tenants.js';
+
+/**
+ * TenantRegistry class
+ * Creates tenant services on first use and keeps them for later requests
+ */
+class TenantRegistry {
+    /**
+     * @param {Object} options - { masterKey, tenants }: the deployment master
+     *   key (defaults to ENCRYPTION_MASTER_KEY) and the tenant store
+     */
+    constructor({ masterKey = null, tenants = new TenantManager() } = {}) {
+        this.masterKey = masterKey;
+        this.tenants = tenants;
+        this.entries = new Map();
+    }
+
+    /**
+     * Create the key ring of a tenant
+     * The default tenant keeps the deployment keys, so data stored before
+     * tenants stays readable; other tenants get keys derived for them alone.
+     * @param {string} tenantId - Tenant ID
+     * @returns {KeyRing} Key ring
+     */
+    createKeyRing(tenantId) {
+        if (tenantId === DEFAULT_TENANT_ID) {
+            return new KeyRing(this.masterKey);
+        }
+        return KeyRing.forTenant(tenantId, this.masterKey);
+    }
+
+    /**
+     * Create a tenant's services and start initializing them
+     * Does not check that the tenant exists; use get() for request input.
+     * @param {string} tenantId - Tenant ID
+     * @returns {Object} { services, ready }: the services ({ tenantId,
+     *   keyRing, adminService, userService }) and a promise of them once
+     *   their indexes are built
+     */
+    open(tenantId) {
+        if (!this.entries.has(tenantId)) {
+            const keyRing = this.createKeyRing(tenantId);
+            const services = {
+                tenantId,
+                keyRing,
+                adminService: new AdminService(keyRing, { tenantId }),
+                userService: new UserService(keyRing, { tenantId })
+            };
+            const ready = Promise.all([
+                services.adminService.initialize(),
+                services.userService.initialize()
+            ]).then(() => {
+                EPLQLogger.info('Tenant services initialized', { tenantId });
+                return services;
+            });
+            this.entries.set(tenantId, { services, ready });
+        }
+        return this.entries.get(tenantId);
+    }
+
+    /**
+     * Get the services of an existing tenant, once they are initialized
+     * @param {string} tenantId - Tenant ID
+     * @returns {Object|null} Services, or null if there is no such tenant
+     */
+    async get(tenantId) {
+        if (!this.entries.has(tenantId) && !(await this.tenants.getTenant(tenantId))) {
+            return null;
+        }
+        return this.open(tenantId).ready;
+    }
+
+    /**
+     * IDs of the tenants with services in memory
+     * @returns {Array<string>} Tenant IDs
+     */
+    getOpenTenants() {
+        return Array.from(this.entries.keys());
+    }
+}
+
+export { TenantRegistry };
+export default TenantRegistry;
@@ -0,0 +1,52 @@
+/**
+ * Tenants Module
+ * Tenant IDs, where each tenant's data lives and who belongs to it
+ *
+ * The default tenant is the deployment as it was before tenants: its POIs
+ * stay in the top-level `pois` collection under the deployment keys.
+ * Other tenants keep theirs under `tenants/{tenantId}/`.
+ */
+
+import { UserRoles } from '../auth/permissions.js';
+
+/**
+ * Tenant that exists in every deployment
+ */
+const DEFAULT_TENANT_ID = 'default';
+
+/**
+ * Firestore collection paths of a tenant
+ * @param {string} tenantId - Tenant ID
+ * @returns {Object} { pois, config }
+ */
+function tenantPaths(tenantId = DEFAULT_TENANT_ID) {
+    if (tenantId === DEFAULT_TENANT_ID) {
+        return { pois: 'pois', config: 'config' };
+    }
+    return { pois: `tenants/${tenantId}/pois`, config: `tenants/${tenantId}/config` };
+}
+
+/**
+ * Tenants a user belongs to, with their role in each
+ * Profiles from before tenants have no `tenants` map; they belong to the
+ * default tenant under their deployment-wide role.
+ * @param {Object} profile - User profile
+ * @returns {Object} Role by tenant ID
+ */
+function tenantMemberships(profile) {
+    if (profile?.tenants && typeof profile.tenants === 'object') {
+        return { ...profile.tenants };
+    }
+    return { [DEFAULT_TENANT_ID]: profile?.role || UserRoles.USER };
+}
+
+/**
+ * Tenant a stored record belongs to; records from before tenants belong to the default tenant
+ * @param {Object} record - Stored record
+ * @returns {string} Tenant ID
+ */
+function recordTenant(record) {
+    return record?.tenantId || DEFAULT_TENANT_ID;
+}
+
+export { DEFAULT_TENANT_ID, tenantPaths, tenantMemberships, recordTenant };
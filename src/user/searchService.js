@@ -4,21 +4,47 @@
  */
 
 import { QueryProcessor } from '../query/queryProcessor.js';
+import { LocationObfuscator } from '../query/locationObfuscation.js';
 import { POIManager } from '../admin/poiManager.js';
+import { KeyRing } from '../encryption/keyRing.js';
+import { SessionKeyStore } from '../encryption/sessionKeys.js';
 import { EPLQLogger } from '../utils/logger.js';
-import { validateLatitude, validateLongitude, validateRadius } from '../utils/validators.js';
+import {
+    validateLatitude,
+    validateLongitude,
+    validateRadius,
+    validateNeighborCount,
+    validatePolygonGeometry,
+    validateLineStringGeometry,
+    validateBoundingBox,
+    validateAttributeFilters,
+    validateKeywords
+} from '../utils/validators.js';
 
 /**
  * SearchService class
  * Provides privacy-preserving POI search functionality for users
  */
 class SearchService {
-    constructor(masterKey = null) {
-        this.queryProcessor = new QueryProcessor(masterKey);
-        this.poiManager = new POIManager(masterKey);
+    /**
+     * @param {string|KeyRing} masterKey - Master key, or a key ring shared with other services
+     * @param {Object} options - { tenantId }: tenant whose POIs are searched
+     */
+    constructor(masterKey = null, options = {}) {
+        this.keyRing = KeyRing.from(masterKey);
+        this.queryProcessor = new QueryProcessor(this.keyRing, options);
+        this.poiManager = new POIManager(this.keyRing, options);
+        this.tenantId = this.poiManager.tenantId;
+        this.sessionKeys = new SessionKeyStore();
+        this.obfuscator = new LocationObfuscator();
         this.isInitialized = false;
         this.defaultRadius = parseFloat(process.env.DEFAULT_QUERY_RADIUS_KM) || 5;
         this.maxRadius = parseFloat(process.env.MAX_QUERY_RADIUS_KM) || 50;
+        this.maxNeighbors = parseInt(process.env.MAX_NEAREST_RESULTS, 10) || 50;
+        this.defaultCorridorWidth = 0.5;
+
+        // Reload ciphertexts written under the new key after a rotation
+        this.keyRing.onActivate(() => this.refresh());
     }
 
     /**
@@ -54,6 +80,17 @@ class SearchService {
 
     /**
      * Search for POIs within a radius
+     * `searchParams.obfuscation` selects how the location is hidden before
+     * the query token is generated: { mode: 'geo-indistinguishability', epsilon }
+     * or { mode: 'k-anonymity', k }. The index is searched around the
+     * obfuscated location; the matches are then narrowed to the requested
+     * circle, ranked from its center and limited. The applied mode, the
+     * location actually queried and the expected recall are reported in
+     * `metadata.obfuscation`.
+     * Attribute filters (category, minPrice, maxPrice, minRating, maxRating,
+     * openAt) and `keywords`, matched against POI names and descriptions
+     * through their blind keyword indexes, are evaluated before `limit` is
+     * applied.
      * @param {Object} searchParams - Search parameters
      * @param {string} userId - User ID for logging
      * @returns {Object} Search results
@@ -79,31 +116,340 @@ class SearchService {
                 return { success: false, error: radiusValidation.error };
             }
 
+            const filterValidation = validateAttributeFilters(searchParams);
+            if (!filterValidation.valid) {
+                return { success: false, error: filterValidation.error };
+            }
+
+            const keywordValidation = validateKeywords(searchParams.keywords);
+            if (!keywordValidation.valid) {
+                return { success: false, error: keywordValidation.error };
+            }
+
+            // Fail before querying if the result envelope cannot be sealed
+            if (searchParams.sessionId) {
+                this.sessionKeys.getSession(searchParams.sessionId, userId);
+            }
+
             // Ensure service is initialized
             if (!this.isInitialized) {
                 await this.initialize();
             }
 
-            // Execute privacy-preserving query
-            const result = await this.queryProcessor.executeQuery(
+            // Only the obfuscated location reaches the index search and the logs
+            const query = this.obfuscator.obfuscate(
                 latValidation.value,
                 lngValidation.value,
                 radiusValidation.value,
+                searchParams.obfuscation,
+                (lat, lng, radiusKm) => this.queryProcessor.countMatches(lat, lng, radiusKm)
+            );
+
+            // Execute privacy-preserving query
+            const result = await this.queryProcessor.executeQuery(
+                query.lat,
+                query.lng,
+                query.radiusKm,
                 userId,
                 {
-                    decrypt: true,
+                    decrypt: !searchParams.sessionId,
                     limit: searchParams.limit || 50,
-                    useCache: searchParams.useCache !== false,
-                    category: searchParams.category
+                    // Cached results are shared between users and sessions
+                    useCache: !searchParams.sessionId && searchParams.useCache !== false,
+                    filters: filterValidation.value,
+                    keywords: keywordValidation.value,
+                    // Narrow the widened matches back to the requested circle
+                    within: query.report
+                        ? { lat: latValidation.value, lng: lngValidation.value, radiusKm: radiusValidation.value }
+                        : null
                 }
             );
 
-            // Filter by category if specified
-            if (searchParams.category && result.success) {
-                result.results = result.results.filter(
-                    poi => poi.category === searchParams.category
-                );
-                result.metadata.returnedCount = result.results.length;
+            if (searchParams.sessionId && result.success) {
+                this.sealResults(result, searchParams.sessionId, userId);
+            }
+
+            const totalTime = performance.now() - startTime;
+            result.metadata = result.metadata || {};
+            result.metadata.totalTime = totalTime.toFixed(2);
+            if (query.report) {
+                result.metadata.obfuscation = {
+                    ...query.report,
+                    queryLocation: { latitude: query.lat, longitude: query.lng, radius: query.radiusKm }
+                };
+            }
+
+            return result;
+        } catch (error) {
+            EPLQLogger.error('Search failed', { userId: EPLQLogger.pseudonymize(userId), error: error.message });
+            return {
+                success: false,
+                error: error.message,
+                results: []
+            };
+        }
+    }
+
+    /**
+     * Search for POIs with query tokens generated by the client
+     * @param {Object} searchParams - Search parameters ({ tokens, keywords, limit, sessionId } and attribute filters)
+     * @param {string} userId - User the tokens were issued to
+     * @returns {Object} Search results
+     */
+    async searchWithToken(searchParams, userId) {
+        const startTime = performance.now();
+
+        try {
+            const filterValidation = validateAttributeFilters(searchParams);
+            if (!filterValidation.valid) {
+                return { success: false, error: filterValidation.error };
+            }
+
+            const keywordValidation = validateKeywords(searchParams.keywords);
+            if (!keywordValidation.valid) {
+                return { success: false, error: keywordValidation.error };
+            }
+
+            if (searchParams.sessionId) {
+                this.sessionKeys.getSession(searchParams.sessionId, userId);
+            }
+
+            if (!this.isInitialized) {
+                await this.initialize();
+            }
+
+            const result = await this.queryProcessor.executeTokenQuery(searchParams.tokens, userId, {
+                decrypt: !searchParams.sessionId,
+                limit: searchParams.limit || 50,
+                filters: filterValidation.value,
+                keywords: keywordValidation.value
+            });
+
+            if (searchParams.sessionId && result.success) {
+                this.sealResults(result, searchParams.sessionId, userId);
+            }
+
+            const totalTime = performance.now() - startTime;
+            result.metadata = result.metadata || {};
+            result.metadata.totalTime = totalTime.toFixed(2);
+
+            return result;
+        } catch (error) {
+            EPLQLogger.error('Token search failed', { userId: EPLQLogger.pseudonymize(userId), error: error.message });
+            return {
+                success: false,
+                error: error.message,
+                results: []
+            };
+        }
+    }
+
+    /**
+     * Find the k POIs nearest to a location
+     * @param {Object} searchParams - Search parameters ({ latitude, longitude, k, sessionId } and attribute filters)
+     * @param {string} userId - User ID for logging
+     * @returns {Object} Search results, nearest first
+     */
+    async searchNearest(searchParams, userId) {
+        const startTime = performance.now();
+
+        try {
+            const latValidation = validateLatitude(searchParams.latitude);
+            if (!latValidation.valid) {
+                return { success: false, error: latValidation.error };
+            }
+
+            const lngValidation = validateLongitude(searchParams.longitude);
+            if (!lngValidation.valid) {
+                return { success: false, error: lngValidation.error };
+            }
+
+            const kValidation = validateNeighborCount(searchParams.k, this.maxNeighbors);
+            if (!kValidation.valid) {
+                return { success: false, error: kValidation.error };
+            }
+
+            const filterValidation = validateAttributeFilters(searchParams);
+            if (!filterValidation.valid) {
+                return { success: false, error: filterValidation.error };
+            }
+
+            if (searchParams.sessionId) {
+                this.sessionKeys.getSession(searchParams.sessionId, userId);
+            }
+
+            if (!this.isInitialized) {
+                await this.initialize();
+            }
+
+            const result = await this.queryProcessor.executeKNNQuery(
+                latValidation.value,
+                lngValidation.value,
+                kValidation.value,
+                userId,
+                { decrypt: !searchParams.sessionId, filters: filterValidation.value }
+            );
+
+            if (searchParams.sessionId && result.success) {
+                this.sealResults(result, searchParams.sessionId, userId);
+            }
+
+            const totalTime = performance.now() - startTime;
+            result.metadata = result.metadata || {};
+            result.metadata.totalTime = totalTime.toFixed(2);
+
+            return result;
+        } catch (error) {
+            EPLQLogger.error('Nearest search failed', { userId: EPLQLogger.pseudonymize(userId), error: error.message });
+            return {
+                success: false,
+                error: error.message,
+                results: []
+            };
+        }
+    }
+
+    /**
+     * Find the k nearest POIs with token rings generated by the client
+     * @param {Object} searchParams - Search parameters ({ rings, k, sessionId } and attribute filters)
+     * @param {string} userId - User the tokens were issued to
+     * @returns {Object} Search results
+     */
+    async searchNearestWithToken(searchParams, userId) {
+        const startTime = performance.now();
+
+        try {
+            const kValidation = validateNeighborCount(searchParams.k, this.maxNeighbors);
+            if (!kValidation.valid) {
+                return { success: false, error: kValidation.error };
+            }
+
+            const filterValidation = validateAttributeFilters(searchParams);
+            if (!filterValidation.valid) {
+                return { success: false, error: filterValidation.error };
+            }
+
+            if (searchParams.sessionId) {
+                this.sessionKeys.getSession(searchParams.sessionId, userId);
+            }
+
+            if (!this.isInitialized) {
+                await this.initialize();
+            }
+
+            const result = await this.queryProcessor.executeTokenKNNQuery(searchParams.rings, kValidation.value, userId, {
+                decrypt: !searchParams.sessionId,
+                filters: filterValidation.value
+            });
+
+            if (searchParams.sessionId && result.success) {
+                this.sealResults(result, searchParams.sessionId, userId);
+            }
+
+            const totalTime = performance.now() - startTime;
+            result.metadata = result.metadata || {};
+            result.metadata.totalTime = totalTime.toFixed(2);
+
+            return result;
+        } catch (error) {
+            EPLQLogger.error('Token nearest search failed', { userId: EPLQLogger.pseudonymize(userId), error: error.message });
+            return {
+                success: false,
+                error: error.message,
+                results: []
+            };
+        }
+    }
+
+    /**
+     * Search for POIs inside a convex polygon
+     * @param {Object} searchParams - Search parameters ({ geometry, limit, sessionId } and attribute filters),
+     *   `geometry` being a GeoJSON Polygon or Feature
+     * @param {string} userId - User ID for logging
+     * @returns {Object} Search results
+     */
+    async searchPolygon(searchParams, userId) {
+        const polygonValidation = validatePolygonGeometry(searchParams.geometry);
+        if (!polygonValidation.valid) {
+            return { success: false, error: polygonValidation.error };
+        }
+
+        return this.searchShape({ type: 'polygon', vertices: polygonValidation.value }, searchParams, userId);
+    }
+
+    /**
+     * Search for POIs within a distance of a route
+     * @param {Object} searchParams - Search parameters ({ geometry, radius, limit, sessionId } and attribute filters),
+     *   `geometry` being a GeoJSON LineString or Feature and `radius` the distance from it in km
+     * @param {string} userId - User ID for logging
+     * @returns {Object} Search results
+     */
+    async searchCorridor(searchParams, userId) {
+        const lineValidation = validateLineStringGeometry(searchParams.geometry);
+        if (!lineValidation.valid) {
+            return { success: false, error: lineValidation.error };
+        }
+
+        const radiusValidation = validateRadius(searchParams.radius ?? this.defaultCorridorWidth, this.maxRadius);
+        if (!radiusValidation.valid) {
+            return { success: false, error: radiusValidation.error };
+        }
+
+        return this.searchShape(
+            { type: 'corridor', path: lineValidation.value, widthKm: radiusValidation.value },
+            searchParams,
+            userId
+        );
+    }
+
+    /**
+     * Search for POIs inside a latitude/longitude box, such as a map viewport
+     * @param {Object} searchParams - Search parameters ({ south, west, north, east, limit, sessionId } and attribute filters);
+     *   `west` greater than `east` crosses the antimeridian
+     * @param {string} userId - User ID for logging
+     * @returns {Object} Search results
+     */
+    async searchBox(searchParams, userId) {
+        const boxValidation = validateBoundingBox(searchParams);
+        if (!boxValidation.valid) {
+            return { success: false, error: boxValidation.error };
+        }
+
+        return this.searchShape({ type: 'box', ...boxValidation.value }, searchParams, userId);
+    }
+
+    /**
+     * Run a validated polygon, corridor or box search
+     * @param {Object} shape - Shape for QueryProcessor.executeShapeQuery
+     * @param {Object} searchParams - Search parameters ({ limit, sessionId } and attribute filters)
+     * @param {string} userId - User ID for logging
+     * @returns {Object} Search results
+     */
+    async searchShape(shape, searchParams, userId) {
+        const startTime = performance.now();
+
+        try {
+            const filterValidation = validateAttributeFilters(searchParams);
+            if (!filterValidation.valid) {
+                return { success: false, error: filterValidation.error };
+            }
+
+            if (searchParams.sessionId) {
+                this.sessionKeys.getSession(searchParams.sessionId, userId);
+            }
+
+            if (!this.isInitialized) {
+                await this.initialize();
+            }
+
+            const result = await this.queryProcessor.executeShapeQuery(shape, userId, {
+                decrypt: !searchParams.sessionId,
+                limit: searchParams.limit || 50,
+                filters: filterValidation.value
+            });
+
+            if (searchParams.sessionId && result.success) {
+                this.sealResults(result, searchParams.sessionId, userId);
             }
 
             const totalTime = performance.now() - startTime;
@@ -112,7 +458,7 @@ class SearchService {
 
             return result;
         } catch (error) {
-            EPLQLogger.error('Search failed', error, { userId, searchParams });
+            EPLQLogger.error('Shape search failed', { userId: EPLQLogger.pseudonymize(userId), shape: shape.type, error: error.message });
             return {
                 success: false,
                 error: error.message,
@@ -121,6 +467,52 @@ class SearchService {
         }
     }
 
+    /**
+     * Replace undecrypted results with an envelope only the session's client
+     * can open: records keep their stored field ciphertexts and the keys of
+     * just those records are sealed under the session key
+     * @param {Object} result - Query result with undecrypted results
+     * @param {string} sessionId - Result session ID
+     * @param {string} userId - User ID
+     */
+    sealResults(result, sessionId, userId) {
+        const { records, recordKeys, skippedCount } = this.queryProcessor.buildEncryptedResults(result.results);
+
+        result.results = records;
+        result.envelope = this.sessionKeys.seal(sessionId, userId, { recordKeys });
+        result.metadata.returnedCount = records.length;
+        result.metadata.envelopeSkippedCount = skippedCount;
+    }
+
+    /**
+     * Open a result session with a client's ECDH public key
+     * @param {string} clientPublicKey - Client's P-256 public key (base64, uncompressed)
+     * @param {string} userId - User ID
+     * @returns {Object} Session details
+     */
+    createResultSession(clientPublicKey, userId) {
+        try {
+            return { success: true, session: this.sessionKeys.createSession(clientPublicKey, userId) };
+        } catch (error) {
+            EPLQLogger.error('Failed to create result session', { error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get the query keys clients use to generate tokens
+     * @param {string} userId - User the token signing keys are issued to
+     * @returns {Object} Query keys
+     */
+    getQueryKeys(userId) {
+        try {
+            return { success: true, keys: this.queryProcessor.getQueryKeys(userId) };
+        } catch (error) {
+            EPLQLogger.error('Failed to export query keys', { error: error.message });
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Get available POI categories
      * @returns {Array<string>} Category list
@@ -150,7 +542,8 @@ class SearchService {
             isInitialized: this.isInitialized,
             processorStats: this.queryProcessor.getStats(),
             defaultRadius: this.defaultRadius,
-            maxRadius: this.maxRadius
+            maxRadius: this.maxRadius,
+            maxNeighbors: this.maxNeighbors
         };
     }
 
@@ -3,7 +3,7 @@
  * Provides user-specific operations and preferences
  */
 
-import { doc, getDoc, updateDoc, setDoc, collection, addDoc, serverTimestamp } from 'firebase/firestore';
+import { doc, getDoc, updateDoc, collection, addDoc, serverTimestamp } from 'firebase/firestore';
 import { db } from '../../config/firebase.config.js';
 import { SearchService } from './searchService.js';
 import { EPLQLogger } from '../utils/logger.js';
@@ -13,8 +13,13 @@ import { EPLQLogger } from '../utils/logger.js';
  * Manages user preferences, history, and search operations
  */
 class UserService {
-    constructor(masterKey = null) {
-        this.searchService = new SearchService(masterKey);
+    /**
+     * @param {string|KeyRing} masterKey - Master key, or a key ring shared with other services
+     * @param {Object} options - { tenantId }: tenant whose POIs are searched
+     */
+    constructor(masterKey = null, options = {}) {
+        this.searchService = new SearchService(masterKey, options);
+        this.tenantId = this.searchService.tenantId;
     }
 
     /**
@@ -33,7 +38,7 @@ class UserService {
     async searchPOIs(searchParams, userId) {
         const result = await this.searchService.search(searchParams, userId);
         
-        // Save search to history if successful
+        // Save search to history if successful; coordinates are not recorded
         if (result.success && userId) {
             await this.saveSearchHistory(userId, searchParams, result.results.length);
         }
@@ -41,6 +46,127 @@ class UserService {
         return result;
     }
 
+    /**
+     * Perform POI search with client-generated query tokens
+     * @param {Object} searchParams - Search parameters ({ tokens, category, limit })
+     * @param {string} userId - User ID
+     * @returns {Object} Search results
+     */
+    async searchPOIsWithToken(searchParams, userId) {
+        const result = await this.searchService.searchWithToken(searchParams, userId);
+
+        // History records only the category; the request carries no coordinates
+        if (result.success && userId) {
+            await this.saveSearchHistory(userId, { category: searchParams.category }, result.results.length);
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the k POIs nearest to a location
+     * @param {Object} searchParams - Search parameters ({ latitude, longitude, k, category, sessionId })
+     * @param {string} userId - User ID
+     * @returns {Object} Search results
+     */
+    async searchNearestPOIs(searchParams, userId) {
+        const result = await this.searchService.searchNearest(searchParams, userId);
+
+        if (result.success && userId) {
+            await this.saveSearchHistory(userId, searchParams, result.results.length);
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the k nearest POIs with client-generated token rings
+     * @param {Object} searchParams - Search parameters ({ rings, k, category, sessionId })
+     * @param {string} userId - User ID
+     * @returns {Object} Search results
+     */
+    async searchNearestPOIsWithToken(searchParams, userId) {
+        const result = await this.searchService.searchNearestWithToken(searchParams, userId);
+
+        // As for token range searches, only the category is recorded
+        if (result.success && userId) {
+            await this.saveSearchHistory(userId, { category: searchParams.category }, result.results.length);
+        }
+
+        return result;
+    }
+
+    /**
+     * Search for POIs inside a polygon
+     * @param {Object} searchParams - Search parameters ({ geometry, category, limit, sessionId })
+     * @param {string} userId - User ID
+     * @returns {Object} Search results
+     */
+    async searchPolygonPOIs(searchParams, userId) {
+        const result = await this.searchService.searchPolygon(searchParams, userId);
+
+        // History has no field for shapes, so only the category is recorded
+        if (result.success && userId) {
+            await this.saveSearchHistory(userId, { category: searchParams.category }, result.results.length);
+        }
+
+        return result;
+    }
+
+    /**
+     * Search for POIs along a route
+     * @param {Object} searchParams - Search parameters ({ geometry, radius, category, limit, sessionId })
+     * @param {string} userId - User ID
+     * @returns {Object} Search results
+     */
+    async searchCorridorPOIs(searchParams, userId) {
+        const result = await this.searchService.searchCorridor(searchParams, userId);
+
+        if (result.success && userId) {
+            await this.saveSearchHistory(userId, {
+                radius: searchParams.radius,
+                category: searchParams.category
+            }, result.results.length);
+        }
+
+        return result;
+    }
+
+    /**
+     * Search for POIs inside a latitude/longitude box
+     * @param {Object} searchParams - Search parameters ({ south, west, north, east, category, limit, sessionId })
+     * @param {string} userId - User ID
+     * @returns {Object} Search results
+     */
+    async searchBoxPOIs(searchParams, userId) {
+        const result = await this.searchService.searchBox(searchParams, userId);
+
+        if (result.success && userId) {
+            await this.saveSearchHistory(userId, { category: searchParams.category }, result.results.length);
+        }
+
+        return result;
+    }
+
+    /**
+     * Open a session for encrypted result envelopes
+     * @param {string} clientPublicKey - Client's ECDH public key (base64)
+     * @param {string} userId - User ID
+     * @returns {Object} Session details
+     */
+    createResultSession(clientPublicKey, userId) {
+        return this.searchService.createResultSession(clientPublicKey, userId);
+    }
+
+    /**
+     * Get the query keys for client-side token generation
+     * @param {string} userId - User ID
+     * @returns {Object} Query keys
+     */
+    getQueryKeys(userId) {
+        return this.searchService.getQueryKeys(userId);
+    }
+
     /**
      * Save search to user history
      * @param {string} userId - User ID
@@ -52,21 +178,35 @@ class UserService {
             if (!db) return;
 
             await addDoc(collection(db, 'queryLogs'), {
-                userId,
-                searchParams: {
-                    latitude: searchParams.latitude,
-                    longitude: searchParams.longitude,
-                    radius: searchParams.radius,
-                    category: searchParams.category || null
-                },
-                resultCount,
+                ...this.buildHistoryEntry(userId, searchParams, resultCount),
                 timestamp: serverTimestamp()
             });
         } catch (error) {
-            EPLQLogger.error('Failed to save search history', error, { userId });
+            EPLQLogger.error('Failed to save search history', { userId: EPLQLogger.pseudonymize(userId), error: error.message });
         }
     }
 
+    /**
+     * Build a search history record
+     * As in query logs, the user ID is pseudonymised and no coordinates are
+     * kept, so the history reveals neither who searched nor where.
+     * @param {string} userId - User ID
+     * @param {Object} searchParams - Search parameters
+     * @param {number} resultCount - Number of results
+     * @returns {Object} History record
+     */
+    buildHistoryEntry(userId, searchParams, resultCount) {
+        return {
+            userId: EPLQLogger.pseudonymize(userId),
+            tenantId: this.tenantId,
+            searchParams: {
+                radius: searchParams.radius ?? null,
+                category: searchParams.category || null
+            },
+            resultCount
+        };
+    }
+
     /**
      * Get user preferences
      * @param {string} userId - User ID
@@ -134,9 +274,10 @@ class UserService {
 
             const { getDocs, query, where, orderBy, limit: fbLimit } = await import('firebase/firestore');
             
+            // History is stored under the user's pseudonym
             const q = query(
                 collection(db, 'queryLogs'),
-                where('userId', '==', userId),
+                where('userId', '==', EPLQLogger.pseudonymize(userId)),
                 orderBy('timestamp', 'desc'),
                 fbLimit(limit)
             );
@@ -4,9 +4,11 @@
  * Supports multiple log levels: DEBUG, INFO, WARN, ERROR
  */
 
+import crypto from 'crypto';
 import winston from 'winston';
 import { collection, addDoc, serverTimestamp } from 'firebase/firestore';
 import { db } from '../../config/firebase.config.js';
+import { KeyPurpose } from '../encryption/keyProvider.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -49,6 +51,9 @@ const logger = winston.createLogger({
     ]
 });
 
+// Log pseudonymisation subkey (user IDs are logged as-is until set)
+let pseudonymKey = null;
+
 /**
  * Log action to Firebase Firestore
  * @param {string} action - Action type
@@ -81,6 +86,25 @@ async function logToFirebase(action, level, message, metadata = {}) {
  * EPLQ Logger class with action-specific logging methods
  */
 class EPLQLogger {
+    /**
+     * Use a key provider's log pseudonymisation subkey for user IDs in query logs
+     * @param {KeyProvider} keyProvider - Key provider
+     */
+    static setKeyProvider(keyProvider) {
+        pseudonymKey = keyProvider ? keyProvider.getKey(KeyPurpose.LOG_PSEUDONYM) : null;
+    }
+
+    /**
+     * Replace an identifier with a stable keyed pseudonym
+     * @param {string} value - Identifier
+     * @returns {string} Pseudonym
+     */
+    static pseudonymize(value) {
+        if (!pseudonymKey || !value) return value;
+        const digest = crypto.createHmac('sha256', pseudonymKey).update(String(value)).digest('hex');
+        return `pseudo-${digest.substring(0, 16)}`;
+    }
+
     /**
      * Log user registration action
      */
@@ -132,6 +156,7 @@ class EPLQLogger {
      * Log search query action
      */
     static async logQuery(userId, queryParams, resultCount, executionTime) {
+        userId = EPLQLogger.pseudonymize(userId);
         const message = `Query executed: ${resultCount} results in ${executionTime}ms`;
         logger.info(message, { userId, queryParams, resultCount, executionTime });
         await logToFirebase('SEARCH_QUERY', 'info', message, { 
@@ -3,6 +3,10 @@
  * Provides validation functions for user inputs
  */
 
+import { parseTimeOfDay, MAX_PRICE_LEVEL, MAX_RATING } from '../encryption/attributePredicates.js';
+import { tokenize } from '../encryption/keywordIndex.js';
+import { Permissions, isBuiltInRole } from '../auth/permissions.js';
+
 /**
  * Validate email address
  * @param {string} email - Email to validate
@@ -140,6 +144,395 @@ function validateRadius(radius, maxRadius = 50) {
     return { valid: true, value: radiusKm };
 }
 
+/**
+ * Validate the number of POIs requested by a k-nearest query
+ * @param {number} k - Number of POIs
+ * @param {number} maxK - Maximum allowed number
+ * @returns {Object} Validation result
+ */
+function validateNeighborCount(k, maxK = 50) {
+    const count = Number(k);
+
+    if (!Number.isInteger(count)) {
+        return { valid: false, error: 'Number of results must be a whole number' };
+    }
+
+    if (count < 1) {
+        return { valid: false, error: 'Number of results must be positive' };
+    }
+
+    if (count > maxK) {
+        return { valid: false, error: `Number of results cannot exceed ${maxK}` };
+    }
+
+    return { valid: true, value: count };
+}
+
+/**
+ * Validate a list of GeoJSON positions ([longitude, latitude])
+ * @param {Array} positions - Positions
+ * @param {number} maxPositions - Maximum number of positions
+ * @returns {Object} Validation result with { lat, lng } locations
+ */
+function validatePositions(positions, maxPositions) {
+    if (!Array.isArray(positions)) {
+        return { valid: false, error: 'Coordinates must be an array of positions' };
+    }
+
+    if (positions.length > maxPositions) {
+        return { valid: false, error: `Geometry cannot have more than ${maxPositions} positions` };
+    }
+
+    const locations = [];
+    for (const position of positions) {
+        if (!Array.isArray(position) || position.length < 2) {
+            return { valid: false, error: 'Each position must be [longitude, latitude]' };
+        }
+
+        const lngValidation = validateLongitude(position[0]);
+        if (!lngValidation.valid) {
+            return lngValidation;
+        }
+
+        const latValidation = validateLatitude(position[1]);
+        if (!latValidation.valid) {
+            return latValidation;
+        }
+
+        locations.push({ lat: latValidation.value, lng: lngValidation.value });
+    }
+
+    return { valid: true, value: locations };
+}
+
+/**
+ * Unwrap a GeoJSON Feature to its geometry
+ * @param {Object} geoJson - Geometry or Feature
+ * @returns {Object|null} Geometry
+ */
+function toGeometry(geoJson) {
+    if (!geoJson || typeof geoJson !== 'object') return null;
+    return geoJson.type === 'Feature' ? geoJson.geometry : geoJson;
+}
+
+/**
+ * Validate a GeoJSON Polygon (or Feature holding one) without holes
+ * @param {Object} geoJson - Polygon geometry or Feature
+ * @param {number} maxVertices - Maximum number of vertices
+ * @returns {Object} Validation result with the ring as { lat, lng } locations
+ */
+function validatePolygonGeometry(geoJson, maxVertices = 100) {
+    const geometry = toGeometry(geoJson);
+
+    if (!geometry || geometry.type !== 'Polygon' || !Array.isArray(geometry.coordinates)) {
+        return { valid: false, error: 'A GeoJSON Polygon is required' };
+    }
+
+    if (geometry.coordinates.length !== 1) {
+        return { valid: false, error: 'Polygons with holes are not supported' };
+    }
+
+    const ring = validatePositions(geometry.coordinates[0], maxVertices + 1);
+    if (!ring.valid) {
+        return ring;
+    }
+
+    if (ring.value.length < 4) {
+        return { valid: false, error: 'Polygon ring needs at least 4 positions' };
+    }
+
+    const first = ring.value[0];
+    const last = ring.value[ring.value.length - 1];
+    if (first.lat !== last.lat || first.lng !== last.lng) {
+        return { valid: false, error: 'Polygon ring must end at its first position' };
+    }
+
+    return { valid: true, value: ring.value };
+}
+
+/**
+ * Validate a GeoJSON LineString (or Feature holding one)
+ * @param {Object} geoJson - LineString geometry or Feature
+ * @param {number} maxPositions - Maximum number of positions
+ * @returns {Object} Validation result with the line as { lat, lng } locations
+ */
+function validateLineStringGeometry(geoJson, maxPositions = 100) {
+    const geometry = toGeometry(geoJson);
+
+    if (!geometry || geometry.type !== 'LineString') {
+        return { valid: false, error: 'A GeoJSON LineString is required' };
+    }
+
+    const line = validatePositions(geometry.coordinates, maxPositions);
+    if (!line.valid) {
+        return line;
+    }
+
+    if (line.value.length < 2) {
+        return { valid: false, error: 'LineString needs at least 2 positions' };
+    }
+
+    return { valid: true, value: line.value };
+}
+
+/**
+ * Validate latitude/longitude box edges
+ * `west` may be greater than `east` for a box crossing the antimeridian.
+ * @param {Object} bounds - { south, west, north, east } in degrees
+ * @returns {Object} Validation result with numeric edges
+ */
+function validateBoundingBox(bounds) {
+    if (!bounds || typeof bounds !== 'object') {
+        return { valid: false, error: 'Box bounds are required' };
+    }
+
+    const value = {};
+    for (const [edge, validate] of [
+        ['south', validateLatitude], ['west', validateLongitude],
+        ['north', validateLatitude], ['east', validateLongitude]
+    ]) {
+        const validation = validate(bounds[edge]);
+        if (!validation.valid) {
+            return { valid: false, error: `${edge}: ${validation.error}` };
+        }
+        value[edge] = validation.value;
+    }
+
+    if (value.south > value.north) {
+        return { valid: false, error: 'South edge must not be north of the north edge' };
+    }
+
+    if (value.west === value.east) {
+        return { valid: false, error: 'Box must have a positive width' };
+    }
+
+    return { valid: true, value };
+}
+
+/**
+ * Validate a price level (0 free to 4 very expensive)
+ * @param {number} level - Price level
+ * @returns {Object} Validation result
+ */
+function validatePriceLevel(level) {
+    const value = Number(level);
+
+    if (!Number.isInteger(value) || value < 0 || value > MAX_PRICE_LEVEL) {
+        return { valid: false, error: `Price level must be a whole number from 0 to ${MAX_PRICE_LEVEL}` };
+    }
+
+    return { valid: true, value };
+}
+
+/**
+ * Validate a rating (0 to 5 stars)
+ * @param {number} rating - Rating
+ * @param {boolean} halfSteps - Whether the rating must be a multiple of half a star
+ * @returns {Object} Validation result
+ */
+function validateRating(rating, halfSteps = false) {
+    const value = Number(rating);
+
+    if (rating === null || rating === '' || !Number.isFinite(value) || value < 0 || value > MAX_RATING) {
+        return { valid: false, error: `Rating must be a number from 0 to ${MAX_RATING}` };
+    }
+
+    if (halfSteps && !Number.isInteger(value * 2)) {
+        return { valid: false, error: 'Rating filters must be in half-star steps' };
+    }
+
+    return { valid: true, value };
+}
+
+/**
+ * Validate weekly opening hours
+ * A closing time at or before the opening time runs past midnight.
+ * @param {Array<Object>} openingHours - Intervals ({ day, open, close }), `day`
+ *   0-6 from Sunday and times as "HH:MM"
+ * @returns {Object} Validation result
+ */
+function validateOpeningHours(openingHours) {
+    if (!Array.isArray(openingHours)) {
+        return { valid: false, error: 'Opening hours must be an array' };
+    }
+
+    const value = [];
+    for (const interval of openingHours) {
+        const { day, open, close } = interval || {};
+        if (!Number.isInteger(day) || day < 0 || day > 6) {
+            return { valid: false, error: 'Opening hours day must be 0 (Sunday) to 6 (Saturday)' };
+        }
+        if (parseTimeOfDay(open) === null || parseTimeOfDay(close) === null) {
+            return { valid: false, error: 'Opening hours times must be HH:MM' };
+        }
+        value.push({ day, open, close });
+    }
+
+    return { valid: true, value };
+}
+
+/**
+ * Validate a time a POI must be open at, "YYYY-MM-DDTHH:MM" in the POI's
+ * local time
+ * @param {string} dateTime - Date and time
+ * @returns {Object} Validation result with { day, minutes }, `day` 0-6 from Sunday
+ */
+function validateOpenAt(dateTime) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}:\d{2})$/.exec(String(dateTime));
+    const minutes = match ? parseTimeOfDay(match[4]) : null;
+    if (!match || minutes === null || minutes >= 1440) {
+        return { valid: false, error: 'Open time must be YYYY-MM-DDTHH:MM' };
+    }
+
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (date.getUTCMonth() !== Number(match[2]) - 1 || date.getUTCDate() !== Number(match[3])) {
+        return { valid: false, error: 'Open time must be a valid date' };
+    }
+
+    return { valid: true, value: { day: date.getUTCDay(), minutes } };
+}
+
+/**
+ * Validate the attribute filters of a search
+ * Unset filters are null in the result.
+ * @param {Object} params - { category, minPrice, maxPrice, minRating, maxRating, openAt }
+ * @returns {Object} Validation result
+ */
+function validateAttributeFilters(params = {}) {
+    const isSet = name => params[name] !== undefined && params[name] !== null && params[name] !== '';
+    const value = {
+        category: isSet('category') ? sanitizeInput(String(params.category)) : null,
+        minPrice: null,
+        maxPrice: null,
+        minRating: null,
+        maxRating: null,
+        openAt: null
+    };
+
+    for (const name of ['minPrice', 'maxPrice']) {
+        if (isSet(name)) {
+            const validation = validatePriceLevel(params[name]);
+            if (!validation.valid) {
+                return { valid: false, error: `${name}: ${validation.error}` };
+            }
+            value[name] = validation.value;
+        }
+    }
+
+    for (const name of ['minRating', 'maxRating']) {
+        if (isSet(name)) {
+            const validation = validateRating(params[name], true);
+            if (!validation.valid) {
+                return { valid: false, error: `${name}: ${validation.error}` };
+            }
+            value[name] = validation.value;
+        }
+    }
+
+    if (isSet('openAt')) {
+        const validation = validateOpenAt(params.openAt);
+        if (!validation.valid) {
+            return { valid: false, error: validation.error };
+        }
+        value.openAt = validation.value;
+    }
+
+    if (value.minPrice !== null && value.maxPrice !== null && value.minPrice > value.maxPrice) {
+        return { valid: false, error: 'Minimum price must not exceed the maximum price' };
+    }
+
+    if (value.minRating !== null && value.maxRating !== null && value.minRating > value.maxRating) {
+        return { valid: false, error: 'Minimum rating must not exceed the maximum rating' };
+    }
+
+    return { valid: true, value };
+}
+
+/**
+ * Validate search keywords
+ * @param {string|Array<string>} keywords - Keywords, as text or a list
+ * @param {number} maxKeywords - Maximum number of words
+ * @returns {Object} Validation result with normalized words (empty when none given)
+ */
+function validateKeywords(keywords, maxKeywords = 10) {
+    if (keywords === undefined || keywords === null || keywords === '') {
+        return { valid: true, value: [] };
+    }
+
+    const text = Array.isArray(keywords) ? keywords : [keywords];
+    if (!text.every(item => typeof item === 'string')) {
+        return { valid: false, error: 'Keywords must be text' };
+    }
+
+    const words = Array.from(new Set(tokenize(text.join(' '))));
+    if (words.length === 0) {
+        return { valid: false, error: 'Keywords must contain at least one searchable word' };
+    }
+
+    if (words.length > maxKeywords) {
+        return { valid: false, error: `Keywords cannot exceed ${maxKeywords} words` };
+    }
+
+    return { valid: true, value: words };
+}
+
+/**
+ * Validate a custom role definition
+ * @param {string} roleId - Role ID: lowercase letters, digits and underscores
+ * @param {Object} definition - { description, permissions }
+ * @returns {Object} Validation result
+ */
+function validateRoleDefinition(roleId, definition = {}) {
+    if (typeof roleId !== 'string' || !/^[a-z][a-z0-9_]{2,31}$/.test(roleId)) {
+        return {
+            valid: false,
+            error: 'Role ID must be 3-32 lowercase letters, digits or underscores, starting with a letter'
+        };
+    }
+
+    if (isBuiltInRole(roleId)) {
+        return { valid: false, error: `Built-in role cannot be redefined: ${roleId}` };
+    }
+
+    const { description = '', permissions } = definition;
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+        return { valid: false, error: 'Permissions must be a non-empty list' };
+    }
+
+    const known = Object.values(Permissions);
+    const unknown = permissions.filter(permission => !known.includes(permission));
+    if (unknown.length > 0) {
+        return { valid: false, error: `Unknown permissions: ${unknown.join(', ')}` };
+    }
+
+    return {
+        valid: true,
+        value: {
+            id: roleId,
+            description: sanitizeInput(String(description)).slice(0, 200),
+            permissions: known.filter(permission => permissions.includes(permission))
+        }
+    };
+}
+
+/**
+ * Validate a tenant ID
+ * IDs become Firestore path segments and key derivation labels, so they
+ * are kept to a plain, case-free alphabet.
+ * @param {string} tenantId - Tenant ID: lowercase letters, digits and hyphens
+ * @returns {Object} Validation result
+ */
+function validateTenantId(tenantId) {
+    if (typeof tenantId !== 'string' || !/^[a-z][a-z0-9-]{2,31}$/.test(tenantId)) {
+        return {
+            valid: false,
+            error: 'Tenant ID must be 3-32 lowercase letters, digits or hyphens, starting with a letter'
+        };
+    }
+
+    return { valid: true, value: tenantId };
+}
+
 /**
  * Validate POI data
  * @param {Object} poi - POI data to validate
@@ -166,6 +559,21 @@ function validatePOI(poi) {
         errors.push('Category is required');
     }
 
+    const priceValidation = poi.priceLevel == null ? { valid: true, value: null } : validatePriceLevel(poi.priceLevel);
+    if (!priceValidation.valid) {
+        errors.push(priceValidation.error);
+    }
+
+    const ratingValidation = poi.rating == null ? { valid: true, value: null } : validateRating(poi.rating);
+    if (!ratingValidation.valid) {
+        errors.push(ratingValidation.error);
+    }
+
+    const hoursValidation = validateOpeningHours(poi.openingHours || []);
+    if (!hoursValidation.valid) {
+        errors.push(hoursValidation.error);
+    }
+
     if (errors.length > 0) {
         return { valid: false, errors };
     }
@@ -179,7 +587,10 @@ function validatePOI(poi) {
             description: sanitizeInput(poi.description || ''),
             address: sanitizeInput(poi.address || ''),
             phone: sanitizeInput(poi.phone || ''),
-            category: sanitizeInput(poi.category)
+            category: sanitizeInput(poi.category),
+            priceLevel: priceValidation.value,
+            rating: ratingValidation.value,
+            openingHours: hoursValidation.value
         }
     };
 }
@@ -191,6 +602,15 @@ export {
     validateLatitude,
     validateLongitude,
     validateRadius,
+    validateNeighborCount,
+    validatePolygonGeometry,
+    validateLineStringGeometry,
+    validateBoundingBox,
+    validateAttributeFilters,
+    validateKeywords,
+    validateOpeningHours,
+    validateRoleDefinition,
+    validateTenantId,
     validatePOI
 };
 
@@ -0,0 +1,279 @@
+/**
+ * Authentication Middleware Tests
+ * Tests for ID token and session cookie authentication and role guards,
+ * run against a local
+ * token verifier in place of Firebase Admin
+ */
+
+import {
+    authenticate,
+    requireRole,
+    requirePermission,
+    requireSelfOrPermission,
+    getBearerToken,
+    getSessionCookie
+} from '../src/auth/authMiddleware.js';
+import { UserRoles, Permissions } from '../src/auth/permissions.js';
+
+/**
+ * Token verifier standing in for the Admin SDK's auth: accepts
+ * "valid-<uid>" ID tokens and "session-<uid>" session cookies and rejects
+ * everything else
+ */
+const verifier = {
+    calls: [],
+    async verifyIdToken(idToken, checkRevoked) {
+        this.calls.push({ idToken, checkRevoked });
+        const match = /^valid-(.+)$/.exec(idToken);
+        if (!match) {
+            const error = new Error('Decoding Firebase ID token failed');
+            error.code = 'auth/argument-error';
+            throw error;
+        }
+        return { uid: match[1], email: `${match[1]}@example.com` };
+    },
+    async verifySessionCookie(sessionCookie, checkRevoked) {
+        this.calls.push({ sessionCookie, checkRevoked });
+        const match = /^session-(.+)$/.exec(sessionCookie);
+        if (!match) {
+            throw Object.assign(new Error('Session cookie is revoked'), { code: 'auth/session-cookie-revoked' });
+        }
+        return { uid: match[1], email: `${match[1]}@example.com` };
+    }
+};
+
+const profiles = {
+    alice: { email: 'alice@example.com', displayName: 'Alice', role: UserRoles.USER, isActive: true },
+    root: { email: 'root@example.com', displayName: 'Root', role: UserRoles.ADMIN, isActive: true },
+    mallory: { email: 'mallory@example.com', displayName: 'Mallory', role: UserRoles.ADMIN, isActive: false },
+    legacy: { email: 'legacy@example.com' },
+    carol: { displayName: 'Carol', role: UserRoles.DATA_CURATOR, isActive: true },
+    ivan: { displayName: 'Ivan', role: 'incident_responder', isActive: true },
+    ghost: { displayName: 'Ghost', role: 'deleted_role', isActive: true }
+};
+
+const customRoles = {
+    incident_responder: { permissions: [Permissions.LOGS_READ, 'coffee:make'] }
+};
+
+async function loadProfile(uid) {
+    if (uid === 'broken') throw new Error('Firestore unavailable');
+    return profiles[uid] || null;
+}
+
+async function loadRole(roleId) {
+    return customRoles[roleId] || null;
+}
+
+function mockRequest(token, params = {}) {
+    return {
+        path: '/test',
+        params,
+        headers: token ? { authorization: `Bearer ${token}` } : {}
+    };
+}
+
+function mockResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+/**
+ * Run middleware and report whether it passed the request on
+ */
+async function run(middleware, req) {
+    const res = mockResponse();
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return { req, res, passed };
+}
+
+describe('authenticate', () => {
+    const middleware = authenticate({ verifier, loadProfile, loadRole });
+
+    beforeEach(() => {
+        verifier.calls = [];
+    });
+
+    test('should read bearer tokens only', () => {
+        expect(getBearerToken(mockRequest('abc.def'))).toBe('abc.def');
+        expect(getBearerToken({ headers: { authorization: 'bearer  abc' } })).toBe('abc');
+        expect(getBearerToken({ headers: { authorization: 'Basic abc' } })).toBeNull();
+        expect(getBearerToken({ headers: {} })).toBeNull();
+    });
+
+    test('should read the session cookie among others', () => {
+        expect(getSessionCookie({ headers: { cookie: 'theme=dark; __session=abc%3D; x=1' } })).toBe('abc=');
+        expect(getSessionCookie({ headers: { cookie: 'session=abc' } })).toBeNull();
+        expect(getSessionCookie({ headers: {} })).toBeNull();
+    });
+
+    test('should authenticate by session cookie, preferring a bearer token', async () => {
+        const cookie = await run(middleware, { path: '/test', headers: { cookie: '__session=session-root' } });
+        expect(cookie.passed).toBe(true);
+        expect(cookie.req.user.role).toBe(UserRoles.ADMIN);
+        expect(verifier.calls).toEqual([{ sessionCookie: 'session-root', checkRevoked: true }]);
+
+        const both = await run(middleware, {
+            path: '/test',
+            headers: { authorization: 'Bearer valid-alice', cookie: '__session=session-root' }
+        });
+        expect(both.req.user.uid).toBe('alice');
+
+        const revoked = await run(middleware, { path: '/test', headers: { cookie: '__session=revoked' } });
+        expect(revoked.passed).toBe(false);
+        expect(revoked.res.statusCode).toBe(401);
+        expect(revoked.res.body.error).toBe('Invalid or expired session');
+    });
+
+    test('should attach the verified user and role', async () => {
+        const { req, passed } = await run(middleware, mockRequest('valid-alice'));
+
+        expect(passed).toBe(true);
+        expect(req.user).toEqual({
+            uid: 'alice',
+            email: 'alice@example.com',
+            displayName: 'Alice',
+            role: UserRoles.USER,
+            permissions: [],
+            tenants: { default: { role: UserRoles.USER, permissions: [] } }
+        });
+        expect(verifier.calls).toEqual([{ idToken: 'valid-alice', checkRevoked: true }]);
+    });
+
+    test('should resolve permissions of built-in and custom roles', async () => {
+        const curator = await run(middleware, mockRequest('valid-carol'));
+        expect(curator.req.user.permissions).toEqual([Permissions.POIS_READ, Permissions.POIS_WRITE]);
+
+        const custom = await run(middleware, mockRequest('valid-ivan'));
+        expect(custom.req.user.role).toBe('incident_responder');
+        expect(custom.req.user.permissions).toEqual([Permissions.LOGS_READ]);
+
+        const undefinedRole = await run(middleware, mockRequest('valid-ghost'));
+        expect(undefinedRole.passed).toBe(true);
+        expect(undefinedRole.req.user.permissions).toEqual([]);
+    });
+
+    test('should default profiles without a role to plain users', async () => {
+        const { req, passed } = await run(middleware, mockRequest('valid-legacy'));
+
+        expect(passed).toBe(true);
+        expect(req.user.role).toBe(UserRoles.USER);
+    });
+
+    test('should reject requests without a token', async () => {
+        const { res, passed } = await run(middleware, { path: '/test', headers: { 'x-user-id': 'root' } });
+
+        expect(passed).toBe(false);
+        expect(res.statusCode).toBe(401);
+        expect(res.body).toEqual({ success: false, error: 'Authentication required' });
+        expect(verifier.calls).toEqual([]);
+    });
+
+    test('should reject tokens the verifier refuses', async () => {
+        const { res, passed } = await run(middleware, mockRequest('forged-root'));
+
+        expect(passed).toBe(false);
+        expect(res.statusCode).toBe(401);
+        expect(res.body.error).toBe('Invalid or expired ID token');
+    });
+
+    test('should reject disabled accounts and users without a profile', async () => {
+        const disabled = await run(middleware, mockRequest('valid-mallory'));
+        expect(disabled.passed).toBe(false);
+        expect(disabled.res.statusCode).toBe(403);
+        expect(disabled.res.body.error).toBe('Account is disabled');
+
+        const unknown = await run(middleware, mockRequest('valid-nobody'));
+        expect(unknown.passed).toBe(false);
+        expect(unknown.res.statusCode).toBe(403);
+        expect(unknown.res.body.error).toBe('User profile not found');
+    });
+
+    test('should fail closed when verification or profiles are unavailable', async () => {
+        const broken = await run(middleware, mockRequest('valid-broken'));
+        expect(broken.passed).toBe(false);
+        expect(broken.res.statusCode).toBe(503);
+
+        const unconfigured = await run(authenticate({ verifier: null, loadProfile }), mockRequest('valid-root'));
+        expect(unconfigured.passed).toBe(false);
+        expect(unconfigured.res.statusCode).toBe(503);
+    });
+});
+
+describe('Role guards', () => {
+    const alice = { uid: 'alice', role: UserRoles.USER, permissions: [] };
+    const root = { uid: 'root', role: UserRoles.ADMIN, permissions: Object.values(Permissions) };
+
+    test('should admit only the listed roles', async () => {
+        const guard = requireRole(UserRoles.ADMIN);
+
+        expect((await run(guard, { path: '/admin', user: root })).passed).toBe(true);
+
+        const denied = await run(guard, { path: '/admin', user: alice });
+        expect(denied.passed).toBe(false);
+        expect(denied.res.statusCode).toBe(403);
+        expect(denied.res.body.error).toBe('Insufficient permissions');
+
+        const anonymous = await run(guard, { path: '/admin' });
+        expect(anonymous.passed).toBe(false);
+        expect(anonymous.res.statusCode).toBe(401);
+    });
+
+    test('should admit only holders of one of the permissions', async () => {
+        const curator = { uid: 'carol', role: UserRoles.DATA_CURATOR, permissions: [Permissions.POIS_WRITE] };
+        const auditor = { uid: 'audrey', role: UserRoles.AUDITOR, permissions: [Permissions.LOGS_READ] };
+        const guard = requirePermission(Permissions.POIS_WRITE, Permissions.KEYS_MANAGE);
+
+        expect((await run(guard, { path: '/admin/pois', user: curator })).passed).toBe(true);
+
+        const denied = await run(guard, { path: '/admin/pois', user: auditor });
+        expect(denied.passed).toBe(false);
+        expect(denied.res.statusCode).toBe(403);
+        expect(denied.res.body.error).toBe('Insufficient permissions');
+
+        expect((await run(guard, { path: '/admin/pois' })).res.statusCode).toBe(401);
+    });
+
+    test('should admit users to their own records and user managers to anyone\'s', async () => {
+        const guard = requireSelfOrPermission('userId', Permissions.USERS_MANAGE);
+
+        expect((await run(guard, { path: '/user', user: alice, params: { userId: 'alice' } })).passed).toBe(true);
+        expect((await run(guard, { path: '/user', user: root, params: { userId: 'alice' } })).passed).toBe(true);
+
+        const other = await run(guard, { path: '/user', user: alice, params: { userId: 'root' } });
+        expect(other.passed).toBe(false);
+        expect(other.res.statusCode).toBe(403);
+    });
+
+    test('should guard routes end to end from the bearer token', async () => {
+        const through = async (token, guard) => {
+            const req = mockRequest(token);
+            for (const middleware of [authenticate({ verifier, loadProfile, loadRole }), guard]) {
+                const { res, passed } = await run(middleware, req);
+                if (!passed) return res.statusCode;
+            }
+            return 200;
+        };
+
+        expect(await through('valid-root', requireRole(UserRoles.ADMIN))).toBe(200);
+        expect(await through('valid-alice', requireRole(UserRoles.ADMIN))).toBe(403);
+        expect(await through(null, requireRole(UserRoles.ADMIN))).toBe(401);
+
+        const writePOIs = requirePermission(Permissions.POIS_WRITE);
+        expect(await through('valid-carol', writePOIs)).toBe(200);
+        expect(await through('valid-root', writePOIs)).toBe(200);
+        expect(await through('valid-ivan', writePOIs)).toBe(403);
+        expect(await through('valid-ivan', requirePermission(Permissions.LOGS_READ))).toBe(200);
+    });
+});
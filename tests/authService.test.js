@@ -0,0 +1,136 @@
+/**
+ * Authentication Service Tests
+ * Tests for stateless registration, login and logout, run against local
+ * stand-ins for the Admin SDK's auth and Firestore
+ */
+
+import { AuthService, UserRoles, SESSION_COOKIE_MAX_AGE } from '../src/auth/authService.js';
+import { DEFAULT_TENANT_ID, tenantMemberships } from '../src/tenant/tenants.js';
+
+/**
+ * Admin auth stand-in: ID tokens are "valid-<uid>" or "stale-<uid>" (signed
+ * in an hour ago), session cookies "session-<uid>"
+ */
+function createAuth() {
+    const revoked = new Set();
+    return {
+        revoked,
+        async createUser({ email, displayName }) {
+            if (email === 'taken@example.com') {
+                throw Object.assign(new Error('exists'), { code: 'auth/email-already-exists' });
+            }
+            return { uid: `uid-${email.split('@')[0]}`, email, displayName };
+        },
+        async verifyIdToken(idToken, checkRevoked) {
+            const match = /^(valid|stale)-(.+)$/.exec(idToken);
+            if (!match) throw Object.assign(new Error('bad token'), { code: 'auth/argument-error' });
+            if (checkRevoked && revoked.has(match[2])) {
+                throw Object.assign(new Error('revoked'), { code: 'auth/id-token-revoked' });
+            }
+            const signedIn = match[1] === 'valid' ? Date.now() : Date.now() - 60 * 60 * 1000;
+            return { uid: match[2], email: `${match[2]}@example.com`, auth_time: Math.floor(signedIn / 1000) };
+        },
+        async createSessionCookie(idToken, { expiresIn }) {
+            return `session-${idToken.slice('valid-'.length)}-${expiresIn}`;
+        },
+        async revokeRefreshTokens(uid) {
+            revoked.add(uid);
+        }
+    };
+}
+
+/**
+ * Admin Firestore stand-in holding documents in a map
+ */
+function createDb(documents = {}) {
+    return {
+        documents,
+        collection(name) {
+            return {
+                doc: (id) => ({
+                    get: async () => ({
+                        exists: `${name}/${id}` in documents,
+                        data: () => documents[`${name}/${id}`]
+                    }),
+                    set: async (data) => { documents[`${name}/${id}`] = data; },
+                    update: async (data) => {
+                        documents[`${name}/${id}`] = { ...documents[`${name}/${id}`], ...data };
+                    }
+                })
+            };
+        }
+    };
+}
+
+describe('AuthService', () => {
+    let auth;
+    let db;
+    let service;
+
+    beforeEach(() => {
+        auth = createAuth();
+        db = createDb({
+            'users/alice': { displayName: 'Alice', role: UserRoles.USER, isActive: true },
+            'users/root': { displayName: 'Root', role: UserRoles.ADMIN, isActive: true },
+            'users/mallory': { displayName: 'Mallory', role: UserRoles.USER, isActive: false }
+        });
+        service = new AuthService({ auth, db });
+    });
+
+    test('should register plain users through the Admin SDK', async () => {
+        const result = await service.register('Bob@Example.com', 'SecurePass123', 'Bob');
+
+        expect(result.success).toBe(true);
+        expect(result.user).toEqual({
+            uid: 'uid-bob', email: 'bob@example.com', displayName: 'Bob', role: UserRoles.USER
+        });
+        expect(db.documents['users/uid-bob']).toMatchObject({ role: UserRoles.USER, isActive: true });
+        expect(tenantMemberships(db.documents['users/uid-bob'])).toEqual({ [DEFAULT_TENANT_ID]: UserRoles.USER });
+
+        const taken = await service.register('taken@example.com', 'SecurePass123', 'Taken');
+        expect(taken).toEqual({ success: false, error: 'This email is already registered' });
+    });
+
+    test('should exchange a fresh ID token for a session cookie', async () => {
+        const result = await service.login('valid-root');
+
+        expect(result.success).toBe(true);
+        expect(result.user).toEqual({
+            uid: 'root', email: 'root@example.com', displayName: 'Root', role: UserRoles.ADMIN
+        });
+        expect(result.sessionCookie).toBe(`session-root-${SESSION_COOKIE_MAX_AGE}`);
+        expect(result.expiresIn).toBe(SESSION_COOKIE_MAX_AGE);
+        expect(db.documents['users/root'].lastLogin).toBeDefined();
+    });
+
+    test('should refuse stale, invalid and disabled sign-ins', async () => {
+        expect((await service.login('stale-root')).success).toBe(false);
+        expect(await service.login('forged')).toEqual({ success: false, error: 'Invalid ID token' });
+        expect(await service.login(undefined)).toEqual({ success: false, error: 'ID token is required' });
+        expect((await service.login('valid-nobody')).error).toBe('User profile not found');
+        expect((await service.login('valid-mallory')).error).toBe('This account has been disabled');
+    });
+
+    test('should keep no session between requests', async () => {
+        await service.login('valid-root');
+        await service.login('valid-alice');
+
+        expect(service).not.toHaveProperty('currentUser');
+        expect((await service.login('valid-root')).user.role).toBe(UserRoles.ADMIN);
+    });
+
+    test('should revoke only the caller\'s tokens on logout', async () => {
+        expect(await service.logout('alice', 'alice@example.com')).toEqual({ success: true });
+
+        expect(Array.from(auth.revoked)).toEqual(['alice']);
+        expect((await service.login('valid-alice')).error).toBe('Your sign-in has been revoked. Please sign in again');
+        expect((await service.login('valid-root')).success).toBe(true);
+    });
+
+    test('should report the service as unavailable without Firebase Admin', async () => {
+        const offline = new AuthService({ auth: null, db: null });
+
+        expect((await offline.login('valid-root')).error).toBe('Authentication service not available');
+        expect((await offline.logout('root')).success).toBe(false);
+    });
+});
@@ -3,9 +3,91 @@
  * Tests for predicate encryption, range queries, and data encryption
  */
 
-import { PredicateEncryption } from '../src/encryption/predicateEncryption.js';
+import CryptoJS from 'crypto-js';
+import { PredicateEncryption, toCartesian, chordLength, geodesicBounds } from '../src/encryption/predicateEncryption.js';
 import { RangeQueryEncryption } from '../src/encryption/rangeQuery.js';
 import { DataEncryption } from '../src/encryption/dataEncryption.js';
+import { LegacyKeyProvider } from '../src/encryption/keyProvider.js';
+import { SchemeRegistry } from '../src/encryption/schemeRegistry.js';
+import { schemeRegistry } from '../src/encryption/index.js';
+import {
+    InnerProductEncryption,
+    encodePoint,
+    encodeRangeQuery
+} from '../src/encryption/innerProductEncryption.js';
+import { attributesMatch, openHours } from '../src/encryption/attributePredicates.js';
+
+/**
+ * Seeded pseudo-random generator (mulberry32) for reproducible test data
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Haversine distance in kilometers
+ */
+function haversine(lat1, lng1, lat2, lng2) {
+    const R = 6371;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(dLng / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+describe('InnerProductEncryption', () => {
+    let scheme;
+
+    beforeEach(() => {
+        scheme = new InnerProductEncryption('test-scheme-key', 4);
+    });
+
+    test('should preserve inner products across encryption', () => {
+        const p = [0.3, -0.7, 0.58, 1];
+        const q = [1.2, 0.4, 1, -0.5];
+        const expected = p.reduce((sum, v, i) => sum + v * q[i], 0);
+
+        const result = scheme.innerProduct(
+            scheme.encryptDataVector(p),
+            scheme.encryptQueryVector(q)
+        );
+        expect(result).toBeCloseTo(expected, 10);
+    });
+
+    test('should randomize ciphertexts of the same vector', () => {
+        const p = [0.3, -0.7, 0.58, 1];
+        expect(scheme.encryptDataVector(p)).not.toEqual(scheme.encryptDataVector(p));
+        expect(scheme.encryptDataVector(p)).toHaveLength(10);
+    });
+
+    test('should derive identical keys from the same secret', () => {
+        const other = new InnerProductEncryption('test-scheme-key', 4);
+        const q = [1, 2, 3, 4];
+        const ciphertext = scheme.encryptDataVector([1, 0, 0, 0]);
+
+        expect(other.innerProduct(ciphertext, other.encryptQueryVector(q))).toBeCloseTo(1, 10);
+    });
+
+    test('should answer planar range predicates by sign', () => {
+        const center = [2, 3];
+        const query = scheme.encryptQueryVector(encodeRangeQuery(center, 1.5));
+
+        const inside = scheme.encryptDataVector(encodePoint([2.5, 3.9]));
+        const outside = scheme.encryptDataVector(encodePoint([3.2, 4.1]));
+
+        expect(scheme.innerProduct(inside, query)).toBeLessThanOrEqual(0);
+        expect(scheme.innerProduct(outside, query)).toBeGreaterThan(0);
+    });
+});
 
 describe('PredicateEncryption', () => {
     let encryption;
@@ -15,14 +97,14 @@ describe('PredicateEncryption', () => {
     });
 
     test('should initialize with master key', () => {
-        expect(encryption.masterKey).toBe('test-master-key-12345');
-        expect(encryption.dimension).toBe(4);
+        expect(encryption.keys.masterKey).toBe('test-master-key-12345');
+        expect(encryption.dimension).toBe(5);
     });
 
     test('should generate master key if not provided', () => {
         const enc = new PredicateEncryption();
-        expect(enc.masterKey).toBeDefined();
-        expect(enc.masterKey.length).toBeGreaterThan(0);
+        expect(enc.keys.masterKey).toBeDefined();
+        expect(enc.keys.masterKey.length).toBeGreaterThan(0);
     });
 
     test('should encrypt location coordinates', () => {
@@ -31,7 +113,7 @@ describe('PredicateEncryption', () => {
         expect(result).toHaveProperty('encryptedCoords');
         expect(result).toHaveProperty('timestamp');
         expect(result).toHaveProperty('version');
-        expect(result.encryptedCoords).toHaveLength(4);
+        expect(result.encryptedCoords).toHaveLength(12);
     });
 
     test('should produce different encryptions for different locations', () => {
@@ -41,18 +123,25 @@ describe('PredicateEncryption', () => {
         expect(loc1.encryptedCoords).not.toEqual(loc2.encryptedCoords);
     });
 
+    test('should produce different encryptions for the same location', () => {
+        const loc1 = encryption.encryptLocation(40.7128, -74.0060);
+        const loc2 = encryption.encryptLocation(40.7128, -74.0060);
+
+        expect(loc1.encryptedCoords).not.toEqual(loc2.encryptedCoords);
+    });
+
     test('should handle edge case coordinates', () => {
         // North Pole
         const northPole = encryption.encryptLocation(90, 0);
-        expect(northPole.encryptedCoords).toHaveLength(4);
+        expect(northPole.encryptedCoords).toHaveLength(12);
 
         // South Pole
         const southPole = encryption.encryptLocation(-90, 0);
-        expect(southPole.encryptedCoords).toHaveLength(4);
+        expect(southPole.encryptedCoords).toHaveLength(12);
 
         // Date line
         const dateLine = encryption.encryptLocation(0, 180);
-        expect(dateLine.encryptedCoords).toHaveLength(4);
+        expect(dateLine.encryptedCoords).toHaveLength(12);
     });
 });
 
@@ -67,19 +156,46 @@ describe('RangeQueryEncryption', () => {
         const token = rangeEncryption.generateQueryToken(40.7128, -74.0060, 5);
         
         expect(token).toHaveProperty('encryptedQuery');
-        expect(token).toHaveProperty('encryptedBounds');
-        expect(token).toHaveProperty('radiusNormalized');
+        expect(token).toHaveProperty('encryptedIndexQuery');
         expect(token).toHaveProperty('timestamp');
         expect(token).toHaveProperty('expiresAt');
     });
 
-    test('should generate encrypted bounds', () => {
+    test('should generate an encrypted index query', () => {
         const token = rangeEncryption.generateQueryToken(40.7128, -74.0060, 5);
-        
-        expect(token.encryptedBounds).toHaveProperty('encryptedMin');
-        expect(token.encryptedBounds).toHaveProperty('encryptedMax');
-        expect(token.encryptedBounds.encryptedMin).toHaveLength(4);
-        expect(token.encryptedBounds.encryptedMax).toHaveLength(4);
+
+        // Index vectors have dimension 6, padded and split in two
+        expect(token.encryptedIndexQuery).toHaveLength(14);
+        expect(rangeEncryption.indexScheme.dimension).toBe(6);
+    });
+
+    test('should detect intersecting index node balls', () => {
+        const token = rangeEncryption.generateQueryToken(0, 0, 10);
+        const nodeAt = (lat, lng, radiusKm) => rangeEncryption.encryptIndexNode(
+            toCartesian(lat, lng),
+            chordLength(radiusKm)
+        );
+
+        // ~111 km away: reachable only when the node ball is wide enough
+        expect(rangeEncryption.evaluateIndexPredicate(nodeAt(1, 0, 50), token)).toBe(false);
+        expect(rangeEncryption.evaluateIndexPredicate(nodeAt(1, 0, 105), token)).toBe(true);
+        expect(rangeEncryption.evaluateIndexPredicate(nodeAt(0, 0.05, 1), token)).toBe(true);
+    });
+
+    test('should recover distances from encrypted ranking scores', () => {
+        const token = rangeEncryption.generateQueryToken(40.7128, -74.0060, 50);
+        const reference = rangeEncryption.rankingScore(rangeEncryption.encryptLocation(40.7128, -74.0060), token);
+        const distanceTo = (lat, lng) => rangeEncryption.distanceFromScore(
+            rangeEncryption.rankingScore(rangeEncryption.encryptLocation(lat, lng), token),
+            reference,
+            50
+        );
+
+        // The square root magnifies rounding error near zero to about a metre
+        expect(distanceTo(40.7128, -74.0060)).toBeLessThan(0.005);
+        expect(distanceTo(40.80, -74.0060)).toBeCloseTo(haversine(40.7128, -74.0060, 40.80, -74.0060), 3);
+        // Scores keep their order beyond the token radius
+        expect(distanceTo(51.5074, -0.1278)).toBeCloseTo(haversine(40.7128, -74.0060, 51.5074, -0.1278), 0);
     });
 
     test('should evaluate predicate correctly', () => {
@@ -92,7 +208,70 @@ describe('RangeQueryEncryption', () => {
 
         // Same location should match
         const result = rangeEncryption.evaluatePredicate(encryptedPOI, queryToken);
-        expect(typeof result).toBe('boolean');
+        expect(result).toBe(true);
+
+        // A POI ~20 km away should not
+        const farPOI = rangeEncryption.encryptLocation(40.9, -74.0060);
+        expect(rangeEncryption.evaluatePredicate(farPOI, queryToken)).toBe(false);
+    });
+
+    test('should refuse to evaluate expired tokens', () => {
+        const encryptedPOI = rangeEncryption.encryptLocation(40.7128, -74.0060);
+        const queryToken = rangeEncryption.generateQueryToken(40.7128, -74.0060, 5);
+
+        expect(() => rangeEncryption.evaluatePredicate(encryptedPOI, { ...queryToken, expiresAt: Date.now() - 1 }))
+            .toThrow('Query token has expired');
+    });
+
+    test('should give no false negatives against haversine ground truth', () => {
+        const random = seededRandom(42);
+        let falseNegatives = 0;
+        let falsePositives = 0;
+        let matches = 0;
+
+        for (let i = 0; i < 200; i++) {
+            const centerLat = random() * 170 - 85;
+            const centerLng = random() * 360 - 180;
+            const radiusKm = 0.1 + random() * 49.9;
+            const token = rangeEncryption.generateQueryToken(centerLat, centerLng, radiusKm);
+
+            for (let j = 0; j < 10; j++) {
+                // Sample around the boundary, including across the antimeridian
+                const distance = radiusKm * (0.5 + random());
+                const bearing = random() * 2 * Math.PI;
+                const lat = Math.max(-90, Math.min(90,
+                    centerLat + (distance / 111.32) * Math.cos(bearing)));
+                let lng = centerLng + (distance / (111.32 * Math.cos(lat * Math.PI / 180))) * Math.sin(bearing);
+                lng = ((lng + 540) % 360) - 180;
+
+                const truth = haversine(centerLat, centerLng, lat, lng) <= radiusKm;
+                const predicted = rangeEncryption.evaluatePredicate(
+                    rangeEncryption.encryptLocation(lat, lng),
+                    token
+                );
+
+                if (truth) matches++;
+                if (truth && !predicted) falseNegatives++;
+                if (!truth && predicted) falsePositives++;
+            }
+        }
+
+        expect(matches).toBeGreaterThan(0);
+        expect(falseNegatives).toBe(0);
+        // Tolerance only admits points a hair outside the boundary
+        expect(falsePositives).toBeLessThan(10);
+    });
+
+    test('should match points near the poles and across the antimeridian', () => {
+        const polarToken = rangeEncryption.generateQueryToken(89.99, 0, 5);
+        expect(rangeEncryption.evaluatePredicate(
+            rangeEncryption.encryptLocation(89.99, 180), polarToken
+        )).toBe(true);
+
+        const dateLineToken = rangeEncryption.generateQueryToken(0, 179.99, 5);
+        expect(rangeEncryption.evaluatePredicate(
+            rangeEncryption.encryptLocation(0, -179.99), dateLineToken
+        )).toBe(true);
     });
 
     test('should convert km to lat/lng correctly', () => {
@@ -102,6 +281,262 @@ describe('RangeQueryEncryption', () => {
         const lngDeg = rangeEncryption.kmToLng(111.32, 0);
         expect(lngDeg).toBeCloseTo(1, 1);
     });
+
+    test('should widen longitude degrees to every longitude near the poles', () => {
+        expect(rangeEncryption.kmToLng(10, 89.95)).toBe(180);
+        expect(rangeEncryption.kmToLng(10, -89.95)).toBe(180);
+
+        // Exact cap extent at 60°: wider than radius / cos(latitude)
+        const angle = 111.32 / 6371;
+        expect(rangeEncryption.kmToLng(111.32, 60)).toBeCloseTo(Math.asin(Math.sin(angle) / 0.5) * 180 / Math.PI, 10);
+    });
+});
+
+describe('geodesicBounds', () => {
+    /**
+     * Point at a distance and bearing from a start point
+     */
+    function destination(lat, lng, distanceKm, bearing) {
+        const angle = distanceKm / 6371;
+        const phi = lat * Math.PI / 180;
+        const lat2 = Math.asin(Math.sin(phi) * Math.cos(angle) + Math.cos(phi) * Math.sin(angle) * Math.cos(bearing));
+        const lng2 = lng * Math.PI / 180 + Math.atan2(
+            Math.sin(bearing) * Math.sin(angle) * Math.cos(phi),
+            Math.cos(angle) - Math.sin(phi) * Math.sin(lat2)
+        );
+        return {
+            lat: lat2 * 180 / Math.PI,
+            lng: ((lng2 * 180 / Math.PI + 540) % 360) - 180
+        };
+    }
+
+    const inBounds = (boxes, { lat, lng }) => boxes.some(box =>
+        lat >= box.south - 1e-9 && lat <= box.north + 1e-9 && lng >= box.west - 1e-9 && lng <= box.east + 1e-9
+    );
+
+    test('should give a single box away from the poles and the antimeridian', () => {
+        const boxes = geodesicBounds(40.7128, -74.006, 5);
+        expect(boxes).toHaveLength(1);
+        expect(boxes[0].north - boxes[0].south).toBeCloseTo(2 * 5 / 6371 * 180 / Math.PI, 10);
+        expect(boxes[0].west).toBeLessThan(-74.006);
+        expect(boxes[0].east).toBeGreaterThan(-74.006);
+    });
+
+    test('should split boxes that cross the antimeridian', () => {
+        const eastern = geodesicBounds(0, 179.99, 5);
+        expect(eastern).toHaveLength(2);
+        expect(eastern[0].east).toBe(180);
+        expect(eastern[1].west).toBe(-180);
+        expect(eastern[1].east).toBeCloseTo(179.99 + 5 / 6371 * 180 / Math.PI - 360, 6);
+
+        const western = geodesicBounds(0, -179.99, 5);
+        expect(western).toHaveLength(2);
+        expect(western.every(box => box.west <= box.east)).toBe(true);
+    });
+
+    test('should cover every longitude when the range reaches a pole', () => {
+        expect(geodesicBounds(89.99, 45, 5)).toEqual([{ south: expect.any(Number), west: -180, north: 90, east: 180 }]);
+        expect(geodesicBounds(-89.99, 45, 5)[0]).toMatchObject({ south: -90, west: -180, east: 180 });
+        expect(geodesicBounds(0, 0, 20016)[0]).toEqual({ south: -90, west: -180, north: 90, east: 180 });
+    });
+
+    test('should contain every point within the radius', () => {
+        const random = seededRandom(19);
+        const centers = [
+            [40.7128, -74.006], [0, 179.9], [-10, -179.5], [89.5, 10], [-88, -120], [75, 179], [0, 0]
+        ];
+
+        for (const [lat, lng] of centers) {
+            for (const radiusKm of [1, 50, 300, 2000]) {
+                const boxes = geodesicBounds(lat, lng, radiusKm);
+                for (let i = 0; i < 200; i++) {
+                    const point = destination(lat, lng, radiusKm * random(), random() * 2 * Math.PI);
+                    expect(inBounds(boxes, point)).toBe(true);
+                }
+            }
+        }
+    });
+});
+
+describe('Attribute predicates', () => {
+    const categories = ['cafe', 'restaurant', 'museum', 'pharmacy', ''];
+    let rangeEncryption;
+
+    beforeAll(() => {
+        // The attribute scheme's matrices are large, so share one instance
+        rangeEncryption = new RangeQueryEncryption('test-master-key-12345');
+    });
+
+    function randomAttributes(random) {
+        const openingHours = [];
+        for (let day = 0; day < 7; day++) {
+            if (random() < 0.8) {
+                const open = Math.floor(random() * 12);
+                const close = (open + 4 + Math.floor(random() * 14)) % 24;
+                openingHours.push({ day, open: `${open}:${random() < 0.5 ? '00' : '30'}`, close: `${close}:00` });
+            }
+        }
+        return {
+            category: categories[Math.floor(random() * categories.length)],
+            priceLevel: random() < 0.8 ? Math.floor(random() * 5) : null,
+            rating: random() < 0.8 ? Math.round(random() * 50) / 10 : null,
+            openingHours
+        };
+    }
+
+    function randomFilters(random) {
+        const filters = {};
+        if (random() < 0.5) filters.category = categories[Math.floor(random() * 4)];
+        if (random() < 0.4) filters.minPrice = Math.floor(random() * 3);
+        if (random() < 0.4) filters.maxPrice = 2 + Math.floor(random() * 3);
+        if (random() < 0.4) filters.minRating = Math.floor(random() * 8) / 2;
+        if (random() < 0.3) filters.maxRating = 3 + Math.floor(random() * 5) / 2;
+        if (random() < 0.4) filters.openAt = { day: Math.floor(random() * 7), minutes: Math.floor(random() * 1440) };
+        return filters;
+    }
+
+    test('should match exactly the POIs that pass every filter', () => {
+        const random = seededRandom(20);
+        const pois = Array.from({ length: 60 }, () => randomAttributes(random));
+        const encrypted = pois.map(poi => rangeEncryption.encryptAttributes(poi));
+
+        let matches = 0;
+        for (let i = 0; i < 40; i++) {
+            const filters = randomFilters(random);
+            const query = rangeEncryption.generateAttributeQuery(filters);
+            pois.forEach((poi, j) => {
+                const expected = attributesMatch(poi, filters);
+                expect(rangeEncryption.evaluateAttributePredicate(encrypted[j], query)).toBe(expected);
+                if (expected) matches++;
+            });
+        }
+        // The workload must exercise both outcomes
+        expect(matches).toBeGreaterThan(0);
+        expect(matches).toBeLessThan(60 * 40);
+    });
+
+    test('should test each filter on its own', () => {
+        const poi = rangeEncryption.encryptAttributes({
+            category: 'cafe',
+            priceLevel: 2,
+            rating: 4.2,
+            openingHours: [{ day: 1, open: '08:00', close: '18:00' }]
+        });
+        const matches = filters => rangeEncryption.evaluateAttributePredicate(
+            poi, rangeEncryption.generateAttributeQuery(filters)
+        );
+
+        expect(matches({ category: 'cafe' })).toBe(true);
+        expect(matches({ category: 'restaurant' })).toBe(false);
+        expect(matches({ minPrice: 2, maxPrice: 2 })).toBe(true);
+        expect(matches({ maxPrice: 1 })).toBe(false);
+        expect(matches({ minRating: 4 })).toBe(true);
+        expect(matches({ minRating: 4.5 })).toBe(false);
+        expect(matches({ maxRating: 4 })).toBe(false);
+        expect(matches({ openAt: { day: 1, minutes: 9 * 60 } })).toBe(true);
+        expect(matches({ openAt: { day: 2, minutes: 9 * 60 } })).toBe(false);
+        expect(matches({ category: 'cafe', maxPrice: 1, minRating: 4 })).toBe(false);
+    });
+
+    test('should not match unknown prices or ratings against their filters', () => {
+        const poi = rangeEncryption.encryptAttributes({ category: 'cafe' });
+        const matches = filters => rangeEncryption.evaluateAttributePredicate(
+            poi, rangeEncryption.generateAttributeQuery(filters)
+        );
+
+        expect(matches({ category: 'cafe' })).toBe(true);
+        expect(matches({ maxPrice: 4 })).toBe(false);
+        expect(matches({ minRating: 0.5 })).toBe(false);
+        expect(matches({ maxRating: 4.5 })).toBe(true);
+    });
+
+    test('should hide the category from ciphertexts and keys without it', () => {
+        const a = rangeEncryption.encryptAttributes({ category: 'cafe' });
+        const b = rangeEncryption.encryptAttributes({ category: 'cafe' });
+        const other = new RangeQueryEncryption('another-master-key-67890');
+
+        expect(a.encryptedVector).not.toEqual(b.encryptedVector);
+        expect(other.categoryCodes('cafe')).not.toEqual(rangeEncryption.categoryCodes('cafe'));
+    });
+
+    test('should count hours a POI is open for at least half of', () => {
+        const hours = openHours([
+            { day: 0, open: '09:30', close: '12:00' },
+            { day: 0, open: '14:00', close: '14:20' },
+            { day: 6, open: '22:00', close: '02:00' }
+        ]);
+
+        expect(hours.filter(Boolean)).toHaveLength(3 + 2 + 2);
+        expect(hours[9]).toBe(true);
+        expect(hours[14]).toBe(false);
+        expect(hours[10]).toBe(true);
+        expect(hours[11]).toBe(true);
+        // Saturday night runs into Sunday morning, wrapping around the week
+        expect(hours[6 * 24 + 23]).toBe(true);
+        expect(hours[0]).toBe(true);
+        expect(hours[1]).toBe(true);
+        expect(hours[2]).toBe(false);
+    });
+
+    test('should match POIs opening on the half hour', () => {
+        const attributes = { openingHours: [{ day: 1, open: '09:30', close: '17:00' }] };
+        const poi = rangeEncryption.encryptAttributes(attributes);
+        const matches = (hours, minutes) => {
+            const filters = { openAt: { day: 1, minutes: hours * 60 + minutes } };
+            const encrypted = rangeEncryption.evaluateAttributePredicate(
+                poi, rangeEncryption.generateAttributeQuery(filters)
+            );
+            expect(attributesMatch(attributes, filters)).toBe(encrypted);
+            return encrypted;
+        };
+
+        expect(matches(9, 45)).toBe(true);
+        expect(matches(9, 30)).toBe(true);
+        expect(matches(16, 59)).toBe(true);
+        expect(matches(17, 0)).toBe(false);
+        // Rounded to the hour, so the half hour before opening matches too
+        expect(matches(9, 0)).toBe(true);
+        expect(matches(8, 59)).toBe(false);
+    });
+});
+
+describe('SchemeRegistry', () => {
+    test('should register built-in schemes with 2.0 as current', () => {
+        expect(schemeRegistry.getVersions()).toEqual(expect.arrayContaining(['1.0', '2.0']));
+        expect(schemeRegistry.currentVersion).toBe('2.0');
+    });
+
+    test('should stamp ciphertexts with the scheme version', () => {
+        for (const version of schemeRegistry.getVersions()) {
+            const scheme = schemeRegistry.create(version, 'test-master-key-12345');
+            expect(scheme.encryptLocation(40.7128, -74.0060).version).toBe(version);
+        }
+    });
+
+    test('should treat unversioned locations as 1.0', () => {
+        expect(schemeRegistry.resolveVersion({ encryptedCoords: [0, 0, 0, 0] })).toBe('1.0');
+        expect(schemeRegistry.resolveVersion({ version: '2.0' })).toBe('2.0');
+    });
+
+    test('should reject unknown versions', () => {
+        expect(() => schemeRegistry.create('9.9')).toThrow('Unknown encryption scheme version');
+    });
+
+    test('should reject schemes missing required operations', () => {
+        const registry = new SchemeRegistry();
+        registry.register('x', () => ({ encryptLocation() {} }));
+        expect(() => registry.create('x')).toThrow('missing operations');
+    });
+
+    test('should switch current version when requested', () => {
+        const registry = new SchemeRegistry();
+        registry.register('a', () => ({}));
+        registry.register('b', () => ({}));
+        expect(registry.currentVersion).toBe('a');
+
+        registry.register('c', () => ({}), { current: true });
+        expect(registry.currentVersion).toBe('c');
+    });
 });
 
 describe('DataEncryption', () => {
@@ -133,7 +568,8 @@ describe('DataEncryption', () => {
         
         expect(encrypted.id).toBe(poi.id);
         expect(encrypted.encryptedName).not.toBe(poi.name);
-        expect(encrypted.category).toBe(poi.category);
+        expect(encrypted.category).toBeUndefined();
+        expect(encrypted.encryptedCategory).toMatch(/^gcmr:/);
     });
 
     test('should decrypt POI data correctly', () => {
@@ -154,6 +590,145 @@ describe('DataEncryption', () => {
         expect(decrypted.address).toBe(poi.address);
     });
 
+    test('should round-trip the category, price level, rating and opening hours', () => {
+        const openingHours = [{ day: 1, open: '09:00', close: '17:30' }];
+        const encrypted = dataEncryption.encryptPOI({
+            id: 'poi-321', name: 'Corner Bistro', category: 'restaurant', priceLevel: 2, rating: 4.4, openingHours
+        });
+
+        expect(encrypted.encryptedDetails).not.toContain('17:30');
+        expect(dataEncryption.decryptPOI(encrypted)).toMatchObject({
+            category: 'restaurant', priceLevel: 2, rating: 4.4, openingHours
+        });
+    });
+
+    test('should read plaintext categories of POIs stored before they were encrypted', () => {
+        const { encryptedCategory, encryptedDetails, ...encrypted } = dataEncryption.encryptPOI({
+            id: 'poi-654', name: 'Old Library', category: 'library'
+        });
+
+        expect(dataEncryption.decryptPOI({ ...encrypted, category: 'library' })).toMatchObject({
+            category: 'library', priceLevel: null, rating: null, openingHours: []
+        });
+    });
+
+    test('should encrypt exact coordinates alongside the metadata', () => {
+        const encrypted = dataEncryption.encryptPOI({
+            id: 'poi-789',
+            name: 'Test Museum',
+            latitude: 48.8606,
+            longitude: 2.3376,
+            category: 'museum'
+        });
+
+        expect(encrypted.encryptedCoordinates).toMatch(/^gcmr:/);
+        expect(encrypted.encryptedCoordinates).not.toContain('48.8606');
+
+        const decrypted = dataEncryption.decryptPOI(encrypted);
+        expect(decrypted.latitude).toBe(48.8606);
+        expect(decrypted.longitude).toBe(2.3376);
+    });
+
+    test('should decrypt POIs stored without coordinates', () => {
+        const encrypted = dataEncryption.encryptPOI({ id: 'poi-old', name: 'Old POI', category: 'cafe' });
+        delete encrypted.encryptedCoordinates;
+
+        const decrypted = dataEncryption.decryptPOI(encrypted);
+        expect(decrypted.latitude).toBeNull();
+        expect(decrypted.longitude).toBeNull();
+    });
+
+    test('should mark ciphertexts as authenticated', () => {
+        const encrypted = dataEncryption.encrypt('Test POI Name');
+
+        expect(encrypted.startsWith('gcm:')).toBe(true);
+        expect(dataEncryption.isLegacy(encrypted)).toBe(false);
+    });
+
+    test('should reject tampered ciphertexts', () => {
+        const encrypted = dataEncryption.encrypt('Test POI Name', 'poi:poi-1:name');
+        const bytes = Buffer.from(encrypted.slice(4), 'base64');
+        bytes[bytes.length - 1] ^= 1;
+        const tampered = 'gcm:' + bytes.toString('base64');
+
+        expect(() => dataEncryption.decrypt(tampered, 'poi:poi-1:name'))
+            .toThrow('Ciphertext failed authentication');
+    });
+
+    test('should reject ciphertexts moved to another POI or field', () => {
+        const source = dataEncryption.encryptPOI({ id: 'poi-1', name: 'Clinic', category: 'hospital' });
+        const target = dataEncryption.encryptPOI({ id: 'poi-2', name: 'Bakery', category: 'restaurant' });
+
+        expect(() => dataEncryption.decryptPOI({ ...target, encryptedName: source.encryptedName }))
+            .toThrow('Ciphertext failed authentication');
+        expect(() => dataEncryption.decryptPOI({ ...source, encryptedAddress: source.encryptedName }))
+            .toThrow('Ciphertext failed authentication');
+    });
+
+    describe('legacy CBC values', () => {
+        beforeEach(() => {
+            dataEncryption = new DataEncryption(new LegacyKeyProvider('test-secret-key-12345'), { allowLegacy: true });
+        });
+
+        // Format written before authenticated encryption
+        function encryptLegacy(value) {
+            const iv = CryptoJS.lib.WordArray.random(16);
+            const encrypted = CryptoJS.AES.encrypt(value, 'test-secret-key-12345', {
+                iv: iv,
+                mode: CryptoJS.mode.CBC,
+                padding: CryptoJS.pad.Pkcs7
+            });
+            return CryptoJS.enc.Base64.stringify(CryptoJS.enc.Utf8.parse(iv.toString() + ':' + encrypted.toString()));
+        }
+
+        const legacyPOI = () => ({
+            id: 'poi-old',
+            encryptedName: encryptLegacy('Old Library'),
+            encryptedDescription: '',
+            encryptedAddress: encryptLegacy('1 Archive Rd'),
+            encryptedPhone: dataEncryption.encrypt('555-0000', 'poi:poi-old:phone'),
+            category: 'library'
+        });
+
+        test('should still decrypt', () => {
+            const decrypted = dataEncryption.decryptPOI(legacyPOI());
+
+            expect(decrypted.name).toBe('Old Library');
+            expect(decrypted.address).toBe('1 Archive Rd');
+            expect(decrypted.phone).toBe('555-0000');
+        });
+
+        test('should be rewritten by migration', () => {
+            const poi = legacyPOI();
+            expect(dataEncryption.hasLegacyFields(poi)).toBe(true);
+
+            const updates = dataEncryption.migratePOI(poi);
+            expect(Object.keys(updates).sort())
+                .toEqual(['encryptedAddress', 'encryptedCategory', 'encryptedName', 'encryptedPhone']);
+
+            // Migration deletes the plaintext category once it is encrypted
+            const { category, ...rest } = poi;
+            const migrated = { ...rest, ...updates };
+            expect(dataEncryption.needsMigration({ ...migrated, category })).toBe(true);
+            expect(dataEncryption.hasLegacyFields(migrated)).toBe(false);
+            expect(dataEncryption.needsMigration(migrated)).toBe(false);
+            expect(dataEncryption.decryptPOI(migrated).phone).toBe('555-0000');
+            expect(dataEncryption.decryptPOI(migrated).category).toBe('library');
+            expect(dataEncryption.decryptPOI(migrated).name).toBe('Old Library');
+        });
+
+        test('should be rejected unless allowed', () => {
+            const strict = new DataEncryption(new LegacyKeyProvider('test-secret-key-12345'));
+            const poi = legacyPOI();
+
+            expect(strict.isLegacy(poi.encryptedName)).toBe(true);
+            expect(() => strict.decrypt(poi.encryptedName)).toThrow('Legacy ciphertext is no longer accepted');
+            expect(() => strict.decryptPOI(poi)).toThrow('Legacy ciphertext is no longer accepted');
+            expect(() => strict.migratePOI(poi)).toThrow('Legacy ciphertext is no longer accepted');
+            expect(strict.decrypt(poi.encryptedPhone, 'poi:poi-old:phone')).toBe('555-0000');
+        });
+    });
+
     test('should handle empty strings', () => {
         const encrypted = dataEncryption.encrypt('');
         expect(encrypted).toBe('');
@@ -0,0 +1,190 @@
+/**
+ * Ground-Truth Accuracy Tests
+ * Compares encrypted range query results with a plaintext haversine scan
+ *
+ * Seeded synthetic POI sets are queried through QueryProcessor.executeQuery
+ * (tokens, encrypted index, predicate evaluation). Precision, recall and
+ * error rates per radius bucket are written to a JSON report.
+ *
+ * Environment overrides:
+ * - GROUND_TRUTH_SEED: base seed (default 20240601)
+ * - GROUND_TRUTH_QUERIES: queries per distribution (default 500)
+ * - GROUND_TRUTH_MIN_RECALL: lowest recall accepted in any bucket (default 0.999)
+ * - GROUND_TRUTH_REPORT: report path (default test-results/ground-truth-report.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { QueryProcessor } from '../src/query/queryProcessor.js';
+import { haversineDistance, offsetLocation } from '../src/query/locationObfuscation.js';
+import { seededRandom, createSampler, Distributions } from './helpers/syntheticData.js';
+
+const SEED = parseInt(process.env.GROUND_TRUTH_SEED) || 20240601;
+const QUERIES_PER_DISTRIBUTION = parseInt(process.env.GROUND_TRUTH_QUERIES) || 500;
+const MIN_RECALL = parseFloat(process.env.GROUND_TRUTH_MIN_RECALL) || 0.999;
+const REPORT_PATH = process.env.GROUND_TRUTH_REPORT || 'test-results/ground-truth-report.json';
+const POIS_PER_DISTRIBUTION = 400;
+
+/**
+ * Radius buckets in km; query radii are drawn log-uniformly across them
+ */
+const RADIUS_BUCKETS = [
+    { label: '0.1-1km', min: 0.1, max: 1 },
+    { label: '1-10km', min: 1, max: 10 },
+    { label: '10-100km', min: 10, max: 100 },
+    { label: '100-1000km', min: 100, max: 1000 }
+];
+
+/**
+ * Empty confusion counts
+ */
+function createCounts() {
+    return { queries: 0, truePositives: 0, falsePositives: 0, falseNegatives: 0, trueNegatives: 0 };
+}
+
+/**
+ * Add one query's confusion counts to a running total
+ */
+function addCounts(total, counts) {
+    for (const key of Object.keys(total)) {
+        total[key] += counts[key];
+    }
+}
+
+/**
+ * Derive rates from confusion counts; rates with no denominator are null
+ */
+function summarize(counts) {
+    const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+    return {
+        ...counts,
+        precision: ratio(counts.truePositives, counts.truePositives + counts.falsePositives),
+        recall: ratio(counts.truePositives, counts.truePositives + counts.falseNegatives),
+        falsePositiveRate: ratio(counts.falsePositives, counts.falsePositives + counts.trueNegatives),
+        falseNegativeRate: ratio(counts.falseNegatives, counts.falseNegatives + counts.truePositives)
+    };
+}
+
+/**
+ * Run the seeded workload for one distribution
+ * Half the queries are centered near a POI, so that most return matches;
+ * the rest are drawn from the distribution itself.
+ * @param {string} distribution - Distribution name
+ * @param {number} seed - Seed for POIs and queries
+ * @returns {Promise<Object>} Confusion counts per radius bucket
+ */
+async function runWorkload(distribution, seed) {
+    const random = seededRandom(seed);
+    const sample = createSampler(distribution, random);
+    const processor = new QueryProcessor();
+    const keyId = processor.keyRing.activeKeyId;
+    const scheme = processor.getScheme('2.0', keyId);
+
+    const locations = Array.from({ length: POIS_PER_DISTRIBUTION }, () => sample());
+    processor.initialize(locations.map((location, i) => ({
+        id: `${distribution}-${i}`,
+        keyId,
+        encryptedLocation: scheme.encryptLocation(location.lat, location.lng)
+    })));
+
+    const buckets = new Map(RADIUS_BUCKETS.map(bucket => [bucket.label, createCounts()]));
+
+    for (let q = 0; q < QUERIES_PER_DISTRIBUTION; q++) {
+        const bucket = RADIUS_BUCKETS[q % RADIUS_BUCKETS.length];
+        const radiusKm = bucket.min * (bucket.max / bucket.min) ** random();
+
+        let center;
+        if (random() < 0.5) {
+            const near = locations[Math.floor(random() * locations.length)];
+            center = offsetLocation(near.lat, near.lng, radiusKm * 1.5 * random(), random() * 2 * Math.PI);
+        } else {
+            center = sample();
+        }
+
+        const result = await processor.executeQuery(center.lat, center.lng, radiusKm, 'ground-truth', {
+            decrypt: false,
+            useCache: false
+        });
+        if (!result.success) {
+            throw new Error(`Query failed: ${result.error}`);
+        }
+
+        const returned = new Set(result.results.map(poi => poi.id));
+        const counts = createCounts();
+        counts.queries = 1;
+        locations.forEach((location, i) => {
+            const expected = haversineDistance(center.lat, center.lng, location.lat, location.lng) <= radiusKm;
+            const actual = returned.has(`${distribution}-${i}`);
+            if (expected && actual) counts.truePositives++;
+            else if (actual) counts.falsePositives++;
+            else if (expected) counts.falseNegatives++;
+            else counts.trueNegatives++;
+        });
+        addCounts(buckets.get(bucket.label), counts);
+    }
+
+    return buckets;
+}
+
+describe('Encrypted range query ground truth', () => {
+    const distributions = Object.keys(Distributions);
+    let report;
+
+    beforeAll(async () => {
+        const totals = new Map(RADIUS_BUCKETS.map(bucket => [bucket.label, createCounts()]));
+        const perDistribution = {};
+
+        for (const [i, distribution] of distributions.entries()) {
+            const buckets = await runWorkload(distribution, SEED + i);
+            perDistribution[distribution] = {};
+            for (const [label, counts] of buckets) {
+                perDistribution[distribution][label] = summarize(counts);
+                addCounts(totals.get(label), counts);
+            }
+        }
+
+        report = {
+            generatedAt: new Date().toISOString(),
+            seed: SEED,
+            poisPerDistribution: POIS_PER_DISTRIBUTION,
+            queriesPerDistribution: QUERIES_PER_DISTRIBUTION,
+            minRecall: MIN_RECALL,
+            buckets: Object.fromEntries(Array.from(totals, ([label, counts]) => [label, summarize(counts)])),
+            distributions: perDistribution
+        };
+
+        fs.mkdirSync(path.dirname(REPORT_PATH), { recursive: true });
+        fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2));
+    }, 120000);
+
+    test('should write a JSON report', () => {
+        const written = JSON.parse(fs.readFileSync(REPORT_PATH, 'utf8'));
+        expect(Object.keys(written.buckets)).toEqual(RADIUS_BUCKETS.map(bucket => bucket.label));
+        expect(Object.keys(written.distributions)).toEqual(distributions);
+    });
+
+    test('should run every query in the workload', () => {
+        const total = Object.values(report.buckets).reduce((sum, bucket) => sum + bucket.queries, 0);
+        expect(total).toBe(QUERIES_PER_DISTRIBUTION * distributions.length);
+    });
+
+    test.each(distributions)('should keep recall above the threshold for %s POIs', distribution => {
+        const belowThreshold = Object.entries(report.distributions[distribution])
+            .filter(([, bucket]) => bucket.recall !== null && bucket.recall < MIN_RECALL)
+            .map(([label, bucket]) => `${label}: ${bucket.recall}`);
+
+        expect(belowThreshold).toEqual([]);
+    });
+
+    test('should find matches in every radius bucket', () => {
+        for (const bucket of Object.values(report.buckets)) {
+            expect(bucket.truePositives).toBeGreaterThan(0);
+        }
+    });
+
+    test('should keep recall above the threshold in every radius bucket', () => {
+        for (const bucket of Object.values(report.buckets)) {
+            expect(bucket.recall).toBeGreaterThanOrEqual(MIN_RECALL);
+        }
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Synthetic Data Helpers
+ * Seeded POI and query generators shared by the accuracy and index tests
+ */
+
+import { offsetLocation } from '../../src/query/locationObfuscation.js';
+
+/**
+ * Seeded pseudo-random generator (mulberry32) for reproducible test data
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Source of uniform values in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Latitude drawn uniformly by area between two latitudes
+ */
+function areaUniformLatitude(random, minLat = -90, maxLat = 90) {
+    const low = Math.sin(minLat * Math.PI / 180);
+    const high = Math.sin(maxLat * Math.PI / 180);
+    return Math.asin(low + random() * (high - low)) * 180 / Math.PI;
+}
+
+/**
+ * Wrap a longitude into [-180, 180)
+ */
+function wrapLongitude(lng) {
+    return ((lng + 540) % 360) - 180;
+}
+
+/**
+ * Point location samplers by distribution name
+ * - uniform: uniform over the sphere
+ * - clustered: Gaussian clusters (25 km spread) around a few random centers
+ * - poles: within 5° of either pole
+ * - antimeridian: within 5° of longitude ±180
+ */
+const Distributions = {
+    uniform: random => () => ({
+        lat: areaUniformLatitude(random),
+        lng: random() * 360 - 180
+    }),
+
+    clustered: (random, clusterCount = 8) => {
+        const centers = Array.from({ length: clusterCount }, () => ({
+            lat: areaUniformLatitude(random, -70, 70),
+            lng: random() * 360 - 180
+        }));
+        return () => {
+            const center = centers[Math.floor(random() * centers.length)];
+            const distance = 25 * Math.sqrt(-2 * Math.log(1 - random()));
+            return offsetLocation(center.lat, center.lng, distance, random() * 2 * Math.PI);
+        };
+    },
+
+    poles: random => () => ({
+        lat: (random() < 0.5 ? 1 : -1) * areaUniformLatitude(random, 85, 90),
+        lng: random() * 360 - 180
+    }),
+
+    antimeridian: random => () => ({
+        lat: areaUniformLatitude(random, -60, 60),
+        lng: wrapLongitude(175 + random() * 10)
+    })
+};
+
+/**
+ * Create a seeded location sampler
+ * @param {string} name - Distribution name (key of Distributions)
+ * @param {Function} random - Seeded random source
+ * @returns {Function} Returns a new { lat, lng } on each call
+ */
+function createSampler(name, random) {
+    const factory = Distributions[name];
+    if (!factory) {
+        throw new Error(`Unknown distribution: ${name}`);
+    }
+    return factory(random);
+}
+
+export {
+    seededRandom,
+    areaUniformLatitude,
+    wrapLongitude,
+    Distributions,
+    createSampler
+};
@@ -0,0 +1,192 @@
+/**
+ * Key Provider Tests
+ * Tests for the HKDF key hierarchy and its use by the encryption classes
+ */
+
+import CryptoJS from 'crypto-js';
+import { KeyProvider, LegacyKeyProvider, KeyPurpose, CONTEXT_LABELS } from '../src/encryption/keyProvider.js';
+import { KeyRing } from '../src/encryption/keyRing.js';
+import { DataEncryption } from '../src/encryption/dataEncryption.js';
+import { RangeQueryEncryption } from '../src/encryption/rangeQuery.js';
+import winston from 'winston';
+import { logger, EPLQLogger } from '../src/utils/logger.js';
+import { QueryProcessor } from '../src/query/queryProcessor.js';
+import { SearchService } from '../src/user/searchService.js';
+import { UserService } from '../src/user/userService.js';
+
+describe('KeyProvider', () => {
+    const provider = new KeyProvider('test-master-key-12345');
+
+    test('should document a distinct context label for every purpose', () => {
+        const labels = Object.values(KeyPurpose).map(purpose => CONTEXT_LABELS[purpose]);
+
+        expect(labels.every(Boolean)).toBe(true);
+        expect(new Set(labels).size).toBe(labels.length);
+    });
+
+    test('should derive a different 32-byte subkey per purpose', () => {
+        const keys = Object.values(KeyPurpose).map(purpose => provider.getKey(purpose).toString('hex'));
+
+        keys.forEach(key => expect(key).toHaveLength(64));
+        expect(new Set(keys).size).toBe(keys.length);
+        expect(keys).not.toContain(CryptoJS.SHA256('test-master-key-12345').toString());
+    });
+
+    test('should derive a different metadata subkey per field', () => {
+        const name = provider.getKey(KeyPurpose.METADATA, 'name');
+        const phone = provider.getKey(KeyPurpose.METADATA, 'phone');
+
+        expect(name.equals(phone)).toBe(false);
+        expect(name.equals(provider.getKey(KeyPurpose.METADATA))).toBe(false);
+    });
+
+    test('should derive the same subkeys from the same master key', () => {
+        const other = new KeyProvider('test-master-key-12345');
+
+        expect(other.getKey(KeyPurpose.LOCATION).equals(provider.getKey(KeyPurpose.LOCATION))).toBe(true);
+        expect(other.keyId).toBe(provider.keyId);
+    });
+
+    test('should reject unknown purposes', () => {
+        expect(() => provider.getKey('signing')).toThrow('Unknown key purpose');
+        expect(() => provider.withPurposeKey('signing', 'x')).toThrow('Unknown key purpose');
+    });
+
+    test('should rotate one purpose without touching the others', () => {
+        const rotated = provider.withPurposeKey(KeyPurpose.BLIND_INDEX, 'new-blind-index-key');
+
+        expect(rotated.getKeyId(KeyPurpose.BLIND_INDEX)).not.toBe(provider.getKeyId(KeyPurpose.BLIND_INDEX));
+        Object.values(KeyPurpose)
+            .filter(purpose => purpose !== KeyPurpose.BLIND_INDEX)
+            .forEach(purpose => expect(rotated.getKeyId(purpose)).toBe(provider.getKeyId(purpose)));
+        expect(rotated.keyId).not.toBe(provider.keyId);
+    });
+
+    test('should not expose a legacy secret', () => {
+        expect(provider.legacySecret).toBeNull();
+    });
+});
+
+describe('LegacyKeyProvider', () => {
+    const legacy = new LegacyKeyProvider('test-master-key-12345');
+
+    test('should reproduce the keys used before the hierarchy', () => {
+        const sharedKey = CryptoJS.SHA256('test-master-key-12345').toString();
+
+        expect(legacy.getKey(KeyPurpose.LOCATION).toString('hex')).toBe(sharedKey);
+        expect(legacy.getKey(KeyPurpose.METADATA, 'name').toString('hex')).toBe(sharedKey);
+        expect(legacy.keyId).toBe(KeyRing.fingerprint('test-master-key-12345'));
+        expect(legacy.legacySecret).toBe('test-master-key-12345');
+    });
+});
+
+describe('Encryption classes with a key provider', () => {
+    const provider = new KeyProvider('test-master-key-12345');
+    const poi = { id: 'poi-1', name: 'Harbour Cafe', address: '1 Quay St', category: 'cafe' };
+
+    test('should keep metadata and locations readable when the blind-index key rotates', () => {
+        const rotated = provider.withPurposeKey(KeyPurpose.BLIND_INDEX, 'new-blind-index-key');
+
+        const encrypted = new DataEncryption(provider).encryptPOI(poi);
+        expect(new DataEncryption(rotated).decryptPOI(encrypted).name).toBe('Harbour Cafe');
+
+        const location = new RangeQueryEncryption(provider).encryptLocation(-36.8485, 174.7633);
+        expect(new RangeQueryEncryption(rotated).decryptLocation(location).lat).toBeCloseTo(-36.8485, 6);
+
+        expect(new DataEncryption(rotated).hash('cafe')).not.toBe(new DataEncryption(provider).hash('cafe'));
+    });
+
+    test('should stop decrypting metadata when the metadata key rotates', () => {
+        const rotated = provider.withPurposeKey(KeyPurpose.METADATA, 'new-metadata-key');
+        const encrypted = new DataEncryption(provider).encryptPOI(poi);
+
+        expect(() => new DataEncryption(rotated).decryptPOI(encrypted)).toThrow('Ciphertext failed authentication');
+    });
+
+    test('should not decrypt metadata with the field key of another field', () => {
+        const dataEncryption = new DataEncryption(provider);
+        const ciphertext = dataEncryption.encrypt('Harbour Cafe', 'poi:poi-1:name', 'name');
+
+        expect(dataEncryption.decrypt(ciphertext, 'poi:poi-1:name', 'name')).toBe('Harbour Cafe');
+        expect(() => dataEncryption.decrypt(ciphertext, 'poi:poi-1:name', 'address'))
+            .toThrow('Ciphertext failed authentication');
+    });
+});
+
+describe('Log pseudonymisation', () => {
+    afterEach(() => {
+        EPLQLogger.setKeyProvider(null);
+    });
+
+    test('should replace user IDs with stable keyed pseudonyms', () => {
+        EPLQLogger.setKeyProvider(new KeyProvider('test-master-key-12345'));
+        const pseudonym = EPLQLogger.pseudonymize('user-42');
+
+        expect(pseudonym).not.toContain('user-42');
+        expect(EPLQLogger.pseudonymize('user-42')).toBe(pseudonym);
+
+        EPLQLogger.setKeyProvider(new KeyProvider('test-master-key-12345')
+            .withPurposeKey(KeyPurpose.LOG_PSEUDONYM, 'new-log-key'));
+        expect(EPLQLogger.pseudonymize('user-42')).not.toBe(pseudonym);
+    });
+
+    test('should leave user IDs unchanged without a key', () => {
+        expect(EPLQLogger.pseudonymize('user-42')).toBe('user-42');
+    });
+
+    test('should keep user IDs and coordinates out of query logs', async () => {
+        const entries = [];
+        const capture = new winston.Transport({ level: 'debug' });
+        capture.log = (info, callback) => {
+            entries.push(JSON.stringify(info));
+            callback();
+        };
+        const level = logger.level;
+        const silenced = logger.transports.filter(transport => !transport.silent);
+        silenced.forEach(transport => { transport.silent = true; });
+        logger.level = 'debug';
+        logger.add(capture);
+
+        try {
+            EPLQLogger.setKeyProvider(new KeyProvider('test-master-key-12345'));
+            const processor = new QueryProcessor('test-key-12345');
+            processor.initialize([]);
+            await processor.executeQuery(40.7128, -74.0060, 5, 'user-42');
+            await processor.executeKNNQuery(40.7128, -74.0060, 3, 'user-42');
+            await processor.executeKNNQuery(40.7128, -74.0060, 0, 'user-42');
+            await processor.executeShapeQuery({ type: 'box' }, 'user-42');
+
+            const service = new SearchService('test-key-12345');
+            service.isInitialized = true;
+            service.queryProcessor.executeQuery = async () => { throw new Error('Index unavailable'); };
+            await service.search({ latitude: 40.7128, longitude: -74.0060, radius: 5 }, 'user-42');
+        } finally {
+            logger.remove(capture);
+            logger.level = level;
+            silenced.forEach(transport => { transport.silent = false; });
+        }
+
+        const log = entries.join('\n');
+        expect(log).toContain(EPLQLogger.pseudonymize('user-42'));
+        expect(log).toContain('Index unavailable');
+        expect(log).not.toContain('user-42');
+        expect(log).not.toContain('40.71');
+        expect(log).not.toContain('-74.0');
+    });
+
+    test('should keep user IDs and coordinates out of search history', () => {
+        EPLQLogger.setKeyProvider(new KeyProvider('test-master-key-12345'));
+        const service = new UserService('test-key-12345');
+
+        const entry = service.buildHistoryEntry('user-42', {
+            latitude: 40.7128, longitude: -74.0060, radius: 5, category: 'cafe'
+        }, 3);
+
+        expect(entry).toEqual({
+            userId: EPLQLogger.pseudonymize('user-42'),
+            tenantId: service.tenantId,
+            searchParams: { radius: 5, category: 'cafe' },
+            resultCount: 3
+        });
+    });
+});
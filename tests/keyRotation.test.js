@@ -0,0 +1,210 @@
+/**
+ * Key Rotation Tests
+ * Tests for the key ring, POI re-encryption and the rotation service
+ */
+
+import CryptoJS from 'crypto-js';
+import { KeyRing } from '../src/encryption/keyRing.js';
+import { KeyProvider } from '../src/encryption/keyProvider.js';
+import { schemeRegistry } from '../src/encryption/index.js';
+import { POIManager } from '../src/admin/poiManager.js';
+import { KeyRotationService } from '../src/admin/keyRotationService.js';
+import { QueryProcessor } from '../src/query/queryProcessor.js';
+
+describe('KeyRing', () => {
+    test('should hold the active and pending keys side by side', () => {
+        const ring = new KeyRing('old-key', 'new-key');
+
+        expect(ring.activeKeyId).toBe(new KeyProvider('old-key').keyId);
+        expect(ring.pendingKeyId).toBe(new KeyProvider('new-key').keyId);
+        expect(ring.getKeyProvider().masterKey).toBe('old-key');
+        expect(ring.getKeyProvider(ring.pendingKeyId).masterKey).toBe('new-key');
+    });
+
+    test('should keep pre-hierarchy keys readable under their old ID', () => {
+        const ring = new KeyRing('old-key');
+        const legacy = ring.getKeyProvider(KeyRing.fingerprint('old-key'));
+
+        expect(ring.defaultKeyId).toBe(KeyRing.fingerprint('old-key'));
+        expect(ring.defaultKeyId).not.toBe(ring.activeKeyId);
+        expect(legacy.legacySecret).toBe('old-key');
+    });
+
+    test('should not expose the master key in its ID', () => {
+        const keyId = KeyRing.fingerprint('super-secret');
+        expect(keyId).toHaveLength(16);
+        expect(keyId).not.toContain('super-secret');
+    });
+
+    test('should resolve unstamped records to the original key', () => {
+        const ring = new KeyRing('old-key', 'new-key');
+        ring.activate(ring.pendingKeyId);
+
+        expect(ring.resolveKeyId({})).toBe(KeyRing.fingerprint('old-key'));
+        expect(ring.resolveKeyId({ keyId: 'abc' })).toBe('abc');
+    });
+
+    test('should notify listeners on activation', () => {
+        const ring = new KeyRing('old-key', 'new-key');
+        const activated = [];
+        ring.onActivate(keyId => activated.push(keyId));
+
+        const newKeyId = ring.pendingKeyId;
+        ring.activate(newKeyId);
+
+        expect(ring.activeKeyId).toBe(newKeyId);
+        expect(ring.pendingKeyId).toBeNull();
+        expect(activated).toEqual([newKeyId]);
+    });
+
+    test('should reject unknown keys', () => {
+        const ring = new KeyRing('old-key');
+        expect(() => ring.activate('missing')).toThrow('Unknown encryption key');
+        expect(() => ring.getKeyProvider('missing')).toThrow('Unknown encryption key');
+    });
+
+    test('should reuse an existing key ring', () => {
+        const ring = new KeyRing('old-key');
+        expect(KeyRing.from(ring)).toBe(ring);
+        expect(KeyRing.from('other-key').getKeyProvider().masterKey).toBe('other-key');
+    });
+});
+
+describe('Location decryption', () => {
+    test.each(schemeRegistry.getVersions())('should recover locations for scheme %s', (version) => {
+        const scheme = schemeRegistry.create(version, 'test-master-key-12345');
+        const location = scheme.decryptLocation(scheme.encryptLocation(-33.8688, 151.2093));
+
+        expect(location.lat).toBeCloseTo(-33.8688, 6);
+        expect(location.lng).toBeCloseTo(151.2093, 6);
+    });
+});
+
+describe('POIManager.reencryptPOI', () => {
+    let ring;
+    let manager;
+
+    beforeEach(() => {
+        ring = new KeyRing('old-key', 'new-key');
+        manager = new POIManager(ring);
+    });
+
+    function storedPOI(version, keyId = ring.activeKeyId) {
+        const location = manager.getRangeEncryption(keyId, version).encryptLocation(48.8566, 2.3522);
+        return {
+            id: 'poi-1',
+            keyId,
+            ...manager.getDataEncryption(keyId).encryptPOI({
+                id: 'poi-1',
+                name: 'Louvre',
+                description: 'Museum',
+                address: 'Rue de Rivoli',
+                phone: '',
+                category: 'museum'
+            }),
+            encryptedLocation: location
+        };
+    }
+
+    test('should move metadata and location to the new key', () => {
+        const fields = manager.reencryptPOI(storedPOI('2.0'), ring.pendingKeyId);
+
+        expect(fields.keyId).toBe(ring.pendingKeyId);
+        expect(manager.getDataEncryption(ring.pendingKeyId).decryptPOI({ id: 'poi-1', ...fields }).name).toBe('Louvre');
+
+        const location = manager.getRangeEncryption(ring.pendingKeyId).decryptLocation(fields.encryptedLocation);
+        expect(location.lat).toBeCloseTo(48.8566, 6);
+        expect(location.lng).toBeCloseTo(2.3522, 6);
+    });
+
+    test('should move pre-hierarchy POIs to derived subkeys', () => {
+        const fields = manager.reencryptPOI(storedPOI('2.0', ring.defaultKeyId), ring.activeKeyId);
+
+        expect(fields.keyId).toBe(ring.activeKeyId);
+        expect(manager.getDataEncryption().decryptPOI({ id: 'poi-1', ...fields }).name).toBe('Louvre');
+        expect(manager.getRangeEncryption().decryptLocation(fields.encryptedLocation).lat).toBeCloseTo(48.8566, 6);
+    });
+
+    test('should backfill exact coordinates for POIs stored without them', () => {
+        const poi = storedPOI('2.0');
+        expect(poi.encryptedCoordinates).toBe('');
+
+        const fields = manager.reencryptPOI(poi, ring.pendingKeyId);
+        const decrypted = manager.getDataEncryption(ring.pendingKeyId).decryptPOI({ id: 'poi-1', ...fields });
+
+        expect(decrypted.latitude).toBeCloseTo(48.8566, 6);
+        expect(decrypted.longitude).toBeCloseTo(2.3522, 6);
+    });
+
+    test('should read legacy CBC metadata only until it is migrated', () => {
+        // CryptoJS AES-CBC format written before authenticated encryption
+        const iv = CryptoJS.lib.WordArray.random(16);
+        const encrypted = CryptoJS.AES.encrypt('Louvre', 'old-key', { iv, mode: CryptoJS.mode.CBC });
+        const poi = {
+            id: 'poi-1',
+            encryptedName: CryptoJS.enc.Base64.stringify(CryptoJS.enc.Utf8.parse(`${iv}:${encrypted}`))
+        };
+        const processor = new QueryProcessor(ring);
+
+        expect(manager.getDataEncryption(ring.defaultKeyId).decryptPOI(poi).name).toBe('Louvre');
+        expect(processor.decryptResults([poi]).map(result => result.name)).toEqual(['Louvre']);
+
+        // Set by POIManager.migrateMetadataEncryption, and on startup once it has run
+        ring.allowLegacyMetadata = false;
+        expect(() => manager.getDataEncryption(ring.defaultKeyId).decryptPOI(poi))
+            .toThrow('Legacy ciphertext is no longer accepted');
+        expect(processor.decryptResults([poi])).toEqual([]);
+    });
+
+    test('should upgrade legacy ciphertexts to the current scheme', () => {
+        const fields = manager.reencryptPOI(storedPOI('1.0'), ring.pendingKeyId);
+
+        expect(fields.encryptedLocation.version).toBe(schemeRegistry.currentVersion);
+        const location = manager.getRangeEncryption(ring.pendingKeyId).decryptLocation(fields.encryptedLocation);
+        expect(location.lat).toBeCloseTo(48.8566, 6);
+    });
+});
+
+describe('QueryProcessor with rotated keys', () => {
+    test('should match POIs under both keys and switch on activation', async () => {
+        const ring = new KeyRing('old-key', 'new-key');
+        const processor = new QueryProcessor(ring);
+        const oldKeyId = ring.activeKeyId;
+        const newKeyId = ring.pendingKeyId;
+
+        const pois = [
+            { id: 'old', keyId: oldKeyId, encryptedLocation: processor.getScheme('2.0', oldKeyId).encryptLocation(51.5074, -0.1278) },
+            { id: 'new', keyId: newKeyId, encryptedLocation: processor.getScheme('2.0', newKeyId).encryptLocation(51.5080, -0.1270) }
+        ];
+        processor.initialize(pois);
+
+        const before = await processor.executeQuery(51.5074, -0.1278, 2, 'test-user', { decrypt: false, useCache: false });
+        expect(before.results.map(poi => poi.id).sort()).toEqual(['new', 'old']);
+
+        ring.activate(newKeyId);
+        expect(processor.getScheme()).toBe(processor.getScheme('2.0', newKeyId));
+
+        const after = await processor.executeQuery(51.5074, -0.1278, 2, 'test-user', { decrypt: false, useCache: false });
+        expect(after.results.map(poi => poi.id).sort()).toEqual(['new', 'old']);
+    });
+});
+
+describe('KeyRotationService', () => {
+    test('should refuse to start without a database', async () => {
+        const service = new KeyRotationService(new POIManager(new KeyRing('old-key', 'new-key')));
+        const result = await service.startRotation('admin-1');
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Database not available');
+    });
+
+    test('should report key IDs in status', async () => {
+        const ring = new KeyRing('old-key', 'new-key');
+        const service = new KeyRotationService(new POIManager(ring));
+        const status = await service.getStatus();
+
+        expect(status.success).toBe(true);
+        expect(status.rotation.status).toBe('idle');
+        expect(status.keys).toEqual({ activeKeyId: ring.activeKeyId, pendingKeyId: ring.pendingKeyId });
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Keyword Index Tests
+ * Tests for blind keyword indexes over POI names and descriptions
+ */
+
+import { normalizeText, tokenize, stem, indexTokens, keywordsMatch } from '../src/encryption/keywordIndex.js';
+import { KeyRing } from '../src/encryption/keyRing.js';
+import { POIManager } from '../src/admin/poiManager.js';
+import { QueryProcessor } from '../src/query/queryProcessor.js';
+import { SearchService } from '../src/user/searchService.js';
+import { validateKeywords } from '../src/utils/validators.js';
+
+describe('Keyword tokenization', () => {
+    test('should fold case and accents and drop stop words', () => {
+        expect(normalizeText('Café MÜNCHEN')).toBe('cafe munchen');
+        expect(tokenize('The Museum of Modern Art, N.Y.')).toEqual(['museum', 'modern', 'art', 'n', 'y']);
+    });
+
+    test('should stem plurals and verb forms to a shared base', () => {
+        expect(stem('museums')).toBe('museum');
+        expect(stem('bakeries')).toBe('bakery');
+        expect(stem('churches')).toBe('church');
+        expect(stem('parking')).toBe('park');
+        expect(stem('running')).toBe('run');
+        expect(stem('bus')).toBe('bus');
+        expect(stem('24h')).toBe('24h');
+    });
+
+    test('should index word stems and prefixes', () => {
+        const tokens = indexTokens('Harbour Bakeries');
+
+        expect(tokens).toContain('word:harbour');
+        expect(tokens).toContain('word:bakery');
+        expect(tokens).toContain('prefix:har');
+        expect(tokens).toContain('prefix:bakeri');
+        expect(tokens).not.toContain('prefix:ha');
+    });
+
+    test('should match whole words, inflections and prefixes', () => {
+        const text = 'Harbour Bakery. Fresh bread and pastries every morning';
+
+        expect(keywordsMatch(text, ['bakeries'])).toBe(true);
+        expect(keywordsMatch(text, ['pastry'])).toBe(true);
+        expect(keywordsMatch(text, ['harb'])).toBe(true);
+        expect(keywordsMatch(text, ['fresh', 'bread'])).toBe(true);
+        expect(keywordsMatch(text, ['fresh', 'pizza'])).toBe(false);
+        expect(keywordsMatch(text, ['arbour'])).toBe(false);
+    });
+
+    test('should validate keywords into normalized words', () => {
+        expect(validateKeywords(undefined)).toEqual({ valid: true, value: [] });
+        expect(validateKeywords('Fresh  BREAD bread')).toEqual({ valid: true, value: ['fresh', 'bread'] });
+        expect(validateKeywords(['café', 'the']).value).toEqual(['cafe']);
+        expect(validateKeywords('the of').valid).toBe(false);
+        expect(validateKeywords([42]).valid).toBe(false);
+        expect(validateKeywords('a b c d e f g h i j k l m').valid).toBe(false);
+    });
+});
+
+describe('Blind keyword indexes', () => {
+    const pois = [
+        ['bakery', 40.7130, -74.0060, 'Harbour Bakery', 'Fresh bread and pastries'],
+        ['museum', 40.7150, -74.0060, 'City Museum', 'Modern art and sculptures'],
+        ['far-bakery', 40.9000, -74.0060, 'Uptown Bakery', 'Sourdough bread']
+    ];
+    let ring;
+    let manager;
+    let processor;
+
+    beforeEach(() => {
+        ring = new KeyRing('test-key-12345');
+        manager = new POIManager(ring);
+        processor = new QueryProcessor(ring);
+        processor.initialize(pois.map(([id, lat, lng, name, description]) => ({
+            ...processor.getDataEncryption().encryptPOI({ id, name, description, category: 'shop' }),
+            keyId: ring.activeKeyId,
+            encryptedLocation: processor.getScheme().encryptLocation(lat, lng),
+            keywordIndex: manager.buildKeywordIndex({ name, description })
+        })));
+    });
+
+    test('should store only sorted keyed hashes', () => {
+        const index = manager.buildKeywordIndex({ name: 'Harbour Bakery', description: 'Fresh bread' });
+        const other = new POIManager(new KeyRing('another-key-67890'))
+            .buildKeywordIndex({ name: 'Harbour Bakery', description: 'Fresh bread' });
+
+        expect(index.every(hash => /^[0-9a-f]{64}$/.test(hash))).toBe(true);
+        expect(index).toEqual([...index].sort());
+        expect(JSON.stringify(index)).not.toContain('bakery');
+        expect(index).toHaveLength(indexTokens('Harbour Bakery Fresh bread').length);
+        expect(other.some(hash => index.includes(hash))).toBe(false);
+    });
+
+    test('should combine the keyword and location predicates', async () => {
+        const bakeries = await processor.executeQuery(40.7128, -74.0060, 5, 'test-user', { keywords: ['bakeries'] });
+        expect(bakeries.results.map(poi => poi.id)).toEqual(['bakery']);
+
+        const prefix = await processor.executeQuery(40.7128, -74.0060, 50, 'test-user', { keywords: ['bak', 'bread'] });
+        expect(prefix.results.map(poi => poi.id)).toEqual(['bakery', 'far-bakery']);
+
+        const none = await processor.executeQuery(40.7128, -74.0060, 50, 'test-user', { keywords: ['bakery', 'art'] });
+        expect(none.results).toEqual([]);
+    });
+
+    test('should match POIs stored without an index on their decrypted text', () => {
+        const stored = {
+            ...processor.getDataEncryption().encryptPOI({ id: 'old', name: 'Old Library', description: 'Rare books' }),
+            keyId: ring.activeKeyId
+        };
+
+        expect(processor.filterByKeywords([stored], ['book'])).toEqual([stored]);
+        expect(processor.filterByKeywords([stored], ['museum'])).toEqual([]);
+    });
+
+    test('should accept keywords through the search service', async () => {
+        const service = new SearchService(ring);
+        service.queryProcessor = processor;
+        service.isInitialized = true;
+
+        const result = await service.search(
+            { latitude: 40.7128, longitude: -74.0060, radius: 5, keywords: 'modern art' }, 'test-user'
+        );
+        expect(result.results.map(poi => poi.id)).toEqual(['museum']);
+
+        const invalid = await service.search({ latitude: 40.7128, longitude: -74.0060, keywords: 'the' }, 'test-user');
+        expect(invalid.success).toBe(false);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Known-Plaintext Attack Tests
+ * Measures how many known POI pairs break the location schemes, so that a
+ * change making the schemes easier to break fails the suite
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+    KnownPlaintextAttack,
+    recoverDecryptionMap,
+    applyDecryptionMap,
+    legacyBoundingBox,
+    greatCircleDistance
+} from '../src/encryption/knownPlaintextAttack.js';
+import { RangeQueryEncryption } from '../src/encryption/rangeQuery.js';
+import { LegacyRangeQueryEncryption } from '../src/encryption/legacyRangeQuery.js';
+import { toCartesian } from '../src/encryption/predicateEncryption.js';
+import { seededRandom } from './helpers/syntheticData.js';
+
+const REPORT_PATH = process.env.KNOWN_PLAINTEXT_REPORT || 'test-results/known-plaintext-report.json';
+
+describe('KnownPlaintextAttack', () => {
+    const scheme = new RangeQueryEncryption('test-master-key-12345');
+    const legacyScheme = new LegacyRangeQueryEncryption('test-master-key-12345');
+    const reports = {};
+
+    afterAll(() => {
+        fs.mkdirSync(path.dirname(REPORT_PATH), { recursive: true });
+        fs.writeFileSync(REPORT_PATH, JSON.stringify(reports, null, 2));
+    });
+
+    test('should recover the decryption map from enough known pairs', () => {
+        const random = seededRandom(1);
+        const pairs = Array.from({ length: 20 }, () => {
+            const lat = random() * 180 - 90;
+            const lng = random() * 360 - 180;
+            return { ciphertext: scheme.encryptLocation(lat, lng).encryptedCoords, plaintext: toCartesian(lat, lng) };
+        });
+
+        const map = recoverDecryptionMap(pairs);
+        const target = scheme.encryptLocation(48.8566, 2.3522).encryptedCoords;
+        const [x, y, z] = applyDecryptionMap(map, target);
+        const [ex, ey, ez] = toCartesian(48.8566, 2.3522);
+
+        expect(x).toBeCloseTo(ex, 6);
+        expect(y).toBeCloseTo(ey, 6);
+        expect(z).toBeCloseTo(ez, 6);
+    });
+
+    test('should report the known pairs needed to break the current scheme', () => {
+        const attack = new KnownPlaintextAttack({ random: seededRandom(2) });
+        const report = attack.simulate(scheme);
+        reports[scheme.version] = report;
+
+        // x, y, z, the constant components and the padding, plus one random
+        // share per split data component: every one must be pinned down
+        const degreesOfFreedom = 5 + scheme.scheme.splitIndicator.filter(bit => !bit).length;
+
+        expect(report.linearRecovery.pairsToBreak).toBe(degreesOfFreedom);
+        for (const trial of report.linearRecovery.trials) {
+            expect(trial.broken).toBe(trial.knownPairs >= degreesOfFreedom);
+        }
+    });
+
+    test('should break the legacy scheme with a handful of pairs', () => {
+        const attack = new KnownPlaintextAttack({ random: seededRandom(3) });
+        const report = attack.simulate(legacyScheme);
+        reports[legacyScheme.version] = report;
+
+        expect(report.encoding).toBe('normalized');
+        expect(report.linearRecovery.pairsToBreak).toBeLessThanOrEqual(5);
+    });
+
+    test('should not locate POIs from the order of legacy bounding boxes', () => {
+        const report = reports[scheme.version] ||
+            new KnownPlaintextAttack({ random: seededRandom(2) }).simulate(scheme);
+
+        expect(report.orderLeakage.pairsToBreak).toBeNull();
+        const last = report.orderLeakage.trials[report.orderLeakage.trials.length - 1];
+        expect(last.medianErrorKm).toBeGreaterThan(3000);
+    });
+
+    test('should not locate POIs from the order of ciphertext components', () => {
+        const attack = new KnownPlaintextAttack({ random: seededRandom(4) });
+        const report = attack.simulate(scheme, {
+            features: (s, lat, lng) => s.encryptLocation(lat, lng).encryptedCoords
+        });
+
+        expect(report.orderLeakage.pairsToBreak).toBeNull();
+    });
+
+    test('should locate POIs from an order-preserving feature', () => {
+        const attack = new KnownPlaintextAttack({ random: seededRandom(5) });
+        const report = attack.simulate(scheme, {
+            features: (s, lat, lng) => [3 * lat + 7, Math.exp(lng / 180)],
+            maxKnownPairs: 200
+        });
+
+        const last = report.orderLeakage.trials[report.orderLeakage.trials.length - 1];
+        expect(last.medianErrorKm).toBeLessThan(300);
+    });
+
+    test('should model legacy bounding boxes as two ciphertext components', () => {
+        expect(legacyBoundingBox(scheme, 10, 20)).toHaveLength(2);
+        expect(greatCircleDistance({ lat: 0, lng: 0 }, { lat: 0, lng: 1 })).toBeCloseTo(111.19, 1);
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * Location Obfuscation Tests
+ * Tests for geo-indistinguishability noise and k-anonymity cloaking
+ */
+
+import {
+    LocationObfuscator,
+    ObfuscationMode,
+    planarLaplaceRadius,
+    haversineDistance
+} from '../src/query/locationObfuscation.js';
+import { SearchService } from '../src/user/searchService.js';
+
+/**
+ * Seeded pseudo-random generator (mulberry32) for reproducible noise
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+describe('LocationObfuscator', () => {
+    test('should invert the planar Laplace radius distribution', () => {
+        const epsilon = 0.5;
+        for (const p of [0.1, 0.5, 0.95, 0.999]) {
+            const r = planarLaplaceRadius(p, epsilon);
+            expect(1 - (1 + epsilon * r) * Math.exp(-epsilon * r)).toBeCloseTo(p, 9);
+        }
+        expect(planarLaplaceRadius(0, epsilon)).toBeCloseTo(0, 12);
+    });
+
+    test('should keep the noise within the widened radius at the configured confidence', () => {
+        const obfuscator = new LocationObfuscator({ epsilon: 2, random: seededRandom(7) });
+        let covered = 0;
+
+        for (let i = 0; i < 2000; i++) {
+            const query = obfuscator.obfuscate(40.7128, -74.0060, 1, { mode: ObfuscationMode.GEO_INDISTINGUISHABILITY });
+            const noiseKm = haversineDistance(40.7128, -74.0060, query.lat, query.lng);
+            if (noiseKm <= query.report.radiusWideningKm) covered++;
+        }
+
+        expect(covered / 2000).toBeGreaterThan(0.93);
+        expect(covered / 2000).toBeLessThan(0.97);
+    });
+
+    test('should widen the radius more for smaller epsilon', () => {
+        const obfuscator = new LocationObfuscator({ random: seededRandom(1) });
+        const strict = obfuscator.obfuscate(0, 0, 5, { mode: 'geo-indistinguishability', epsilon: 0.2 });
+        const loose = obfuscator.obfuscate(0, 0, 5, { mode: 'geo-indistinguishability', epsilon: 5 });
+
+        expect(strict.radiusKm).toBeGreaterThan(loose.radiusKm);
+        expect(strict.report.expectedPrecision).toBeLessThan(loose.report.expectedPrecision);
+        expect(strict.report.expectedRecall).toBe(0.95);
+    });
+
+    test('should grow cloaking cells until they hold k POIs', () => {
+        const obfuscator = new LocationObfuscator();
+        const counts = [];
+        const query = obfuscator.obfuscate(40.7128, -74.0060, 2, { mode: 'k-anonymity', k: 4 }, (lat, lng, radiusKm) => {
+            counts.push(radiusKm);
+            return counts.length;
+        });
+
+        expect(counts).toHaveLength(4);
+        expect(query.report.anonymitySatisfied).toBe(true);
+        expect(query.report.cellSizeDeg).toBeCloseTo(0.08, 10);
+        expect(query.report.expectedRecall).toBe(1);
+        // The true center lies in the cell, so the widened circle covers the requested one
+        expect(haversineDistance(40.7128, -74.0060, query.lat, query.lng) + 2).toBeLessThanOrEqual(query.radiusKm);
+    });
+
+    test('should give the same cell for nearby locations', () => {
+        const obfuscator = new LocationObfuscator();
+        const count = () => 10;
+        const a = obfuscator.obfuscate(40.7121, -74.0061, 1, { mode: 'k-anonymity', k: 1 }, count);
+        const b = obfuscator.obfuscate(40.7129, -74.0069, 1, { mode: 'k-anonymity', k: 1 }, count);
+
+        expect([a.lat, a.lng]).toEqual([b.lat, b.lng]);
+    });
+
+    test('should reject unknown modes and invalid parameters', () => {
+        const obfuscator = new LocationObfuscator();
+
+        expect(() => obfuscator.obfuscate(0, 0, 1, { mode: 'blur' })).toThrow('Unknown obfuscation mode: blur');
+        expect(() => obfuscator.obfuscate(0, 0, 1, { mode: 'geo-indistinguishability', epsilon: 0 }))
+            .toThrow('Epsilon must be a positive number');
+        expect(() => obfuscator.obfuscate(0, 0, 1, { mode: 'k-anonymity', k: 0 }, () => 1))
+            .toThrow('k must be a positive integer');
+        expect(obfuscator.obfuscate(1, 2, 3).report).toBeNull();
+    });
+});
+
+describe('SearchService obfuscation modes', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new SearchService('test-key-12345');
+        const processor = service.queryProcessor;
+        const keyId = processor.keyRing.activeKeyId;
+
+        const pois = [
+            ['near-1', 40.7130, -74.0060],
+            ['near-2', 40.7200, -74.0100],
+            ['town', 40.7600, -73.9800],
+            ['far', 42.0000, -74.0060]
+        ].map(([id, lat, lng]) => ({
+            ...processor.getDataEncryption().encryptPOI({ id, name: `POI ${id}`, category: 'cafe' }),
+            keyId,
+            encryptedLocation: processor.getScheme().encryptLocation(lat, lng)
+        }));
+        processor.initialize(pois);
+        service.isInitialized = true;
+    });
+
+    test('should cloak into a cell with k POIs without losing matches', async () => {
+        const result = await service.search({
+            latitude: 40.7128,
+            longitude: -74.0060,
+            radius: 2,
+            useCache: false,
+            obfuscation: { mode: 'k-anonymity', k: 3 }
+        }, 'user-1');
+
+        expect(result.success).toBe(true);
+        const ids = result.results.map(poi => poi.id);
+        expect(ids).toEqual(['near-1', 'near-2']);
+
+        const { obfuscation } = result.metadata;
+        expect(obfuscation.mode).toBe('k-anonymity');
+        expect(obfuscation.cellPOICount).toBeGreaterThanOrEqual(3);
+        expect(obfuscation.queryLocation.radius).toBeGreaterThan(2);
+    });
+
+    test('should report geo-indistinguishability parameters', async () => {
+        const result = await service.search({
+            latitude: 40.7128,
+            longitude: -74.0060,
+            radius: 2,
+            useCache: false,
+            obfuscation: { mode: 'geo-indistinguishability', epsilon: 1 }
+        }, 'user-1');
+
+        expect(result.success).toBe(true);
+        expect(result.metadata.obfuscation).toEqual(expect.objectContaining({
+            mode: 'geo-indistinguishability',
+            epsilon: 1,
+            expectedRecall: 0.95
+        }));
+        expect(result.metadata.obfuscation.queryLocation.latitude).not.toBe(40.7128);
+    });
+
+    test('should narrow obfuscated matches to the requested circle before the limit', async () => {
+        // Noise at its median distance, well inside the widened radius
+        service.obfuscator.random = () => 0.5;
+        const search = limit => service.search({
+            latitude: 40.7128,
+            longitude: -74.0060,
+            radius: 2,
+            limit,
+            obfuscation: { mode: 'geo-indistinguishability', epsilon: 1 }
+        }, 'user-1');
+
+        const all = await search();
+        expect(all.metadata.obfuscation.queryLocation.radius).toBeGreaterThan(6);
+        expect(all.results.map(poi => poi.id)).toEqual(['near-1', 'near-2']);
+        expect(all.results[0].distance).toBeLessThan(0.5);
+
+        // With the noise covered, as reported by expectedRecall, the limited
+        // results are those of the unobfuscated search
+        const nearest = await search(1);
+        const plain = await service.search({ latitude: 40.7128, longitude: -74.0060, radius: 2, limit: 1 }, 'user-1');
+        expect(nearest.results.map(poi => poi.id)).toEqual(plain.results.map(poi => poi.id));
+    });
+
+    test('should not attach obfuscation reports to cached results', async () => {
+        const search = () => service.search({
+            latitude: 40.7128,
+            longitude: -74.0060,
+            radius: 2,
+            obfuscation: { mode: 'k-anonymity', k: 3 }
+        }, 'user-1');
+
+        const first = await search();
+        const [cached] = service.queryProcessor.queryCache.values();
+        expect(cached.result.metadata).not.toHaveProperty('obfuscation');
+        expect(cached.result.metadata).not.toHaveProperty('totalTime');
+
+        const second = await search();
+        expect(second.queryId).toBe(first.queryId);
+        expect(second.metadata.obfuscation).toEqual(first.metadata.obfuscation);
+        expect(cached.result.metadata).not.toHaveProperty('obfuscation');
+    });
+
+    test('should fail on unknown modes', async () => {
+        const result = await service.search({
+            latitude: 40.7128,
+            longitude: -74.0060,
+            obfuscation: { mode: 'blur' }
+        }, 'user-1');
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Unknown obfuscation mode: blur');
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Permission Model Tests
+ * Tests for the role permission matrix, custom role definitions and their
+ * agreement with the Firestore rules
+ */
+
+import { readFileSync } from 'fs';
+import { Permissions, UserRoles, ROLE_PERMISSIONS, permissionsFor, isBuiltInRole } from '../src/auth/permissions.js';
+import { RoleManager } from '../src/admin/roleManager.js';
+import { validateRoleDefinition } from '../src/utils/validators.js';
+
+describe('Permission matrix', () => {
+    test('should give each built-in role its permissions', () => {
+        expect(permissionsFor(UserRoles.USER)).toEqual([]);
+        expect(permissionsFor(UserRoles.ADMIN)).toEqual(Object.values(Permissions));
+        expect(permissionsFor(UserRoles.DATA_CURATOR)).toEqual([Permissions.POIS_READ, Permissions.POIS_WRITE]);
+        expect(permissionsFor(UserRoles.AUDITOR)).toEqual(
+            [Permissions.LOGS_READ, Permissions.STATS_READ, Permissions.QUERY_STATS_READ]
+        );
+        expect(permissionsFor(UserRoles.ANALYST)).toEqual([Permissions.QUERY_STATS_READ]);
+    });
+
+    test('should keep curators out of user management and analysts out of raw logs', () => {
+        expect(permissionsFor(UserRoles.DATA_CURATOR)).not.toContain(Permissions.USERS_MANAGE);
+        expect(permissionsFor(UserRoles.ANALYST)).not.toContain(Permissions.LOGS_READ);
+        expect(permissionsFor(UserRoles.ANALYST)).not.toContain(Permissions.STATS_READ);
+    });
+
+    test('should grant custom roles only known permissions', () => {
+        expect(permissionsFor('reviewer', { permissions: [Permissions.POIS_READ, 'everything'] }))
+            .toEqual([Permissions.POIS_READ]);
+        expect(permissionsFor('missing', null)).toEqual([]);
+        expect(permissionsFor(UserRoles.ANALYST, { permissions: [Permissions.KEYS_MANAGE] }))
+            .toEqual([Permissions.QUERY_STATS_READ]);
+        expect(isBuiltInRole('toString')).toBe(false);
+    });
+
+    test('should match the matrix in the Firestore rules', () => {
+        const rules = readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8');
+        const body = /function builtInPermissions\(\) \{\s*return \{([\s\S]*?)\};\s*\}/.exec(rules)[1];
+        const matrix = {};
+        for (const [, role, list] of body.matchAll(/'(\w+)': \[([^\]]*)\]/g)) {
+            matrix[role] = Array.from(list.matchAll(/'([\w:]+)'/g), match => match[1]);
+        }
+
+        expect(matrix).toEqual(ROLE_PERMISSIONS);
+    });
+
+    test('should not let users create their profile with tenants or an active flag', () => {
+        const rules = readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8');
+        const users = /match \/users\/\{userId\} \{([\s\S]*?)\n    \}/.exec(rules)[1];
+        const create = /allow create: ([\s\S]*?);/.exec(users)[1];
+
+        expect(create).toContain("request.resource.data.role == 'user'");
+        expect(create).toContain("!request.resource.data.keys().hasAny(['tenants', 'isActive'])");
+    });
+});
+
+describe('Custom roles', () => {
+    test('should validate role definitions', () => {
+        expect(validateRoleDefinition('reviewer', {
+            description: 'Reviews <b>uploads</b>',
+            permissions: [Permissions.POIS_WRITE, Permissions.POIS_READ]
+        })).toEqual({
+            valid: true,
+            value: {
+                id: 'reviewer',
+                description: 'Reviews buploads/b',
+                permissions: [Permissions.POIS_READ, Permissions.POIS_WRITE]
+            }
+        });
+
+        expect(validateRoleDefinition('Reviewer', { permissions: [Permissions.POIS_READ] }).valid).toBe(false);
+        expect(validateRoleDefinition('admin', { permissions: [Permissions.POIS_READ] }).error)
+            .toBe('Built-in role cannot be redefined: admin');
+        expect(validateRoleDefinition('reviewer', { permissions: [] }).valid).toBe(false);
+        expect(validateRoleDefinition('reviewer', { permissions: ['pois:delete'] }).error)
+            .toBe('Unknown permissions: pois:delete');
+    });
+
+    test('should list built-in roles and refuse changes without a database', async () => {
+        const roles = new RoleManager();
+        const listed = await roles.getRoles();
+
+        expect(listed.success).toBe(true);
+        expect(listed.roles.map(role => role.id)).toEqual(Object.values(UserRoles));
+        expect(listed.permissions).toEqual(Object.values(Permissions));
+        expect(await roles.roleExists(UserRoles.AUDITOR)).toBe(true);
+        expect(await roles.roleExists('reviewer')).toBe(false);
+        expect((await roles.defineRole('reviewer', { permissions: [Permissions.POIS_READ] }, 'root')).success)
+            .toBe(false);
+        expect(await roles.deleteRole(UserRoles.ADMIN, 'root'))
+            .toEqual({ success: false, error: 'Database not available' });
+    });
+});
@@ -3,7 +3,12 @@
  * Tests for privacy-preserving range query processing
  */
 
-import { QueryProcessor } from '../src/query/queryProcessor.js';
+import { QueryProcessor, knnRadii } from '../src/query/queryProcessor.js';
+import { NonceStore } from '../src/query/nonceStore.js';
+import { KeyRing } from '../src/encryption/keyRing.js';
+import { KeyProvider, KeyPurpose } from '../src/encryption/keyProvider.js';
+import { haversineDistance } from '../src/query/locationObfuscation.js';
+import { QueryTokenClient, generateQueryTokens, generateKNNTokens } from '../public/js/queryToken.js';
 
 describe('QueryProcessor', () => {
     let processor;
@@ -29,6 +34,21 @@ describe('QueryProcessor', () => {
         expect(id1).not.toBe(id3);
     });
 
+    test('should key cached results by limit and decryption', () => {
+        const id = processor.generateQueryId(40.7128, -74.0060, 5);
+
+        expect(processor.generateQueryId(40.7128, -74.0060, 5, { limit: 10 })).not.toBe(id);
+        expect(processor.generateQueryId(40.7128, -74.0060, 5, { decrypt: false })).not.toBe(id);
+        expect(processor.generateQueryId(40.7128, -74.0060, 5, { decrypt: true })).toBe(id);
+    });
+
+    test('should return copies of cached results', () => {
+        processor.cacheResult('test', { metadata: { returnedCount: 1 } });
+        processor.getCachedResult('test').metadata.totalTime = '1.00';
+
+        expect(processor.getCachedResult('test')).toEqual({ metadata: { returnedCount: 1 } });
+    });
+
     test('should cache query results', () => {
         const queryId = 'test-query-123';
         const result = { success: true, results: [] };
@@ -79,25 +99,6 @@ describe('QueryProcessor', () => {
         expect(processor.getCachedResult('test')).toBeNull();
     });
 
-    test('should calculate approximate distance', () => {
-        const poi = { originalLat: 40.7128, originalLng: -74.0060 };
-        
-        // Same location = 0 distance
-        const dist1 = processor.calculateApproxDistance(poi, 40.7128, -74.0060);
-        expect(dist1).toBeCloseTo(0, 1);
-
-        // ~111km for 1 degree
-        const dist2 = processor.calculateApproxDistance(poi, 41.7128, -74.0060);
-        expect(dist2).toBeGreaterThan(100);
-        expect(dist2).toBeLessThan(120);
-    });
-
-    test('should handle missing coordinates in distance calc', () => {
-        const poi = {};
-        const dist = processor.calculateApproxDistance(poi, 40.7128, -74.0060);
-        expect(dist).toBe(0);
-    });
-
     test('should get statistics', () => {
         const stats = processor.getStats();
 
@@ -132,5 +133,543 @@ describe('QueryProcessor', () => {
         expect(result).toHaveProperty('queryId');
         expect(result).toHaveProperty('metadata');
     });
+
+    test('should dispatch predicate evaluation on ciphertext version', async () => {
+        const current = processor.getScheme('2.0');
+        const legacy = processor.getScheme('1.0');
+        const keyId = processor.keyRing.activeKeyId;
+        const pois = [
+            { id: 'v2-near', keyId, encryptedLocation: current.encryptLocation(40.7130, -74.0060) },
+            { id: 'v2-far', keyId, encryptedLocation: current.encryptLocation(41.5, -74.0060) },
+            { id: 'v1', keyId, encryptedLocation: legacy.encryptLocation(40.7130, -74.0060) },
+            { id: 'v1-far', keyId, encryptedLocation: legacy.encryptLocation(41.5, -74.0060) },
+            { id: 'unknown', keyId, encryptedLocation: { encryptedCoords: [], version: '0.1' } }
+        ];
+
+        processor.initialize(pois);
+
+        const result = await processor.executeQuery(40.7128, -74.0060, 5, 'test-user', {
+            decrypt: false,
+            useCache: false
+        });
+
+        const ids = result.results.map(poi => poi.id);
+        expect(result.success).toBe(true);
+        expect(ids).toContain('v2-near');
+        expect(ids).not.toContain('v2-far');
+        expect(ids).not.toContain('unknown');
+        expect(result.metadata.schemeVersions).toEqual(expect.arrayContaining(['1.0', '2.0']));
+
+        // Legacy POIs are tested on their decrypted location, not the 1.0 placeholder predicate
+        expect(ids).toContain('v1');
+        expect(ids).not.toContain('v1-far');
+        expect(processor.countMatches(40.7128, -74.0060, 5)).toBe(2);
+    });
 });
 
+describe('QueryProcessor distance ranking', () => {
+    const locations = [
+        ['far', 40.80, -74.0060],
+        ['near', 40.7130, -74.0060],
+        ['london', 51.5074, -0.1278],
+        ['middle', 40.75, -74.0060],
+        ['tokyo', 35.6762, 139.6503]
+    ];
+    let processor;
+
+    beforeEach(() => {
+        processor = new QueryProcessor('test-key-12345');
+        const keyId = processor.keyRing.activeKeyId;
+        processor.initialize(locations.map(([id, lat, lng]) => ({
+            ...processor.getDataEncryption().encryptPOI({ id, name: `POI ${id}`, category: 'cafe' }),
+            keyId,
+            encryptedLocation: processor.getScheme().encryptLocation(lat, lng)
+        })));
+    });
+
+    function expectedDistance(id) {
+        const [, lat, lng] = locations.find(([poiId]) => poiId === id);
+        return haversineDistance(40.7128, -74.0060, lat, lng);
+    }
+
+    test('should sort range results by distance computed from encrypted scores', async () => {
+        let locationDecryptions = 0;
+        const decryptPOILocation = processor.decryptPOILocation.bind(processor);
+        processor.decryptPOILocation = poi => {
+            locationDecryptions++;
+            return decryptPOILocation(poi);
+        };
+
+        const result = await processor.executeQuery(40.7128, -74.0060, 20, 'test-user', { useCache: false });
+
+        expect(result.results.map(poi => poi.id)).toEqual(['near', 'middle', 'far']);
+        for (const poi of result.results) {
+            expect(poi.distance).toBeCloseTo(expectedDistance(poi.id), 3);
+        }
+        expect(locationDecryptions).toBe(0);
+    });
+
+    test('should measure exact distances for POIs with stored coordinates', async () => {
+        const keyId = processor.keyRing.activeKeyId;
+        processor.initialize(locations.map(([id, lat, lng]) => ({
+            ...processor.getDataEncryption().encryptPOI({ id, name: `POI ${id}`, latitude: lat, longitude: lng, category: 'cafe' }),
+            keyId,
+            encryptedLocation: processor.getScheme().encryptLocation(lat, lng)
+        })));
+
+        const result = await processor.executeQuery(40.7128, -74.0060, 20, 'test-user', { useCache: false });
+
+        expect(result.results.map(poi => poi.id)).toEqual(['near', 'middle', 'far']);
+        for (const poi of result.results) {
+            expect(poi.distance).toBe(expectedDistance(poi.id));
+            expect(poi.latitude).toBe(locations.find(([id]) => id === poi.id)[1]);
+        }
+    });
+
+    test('should return the k nearest POIs in order', async () => {
+        const result = await processor.executeKNNQuery(40.7128, -74.0060, 4, 'test-user');
+
+        expect(result.success).toBe(true);
+        expect(result.results.map(poi => poi.id)).toEqual(['near', 'middle', 'far', 'london']);
+        for (const poi of result.results) {
+            expect(poi.distance).toBeCloseTo(expectedDistance(poi.id), 3);
+        }
+        expect(result.metadata.searchRadius).toBeGreaterThanOrEqual(expectedDistance('london'));
+        expect(result.metadata.rounds).toBeGreaterThan(1);
+    });
+
+    test('should return every POI when k exceeds the POI count', async () => {
+        const result = await processor.executeKNNQuery(0, 0, 10, 'test-user', { decrypt: false });
+
+        expect(result.results).toHaveLength(locations.length);
+        expect(result.results.map(poi => poi.distance)).toEqual(
+            [...result.results.map(poi => poi.distance)].sort((a, b) => a - b)
+        );
+    });
+
+    test('should reject a non-positive k', async () => {
+        const result = await processor.executeKNNQuery(0, 0, 0, 'test-user');
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('k must be a positive integer');
+    });
+
+    test('should rank legacy POIs by their decrypted location', () => {
+        const keyId = processor.keyRing.activeKeyId;
+        const legacy = { id: 'legacy', keyId, encryptedLocation: processor.getScheme('1.0').encryptLocation(40.7130, -74.0060) };
+        const queryTokens = new Map([
+            [processor.getSchemeKey(keyId, '1.0'), processor.getScheme('1.0').generateQueryToken(40.7128, -74.0060, 5)]
+        ]);
+
+        const [{ distance }] = processor.rankByDistance([legacy], queryTokens, 40.7128, -74.0060, 5);
+
+        expect(distance).toBeLessThan(1);
+    });
+});
+
+describe('QueryProcessor dummy queries', () => {
+    let processor;
+    let pois;
+    let searchCenters;
+
+    beforeEach(() => {
+        processor = new QueryProcessor('test-key-12345');
+        const scheme = processor.getScheme();
+        const keyId = processor.keyRing.activeKeyId;
+
+        pois = [
+            ['near', 40.7130, -74.0060],
+            ['london', 51.5074, -0.1278],
+            ['tokyo', 35.6762, 139.6503]
+        ].map(([id, lat, lng]) => ({ id, keyId, encryptedLocation: scheme.encryptLocation(lat, lng) }));
+        processor.initialize(pois);
+
+        // Record each index search by the center of its token, then bypass pruning
+        searchCenters = [];
+        const issueQueryToken = processor.issueQueryToken.bind(processor);
+        processor.issueQueryToken = (version, tokenKeyId, lat, lng, radiusKm, userId) => {
+            searchCenters.push({ lat, lng });
+            return issueQueryToken(version, tokenKeyId, lat, lng, radiusKm, userId);
+        };
+    });
+
+    test('should return only the real query results', async () => {
+        const result = await processor.executeQuery(40.7128, -74.0060, 5, 'test-user', {
+            decrypt: false,
+            useCache: false,
+            dummyQueries: 4
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.results.map(poi => poi.id)).toEqual(['near']);
+        expect(searchCenters).toHaveLength(5);
+        expect(result.metadata.dummyQueryCount).toBe(4);
+        expect(Number(result.metadata.timing.dummyQueries)).toBeGreaterThan(0);
+    });
+
+    test('should run the real query at a random position', async () => {
+        const positions = new Set();
+        for (let i = 0; i < 20; i++) {
+            searchCenters = [];
+            await processor.executeQuery(40.7128, -74.0060, 5, 'test-user', { useCache: false, dummyQueries: 3 });
+            positions.add(searchCenters.findIndex(center => center.lat === 40.7128 && center.lng === -74.0060));
+        }
+
+        expect(positions.size).toBeGreaterThan(1);
+    });
+
+    test('should draw dummy centers near indexed POIs', () => {
+        const locations = [[40.7130, -74.0060], [51.5074, -0.1278], [35.6762, 139.6503]];
+        const dummies = processor.sampleDummyLocations(30, 2);
+
+        expect(dummies).toHaveLength(30);
+        for (const dummy of dummies) {
+            const nearest = Math.min(...locations.map(([lat, lng]) => haversineDistance(lat, lng, dummy.lat, dummy.lng)));
+            expect(nearest).toBeLessThan(2.1);
+        }
+    });
+
+    test('should bypass the cache while dummies are enabled', async () => {
+        let indexSearches = 0;
+        const search = processor.spatialIndex.search.bind(processor.spatialIndex);
+        processor.spatialIndex.search = (...args) => {
+            indexSearches++;
+            return search(...args);
+        };
+
+        await processor.executeQuery(40.7128, -74.0060, 5, 'test-user');
+        await processor.executeQuery(40.7128, -74.0060, 5, 'test-user');
+        expect(indexSearches).toBe(1);
+
+        indexSearches = 0;
+        await processor.executeQuery(40.7128, -74.0060, 5, 'test-user', { dummyQueries: 2 });
+        await processor.executeQuery(40.7128, -74.0060, 5, 'test-user', { dummyQueries: 2 });
+        expect(indexSearches).toBe(6);
+    });
+
+    test('should not send dummies unless enabled', async () => {
+        const result = await processor.executeQuery(40.7128, -74.0060, 5, 'test-user', { useCache: false });
+
+        expect(searchCenters).toHaveLength(1);
+        expect(result.metadata.dummyQueryCount).toBe(0);
+    });
+});
+
+describe('QueryProcessor token queries', () => {
+    let processor;
+    let pois;
+
+    beforeEach(() => {
+        processor = new QueryProcessor('test-key-12345');
+        const scheme = processor.getScheme();
+        const dataEncryption = processor.getDataEncryption();
+        const keyId = processor.keyRing.activeKeyId;
+
+        pois = [
+            ['near', 40.7130, -74.0060],
+            ['edge', 40.7400, -74.0060],
+            ['far', 41.5000, -74.0060]
+        ].map(([id, lat, lng]) => ({
+            ...dataEncryption.encryptPOI({ id, name: `POI ${id}`, category: 'cafe' }),
+            keyId,
+            encryptedLocation: scheme.encryptLocation(lat, lng)
+        }));
+        processor.initialize(pois);
+    });
+
+    test('should match browser-generated tokens like server-generated ones', async () => {
+        const tokens = await generateQueryTokens(processor.getQueryKeys('test-user'), 40.7128, -74.0060, 5);
+        const result = await processor.executeTokenQuery(tokens, 'test-user');
+
+        expect(result.success).toBe(true);
+        expect(result.results.map(poi => poi.id).sort()).toEqual(['edge', 'near']);
+        expect(result.results[0].name).toMatch(/^POI /);
+        expect(result.metadata.unevaluatedCount).toBe(0);
+    });
+
+    test('should export only the active key, without location or index key material', () => {
+        const queryKeys = processor.getQueryKeys('test-user');
+        const [queryKey] = queryKeys;
+
+        expect(queryKeys).toHaveLength(1);
+        expect(queryKey.keyId).toBe(processor.keyRing.activeKeyId);
+        expect(queryKey.version).toBe('2.0');
+        expect(Object.keys(queryKey).sort()).toEqual(['blinding', 'keyId', 'tokenKey', 'version']);
+        expect(queryKey).not.toHaveProperty('queryMatrices');
+        expect(queryKey).not.toHaveProperty('index');
+    });
+
+    test('should export no material that can decrypt a stored location', () => {
+        // Same key hierarchy, but a different location key: the ASPE and index
+        // matrices differ while the query-token subkey is shared
+        const provider = new KeyProvider('test-key-12345');
+        const relocated = provider.withPurposeKey(KeyPurpose.LOCATION, 'another-location-key');
+        const exported = [provider, relocated].map(keys => {
+            const { keyId, ...material } = new QueryProcessor(new KeyRing(keys)).getQueryKeys('test-user')[0];
+            return material;
+        });
+
+        // The exported material is the same for both location keys, so it
+        // holds nothing about either of them
+        expect(exported[0]).toEqual(exported[1]);
+
+        // While a holder of the location key reads any stored location
+        const scheme = processor.getScheme();
+        const encryptedLocation = scheme.encryptLocation(40.7128, -74.0060);
+        const decrypted = scheme.decryptLocation(encryptedLocation);
+        expect(decrypted.lat).toBeCloseTo(40.7128, 6);
+        expect(new QueryProcessor(new KeyRing(relocated)).getScheme().decryptLocation(encryptedLocation).lat)
+            .not.toBeCloseTo(40.7128, 1);
+    });
+
+    test('should reject expired tokens', async () => {
+        const [token] = await generateQueryTokens(processor.getQueryKeys('test-user'), 40.7128, -74.0060, 5);
+        const result = await processor.executeTokenQuery([{ ...token, expiresAt: Date.now() - 1 }], 'test-user');
+
+        expect(result.success).toBe(false);
+        expect(result.code).toBe('TOKEN_EXPIRED');
+        expect(result.error).toBe('Query token has expired');
+    });
+
+    test('should reject replayed tokens', async () => {
+        const tokens = await generateQueryTokens(processor.getQueryKeys('test-user'), 40.7128, -74.0060, 5);
+
+        expect((await processor.executeTokenQuery(tokens, 'test-user')).success).toBe(true);
+
+        const replay = await processor.executeTokenQuery(tokens, 'test-user');
+        expect(replay.success).toBe(false);
+        expect(replay.code).toBe('TOKEN_REPLAYED');
+    });
+
+    test('should reject tampered tokens and tokens of other users', async () => {
+        const [token] = await generateQueryTokens(processor.getQueryKeys('test-user'), 40.7128, -74.0060, 5);
+        const blindedQuery = [...token.blindedQuery];
+        blindedQuery[0] += 1e-6;
+
+        const tampered = await processor.executeTokenQuery([{ ...token, blindedQuery }], 'test-user');
+        expect(tampered.code).toBe('TOKEN_INVALID_SIGNATURE');
+
+        const stolen = await processor.executeTokenQuery([token], 'other-user');
+        expect(stolen.code).toBe('TOKEN_INVALID_SIGNATURE');
+
+        const unsigned = await processor.executeTokenQuery([{ ...token, signature: undefined }], 'test-user');
+        expect(unsigned.code).toBe('TOKEN_MALFORMED');
+
+        // Rejected requests do not spend the nonce
+        expect((await processor.executeTokenQuery([token], 'test-user')).success).toBe(true);
+    });
+
+    test('should reject tokens that outlive the token lifetime', async () => {
+        const [queryKey] = processor.getQueryKeys('test-user');
+        const client = new QueryTokenClient(queryKey);
+        const token = await client.generateQueryToken(40.7128, -74.0060, 5);
+        const longLived = { ...token, expiresAt: token.timestamp + 86400000 };
+        longLived.signature = await client.sign(longLived);
+
+        const result = await processor.executeTokenQuery([longLived], 'test-user');
+        expect(result.code).toBe('TOKEN_MALFORMED');
+    });
+
+    test('should reject tokens for unknown keys or malformed tokens', async () => {
+        const [token] = await generateQueryTokens(processor.getQueryKeys('test-user'), 40.7128, -74.0060, 5);
+
+        const unknownKey = await processor.executeTokenQuery([{ ...token, keyId: 'missing' }], 'test-user');
+        expect(unknownKey.error).toBe('Query token uses an unknown key or scheme');
+        expect(unknownKey.code).toBe('TOKEN_UNKNOWN_KEY');
+
+        const malformed = await processor.executeTokenQuery([{ ...token, blindedQuery: [1, 2, 3] }], 'test-user');
+        expect(malformed.error).toBe('Invalid query token');
+        expect(malformed.code).toBe('TOKEN_MALFORMED');
+
+        const legacy = await processor.executeTokenQuery([{ ...token, version: '1.0' }], 'test-user');
+        expect(legacy.error).toBe('Scheme 1.0 does not support client query tokens');
+
+        const empty = await processor.executeTokenQuery([], 'test-user');
+        expect(empty.success).toBe(false);
+    });
+
+    test('should match POIs under every held key from one token', async () => {
+        const tokens = await generateQueryTokens(processor.getQueryKeys('test-user'), 40.7128, -74.0060, 5);
+        const { defaultKeyId } = processor.keyRing;
+        const otherKeyPOI = {
+            ...processor.getDataEncryption(defaultKeyId).encryptPOI({ id: 'other', name: 'POI other', category: 'cafe' }),
+            keyId: defaultKeyId,
+            encryptedLocation: processor.getScheme('2.0', defaultKeyId).encryptLocation(40.7129, -74.0060)
+        };
+        processor.initialize([...pois, otherKeyPOI]);
+
+        const result = await processor.executeTokenQuery(tokens, 'test-user');
+        expect(result.results.map(poi => poi.id)).toContain('other');
+        expect(result.metadata.unevaluatedCount).toBe(0);
+    });
+
+    test('should match POIs under schemes without client tokens by their decrypted location', async () => {
+        const tokens = await generateQueryTokens(processor.getQueryKeys('test-user'), 40.7128, -74.0060, 5);
+        const legacyPOI = (id, lat) => ({
+            ...processor.getDataEncryption().encryptPOI({ id, name: `POI ${id}`, category: 'cafe' }),
+            keyId: processor.keyRing.activeKeyId,
+            encryptedLocation: processor.getScheme('1.0').encryptLocation(lat, -74.0060)
+        });
+        processor.initialize([...pois, legacyPOI('legacy', 40.7129), legacyPOI('legacy-far', 41.5)]);
+
+        const result = await processor.executeTokenQuery(tokens, 'test-user');
+        const ids = result.results.map(poi => poi.id);
+        expect(ids).toContain('legacy');
+        expect(ids).not.toContain('legacy-far');
+        expect(result.metadata.unevaluatedCount).toBe(0);
+    });
+});
+
+describe('QueryProcessor token k-nearest queries', () => {
+    const locations = [
+        ['far', 40.80, -74.0060, 'cafe'],
+        ['near', 40.7130, -74.0060, 'cafe'],
+        ['london', 51.5074, -0.1278, 'pharmacy'],
+        ['middle', 40.75, -74.0060, 'pharmacy'],
+        ['tokyo', 35.6762, 139.6503, 'cafe']
+    ];
+    let processor;
+
+    beforeEach(() => {
+        processor = new QueryProcessor('test-key-12345');
+        const keyId = processor.keyRing.activeKeyId;
+        processor.initialize(locations.map(([id, lat, lng, category]) => ({
+            ...processor.getDataEncryption().encryptPOI({ id, name: `POI ${id}`, category }),
+            keyId,
+            encryptedLocation: processor.getScheme().encryptLocation(lat, lng)
+        })));
+    });
+
+    test('should double the radius up to half the Earth', () => {
+        const radii = knnRadii();
+
+        expect(radii[0]).toBe(1);
+        expect(radii[radii.length - 1]).toBe(20016);
+        expect(radii.slice(1, -1).every((radius, i) => radius === radii[i] * 2)).toBe(true);
+        expect(() => knnRadii(0)).toThrow('Initial radius must be positive');
+    });
+
+    test('should return the k nearest POIs from browser-generated token rings', async () => {
+        const rings = await generateKNNTokens(processor.getQueryKeys('test-user'), 40.7128, -74.0060);
+        expect(rings).toHaveLength(knnRadii().length);
+
+        const result = await processor.executeTokenKNNQuery(rings, 4, 'test-user');
+
+        expect(result.success).toBe(true);
+        expect(result.results.map(poi => poi.id)).toEqual(['near', 'middle', 'far', 'london']);
+        expect(result.results[0]).not.toHaveProperty('distance');
+        expect(result.metadata.rounds).toBeGreaterThan(1);
+    });
+
+    test('should count only POIs of the requested category', async () => {
+        const rings = await generateKNNTokens(processor.getQueryKeys('test-user'), 40.7128, -74.0060);
+
+        const result = await processor.executeTokenKNNQuery(rings, 2, 'test-user', { filters: { category: 'pharmacy' } });
+
+        expect(result.results.map(poi => poi.id)).toEqual(['middle', 'london']);
+    });
+
+    test('should reject malformed rings and bad tokens in any ring', async () => {
+        const rings = await generateKNNTokens(processor.getQueryKeys('test-user'), 40.7128, -74.0060);
+
+        const empty = await processor.executeTokenKNNQuery([], 1, 'test-user');
+        expect(empty.code).toBe('TOKEN_MALFORMED');
+
+        const tooMany = await processor.executeTokenKNNQuery(Array(33).fill(rings[0]), 1, 'test-user');
+        expect(tooMany.code).toBe('TOKEN_MALFORMED');
+
+        const [lastToken] = rings[rings.length - 1];
+        const blindedQuery = [...lastToken.blindedQuery];
+        blindedQuery[0] += 1e-6;
+        const tampered = [...rings.slice(0, -1), [{ ...lastToken, blindedQuery }]];
+        const result = await processor.executeTokenKNNQuery(tampered, 1, 'test-user');
+        expect(result.code).toBe('TOKEN_INVALID_SIGNATURE');
+
+        const badK = await processor.executeTokenKNNQuery(rings, 0, 'test-user');
+        expect(badK.error).toBe('k must be a positive integer');
+    });
+});
+
+describe('QueryProcessor attribute filters', () => {
+    // Nearest first: the two nearest are cheap cafes, so a limit applied
+    // before filtering would leave no expensive restaurant
+    const pois = [
+        ['cafe-1', 40.7130, -74.0060, { category: 'cafe', priceLevel: 1, rating: 4.5 }],
+        ['cafe-2', 40.7150, -74.0060, { category: 'cafe', priceLevel: 1, rating: 3.5 }],
+        ['bistro', 40.7200, -74.0060, { category: 'restaurant', priceLevel: 3, rating: 4.0 }],
+        ['diner', 40.7250, -74.0060, { category: 'restaurant', priceLevel: 1, rating: 4.0 }],
+        ['grill', 40.7300, -74.0060, {
+            category: 'restaurant',
+            priceLevel: 4,
+            rating: 4.5,
+            openingHours: [{ day: 5, open: '18:00', close: '01:00' }]
+        }]
+    ];
+    let processor;
+
+    beforeAll(() => {
+        processor = new QueryProcessor('test-key-12345');
+        const keyId = processor.keyRing.activeKeyId;
+        processor.initialize(pois.map(([id, lat, lng, attributes]) => ({
+            ...processor.getDataEncryption().encryptPOI({ id, name: `POI ${id}`, latitude: lat, longitude: lng, ...attributes }),
+            keyId,
+            encryptedLocation: processor.getScheme().encryptLocation(lat, lng),
+            encryptedAttributes: processor.getScheme().encryptAttributes(attributes)
+        })));
+    });
+
+    test('should apply the limit after filtering', async () => {
+        const result = await processor.executeQuery(40.7128, -74.0060, 5, 'test-user', {
+            useCache: false,
+            limit: 2,
+            filters: { category: 'restaurant', minPrice: 3 }
+        });
+
+        expect(result.results.map(poi => poi.id)).toEqual(['bistro', 'grill']);
+        expect(result.metadata.matchingCount).toBe(2);
+    });
+
+    test('should combine filters in k-nearest and shape queries', async () => {
+        const filters = { minRating: 4, openAt: { day: 6, minutes: 30 } };
+
+        const nearest = await processor.executeKNNQuery(40.7128, -74.0060, 1, 'test-user', { filters });
+        expect(nearest.results.map(poi => poi.id)).toEqual(['grill']);
+
+        const box = await processor.executeBoxQuery(
+            { south: 40.7, west: -74.1, north: 40.8, east: -73.9 }, 'test-user', { filters: { maxPrice: 1 } }
+        );
+        expect(box.results.map(poi => poi.id).sort()).toEqual(['cafe-1', 'cafe-2', 'diner']);
+    });
+
+    test('should not share cached results between filters', async () => {
+        const all = await processor.executeQuery(40.7128, -74.0060, 5, 'test-user');
+        const cafes = await processor.executeQuery(40.7128, -74.0060, 5, 'test-user', { filters: { category: 'cafe' } });
+
+        expect(all.results).toHaveLength(5);
+        expect(cafes.results.map(poi => poi.id)).toEqual(['cafe-1', 'cafe-2']);
+    });
+
+    test('should filter POIs stored before attributes were encrypted on their metadata', () => {
+        const dataEncryption = processor.getDataEncryption();
+        const { encryptedCategory, ...stored } = dataEncryption.encryptPOI({ id: 'old', name: 'Old Cafe' });
+        const legacy = { ...stored, keyId: processor.keyRing.activeKeyId, category: 'cafe' };
+
+        expect(processor.filterByAttributes([legacy], { category: 'cafe' })).toEqual([legacy]);
+        expect(processor.filterByAttributes([legacy], { category: 'museum' })).toEqual([]);
+        expect(processor.filterByAttributes([legacy], { minRating: 1 })).toEqual([]);
+    });
+});
+
+describe('NonceStore', () => {
+    test('should accept a nonce once until it expires', () => {
+        const store = new NonceStore();
+        const now = Date.now();
+
+        expect(store.consume('nonce-1', now + 1000, now)).toBe(true);
+        expect(store.consume('nonce-1', now + 1000, now)).toBe(false);
+
+        // Expired nonces are forgotten; their tokens fail the expiry check instead
+        expect(store.consume('nonce-2', now + 5000, now + 2000)).toBe(true);
+        expect(store.size).toBe(1);
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * Result Envelope Tests
+ * Tests for session key negotiation and client-side decryption of search results
+ */
+
+import crypto from 'crypto';
+import { SessionKeyStore } from '../src/encryption/sessionKeys.js';
+import { SearchService } from '../src/user/searchService.js';
+import { generateQueryTokens } from '../public/js/queryToken.js';
+import { createResultSession, openResultEnvelope } from '../public/js/resultEnvelope.js';
+
+function clientPublicKey() {
+    const ecdh = crypto.createECDH('prime256v1');
+    return ecdh.generateKeys().toString('base64');
+}
+
+describe('SessionKeyStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new SessionKeyStore();
+    });
+
+    test('should reject missing or malformed public keys', () => {
+        expect(() => store.createSession(null, 'user-1')).toThrow('Client public key is required');
+        expect(() => store.createSession('bm90IGEga2V5', 'user-1')).toThrow('Invalid client public key');
+    });
+
+    test('should only seal for the session owner', () => {
+        const { sessionId } = store.createSession(clientPublicKey(), 'user-1');
+
+        expect(store.seal(sessionId, 'user-1', { ok: true }).sessionId).toBe(sessionId);
+        expect(() => store.seal(sessionId, 'user-2', {})).toThrow('Result session belongs to another user');
+    });
+
+    test('should expire sessions', () => {
+        const shortLived = new SessionKeyStore({ ttl: -1 });
+        const { sessionId } = shortLived.createSession(clientPublicKey(), 'user-1');
+
+        expect(() => shortLived.getSession(sessionId, 'user-1')).toThrow('Result session expired or unknown');
+    });
+});
+
+describe('Encrypted result envelopes', () => {
+    let service;
+    let stored;
+
+    beforeEach(() => {
+        service = new SearchService('test-key-12345');
+        const processor = service.queryProcessor;
+        const keyId = processor.keyRing.activeKeyId;
+
+        stored = [
+            { id: 'cafe-1', name: 'Harbour Cafe', address: '1 Quay St', lat: 40.7130, lng: -74.0060 },
+            { id: 'cafe-2', name: 'Far Cafe', address: '9 Hill Rd', lat: 41.5, lng: -74.0060 }
+        ].map(poi => ({
+            ...processor.getDataEncryption().encryptPOI({ ...poi, category: 'cafe' }),
+            keyId,
+            encryptedLocation: processor.getScheme().encryptLocation(poi.lat, poi.lng)
+        }));
+        processor.initialize(stored);
+        service.isInitialized = true;
+    });
+
+    // Open the sealed envelope payload the way a client holding the session key would
+    function openPayload(sessionId, envelope) {
+        const { key } = service.sessionKeys.getSession(sessionId, 'user-1');
+        const sealed = Buffer.from(envelope.ciphertext, 'base64');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAAD(Buffer.from(`session:${sessionId}`, 'utf8'));
+        decipher.setAuthTag(sealed.subarray(sealed.length - 16));
+        return JSON.parse(Buffer.concat([
+            decipher.update(sealed.subarray(0, sealed.length - 16)),
+            decipher.final()
+        ]).toString('utf8'));
+    }
+
+    async function openSession(userId) {
+        const apiCall = async (endpoint, options) => {
+            const { publicKey } = JSON.parse(options.body);
+            return service.createResultSession(publicKey, userId);
+        };
+        return (await createResultSession(apiCall)).session;
+    }
+
+    test('should return ciphertexts that only the session client can decrypt', async () => {
+        const session = await openSession('user-1');
+        const tokens = await generateQueryTokens(service.getQueryKeys('user-1').keys, 40.7128, -74.0060, 5);
+
+        const result = await service.searchWithToken({ tokens, sessionId: session.sessionId }, 'user-1');
+
+        expect(result.success).toBe(true);
+        expect(JSON.stringify(result)).not.toContain('Harbour Cafe');
+        expect(result.results[0].encryptedName).toBe(stored[0].encryptedName);
+
+        const pois = await openResultEnvelope(session, result);
+        expect(pois).toEqual([expect.objectContaining({
+            id: 'cafe-1',
+            name: 'Harbour Cafe',
+            address: '1 Quay St',
+            category: 'cafe'
+        })]);
+    });
+
+    test('should seal server-side coordinate searches too', async () => {
+        const session = await openSession('user-1');
+        const result = await service.search({
+            latitude: 40.7128,
+            longitude: -74.0060,
+            radius: 5,
+            sessionId: session.sessionId
+        }, 'user-1');
+
+        expect(result.success).toBe(true);
+        const pois = await openResultEnvelope(session, result);
+        expect(pois.map(poi => poi.name)).toEqual(['Harbour Cafe']);
+    });
+
+    test('should let the session client decrypt exact coordinates', async () => {
+        const processor = service.queryProcessor;
+        processor.initialize([{
+            ...processor.getDataEncryption().encryptPOI({
+                id: 'cafe-3', name: 'Pier Cafe', latitude: 40.7, longitude: -74.01, category: 'cafe'
+            }),
+            keyId: processor.keyRing.activeKeyId,
+            encryptedLocation: processor.getScheme().encryptLocation(40.7, -74.01)
+        }]);
+        const session = await openSession('user-1');
+        const tokens = await generateQueryTokens(service.getQueryKeys('user-1').keys, 40.7128, -74.0060, 5);
+
+        const result = await service.searchWithToken({ tokens, sessionId: session.sessionId }, 'user-1');
+        expect(JSON.stringify(result)).not.toContain('40.7,');
+
+        const [poi] = await openResultEnvelope(session, result);
+        expect(poi.latitude).toBe(40.7);
+        expect(poi.longitude).toBe(-74.01);
+    });
+
+    test('should not decrypt results on the server', async () => {
+        service.queryProcessor.decryptResults = () => {
+            throw new Error('Results decrypted on the server');
+        };
+        const session = await openSession('user-1');
+
+        const result = await service.search({
+            latitude: 40.7128, longitude: -74.0060, radius: 5, sessionId: session.sessionId
+        }, 'user-1');
+
+        expect(result.success).toBe(true);
+        expect((await openResultEnvelope(session, result)).map(poi => poi.name)).toEqual(['Harbour Cafe']);
+    });
+
+    test('should seal only the keys of the returned records', async () => {
+        const session = await openSession('user-1');
+        const result = await service.search({
+            latitude: 40.7128, longitude: -74.0060, radius: 5, sessionId: session.sessionId
+        }, 'user-1');
+
+        const { recordKeys } = openPayload(session.sessionId, result.envelope);
+        expect(Object.keys(recordKeys)).toEqual(['cafe-1']);
+
+        // The key of one record opens no other record
+        await expect(openResultEnvelope(session, { ...result, results: [stored[1]] }))
+            .rejects.toThrow('Result envelope holds no key for this record');
+        await expect(openResultEnvelope(session, { ...result, results: [{ ...stored[1], id: 'cafe-1' }] }))
+            .rejects.toThrow();
+    });
+
+    test('should leave out POIs not yet migrated to record keys', async () => {
+        const processor = service.queryProcessor;
+        const dataEncryption = processor.getDataEncryption();
+        processor.initialize([stored[0], {
+            id: 'cafe-4',
+            encryptedName: dataEncryption.encrypt('Old Cafe', 'poi:cafe-4:name', 'name'),
+            category: 'cafe',
+            keyId: processor.keyRing.activeKeyId,
+            encryptedLocation: processor.getScheme().encryptLocation(40.7129, -74.0060)
+        }]);
+        const session = await openSession('user-1');
+
+        const result = await service.search({
+            latitude: 40.7128, longitude: -74.0060, radius: 5, sessionId: session.sessionId
+        }, 'user-1');
+
+        expect(result.metadata.envelopeSkippedCount).toBe(1);
+        expect((await openResultEnvelope(session, result)).map(poi => poi.id)).toEqual(['cafe-1']);
+    });
+
+    test('should not open an envelope sealed for another session', async () => {
+        const session = await openSession('user-1');
+        const other = await openSession('user-1');
+        const tokens = await generateQueryTokens(service.getQueryKeys('user-1').keys, 40.7128, -74.0060, 5);
+        const result = await service.searchWithToken({ tokens, sessionId: session.sessionId }, 'user-1');
+
+        await expect(openResultEnvelope({ ...other, sessionId: session.sessionId }, result)).rejects.toThrow();
+    });
+
+    test('should refuse sessions of other users', async () => {
+        const session = await openSession('user-1');
+        const tokens = await generateQueryTokens(service.getQueryKeys('user-1').keys, 40.7128, -74.0060, 5);
+        const result = await service.searchWithToken({ tokens, sessionId: session.sessionId }, 'user-2');
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Result session belongs to another user');
+    });
+});
@@ -0,0 +1,396 @@
+/**
+ * Shape Query Tests
+ * Checks encrypted polygon, corridor and box predicates against plaintext
+ * geometry, and the searches built on them
+ */
+
+import { RangeQueryEncryption } from '../src/encryption/rangeQuery.js';
+import { toCartesian } from '../src/encryption/predicateEncryption.js';
+import { QueryProcessor } from '../src/query/queryProcessor.js';
+import { haversineDistance } from '../src/query/locationObfuscation.js';
+import { SearchService } from '../src/user/searchService.js';
+import { validatePolygonGeometry, validateLineStringGeometry, validateBoundingBox } from '../src/utils/validators.js';
+import { seededRandom, wrapLongitude } from './helpers/syntheticData.js';
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const normalize = v => v.map(c => c / Math.sqrt(dot(v, v)));
+
+/**
+ * Gnomonic projection around a center; great circles become straight lines
+ */
+function gnomonicProjection(center) {
+    const east = normalize(cross(Math.abs(center[2]) > 0.9 ? [1, 0, 0] : [0, 0, 1], center));
+    const north = cross(center, east);
+    return ({ lat, lng }) => {
+        const p = toCartesian(lat, lng);
+        const d = dot(p, center);
+        return d > 0 ? [dot(p, east) / d, dot(p, north) / d] : null;
+    };
+}
+
+/**
+ * Planar point-in-convex-polygon test in the gnomonic projection
+ * @returns {boolean|null} Inside, or null within `margin` of an edge
+ */
+function insidePolygon(vertices, location) {
+    const center = normalize(vertices.map(v => toCartesian(v.lat, v.lng)).reduce((a, v) => a.map((c, i) => c + v[i])));
+    const project = gnomonicProjection(center);
+    const points = vertices.map(project);
+    const p = project(location);
+    if (!p) return false;
+
+    const sides = points.map((a, i) => {
+        const b = points[(i + 1) % points.length];
+        const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+        return ((b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0])) / length;
+    });
+    if (sides.some(side => Math.abs(side) < 1e-9)) return null;
+    return sides.every(side => side > 0) || sides.every(side => side < 0);
+}
+
+/**
+ * Distance to a path in km, by densely sampling its great-circle segments
+ */
+function distanceToPath(path, location) {
+    let best = Infinity;
+    for (let i = 0; i < path.length - 1; i++) {
+        const a = toCartesian(path[i].lat, path[i].lng);
+        const b = toCartesian(path[i + 1].lat, path[i + 1].lng);
+        const steps = Math.ceil(haversineDistance(path[i].lat, path[i].lng, path[i + 1].lat, path[i + 1].lng) / 0.01);
+        for (let s = 0; s <= steps; s++) {
+            const t = s / steps;
+            const point = normalize(a.map((c, j) => c * (1 - t) + b[j] * t));
+            const lat = Math.asin(point[2]) * 180 / Math.PI;
+            const lng = Math.atan2(point[1], point[0]) * 180 / Math.PI;
+            best = Math.min(best, haversineDistance(location.lat, location.lng, lat, lng));
+        }
+    }
+    return best;
+}
+
+/**
+ * Mean direction of some locations, as a location
+ */
+function centerOf(locations) {
+    const [x, y, z] = normalize(locations.map(v => toCartesian(v.lat, v.lng)).reduce((a, v) => a.map((c, i) => c + v[i])));
+    return { lat: Math.asin(z) * 180 / Math.PI, lng: Math.atan2(y, x) * 180 / Math.PI };
+}
+
+function randomLocations(random, count, { lat, lng }, spread, lngSpread = spread * 1.5) {
+    return Array.from({ length: count }, () => ({
+        lat: Math.max(-90, Math.min(90, lat + (random() * 2 - 1) * spread)),
+        lng: wrapLongitude(lng + (random() * 2 - 1) * lngSpread)
+    }));
+}
+
+describe('RangeQueryEncryption shape predicates', () => {
+    const scheme = new RangeQueryEncryption('test-master-key-12345');
+    const inShape = (token, { lat, lng }) =>
+        scheme.evaluateShapePredicate(scheme.encryptLocation(lat, lng), token);
+
+    const polygons = {
+        midtown: [
+            { lat: 40.748, lng: -73.995 }, { lat: 40.758, lng: -73.978 },
+            { lat: 40.768, lng: -73.982 }, { lat: 40.760, lng: -74.002 }
+        ],
+        antimeridian: [
+            { lat: -17.0, lng: 178.5 }, { lat: -17.2, lng: -179.2 },
+            { lat: -16.2, lng: -179.5 }, { lat: -15.9, lng: 179.0 }
+        ],
+        pole: [0, 72, 144, 216, 288].map(lng => ({ lat: 86, lng: wrapLongitude(lng) }))
+    };
+    const samplingSpreads = { midtown: [0.015], antimeridian: [1], pole: [6, 180] };
+
+    test.each(Object.entries(polygons))('should match plaintext geometry for the %s polygon', (name, vertices) => {
+        const random = seededRandom(name.length);
+        const token = scheme.generateShapeToken({ type: 'polygon', vertices });
+
+        let inside = 0;
+        for (const location of randomLocations(random, 400, centerOf(vertices), ...samplingSpreads[name])) {
+            const expected = insidePolygon(vertices, location);
+            if (expected === null) continue;
+            expect(inShape(token, location)).toBe(expected);
+            if (expected) inside++;
+        }
+        expect(inside).toBeGreaterThan(10);
+    });
+
+    test('should accept either vertex orientation and a closing vertex', () => {
+        const vertices = polygons.midtown;
+        const reversed = scheme.generateShapeToken({ type: 'polygon', vertices: [...vertices].reverse() });
+        const closed = scheme.generateShapeToken({ type: 'polygon', vertices: [...vertices, vertices[0]] });
+        const inside = { lat: 40.758, lng: -73.99 };
+
+        expect(inShape(reversed, inside)).toBe(true);
+        expect(inShape(closed, inside)).toBe(true);
+        expect(closed.encryptedClauses[0]).toHaveLength(4);
+        expect(inShape(reversed, { lat: 40.74, lng: -73.99 })).toBe(false);
+    });
+
+    test('should reject non-convex and degenerate polygons', () => {
+        const arrow = [
+            { lat: 0, lng: 0 }, { lat: 1, lng: 1 }, { lat: 0, lng: 2 }, { lat: 2, lng: 1 }
+        ];
+        expect(() => scheme.generateShapeToken({ type: 'polygon', vertices: arrow })).toThrow('Polygon must be convex');
+        expect(() => scheme.generateShapeToken({
+            type: 'polygon',
+            vertices: [{ lat: 0, lng: 0 }, { lat: 1, lng: 1 }, { lat: 0, lng: 0 }]
+        })).toThrow('Polygon needs at least 3 distinct vertices');
+    });
+
+    const routes = {
+        city: [{ lat: 51.5007, lng: -0.1246 }, { lat: 51.5081, lng: -0.0759 }, { lat: 51.5155, lng: -0.0922 }],
+        antimeridian: [{ lat: 52.0, lng: 179.8 }, { lat: 52.1, lng: -179.7 }]
+    };
+
+    test.each(Object.entries(routes))('should match distances to the %s route', (name, path) => {
+        const random = seededRandom(name.length + 100);
+        const widthKm = 0.5;
+        const token = scheme.generateShapeToken({ type: 'corridor', path, widthKm });
+
+        let inside = 0;
+        for (const location of randomLocations(random, 300, centerOf(path), 0.02, 0.04)) {
+            const distance = distanceToPath(path, location);
+            if (Math.abs(distance - widthKm) < 0.001) continue;
+            expect(inShape(token, location)).toBe(distance < widthKm);
+            if (distance < widthKm) inside++;
+        }
+        expect(inside).toBeGreaterThan(10);
+    });
+
+    test('should cover points beside a segment but not beyond its ends', () => {
+        const path = [{ lat: 0, lng: 0 }, { lat: 0, lng: 1 }];
+        const token = scheme.generateShapeToken({ type: 'corridor', path, widthKm: 1 });
+
+        expect(inShape(token, { lat: 0.0085, lng: 0.5 })).toBe(true);   // ~0.95 km north of the middle
+        expect(inShape(token, { lat: 0.0095, lng: 0.5 })).toBe(false);  // ~1.06 km north
+        expect(inShape(token, { lat: 0, lng: 1.0085 })).toBe(true);     // past the end, within its disk
+        expect(inShape(token, { lat: 0.0085, lng: 1.0085 })).toBe(false);
+    });
+
+    test('should refuse expired shape tokens', () => {
+        const token = scheme.generateShapeToken({ type: 'polygon', vertices: polygons.midtown });
+        expect(() => scheme.evaluateShapePredicate(scheme.encryptLocation(40.758, -73.99), { ...token, expiresAt: 0 }))
+            .toThrow('Query token has expired');
+    });
+});
+
+describe('RangeQueryEncryption box predicates', () => {
+    const scheme = new RangeQueryEncryption('test-master-key-12345');
+    const inShape = (token, { lat, lng }) =>
+        scheme.evaluateShapePredicate(scheme.encryptLocation(lat, lng), token);
+
+    // Plaintext test; null within a hair of an edge
+    function insideBox({ south, west, north, east }, { lat, lng }) {
+        const width = west === -180 && east === 180 ? 360 : (east - west + 360) % 360;
+        const offset = (lng - west + 360) % 360;
+        const margins = [lat - south, north - lat, offset, width - offset];
+        if (margins.some(margin => Math.abs(margin) < 1e-6)) return null;
+        return lat > south && lat < north && (width === 360 || offset < width);
+    }
+
+    const boxes = {
+        viewport: { south: 40.70, west: -74.03, north: 40.80, east: -73.93 },
+        antimeridian: { south: -20, west: 175, north: -15, east: -178 },
+        wide: { south: -30, west: -120, north: 45, east: 100 },
+        polar: { south: 80, west: -180, north: 90, east: 180 }
+    };
+    const samplingAreas = {
+        viewport: [{ lat: 40.75, lng: -73.98 }, 0.1],
+        antimeridian: [{ lat: -17.5, lng: 178.5 }, 5],
+        wide: [{ lat: 0, lng: 0 }, 60, 180],
+        polar: [{ lat: 80, lng: 0 }, 10, 180]
+    };
+
+    test.each(Object.entries(boxes))('should match plaintext bounds for the %s box', (name, box) => {
+        const random = seededRandom(name.length + 200);
+        const token = scheme.generateShapeToken({ type: 'box', ...box });
+
+        let inside = 0;
+        let outside = 0;
+        for (const location of randomLocations(random, 400, ...samplingAreas[name])) {
+            const expected = insideBox(box, location);
+            if (expected === null) continue;
+            expect(inShape(token, location)).toBe(expected);
+            if (expected) inside++; else outside++;
+        }
+        expect(inside).toBeGreaterThan(10);
+        expect(outside).toBeGreaterThan(10);
+    });
+
+    test('should span the antimeridian only when west is east of east', () => {
+        const crossing = scheme.generateShapeToken({ type: 'box', south: -1, west: 179, north: 1, east: -179 });
+        const around = scheme.generateShapeToken({ type: 'box', south: -1, west: -179, north: 1, east: 179 });
+
+        expect(inShape(crossing, { lat: 0, lng: 180 })).toBe(true);
+        expect(inShape(crossing, { lat: 0, lng: 0 })).toBe(false);
+        expect(inShape(around, { lat: 0, lng: 180 })).toBe(false);
+        expect(inShape(around, { lat: 0, lng: 0 })).toBe(true);
+    });
+
+    test('should reject empty boxes', () => {
+        expect(() => scheme.generateShapeToken({ type: 'box', south: 10, west: 0, north: 5, east: 1 }))
+            .toThrow('Box south edge must not be north of its north edge');
+        expect(() => scheme.generateShapeToken({ type: 'box', south: 0, west: 5, north: 1, east: 5 }))
+            .toThrow('Box must have a positive width');
+    });
+});
+
+describe('QueryProcessor shape queries', () => {
+    let processor;
+    const locations = [
+        ['inside', 40.758, -73.99],
+        ['outside', 40.74, -73.99],
+        ['route', 51.5040, -0.1000],
+        ['far', -33.8688, 151.2093]
+    ];
+    const square = [
+        { lat: 40.75, lng: -74.0 }, { lat: 40.75, lng: -73.98 },
+        { lat: 40.77, lng: -73.98 }, { lat: 40.77, lng: -74.0 }
+    ];
+
+    beforeEach(() => {
+        processor = new QueryProcessor('test-key-12345');
+        const keyId = processor.keyRing.activeKeyId;
+        processor.initialize(locations.map(([id, lat, lng]) => ({
+            ...processor.getDataEncryption().encryptPOI({ id, name: `POI ${id}`, category: 'cafe' }),
+            keyId,
+            encryptedLocation: processor.getScheme().encryptLocation(lat, lng)
+        })));
+    });
+
+    test('should return POIs inside a polygon', async () => {
+        const result = await processor.executeShapeQuery({ type: 'polygon', vertices: square }, 'test-user');
+
+        expect(result.success).toBe(true);
+        expect(result.results.map(poi => poi.id)).toEqual(['inside']);
+        expect(result.results[0].name).toBe('POI inside');
+    });
+
+    test('should return POIs along a route', async () => {
+        const path = [{ lat: 51.5007, lng: -0.1246 }, { lat: 51.5081, lng: -0.0759 }];
+        const result = await processor.executeShapeQuery({ type: 'corridor', path, widthKm: 0.5 }, 'test-user');
+
+        expect(result.results.map(poi => poi.id)).toEqual(['route']);
+    });
+
+    test('should test legacy POIs on their decrypted location', async () => {
+        const keyId = processor.keyRing.activeKeyId;
+        processor.initialize([{
+            ...processor.getDataEncryption().encryptPOI({ id: 'legacy', name: 'Legacy', category: 'cafe' }),
+            keyId,
+            encryptedLocation: processor.getScheme('1.0').encryptLocation(40.758, -73.99)
+        }]);
+
+        const result = await processor.executeShapeQuery({ type: 'polygon', vertices: square }, 'test-user');
+
+        expect(result.results.map(poi => poi.id)).toEqual(['legacy']);
+    });
+
+    test('should return POIs inside a box across the antimeridian', async () => {
+        const keyId = processor.keyRing.activeKeyId;
+        processor.initialize([['suva', -18.1416, 178.4419], ['apia', -13.8333, -171.7667], ['nuku', -21.1394, -175.2049]]
+            .map(([id, lat, lng]) => ({
+                ...processor.getDataEncryption().encryptPOI({ id, name: `POI ${id}`, category: 'cafe' }),
+                keyId,
+                encryptedLocation: processor.getScheme().encryptLocation(lat, lng)
+            })));
+
+        const result = await processor.executeBoxQuery({ south: -22, west: 175, north: -15, east: -174 }, 'test-user');
+
+        expect(result.success).toBe(true);
+        expect(result.metadata.shape).toBe('box');
+        expect(result.results.map(poi => poi.id).sort()).toEqual(['nuku', 'suva']);
+    });
+
+    test('should report invalid shapes as failures', async () => {
+        const result = await processor.executeShapeQuery({ type: 'corridor', path: [square[0]], widthKm: 1 }, 'test-user');
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Route needs at least 2 distinct points');
+    });
+});
+
+describe('SearchService shape searches', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new SearchService('test-key-12345');
+        const processor = service.queryProcessor;
+        processor.initialize([['inside', 40.758, -73.99], ['outside', 40.74, -73.99]].map(([id, lat, lng]) => ({
+            ...processor.getDataEncryption().encryptPOI({ id, name: `POI ${id}`, category: 'cafe' }),
+            keyId: processor.keyRing.activeKeyId,
+            encryptedLocation: processor.getScheme().encryptLocation(lat, lng)
+        })));
+        service.isInitialized = true;
+    });
+
+    test('should search a GeoJSON polygon feature', async () => {
+        const result = await service.searchPolygon({
+            geometry: {
+                type: 'Feature',
+                properties: {},
+                geometry: {
+                    type: 'Polygon',
+                    coordinates: [[[-74.0, 40.75], [-73.98, 40.75], [-73.98, 40.77], [-74.0, 40.77], [-74.0, 40.75]]]
+                }
+            }
+        }, 'test-user');
+
+        expect(result.results.map(poi => poi.id)).toEqual(['inside']);
+    });
+
+    test('should search a GeoJSON line with a default width', async () => {
+        const result = await service.searchCorridor({
+            geometry: { type: 'LineString', coordinates: [[-74.0, 40.7415], [-73.98, 40.7415]] }
+        }, 'test-user');
+
+        expect(result.results.map(poi => poi.id)).toEqual(['outside']);
+    });
+
+    test('should reject non-convex polygons', async () => {
+        const result = await service.searchPolygon({
+            geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 1], [2, 0], [1, 2], [0, 0]]] }
+        }, 'test-user');
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Polygon must be convex');
+    });
+
+    test('should search a box', async () => {
+        const result = await service.searchBox({ south: '40.75', west: -74.0, north: 40.77, east: -73.98 }, 'test-user');
+
+        expect(result.results.map(poi => poi.id)).toEqual(['inside']);
+    });
+
+    test('should validate box bounds', () => {
+        expect(validateBoundingBox({ south: 40, west: 179, north: 41, east: -179 }).value)
+            .toEqual({ south: 40, west: 179, north: 41, east: -179 });
+        expect(validateBoundingBox({ south: 41, west: 0, north: 40, east: 1 }).error)
+            .toBe('South edge must not be north of the north edge');
+        expect(validateBoundingBox({ south: 40, west: 0, north: 41, east: 0 }).error)
+            .toBe('Box must have a positive width');
+        expect(validateBoundingBox({ south: 40, west: 0, north: 41 }).error)
+            .toBe('east: Longitude must be a number');
+        expect(validateBoundingBox(null).valid).toBe(false);
+    });
+
+    test('should validate GeoJSON geometries', () => {
+        const ring = [[0, 0], [1, 0], [1, 1], [0, 0]];
+
+        expect(validatePolygonGeometry({ type: 'Polygon', coordinates: [ring] }).value).toHaveLength(4);
+        expect(validatePolygonGeometry({ type: 'Polygon', coordinates: [ring, ring] }).error)
+            .toBe('Polygons with holes are not supported');
+        expect(validatePolygonGeometry({ type: 'Polygon', coordinates: [ring.slice(0, 3)] }).valid).toBe(false);
+        expect(validatePolygonGeometry({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] }).error)
+            .toBe('Polygon ring must end at its first position');
+        expect(validatePolygonGeometry({ type: 'Point', coordinates: [0, 0] }).valid).toBe(false);
+
+        expect(validateLineStringGeometry({ type: 'LineString', coordinates: [[10, 50], [11, 51]] }).value)
+            .toEqual([{ lat: 50, lng: 10 }, { lat: 51, lng: 11 }]);
+        expect(validateLineStringGeometry({ type: 'LineString', coordinates: [[0, 95], [1, 1]] }).error)
+            .toBe('Latitude must be between -90 and 90');
+        expect(validateLineStringGeometry({ type: 'LineString', coordinates: [[0, 0]] }).valid).toBe(false);
+    });
+});
@@ -1,13 +1,43 @@
 /**
  * Spatial Index Tests
- * Tests for R-tree based spatial indexing
+ * Tests for the encrypted ball-tree spatial index
  */
 
 import { SpatialIndex } from '../src/query/spatialIndex.js';
+import { RangeQueryEncryption } from '../src/encryption/rangeQuery.js';
+import { toCartesian } from '../src/encryption/predicateEncryption.js';
+import { seededRandom } from './helpers/syntheticData.js';
+
+/**
+ * Haversine distance in kilometers
+ */
+function haversine(lat1, lng1, lat2, lng2) {
+    const R = 6371;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(dLng / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
 
 describe('SpatialIndex', () => {
+    const scheme = new RangeQueryEncryption('test-master-key-12345');
+    const indexer = {
+        keyId: 'test-key',
+        locate: poi => {
+            const { lat, lng } = scheme.decryptLocation(poi.encryptedLocation);
+            return toCartesian(lat, lng);
+        },
+        encryptNode: (center, radius) => scheme.encryptIndexNode(center, radius),
+        evaluateNode: (encryptedNode, queryToken) => scheme.evaluateIndexPredicate(encryptedNode, queryToken)
+    };
     let index;
 
+    function createPOI(id, lat, lng) {
+        return { id, lat, lng, encryptedLocation: scheme.encryptLocation(lat, lng) };
+    }
+
     beforeEach(() => {
         index = new SpatialIndex();
     });
@@ -19,107 +49,117 @@ describe('SpatialIndex', () => {
     });
 
     test('should build index from POIs', () => {
-        const pois = [
-            {
-                id: 'poi-1',
-                encryptedLocation: { encryptedCoords: [0.5, 0.5, 0.1, 0.1] },
-                encryptedBoundingBox: { minX: 0.4, minY: 0.4, maxX: 0.6, maxY: 0.6 }
-            },
-            {
-                id: 'poi-2',
-                encryptedLocation: { encryptedCoords: [0.7, 0.7, 0.1, 0.1] },
-                encryptedBoundingBox: { minX: 0.6, minY: 0.6, maxX: 0.8, maxY: 0.8 }
-            }
-        ];
-
-        const stats = index.buildIndex(pois);
-        
+        const pois = [createPOI('poi-1', 40.7128, -74.0060), createPOI('poi-2', 51.5074, -0.1278)];
+
+        const stats = index.buildIndex(pois, indexer);
+
         expect(stats.totalPOIs).toBe(2);
+        expect(stats.indexedPOIs).toBe(2);
         expect(stats.lastBuildTime).toBeGreaterThan(0);
+        expect(index.keyId).toBe('test-key');
+    });
+
+    test('should store only encrypted node vectors', () => {
+        index.buildIndex([createPOI('poi-1', 40.7128, -74.0060)], indexer);
+
+        expect(Object.keys(index.root).sort()).toEqual(['encryptedBall', 'ids']);
+        expect(index.root.encryptedBall).toHaveLength(14);
     });
 
     test('should insert single POI', () => {
-        const poi = {
-            id: 'poi-new',
-            encryptedLocation: { encryptedCoords: [0.3, 0.3, 0.1, 0.1] },
-            encryptedBoundingBox: { minX: 0.2, minY: 0.2, maxX: 0.4, maxY: 0.4 }
-        };
-
-        index.insert(poi);
-        
+        index.insert(createPOI('poi-new', 40.7128, -74.0060));
+
         expect(index.getStats().totalPOIs).toBe(1);
     });
 
-    test('should remove POI', () => {
-        const poi = {
-            id: 'poi-remove',
-            encryptedLocation: { encryptedCoords: [0.5, 0.5, 0.1, 0.1] },
-            encryptedBoundingBox: { minX: 0.4, minY: 0.4, maxX: 0.6, maxY: 0.6 }
-        };
+    test('should return new POIs until the next rebuild', () => {
+        index.buildIndex([createPOI('poi-1', 40.7128, -74.0060)], indexer);
+        index.insert(createPOI('poi-far', -33.8688, 151.2093));
+
+        const token = scheme.generateQueryToken(40.7128, -74.0060, 5);
+        expect(index.search(token).map(poi => poi.id).sort()).toEqual(['poi-1', 'poi-far']);
+    });
 
-        index.insert(poi);
+    test('should remove POI', () => {
+        index.buildIndex([createPOI('poi-remove', 40.7128, -74.0060)], indexer);
         expect(index.getStats().totalPOIs).toBe(1);
 
         const removed = index.remove('poi-remove');
         expect(removed).toBe(true);
         expect(index.getStats().totalPOIs).toBe(0);
+        expect(index.search(scheme.generateQueryToken(40.7128, -74.0060, 5))).toEqual([]);
+    });
+
+    test('should prune nodes outside the query range', () => {
+        const singleEntryLeaves = new SpatialIndex(1);
+        singleEntryLeaves.buildIndex([
+            createPOI('poi-in', 40.7128, -74.0060),
+            createPOI('poi-out', 48.8566, 2.3522)
+        ], indexer);
+
+        const results = singleEntryLeaves.search(scheme.generateQueryToken(40.7128, -74.0060, 5));
+
+        expect(results.map(poi => poi.id)).toEqual(['poi-in']);
     });
 
-    test('should search within bounds', () => {
-        const pois = [
-            {
-                id: 'poi-in',
-                encryptedLocation: { encryptedCoords: [0.5, 0.5, 0.1, 0.1] },
-                encryptedBoundingBox: { minX: 0.4, minY: 0.4, maxX: 0.6, maxY: 0.6 }
-            },
-            {
-                id: 'poi-out',
-                encryptedLocation: { encryptedCoords: [0.9, 0.9, 0.1, 0.1] },
-                encryptedBoundingBox: { minX: 0.85, minY: 0.85, maxX: 0.95, maxY: 0.95 }
-            }
-        ];
+    test('should never miss a POI within range', () => {
+        const random = seededRandom(11);
+        const pois = Array.from({ length: 500 }, (_, i) =>
+            createPOI(`poi-${i}`, 40 + random() * 2, -75 + random() * 2));
+        index.buildIndex(pois, indexer);
+
+        for (let q = 0; q < 20; q++) {
+            const lat = 40 + random() * 2;
+            const lng = -75 + random() * 2;
+            const radiusKm = 1 + random() * 20;
+
+            const candidates = new Set(index.search(scheme.generateQueryToken(lat, lng, radiusKm)).map(poi => poi.id));
+            const expected = pois.filter(poi => haversine(lat, lng, poi.lat, poi.lng) <= radiusKm);
 
-        index.buildIndex(pois);
+            expect(expected.every(poi => candidates.has(poi.id))).toBe(true);
+        }
+    });
+
+    test('should visit a fraction of the tree for small ranges', () => {
+        const random = seededRandom(5);
+        const pois = Array.from({ length: 1000 }, (_, i) =>
+            createPOI(`poi-${i}`, random() * 120 - 60, random() * 360 - 180));
+        const stats = index.buildIndex(pois, indexer);
+
+        const candidates = index.search(scheme.generateQueryToken(pois[0].lat, pois[0].lng, 10));
+
+        expect(candidates.map(poi => poi.id)).toContain('poi-0');
+        expect(candidates.length).toBeLessThan(50);
+        expect(index.getStats().lastNodesVisited).toBeLessThan(stats.totalNodes / 4);
+    });
 
-        const searchBounds = {
-            encryptedMin: [0.3, 0.3],
-            encryptedMax: [0.7, 0.7]
-        };
+    test('should scan every POI without an index query', () => {
+        index.buildIndex([createPOI('poi-1', 0, 0), createPOI('poi-2', 10, 10)], indexer);
 
-        const results = index.search(searchBounds);
-        
-        expect(results.length).toBe(1);
-        expect(results[0].id).toBe('poi-in');
+        expect(index.search({ encryptedQuery: [] })).toHaveLength(2);
+    });
+
+    test('should keep POIs it cannot locate searchable', () => {
+        const unknown = { id: 'unknown', encryptedLocation: { encryptedCoords: [], version: '0.1' } };
+        index.buildIndex([createPOI('poi-1', 0, 0), unknown], {
+            ...indexer,
+            locate: poi => (poi.id === 'unknown' ? null : indexer.locate(poi))
+        });
+
+        const results = index.search(scheme.generateQueryToken(45, 45, 1));
+        expect(results.map(poi => poi.id)).toEqual(['unknown']);
+        expect(index.getStats().indexedPOIs).toBe(1);
     });
 
     test('should get all POIs', () => {
-        const pois = [
-            {
-                id: 'poi-1',
-                encryptedLocation: { encryptedCoords: [0.1, 0.1, 0.1, 0.1] },
-                encryptedBoundingBox: { minX: 0.05, minY: 0.05, maxX: 0.15, maxY: 0.15 }
-            },
-            {
-                id: 'poi-2',
-                encryptedLocation: { encryptedCoords: [0.9, 0.9, 0.1, 0.1] },
-                encryptedBoundingBox: { minX: 0.85, minY: 0.85, maxX: 0.95, maxY: 0.95 }
-            }
-        ];
-
-        index.buildIndex(pois);
-        
+        index.buildIndex([createPOI('poi-1', 0, 0), createPOI('poi-2', 10, 10)], indexer);
+
         const all = index.getAll();
         expect(all.length).toBe(2);
     });
 
     test('should clear index', () => {
-        const poi = {
-            id: 'poi-clear',
-            encryptedLocation: { encryptedCoords: [0.5, 0.5, 0.1, 0.1] },
-            encryptedBoundingBox: { minX: 0.4, minY: 0.4, maxX: 0.6, maxY: 0.6 }
-        };
-
-        index.insert(poi);
+        index.insert(createPOI('poi-clear', 0, 0));
         expect(index.getStats().totalPOIs).toBe(1);
 
         index.clear();
@@ -129,42 +169,24 @@ describe('SpatialIndex', () => {
     test('should handle large number of POIs', () => {
         const pois = [];
         for (let i = 0; i < 1000; i++) {
-            const x = Math.random();
-            const y = Math.random();
-            pois.push({
-                id: `poi-${i}`,
-                encryptedLocation: { encryptedCoords: [x, y, 0.1, 0.1] },
-                encryptedBoundingBox: { 
-                    minX: x - 0.01, 
-                    minY: y - 0.01, 
-                    maxX: x + 0.01, 
-                    maxY: y + 0.01 
-                }
-            });
+            pois.push(createPOI(`poi-${i}`, Math.random() * 180 - 90, Math.random() * 360 - 180));
         }
 
-        const stats = index.buildIndex(pois);
-        
+        const stats = index.buildIndex(pois, indexer);
+
         expect(stats.totalPOIs).toBe(1000);
         expect(stats.lastBuildTime).toBeLessThan(1000); // Should complete in < 1 second
     });
 
     test('should track query count', () => {
-        const poi = {
-            id: 'poi-track',
-            encryptedLocation: { encryptedCoords: [0.5, 0.5, 0.1, 0.1] },
-            encryptedBoundingBox: { minX: 0.4, minY: 0.4, maxX: 0.6, maxY: 0.6 }
-        };
-
-        index.insert(poi);
-        
+        index.buildIndex([createPOI('poi-track', 0, 0)], indexer);
+
         expect(index.getStats().queryCount).toBe(0);
 
-        index.search({ encryptedMin: [0, 0], encryptedMax: [1, 1] });
+        index.search(scheme.generateQueryToken(0, 0, 1));
         expect(index.getStats().queryCount).toBe(1);
 
-        index.search({ encryptedMin: [0, 0], encryptedMax: [1, 1] });
+        index.search(scheme.generateQueryToken(0, 0, 1));
         expect(index.getStats().queryCount).toBe(2);
     });
 });
-
@@ -0,0 +1,223 @@
+/**
+ * Tenant Tests
+ * Tests for tenant isolation: data paths, memberships, per-tenant keys and
+ * indexes, and tenant selection on requests
+ */
+
+import { DEFAULT_TENANT_ID, tenantPaths, tenantMemberships, recordTenant } from '../src/tenant/tenants.js';
+import { TenantRegistry } from '../src/tenant/tenantRegistry.js';
+import { KeyRing } from '../src/encryption/keyRing.js';
+import { QueryProcessor } from '../src/query/queryProcessor.js';
+import { resolveTenant, requirePermission } from '../src/auth/authMiddleware.js';
+import { UserRoles, Permissions, permissionsFor } from '../src/auth/permissions.js';
+import { validateTenantId } from '../src/utils/validators.js';
+import { generateQueryTokens } from '../public/js/queryToken.js';
+
+const MASTER_KEY = 'test-key-12345';
+
+function mockResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+async function run(middleware, req) {
+    const res = mockResponse();
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return { req, res, passed };
+}
+
+/**
+ * Authenticated user with the given role in each tenant
+ */
+function member(roles) {
+    return {
+        uid: 'alice',
+        role: UserRoles.USER,
+        permissions: [],
+        tenants: Object.fromEntries(
+            Object.entries(roles).map(([tenantId, role]) => [tenantId, { role, permissions: permissionsFor(role) }])
+        )
+    };
+}
+
+describe('Tenant records', () => {
+    test('should keep the default tenant in the top-level collections', () => {
+        expect(tenantPaths()).toEqual({ pois: 'pois', config: 'config' });
+        expect(tenantPaths(DEFAULT_TENANT_ID)).toEqual({ pois: 'pois', config: 'config' });
+        expect(tenantPaths('acme')).toEqual({ pois: 'tenants/acme/pois', config: 'tenants/acme/config' });
+    });
+
+    test('should read memberships, falling back to the legacy role', () => {
+        expect(tenantMemberships({ role: UserRoles.ADMIN, tenants: { acme: UserRoles.USER } }))
+            .toEqual({ acme: UserRoles.USER });
+        expect(tenantMemberships({ role: UserRoles.DATA_CURATOR })).toEqual({ default: UserRoles.DATA_CURATOR });
+        expect(tenantMemberships({})).toEqual({ default: UserRoles.USER });
+    });
+
+    test('should assign records without a tenant to the default tenant', () => {
+        expect(recordTenant({ tenantId: 'acme' })).toBe('acme');
+        expect(recordTenant({})).toBe(DEFAULT_TENANT_ID);
+    });
+
+    test('should accept only slug tenant IDs', () => {
+        expect(validateTenantId('acme-2').valid).toBe(true);
+        expect(validateTenantId('Acme').valid).toBe(false);
+        expect(validateTenantId('ab').valid).toBe(false);
+        expect(validateTenantId('2acme').valid).toBe(false);
+        expect(validateTenantId('acme/pois').valid).toBe(false);
+        expect(validateTenantId(undefined).valid).toBe(false);
+    });
+});
+
+describe('Tenant keys and indexes', () => {
+    test('should derive distinct, stable keys for each tenant', () => {
+        const acme = KeyRing.forTenant('acme', MASTER_KEY, null);
+        const globex = KeyRing.forTenant('globex', MASTER_KEY, null);
+        const deployment = new KeyRing(MASTER_KEY);
+
+        expect(KeyRing.forTenant('acme', MASTER_KEY, null).activeKeyId).toBe(acme.activeKeyId);
+        expect(acme.activeKeyId).not.toBe(globex.activeKeyId);
+        expect(acme.activeKeyId).not.toBe(deployment.activeKeyId);
+    });
+
+    function encryptedPOIs(processor, tenantId, ids) {
+        const scheme = processor.getScheme();
+        const keyId = processor.keyRing.activeKeyId;
+        return ids.map(id => ({
+            ...processor.getDataEncryption().encryptPOI({ id, name: `POI ${id}`, category: 'cafe' }),
+            ...(tenantId ? { tenantId } : {}),
+            keyId,
+            encryptedLocation: scheme.encryptLocation(40.7130, -74.0060)
+        }));
+    }
+
+    test('should index only the POIs of its own tenant', async () => {
+        const processor = new QueryProcessor(KeyRing.forTenant('acme', MASTER_KEY, null), { tenantId: 'acme' });
+        const stats = processor.initialize([
+            ...encryptedPOIs(processor, 'acme', ['acme-cafe']),
+            ...encryptedPOIs(processor, 'globex', ['globex-cafe']),
+            ...encryptedPOIs(processor, null, ['legacy-cafe'])
+        ]);
+
+        expect(stats.totalPOIs).toBe(1);
+        expect(processor.getStats().tenantId).toBe('acme');
+
+        const tokens = await generateQueryTokens(processor.getQueryKeys('alice'), 40.7128, -74.0060, 5);
+        const result = await processor.executeTokenQuery(tokens, 'alice');
+        expect(result.results.map(poi => poi.id)).toEqual(['acme-cafe']);
+    });
+
+    test('should reject query tokens issued for another tenant', async () => {
+        const acme = new QueryProcessor(KeyRing.forTenant('acme', MASTER_KEY, null), { tenantId: 'acme' });
+        const globex = new QueryProcessor(KeyRing.forTenant('globex', MASTER_KEY, null), { tenantId: 'globex' });
+        globex.initialize(encryptedPOIs(globex, 'globex', ['globex-cafe']));
+
+        const tokens = await generateQueryTokens(acme.getQueryKeys('alice'), 40.7128, -74.0060, 5);
+        const result = await globex.executeTokenQuery(tokens, 'alice');
+
+        expect(result.success).toBe(false);
+    });
+});
+
+describe('TenantRegistry', () => {
+    const tenants = {
+        async getTenant(tenantId) {
+            return ['default', 'acme'].includes(tenantId) ? { id: tenantId } : null;
+        }
+    };
+
+    test('should keep separate services for each tenant', async () => {
+        const registry = new TenantRegistry({ masterKey: MASTER_KEY, tenants });
+
+        const defaults = await registry.get(DEFAULT_TENANT_ID);
+        const acme = await registry.get('acme');
+
+        expect(acme.tenantId).toBe('acme');
+        expect(acme.userService.tenantId).toBe('acme');
+        expect(acme.adminService.tenantId).toBe('acme');
+        expect(acme.keyRing.activeKeyId).not.toBe(defaults.keyRing.activeKeyId);
+        expect(defaults.keyRing.activeKeyId).toBe(new KeyRing(MASTER_KEY).activeKeyId);
+        expect(await registry.get('acme')).toBe(acme);
+        expect(registry.getOpenTenants()).toEqual([DEFAULT_TENANT_ID, 'acme']);
+    });
+
+    test('should not open services for unknown tenants', async () => {
+        const registry = new TenantRegistry({ masterKey: MASTER_KEY, tenants });
+
+        expect(await registry.get('initech')).toBeNull();
+        expect(registry.getOpenTenants()).toEqual([]);
+    });
+});
+
+describe('resolveTenant', () => {
+    const middleware = resolveTenant();
+
+    test('should use the header, or the only tenant without one', async () => {
+        const named = await run(middleware, {
+            path: '/search',
+            headers: { 'x-tenant-id': 'acme' },
+            user: member({ default: UserRoles.USER, acme: UserRoles.DATA_CURATOR })
+        });
+        expect(named.passed).toBe(true);
+        expect(named.req.tenant).toEqual({
+            id: 'acme', role: UserRoles.DATA_CURATOR, permissions: [Permissions.POIS_READ, Permissions.POIS_WRITE]
+        });
+
+        const implicit = await run(middleware, { path: '/search', headers: {}, user: member({ acme: UserRoles.USER }) });
+        expect(implicit.passed).toBe(true);
+        expect(implicit.req.tenant.id).toBe('acme');
+    });
+
+    test('should refuse tenants the caller does not belong to', async () => {
+        const foreign = await run(middleware, {
+            path: '/search', headers: { 'x-tenant-id': 'globex' }, user: member({ acme: UserRoles.ADMIN })
+        });
+        expect(foreign.passed).toBe(false);
+        expect(foreign.res.statusCode).toBe(403);
+        expect(foreign.res.body.error).toBe('Not a member of this tenant');
+
+        const ambiguous = await run(middleware, {
+            path: '/search', headers: {}, user: member({ acme: UserRoles.USER, globex: UserRoles.USER })
+        });
+        expect(ambiguous.res.statusCode).toBe(400);
+
+        const none = await run(middleware, { path: '/search', headers: {}, user: member({}) });
+        expect(none.res.statusCode).toBe(403);
+        expect(none.res.body.error).toBe('Not a member of any tenant');
+
+        expect((await run(middleware, { path: '/search', headers: {} })).res.statusCode).toBe(401);
+    });
+
+    test('should check permissions against the role in the tenant', async () => {
+        // A deployment admin who is a plain user in one tenant and its curator in another
+        const user = {
+            ...member({ acme: UserRoles.USER, globex: UserRoles.DATA_CURATOR }),
+            role: UserRoles.ADMIN,
+            permissions: permissionsFor(UserRoles.ADMIN)
+        };
+        const writePOIs = requirePermission(Permissions.POIS_WRITE);
+        const through = async tenantId => {
+            const req = { path: '/admin/pois', headers: { 'x-tenant-id': tenantId }, user };
+            for (const step of [middleware, writePOIs]) {
+                const { res, passed } = await run(step, req);
+                if (!passed) return res.statusCode;
+            }
+            return 200;
+        };
+
+        expect(await through('acme')).toBe(403);
+        expect(await through('globex')).toBe(200);
+        expect((await run(writePOIs, { path: '/admin/users', user })).passed).toBe(true);
+    });
+});
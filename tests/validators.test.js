@@ -10,6 +10,8 @@ import {
     validateLatitude,
     validateLongitude,
     validateRadius,
+    validateNeighborCount,
+    validateAttributeFilters,
     validatePOI
 } from '../src/utils/validators.js';
 
@@ -166,6 +168,22 @@ describe('validateRadius', () => {
     });
 });
 
+describe('validateNeighborCount', () => {
+    test('should accept whole numbers up to the maximum', () => {
+        expect(validateNeighborCount(5).value).toBe(5);
+        expect(validateNeighborCount('10').value).toBe(10);
+        expect(validateNeighborCount(50).valid).toBe(true);
+    });
+
+    test('should reject fractions, non-positive and excessive counts', () => {
+        expect(validateNeighborCount(2.5).valid).toBe(false);
+        expect(validateNeighborCount(0).valid).toBe(false);
+        expect(validateNeighborCount(51).valid).toBe(false);
+        expect(validateNeighborCount(100, 200).valid).toBe(true);
+        expect(validateNeighborCount('abc').valid).toBe(false);
+    });
+});
+
 describe('validatePOI', () => {
     test('should accept valid POI', () => {
         const poi = {
@@ -213,3 +231,55 @@ describe('validatePOI', () => {
     });
 });
 
+describe('validateAttributeFilters', () => {
+    test('should leave unset filters null', () => {
+        expect(validateAttributeFilters({ category: '', minRating: null })).toEqual({
+            valid: true,
+            value: { category: null, minPrice: null, maxPrice: null, minRating: null, maxRating: null, openAt: null }
+        });
+    });
+
+    test('should parse prices, ratings and the time to be open at', () => {
+        const result = validateAttributeFilters({
+            category: 'cafe', minPrice: '1', maxPrice: 3, minRating: 3.5, openAt: '2024-06-01T19:45'
+        });
+
+        expect(result.valid).toBe(true);
+        expect(result.value).toMatchObject({ category: 'cafe', minPrice: 1, maxPrice: 3, minRating: 3.5 });
+        // 1 June 2024 was a Saturday
+        expect(result.value.openAt).toEqual({ day: 6, minutes: 19 * 60 + 45 });
+    });
+
+    test('should reject out-of-range and inverted filters', () => {
+        expect(validateAttributeFilters({ maxPrice: 5 }).valid).toBe(false);
+        expect(validateAttributeFilters({ minPrice: 1.5 }).valid).toBe(false);
+        expect(validateAttributeFilters({ minRating: 4.2 }).error).toBe('minRating: Rating filters must be in half-star steps');
+        expect(validateAttributeFilters({ minPrice: 3, maxPrice: 1 }).valid).toBe(false);
+        expect(validateAttributeFilters({ minRating: 4, maxRating: 3 }).valid).toBe(false);
+        expect(validateAttributeFilters({ openAt: '2024-02-30T10:00' }).valid).toBe(false);
+        expect(validateAttributeFilters({ openAt: '10:00' }).valid).toBe(false);
+    });
+});
+
+describe('validatePOI attributes', () => {
+    const poi = { name: 'Corner Bistro', latitude: 40.7128, longitude: -74.0060, category: 'restaurant' };
+
+    test('should accept price level, rating and opening hours', () => {
+        const openingHours = [{ day: 5, open: '18:00', close: '01:00' }];
+        const result = validatePOI({ ...poi, priceLevel: 2, rating: 4.3, openingHours });
+
+        expect(result.valid).toBe(true);
+        expect(result.value).toMatchObject({ priceLevel: 2, rating: 4.3, openingHours });
+    });
+
+    test('should default to unknown attributes', () => {
+        expect(validatePOI(poi).value).toMatchObject({ priceLevel: null, rating: null, openingHours: [] });
+    });
+
+    test('should reject malformed attributes', () => {
+        expect(validatePOI({ ...poi, priceLevel: 7 }).valid).toBe(false);
+        expect(validatePOI({ ...poi, rating: 6 }).valid).toBe(false);
+        expect(validatePOI({ ...poi, openingHours: [{ day: 7, open: '09:00', close: '17:00' }] }).valid).toBe(false);
+        expect(validatePOI({ ...poi, openingHours: [{ day: 1, open: '9am', close: '17:00' }] }).valid).toBe(false);
+    });
+});